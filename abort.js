@@ -0,0 +1,112 @@
+'use strict';
+/**
+ * @fileoverview Cancellation helpers for KLB Frontend Framework
+ *
+ * Turns the `signal` and `timeoutMs` call options into a single AbortSignal
+ * and makes promises (and delays) that don't know about signals settle when
+ * it aborts.
+ */
+
+const errors = require('./errors');
+
+/**
+ * Combines a caller's AbortSignal and a timeout into a single signal
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Caller's signal
+ * @param {number} [options.timeoutMs] - Aborts with a KlbTimeoutError after this many milliseconds
+ * @returns {Object|null} `{ signal, done }`, or null when neither option is set.
+ *   Call `done()` once the request settled to clear the timer and listener.
+ */
+const createAbortScope = (options) => {
+    options = options || {};
+    const parent = options.signal;
+    const timeoutMs = options.timeoutMs;
+
+    if (!parent && !(timeoutMs > 0)) {
+        return null;
+    }
+
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort(parent.reason);
+    let timer = null;
+
+    if (parent) {
+        if (parent.aborted) {
+            onParentAbort();
+        } else {
+            parent.addEventListener('abort', onParentAbort);
+        }
+    }
+
+    if (timeoutMs > 0 && !controller.signal.aborted) {
+        timer = setTimeout(() => {
+            controller.abort(new errors.KlbTimeoutError(`Request timed out after ${timeoutMs}ms`, { timeoutMs: timeoutMs }));
+        }, timeoutMs);
+    }
+
+    return {
+        signal: controller.signal,
+        done: () => {
+            if (timer !== null) clearTimeout(timer);
+            if (parent) parent.removeEventListener('abort', onParentAbort);
+        }
+    };
+};
+
+/**
+ * Rejects as soon as a signal aborts, even if the wrapped promise ignores it
+ * @param {Promise} promise - Promise to wrap
+ * @param {AbortSignal} [signal] - Signal to watch
+ * @returns {Promise} Promise settling with the first of the two
+ */
+const abortable = (promise, signal) => {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(errors.fromAbortSignal(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(errors.fromAbortSignal(signal));
+        signal.addEventListener('abort', onAbort);
+        Promise.resolve(promise).then(value => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+        }, error => {
+            signal.removeEventListener('abort', onAbort);
+            reject(signal.aborted ? errors.fromAbortSignal(signal) : error);
+        });
+    });
+};
+
+/**
+ * Waits for a delay, rejecting early when a signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal cancelling the wait
+ * @returns {Promise<void>} Resolves once the delay elapsed
+ */
+const sleep = (ms, signal) => {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    if (signal.aborted) {
+        return Promise.reject(errors.fromAbortSignal(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(errors.fromAbortSignal(signal));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort);
+    });
+};
+
+module.exports.createAbortScope = createAbortScope;
+module.exports.abortable = abortable;
+module.exports.sleep = sleep;
@@ -13,13 +13,16 @@
  * calls then send a Bearer token instead.
  *
  * An auth provider implements:
- *   - applyToRequest(headers, fetchOptions): mutate headers / fetch options
- *   - refreshIfNeeded(): Promise resolving once the token is fresh
- *   - handleExpiredError(error): Promise<boolean> — true to retry
+ *   - applyToRequest(headers, fetchOptions, options): mutate headers / fetch options
+ *   - refreshIfNeeded(options): Promise resolving once the token is fresh
+ *   - handleExpiredError(error, options): Promise<boolean> — true to retry
+ *
+ * `options.signal`, when present, is the AbortSignal of the call being
+ * made; providers doing network work should pass it along. `options.client`
+ * is the client the call is made with (see client.js): its host, fetch and
+ * token store are the ones to use.
  */
 
-const fwWrapper = require('./fw-wrapper');
-
 const FIVE_MINUTES = 5 * 60 * 1000;
 
 /**
@@ -29,16 +32,21 @@ const FIVE_MINUTES = 5 * 60 * 1000;
 const sessionAuth = {
     name: 'session',
 
-    applyToRequest(headers, fetchOptions) {
-        const token = fwWrapper.getToken();
+    applyToRequest(headers, fetchOptions, options) {
+        // Lazy require to break circular load with client.js
+        const token = require('./client').resolveClient(options).getToken();
         if (token !== '') {
             headers['Authorization'] = 'Session ' + token;
         }
         fetchOptions.credentials = 'include';
     },
 
-    refreshIfNeeded() {
-        const tokenExp = fwWrapper.getTokenExp();
+    refreshIfNeeded(options) {
+        // Lazy require to break circular load with client.js and internal.js
+        const client = require('./client');
+        const internal = require('./internal');
+        const apiClient = client.resolveClient(options);
+        const tokenExp = apiClient.getTokenExp();
 
         if (tokenExp === undefined) {
             return Promise.resolve();
@@ -48,30 +56,33 @@ const sessionAuth = {
             return Promise.resolve();
         }
 
-        // Lazy require to break circular load with internal.js
-        const internal = require('./internal');
-        const callUrl = internal.buildRestUrl('_special/token.json', true);
+        const callUrl = internal.buildRestUrl('_special/token.json', true, null, apiClient);
 
         const headers = {};
-        const token = fwWrapper.getToken();
+        const token = apiClient.getToken();
         if (token !== '') {
             headers['Authorization'] = 'Session ' + token;
         }
 
-        return fetch(callUrl, {
+        const fetchOptions = {
             method: 'GET',
             credentials: 'include',
             headers: headers
-        })
+        };
+        if (options && options.signal) {
+            fetchOptions.signal = options.signal;
+        }
+
+        return client.getFetch(apiClient)(callUrl, fetchOptions)
         .then(response => {
             if (!response.ok) {
-                fwWrapper.setToken(fwWrapper.getToken(), undefined);
+                apiClient.setToken(apiClient.getToken(), undefined);
                 return;
             }
 
             const contentType = response.headers.get('content-type');
             if (!contentType || contentType.indexOf('application/json') === -1) {
-                fwWrapper.setToken(fwWrapper.getToken(), undefined);
+                apiClient.setToken(apiClient.getToken(), undefined);
                 return;
             }
 
@@ -79,13 +90,15 @@ const sessionAuth = {
         })
         .then(json => {
             if (json && json.token && json.token_exp) {
-                fwWrapper.setToken(json.token, json.token_exp);
+                apiClient.setToken(json.token, json.token_exp);
             } else {
-                fwWrapper.setToken(fwWrapper.getToken(), undefined);
+                apiClient.setToken(apiClient.getToken(), undefined);
             }
         })
         .catch(() => {
-            fwWrapper.setToken(fwWrapper.getToken(), undefined);
+            // An aborted call says nothing about the token; try again next time
+            if (options && options.signal && options.signal.aborted) return;
+            apiClient.setToken(apiClient.getToken(), undefined);
         });
     },
 
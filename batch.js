@@ -0,0 +1,202 @@
+'use strict';
+/**
+ * @fileoverview Opt-in batching of REST calls
+ *
+ * Once enabled with `configureBatching()`, `rest()` calls made within the
+ * same window (by default, the same tick) are sent together to a batch
+ * endpoint:
+ *
+ *     POST /_rest/<endpoint>
+ *     { "requests": [ { "path": "User:get", "verb": "GET", "params": {} }, ... ] }
+ *
+ * The endpoint answers with one REST response per request, in order, as its
+ * `data` array. Each original call resolves or rejects on its own, exactly
+ * as if it had been sent alone. Calls are only grouped with calls sharing
+ * the same client, runWithContext() scope and context, which is sent once
+ * as `_ctx[...]`.
+ */
+
+const internal = require('./internal');
+const errors = require('./errors');
+const scope = require('./scope');
+
+const DEFAULTS = {
+    endpoint: '_special/batch.json',
+    window: 0,
+    maxSize: 20
+};
+
+// Batching settings, null while disabled
+let settings = null;
+
+// client, scope and context key -> { client, context, endpoint, items, timer }
+const queues = new Map();
+
+/**
+ * Enables, reconfigures or disables batching
+ * @param {Object|boolean} options - false to disable, true for the defaults, or settings
+ * @param {string} [options.endpoint='_special/batch.json'] - Batch endpoint name
+ * @param {number} [options.window=0] - Milliseconds to wait for more calls before sending
+ * @param {number} [options.maxSize=20] - Calls per batch; a full batch is sent right away
+ */
+const configureBatching = (options) => {
+    if (options === false || options === null) {
+        settings = null;
+        return;
+    }
+    if (options === true || options === undefined) {
+        options = {};
+    }
+    if (typeof options !== 'object') {
+        throw new TypeError('Batching options must be an object or a boolean');
+    }
+    if (options.endpoint !== undefined && (typeof options.endpoint !== 'string' || options.endpoint === '')) {
+        throw new TypeError('Batching endpoint must be a non-empty string');
+    }
+    if (options.window !== undefined && (typeof options.window !== 'number' || options.window < 0)) {
+        throw new TypeError('Batching window must be a non-negative number');
+    }
+    if (options.maxSize !== undefined && (typeof options.maxSize !== 'number' || options.maxSize < 1)) {
+        throw new TypeError('Batching maxSize must be a positive number');
+    }
+    settings = Object.assign({}, DEFAULTS, options);
+};
+
+/**
+ * Checks whether a call can go into a batch
+ * @param {Object} req - Request descriptor (see middleware.js)
+ * @returns {boolean} Whether batching is enabled and the call is eligible
+ */
+const canBatch = (req) => {
+    if (!settings) {
+        return false;
+    }
+    // Custom URLs, headers and uploads need a request of their own
+    if (req.url || Object.keys(req.headers || {}).length > 0) {
+        return false;
+    }
+    if (typeof FormData !== 'undefined' && req.params instanceof FormData) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Settles one call from its entry of the batch response
+ * @param {Object} item - Queued call
+ * @param {Object} response - The call's REST response
+ */
+const settleItem = (item, response) => {
+    if (!response || typeof response !== 'object') {
+        item.reject(new errors.KlbError('Missing response in batch', { path: item.req.name }));
+        return;
+    }
+    if (response.result === 'success' || response.result === 'redirect') {
+        item.resolve(response);
+        return;
+    }
+    item.reject(new errors.KlbApiError(response, response.status));
+};
+
+/**
+ * Sends a call on its own, as rest() does without batching
+ * @param {Object} item - Queued call
+ * @param {Object} queue - Queue the call was taken from
+ */
+const sendSingle = (item, queue) => {
+    internal.internalRest(item.req.name, item.req.verb, item.req.params, queue.context, {
+        signal: item.req.signal,
+        client: queue.client
+    })
+        .then(
+            response => internal.responseParse(response, item.resolve, item.reject),
+            error => item.reject(errors.fromFetchError(error))
+        )
+        .catch(item.reject);
+};
+
+/**
+ * Sends the calls queued for a client and context
+ * @param {string} key - Queue key
+ */
+const flush = (key) => {
+    const queue = queues.get(key);
+    if (!queue) {
+        return;
+    }
+    queues.delete(key);
+    clearTimeout(queue.timer);
+
+    // Calls aborted while queued were already rejected
+    const items = queue.items.filter(item => !item.cancelled);
+    items.forEach(item => item.detach());
+    if (items.length === 0) {
+        return;
+    }
+    if (items.length === 1) {
+        sendSingle(items[0], queue);
+        return;
+    }
+
+    const rejectAll = error => items.forEach(item => item.reject(error));
+    const requests = items.map(item => ({
+        path: item.req.name,
+        verb: item.req.verb,
+        params: item.req.params || {}
+    }));
+
+    internal.internalRest(queue.endpoint, 'POST', { requests: requests }, queue.context, { client: queue.client })
+        .then(response => new Promise((resolve, reject) => internal.responseParse(response, resolve, reject)),
+            error => { throw errors.fromFetchError(error); })
+        .then(result => {
+            if (!Array.isArray(result.data) || result.data.length !== items.length) {
+                throw new errors.KlbError('Invalid batch response', { body: result });
+            }
+            items.forEach((item, i) => settleItem(item, result.data[i]));
+        })
+        .catch(rejectAll);
+};
+
+/**
+ * Queues a call for the next batch
+ * @param {Object} req - Request descriptor (see middleware.js)
+ * @param {Object} [apiClient] - Client the call is made with (see client.js)
+ * @returns {Promise<Response|Object>} Promise settling with the call's REST response
+ */
+const enqueue = (req, apiClient) => new Promise((resolve, reject) => {
+    const context = Object.assign({}, req.context);
+    const key = (apiClient ? apiClient.id : '') + '\n' + scope.getScopeId() + '\n' + JSON.stringify(context);
+    let queue = queues.get(key);
+    if (!queue) {
+        queue = { client: apiClient, context: context, endpoint: settings.endpoint, items: [], timer: null };
+        queues.set(key, queue);
+        queue.timer = setTimeout(() => flush(key), settings.window);
+    }
+
+    const item = {
+        req: req,
+        resolve: resolve,
+        reject: reject,
+        cancelled: false,
+        detach: () => {}
+    };
+
+    const signal = req.signal;
+    if (signal) {
+        const onAbort = () => {
+            item.cancelled = true;
+            reject(errors.fromAbortSignal(signal));
+        };
+        signal.addEventListener('abort', onAbort);
+        item.detach = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    queue.items.push(item);
+    if (queue.items.length >= settings.maxSize) {
+        flush(key);
+    }
+});
+
+module.exports.configureBatching = configureBatching;
+module.exports.canBatch = canBatch;
+module.exports.enqueue = enqueue;
@@ -0,0 +1,291 @@
+'use strict';
+/**
+ * @fileoverview In-flight deduplication and response cache for restGet()
+ *
+ * Identical concurrent `restGet()` calls (same endpoint name, serialized
+ * params, context, client and runWithContext() scope) share a single request; callers joining
+ * a request already in flight receive their own copy of the result, so that none sees
+ * another's changes. Each
+ * caller keeps its own `signal` and `timeoutMs`: giving up only detaches
+ * that caller, and the shared request is aborted once every caller detached.
+ *
+ * Calls passing the `cache` option additionally store successful responses
+ * for a TTL. Entries are kept as JSON text so each hit returns a fresh copy
+ * and the memory used can be bounded; the least recently used entries are
+ * evicted first.
+ */
+
+const errors = require('./errors');
+const abort = require('./abort');
+const scope = require('./scope');
+
+const settings = {
+    ttl: 60000,
+    maxBytes: 5 * 1024 * 1024,
+    maxEntries: 500
+};
+
+// key -> { name, text, size, expires }, in least recently used order
+const store = new Map();
+let storeBytes = 0;
+
+// key -> { name, promise, controller, refs, invalidated }
+const inflight = new Map();
+
+/**
+ * Builds the key identifying a call
+ * @param {string} name - API endpoint name
+ * @param {Object|string} [params] - Request parameters
+ * @param {Object} [context] - Context overrides
+ * @param {boolean} authenticated - Whether the call carries credentials
+ * @param {Object} [apiClient] - Client the call is made with (see client.js)
+ * @returns {string|null} Key, or null when params can't be serialized
+ */
+const makeKey = (name, params, context, authenticated, apiClient) => {
+    let serialized;
+    try {
+        serialized = typeof params === 'string' ? params : JSON.stringify(params || {});
+    } catch (e) {
+        return null;
+    }
+    // Scoped calls carry the scope's token and context: never share them
+    const scopeId = scope.getScopeId();
+    return name + '\n' + serialized + '\n' + JSON.stringify(context || {}) + (authenticated ? '' : '\nanonymous') +
+        (apiClient && apiClient.id ? '\n' + apiClient.id : '') +
+        (scopeId ? '\n' + scopeId : '');
+};
+
+/**
+ * Changes the cache settings
+ * @param {Object} options - Fields to change
+ * @param {number} [options.ttl] - Default TTL (ms) for calls passing `cache: true`
+ * @param {number} [options.maxBytes] - Approximate memory limit of the stored responses
+ * @param {number} [options.maxEntries] - Maximum number of stored responses
+ */
+const configureCache = (options) => {
+    if (!options || typeof options !== 'object') {
+        throw new TypeError('Cache options must be an object');
+    }
+    for (const key in options) {
+        if (!(key in settings)) {
+            throw new TypeError(`Unknown cache option: ${key}`);
+        }
+        if (typeof options[key] !== 'number' || options[key] < 0) {
+            throw new TypeError(`Cache option ${key} must be a non-negative number`);
+        }
+        settings[key] = options[key];
+    }
+    evict();
+};
+
+const removeEntry = (key) => {
+    const entry = store.get(key);
+    if (entry) {
+        storeBytes -= entry.size;
+        store.delete(key);
+    }
+};
+
+/**
+ * Drops least recently used entries until the limits are respected
+ */
+const evict = () => {
+    for (const key of store.keys()) {
+        if (storeBytes <= settings.maxBytes && store.size <= settings.maxEntries) {
+            break;
+        }
+        removeEntry(key);
+    }
+};
+
+const storeResult = (key, name, result, ttl) => {
+    let text;
+    try {
+        text = JSON.stringify(result);
+    } catch (e) {
+        return;
+    }
+    if (text === undefined) {
+        return;
+    }
+
+    // JS strings use two bytes per code unit
+    const size = text.length * 2;
+    removeEntry(key);
+    if (size > settings.maxBytes) {
+        return;
+    }
+
+    store.set(key, { name: name, text: text, size: size, expires: Date.now() + ttl });
+    storeBytes += size;
+    evict();
+};
+
+/**
+ * Copies a result for a caller sharing it, through JSON like stored entries
+ */
+const copyResult = (result) => {
+    const text = JSON.stringify(result);
+    return text === undefined ? result : JSON.parse(text);
+};
+
+const readResult = (key) => {
+    const entry = store.get(key);
+    if (!entry) {
+        return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+        removeEntry(key);
+        return undefined;
+    }
+
+    // Refresh the entry's position for LRU eviction
+    store.delete(key);
+    store.set(key, entry);
+    return JSON.parse(entry.text);
+};
+
+/**
+ * Resolves the `cache` call option into a TTL
+ * @param {boolean|number} [option] - true for the default TTL, or a TTL in ms
+ * @returns {number} TTL in milliseconds, 0 when caching is off
+ */
+const resolveTtl = (option) => {
+    if (option === true) {
+        return settings.ttl;
+    }
+    if (typeof option === 'number' && option > 0) {
+        return option;
+    }
+    return 0;
+};
+
+/**
+ * Waits for a shared request on behalf of one caller
+ * @param {Object} flight - In-flight entry
+ * @param {Object} [options] - Caller's options (signal, timeoutMs)
+ * @param {boolean} copy - Whether the caller gets a copy of the result
+ * @returns {Promise} Promise settling with the shared request, or when the caller gives up
+ */
+const join = (flight, options, copy) => {
+    flight.refs++;
+    const promise = copy ? flight.promise.then(copyResult) : flight.promise;
+    const scope = abort.createAbortScope(options);
+    if (!scope) {
+        return promise;
+    }
+
+    let detached = false;
+    const detach = () => {
+        if (detached) return;
+        detached = true;
+        scope.signal.removeEventListener('abort', detach);
+        flight.refs--;
+        if (flight.refs === 0) {
+            flight.controller.abort(errors.fromAbortSignal(scope.signal));
+        }
+    };
+    scope.signal.addEventListener('abort', detach);
+
+    const result = abort.abortable(promise, scope.signal);
+    result.then(scope.done, scope.done);
+    return result;
+};
+
+/**
+ * Performs a restGet() call through the deduplication layer and cache
+ * @param {string} name - API endpoint name
+ * @param {Object|string} [params] - Request parameters
+ * @param {Object} [context] - Context overrides
+ * @param {Object} options - Call options (dedupe, cache, auth, signal, timeoutMs, ...)
+ * @param {Function} load - Performs the request, receives the options to use
+ * @returns {Promise} API response promise
+ */
+const cachedCall = (name, params, context, options, load) => {
+    const ttl = resolveTtl(options.cache);
+    if (options.dedupe === false && !ttl) {
+        return load(options);
+    }
+
+    const key = makeKey(name, params, context, options.auth !== false, options.client);
+    if (key === null) {
+        return load(options);
+    }
+
+    if (ttl) {
+        const cached = readResult(key);
+        if (cached !== undefined) {
+            return Promise.resolve(cached);
+        }
+    }
+
+    let flight = options.dedupe === false ? null : inflight.get(key);
+    // The caller starting the request gets the result itself, the others a copy
+    const copy = !!flight;
+    if (!flight) {
+        const controller = new AbortController();
+        const shared = Object.assign({}, options, { signal: controller.signal });
+        delete shared.timeoutMs;
+
+        flight = {
+            name: name,
+            controller: controller,
+            refs: 0,
+            invalidated: false,
+            ttl: 0
+        };
+        flight.promise = Promise.resolve().then(() => load(shared));
+
+        const settle = () => {
+            if (inflight.get(key) === flight) {
+                inflight.delete(key);
+            }
+        };
+        flight.promise.then(result => {
+            settle();
+            if (flight.ttl && !flight.invalidated) {
+                storeResult(key, name, result, flight.ttl);
+            }
+        }, settle);
+
+        if (options.dedupe !== false) {
+            inflight.set(key, flight);
+        }
+    }
+
+    // Any caller asking for caching makes the shared result cacheable
+    flight.ttl = Math.max(flight.ttl, ttl);
+    return join(flight, options, copy);
+};
+
+/**
+ * Drops cached responses of endpoints starting with a prefix. Requests
+ * already in flight for these endpoints won't be cached when they complete,
+ * and later calls start a new request instead of joining them.
+ * @param {string} [prefix] - Endpoint name prefix, e.g. 'Catalog/'. Omit to drop everything.
+ */
+const invalidate = (prefix) => {
+    prefix = prefix || '';
+    for (const [key, entry] of store) {
+        if (entry.name.indexOf(prefix) === 0) {
+            removeEntry(key);
+        }
+    }
+    for (const [key, flight] of inflight) {
+        if (flight.name.indexOf(prefix) === 0) {
+            // Later calls must not join a request that may return stale data
+            flight.invalidated = true;
+            inflight.delete(key);
+        }
+    }
+};
+
+/**
+ * Drops all cached responses
+ */
+const clearCache = () => invalidate('');
+
+module.exports.configureCache = configureCache;
+module.exports.cachedCall = cachedCall;
+module.exports.invalidate = invalidate;
+module.exports.clearCache = clearCache;
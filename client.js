@@ -0,0 +1,230 @@
+'use strict';
+/**
+ * @fileoverview API clients
+ *
+ * A client holds the configuration a call is made with: host, API prefix,
+ * base context, token, auth provider and fetch implementation. The top-level
+ * `rest()`, `restGet()`, `restSSE()`, `uploadFile()`, `uploadManyFiles()` and
+ * `downloadFile()` exports use the default client, which reads the global
+ * `FW` object and the provider set with `setAuth()`.
+ *
+ * `createClient()` returns the same functions bound to a configuration of
+ * their own, so a Node service can talk to several KLB hosts, or act as
+ * several users, in one process:
+ *
+ *     const shop = createClient({ baseUrl: 'https://shop.example.com', auth: bearerAuth(shopInfo) });
+ *     const user = await shop.rest('User:get', 'GET');
+ *
+ * Internally the client travels with each call as `options.client`.
+ */
+
+const fwWrapper = require('./fw-wrapper');
+const auth = require('./auth');
+const scope = require('./scope');
+
+// Methods reading or changing the runWithContext() scope (see callScope())
+const SCOPED_METHODS = ['getCallUrlPrefix', 'getApiPrefix', 'getContext', 'getSiteStatic', 'getToken', 'getTokenExp', 'setToken'];
+
+const OPTION_KEYS = ['baseUrl', 'apiPrefix', 'context', 'siteStatic', 'token', 'tokenExp', 'auth', 'fetch'];
+
+/**
+ * Client reading its configuration from the global FW object
+ */
+const defaultClient = {
+    id: '',
+
+    getCallUrlPrefix: () => fwWrapper.getCallUrlPrefix(),
+    getApiPrefix: () => fwWrapper.getApiPrefix(),
+    getContext: () => fwWrapper.getContext(),
+    getSiteStatic: () => fwWrapper.getSiteStatic(),
+    getAuth: () => auth.getAuth(),
+
+    // Token store, read and renewed by the auth provider
+    getToken: () => fwWrapper.getToken(),
+    getTokenExp: () => fwWrapper.getTokenExp(),
+    setToken: (token, tokenExp) => fwWrapper.setToken(token, tokenExp),
+
+    // null: the global fetch at call time
+    fetch: null
+};
+
+let clientCount = 0;
+
+/**
+ * Returns the client a call is made with
+ * @param {Object} [options] - Call options
+ * @returns {Object} options.client, or the default client
+ */
+const resolveClient = (options) => (options && options.client) || defaultClient;
+
+/**
+ * Tells whether a client is the default one, held to a scope or not
+ * @param {Object} client - Client
+ * @returns {boolean} Whether the client reads the global FW object
+ */
+const isDefaultClient = (client) => client === defaultClient || client.unscoped === defaultClient;
+
+/**
+ * Holds the client of a call to the runWithContext() scope it is made in
+ *
+ * Without AsyncLocalStorage the scope only covers synchronous code, while a
+ * call reads its context and token after the token refresh. The client put
+ * in the returned options enters the call's scope again for each read.
+ *
+ * @param {Object} [options] - Call options
+ * @returns {Object|undefined} options, or a copy with the held client
+ */
+const callScope = (options) => {
+    const store = scope.getStore();
+    const client = resolveClient(options);
+    if (!store || scope.followsAsync() || client.unscoped) {
+        return options;
+    }
+
+    // Shares no deduplicated or batched request with other scopes
+    const held = Object.assign({}, client, { id: client.id + '@' + store.id, unscoped: client });
+    for (const method of SCOPED_METHODS) {
+        held[method] = function () {
+            return scope.enter(store, () => client[method].apply(client, arguments));
+        };
+    }
+    return Object.assign({}, options, { client: held });
+};
+
+/**
+ * Returns the fetch implementation of a client
+ * @param {Object} client - Client
+ * @returns {Function|null} fetch function, or null when none is available
+ */
+const getFetch = (client) => {
+    if (client && client.fetch) {
+        return client.fetch;
+    }
+    return typeof fetch !== 'undefined' ? fetch : null;
+};
+
+/**
+ * Copies call options, adding the client
+ * @param {Object} client - Client
+ * @param {Object} [options] - Call options
+ * @returns {Object} Options for the call
+ */
+const withClient = (client, options) => Object.assign({}, options, { client: client });
+
+/**
+ * Creates an API client
+ *
+ * Settings that aren't given fall back to the default client's: the global
+ * FW values, the provider set with `setAuth()` and the global fetch. A client
+ * given a `token` keeps it, and its renewals, to itself; other clients share
+ * the global FW token.
+ *
+ * @param {Object} [options] - Client settings
+ * @param {string} [options.baseUrl] - Scheme and host of the API, e.g. 'https://hub.atonline.com'
+ * @param {string} [options.apiPrefix] - Path before /_rest/, e.g. '/api'
+ * @param {Object} [options.context] - Base context (`b`, `c`, `l`, `g`, ...); call
+ *   contexts are merged over it
+ * @param {Object} [options.auth] - Auth provider (see auth.js)
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Object} Client with rest, restFull, restGet, restSSE, restSSEStream,
+ *   restPaginate, uploadFile, uploadManyFiles and downloadFile
+ * @throws {TypeError} When a setting is invalid
+ */
+const createClient = (options) => {
+    options = options || {};
+    if (typeof options !== 'object') {
+        throw new TypeError('Client options must be an object');
+    }
+    for (const key of Object.keys(options)) {
+        if (OPTION_KEYS.indexOf(key) === -1) {
+            throw new TypeError(`Unknown client option: ${key}`);
+        }
+    }
+    if (options.baseUrl !== undefined && typeof options.baseUrl !== 'string') {
+        throw new TypeError('Client baseUrl must be a string');
+    }
+    if (options.apiPrefix !== undefined && typeof options.apiPrefix !== 'string') {
+        throw new TypeError('Client apiPrefix must be a string');
+    }
+    if (options.context !== undefined && (!options.context || typeof options.context !== 'object')) {
+        throw new TypeError('Client context must be an object');
+    }
+    if (options.siteStatic !== undefined && typeof options.siteStatic !== 'boolean') {
+        throw new TypeError('Client siteStatic must be a boolean');
+    }
+    if (options.token !== undefined && typeof options.token !== 'string') {
+        throw new TypeError('Client token must be a string');
+    }
+    if (options.tokenExp !== undefined && (options.token === undefined || typeof options.tokenExp !== 'number')) {
+        throw new TypeError('Client tokenExp must be a number, given with a token');
+    }
+    if (options.auth !== undefined && (!options.auth || typeof options.auth.applyToRequest !== 'function')) {
+        throw new TypeError('Client auth must be an auth provider');
+    }
+    if (options.fetch !== undefined && typeof options.fetch !== 'function') {
+        throw new TypeError('Client fetch must be a function');
+    }
+
+    const baseUrl = options.baseUrl !== undefined ? options.baseUrl.replace(/\/+$/, '') : undefined;
+    const context = options.context !== undefined ? Object.assign({}, options.context) : undefined;
+    const tokenState = options.token !== undefined ? { token: options.token, tokenExp: options.tokenExp } : null;
+
+    const client = {
+        id: 'client' + (++clientCount),
+
+        getCallUrlPrefix: () => baseUrl !== undefined ? baseUrl : defaultClient.getCallUrlPrefix(),
+        getApiPrefix: () => options.apiPrefix !== undefined ? options.apiPrefix : defaultClient.getApiPrefix(),
+        getContext: () => context !== undefined ? Object.assign({}, context) : defaultClient.getContext(),
+        getSiteStatic: () => options.siteStatic !== undefined ? options.siteStatic : defaultClient.getSiteStatic(),
+        getAuth: () => options.auth || defaultClient.getAuth(),
+
+        getToken: () => tokenState ? tokenState.token : defaultClient.getToken(),
+        getTokenExp: () => tokenState ? tokenState.tokenExp : defaultClient.getTokenExp(),
+        setToken: (token, tokenExp) => {
+            if (!tokenState) {
+                defaultClient.setToken(token, tokenExp);
+                return;
+            }
+            tokenState.token = token;
+            tokenState.tokenExp = tokenExp;
+        },
+
+        fetch: options.fetch || null
+    };
+
+    // Lazy require to break circular load with rest.js and upload.js
+    const rest = require('./rest');
+    const sseStream = require('./sse-stream');
+    const paginate = require('./paginate');
+    const upload = require('./upload');
+    const uploadMany = require('./upload-many');
+    const download = require('./download');
+
+    client.rest = (name, verb, params, ctx, callOptions) =>
+        rest.rest(name, verb, params, ctx, withClient(client, callOptions));
+    client.restFull = (name, verb, params, ctx, callOptions) =>
+        rest.restFull(name, verb, params, ctx, withClient(client, callOptions));
+    client.restGet = (name, params, ctx, callOptions) =>
+        rest.restGet(name, params, ctx, withClient(client, callOptions));
+    client.restSSE = (name, method, params, ctx, callOptions) =>
+        rest.restSSE(name, method, params, ctx, withClient(client, callOptions));
+    client.restSSEStream = (name, method, params, ctx, callOptions) =>
+        sseStream.restSSEStream(name, method, params, ctx, withClient(client, callOptions));
+    client.restPaginate = (name, params, ctx, callOptions) =>
+        paginate.restPaginate(name, params, ctx, withClient(client, callOptions));
+    client.uploadFile = (api, buffer, method, params, ctx, callOptions) =>
+        upload.uploadFile(api, buffer, method, params, ctx, withClient(client, callOptions));
+    client.uploadManyFiles = (api, files, method, params, ctx, callOptions) =>
+        uploadMany.uploadManyFiles(api, files, method, params, ctx, withClient(client, callOptions));
+    client.downloadFile = (urlOrEndpoint, callOptions) =>
+        download.downloadFile(urlOrEndpoint, withClient(client, callOptions));
+
+    return client;
+};
+
+module.exports.defaultClient = defaultClient;
+module.exports.resolveClient = resolveClient;
+module.exports.isDefaultClient = isDefaultClient;
+module.exports.callScope = callScope;
+module.exports.getFetch = getFetch;
+module.exports.createClient = createClient;
@@ -0,0 +1,187 @@
+'use strict';
+/**
+ * @fileoverview Programmatic configuration
+ *
+ * Browser pages and SSR get their configuration from the global FW object.
+ * Node.js scripts, CLI tools and workers can set the same values with
+ * `configure()`, or from KLB_* environment variables with
+ * `loadConfigFromEnv()`:
+ *
+ *     klbfw.configure({ callUrlPrefix: 'https://shop.example.com', locale: 'fr-FR', currency: 'EUR' });
+ *     klbfw.loadConfigFromEnv();
+ *
+ * The values are written where fw-wrapper.js reads them: into the global FW
+ * when there is one, otherwise into a module-level object.
+ */
+
+const fwWrapper = require('./fw-wrapper');
+
+// configure() key -> [environment variable, type]
+const ENV_VARIABLES = {
+    callUrlPrefix: ['KLB_CALL_URL_PREFIX', 'string'],
+    apiPrefix: ['KLB_API_PREFIX', 'string'],
+    locale: ['KLB_LOCALE', 'string'],
+    currency: ['KLB_CURRENCY', 'string'],
+    context: ['KLB_CONTEXT', 'json'],
+    siteStatic: ['KLB_SITE_STATIC', 'boolean'],
+    token: ['KLB_TOKEN', 'string']
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Checks the options of configure()
+ * @param {Object} options - Options to check
+ * @throws {TypeError} When an option is unknown or invalid
+ */
+const validate = (options) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new TypeError('configure() expects an options object');
+    }
+    for (const key of Object.keys(options)) {
+        if (!ENV_VARIABLES.hasOwnProperty(key)) {
+            throw new TypeError(`Unknown configure() option: ${key}`);
+        }
+    }
+
+    const { callUrlPrefix, apiPrefix, locale, currency, context, siteStatic, token } = options;
+    if (callUrlPrefix !== undefined && (typeof callUrlPrefix !== 'string' ||
+        (callUrlPrefix !== '' && !/^https?:\/\/[^/]+/.test(callUrlPrefix)))) {
+        throw new TypeError('callUrlPrefix must be an http(s) URL or an empty string');
+    }
+    if (apiPrefix !== undefined && (typeof apiPrefix !== 'string' ||
+        (apiPrefix !== '' && apiPrefix.charAt(0) !== '/'))) {
+        throw new TypeError('apiPrefix must start with / or be an empty string');
+    }
+    if (locale !== undefined && (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale))) {
+        throw new TypeError('locale must look like en-US');
+    }
+    if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_PATTERN.test(currency))) {
+        throw new TypeError('currency must be a 3-letter ISO 4217 code');
+    }
+    if (context !== undefined) {
+        if (!context || typeof context !== 'object' || Array.isArray(context)) {
+            throw new TypeError('context must be an object');
+        }
+        for (const key of Object.keys(context)) {
+            const value = context[key];
+            if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+                throw new TypeError(`context.${key} must be a string, number or boolean`);
+            }
+        }
+    }
+    if (siteStatic !== undefined && typeof siteStatic !== 'boolean') {
+        throw new TypeError('siteStatic must be a boolean');
+    }
+    if (token !== undefined && typeof token !== 'string') {
+        throw new TypeError('token must be a string');
+    }
+};
+
+/**
+ * Sets the configuration read by the framework
+ *
+ * Only the given options change. `locale` sets both the locale and the `l`
+ * context entry, `currency` the `c` context entry; `context` entries are
+ * merged into the context.
+ *
+ * @param {Object} options - Configuration
+ * @param {string} [options.callUrlPrefix] - Scheme and host of the API, e.g. 'https://hub.atonline.com'
+ * @param {string} [options.apiPrefix] - Path before /_rest/, e.g. '/api'
+ * @param {string} [options.locale] - Locale, e.g. 'en-US'
+ * @param {string} [options.currency] - Currency code, e.g. 'USD'
+ * @param {Object} [options.context] - Context entries (`b`, `g`, ...)
+ * @param {boolean} [options.siteStatic] - Whether REST URLs carry the `static` flag
+ * @param {string} [options.token] - Session token
+ * @throws {TypeError} When an option is unknown or invalid; nothing is changed then
+ */
+const configure = (options) => {
+    validate(options);
+
+    const fw = fwWrapper.ensureFW();
+    if (!fw.Context) {
+        fw.Context = {};
+    }
+
+    if (options.callUrlPrefix !== undefined) {
+        fw.call_url_prefix = options.callUrlPrefix.replace(/\/+$/, '');
+    }
+    if (options.apiPrefix !== undefined) {
+        fw.api_prefix = options.apiPrefix.replace(/\/+$/, '');
+    }
+    if (options.context !== undefined) {
+        Object.assign(fw.Context, options.context);
+    }
+    if (options.locale !== undefined) {
+        fw.Locale = options.locale;
+        fw.Context.l = options.locale;
+    }
+    if (options.currency !== undefined) {
+        fw.Context.c = options.currency;
+    }
+    if (options.siteStatic !== undefined) {
+        fw.site_static = options.siteStatic;
+    }
+    if (options.token !== undefined) {
+        fw.token = options.token;
+    }
+};
+
+/**
+ * Parses the value of an environment variable
+ * @param {string} name - Variable name
+ * @param {string} value - Variable value
+ * @param {string} type - 'string', 'json' or 'boolean'
+ * @returns {*} Parsed value
+ * @throws {TypeError} When the value can't be parsed
+ */
+const parseEnvValue = (name, value, type) => {
+    if (type === 'boolean') {
+        const lower = value.toLowerCase();
+        if (['1', 'true', 'yes', 'on'].indexOf(lower) !== -1) return true;
+        if (['0', 'false', 'no', 'off'].indexOf(lower) !== -1) return false;
+        throw new TypeError(`${name} must be a boolean (true/false, 1/0)`);
+    }
+    if (type === 'json') {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            throw new TypeError(`${name} must be valid JSON: ${e.message}`);
+        }
+    }
+    return value;
+};
+
+/**
+ * Configures the framework from KLB_* environment variables
+ *
+ * Reads KLB_CALL_URL_PREFIX, KLB_API_PREFIX, KLB_LOCALE, KLB_CURRENCY,
+ * KLB_CONTEXT (JSON object), KLB_SITE_STATIC (true/false, 1/0) and
+ * KLB_TOKEN. Unset and empty variables are ignored.
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} The options passed to configure()
+ * @throws {TypeError} When a variable is invalid; nothing is changed then
+ */
+const loadConfigFromEnv = (env) => {
+    if (env === undefined) {
+        env = typeof process !== 'undefined' && process.env ? process.env : {};
+    }
+
+    const options = {};
+    for (const key of Object.keys(ENV_VARIABLES)) {
+        const [name, type] = ENV_VARIABLES[key];
+        const value = env[name];
+        if (value === undefined || value === '') {
+            continue;
+        }
+        options[key] = parseEnvValue(name, value, type);
+    }
+
+    configure(options);
+    return options;
+};
+
+module.exports.configure = configure;
+module.exports.loadConfigFromEnv = loadConfigFromEnv;
@@ -0,0 +1,583 @@
+/**
+ * KLB Download Module
+ *
+ * This module provides the downloadFile function for downloading binary content
+ * from KLB API endpoints or any URL. In the browser it resolves with a Blob; in
+ * Node.js it can also write to a file path or a writable stream.
+ *
+ * Failed transfers resume with HTTP Range requests from the last byte received,
+ * and large files served with range support are fetched as parallel parts.
+ *
+ * @module download
+ */
+
+'use strict';
+
+const internal = require('./internal');
+const client = require('./client');
+const abort = require('./abort');
+const retry = require('./retry');
+const errors = require('./errors');
+const { env } = require('./upload-internal');
+
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Returns the scheme and host of an absolute URL
+ * @private
+ */
+function getOrigin(url) {
+    const match = /^(https?:\/\/[^/?#]+)/i.exec(url || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Resolves the download target into a URL, and tells whether the request
+ * goes to the KLB host and must carry the client's credentials
+ * @private
+ */
+function resolveTarget(target, options, apiClient) {
+    const prefix = apiClient.getCallUrlPrefix();
+    let url;
+    let klbHosted;
+
+    if (/^https?:\/\//i.test(target)) {
+        url = target;
+        klbHosted = !!prefix && getOrigin(target) === getOrigin(prefix);
+    } else if (target.charAt(0) === '/') {
+        url = (prefix || '') + target;
+        klbHosted = true;
+    } else {
+        // REST endpoint answering with the file content
+        url = internal.buildRestUrl(target, true, options.context, apiClient);
+        if (options.params) {
+            const glue = url.indexOf('?') === -1 ? '?' : '&';
+            url += glue + '_=' + encodeURIComponent(JSON.stringify(options.params));
+        }
+        klbHosted = true;
+    }
+
+    return { url, authenticated: options.auth === undefined ? klbHosted : !!options.auth };
+}
+
+/**
+ * Parses a Content-Range header ("bytes 0-99/1234")
+ * @private
+ * @returns {Object|null} { start, end, total } (total is null when unknown)
+ */
+function parseContentRange(value) {
+    const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        start: parseInt(match[1], 10),
+        end: parseInt(match[2], 10),
+        total: match[3] === '*' ? null : parseInt(match[3], 10)
+    };
+}
+
+/**
+ * Feeds the body of a response to a callback, chunk by chunk
+ * @private
+ * @param {Response} response - Fetch response
+ * @param {Function} onChunk - Called with each Uint8Array chunk; resolving with
+ *   true stops reading
+ */
+async function readBody(response, onChunk) {
+    const body = response.body;
+
+    // Web streams (browsers, Node.js native fetch)
+    if (body && typeof body.getReader === 'function') {
+        const reader = body.getReader();
+        let stopped = false;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                if (await onChunk(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))) {
+                    stopped = true;
+                    return;
+                }
+            }
+        } finally {
+            if (stopped) {
+                reader.cancel().catch(() => {});
+            }
+        }
+    }
+
+    // Node.js readable streams (node-fetch)
+    if (body && typeof body[Symbol.asyncIterator] === 'function') {
+        for await (const chunk of body) {
+            if (await onChunk(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength))) {
+                if (typeof body.destroy === 'function') body.destroy();
+                return;
+            }
+        }
+        return;
+    }
+
+    await onChunk(new Uint8Array(await response.arrayBuffer()));
+}
+
+/**
+ * Destination keeping the content in memory, resolving with a Blob in the
+ * browser and a Buffer in Node.js
+ * @private
+ */
+function createMemorySink() {
+    const parts = [];
+
+    return {
+        write(index, offset, chunk) {
+            (parts[index] = parts[index] || []).push(chunk);
+            return Promise.resolve();
+        },
+        endPart() {},
+        async finish(info) {
+            const chunks = [].concat.apply([], parts.filter(Boolean));
+            if (env.isBrowser && typeof Blob !== 'undefined') {
+                return new Blob(chunks, { type: info.type || '' });
+            }
+            if (typeof Buffer !== 'undefined') {
+                return Buffer.concat(chunks, info.size);
+            }
+            const result = new Uint8Array(info.size);
+            let offset = 0;
+            for (const chunk of chunks) {
+                result.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return result;
+        },
+        async abort() {}
+    };
+}
+
+/**
+ * Destination writing to a file (Node.js only); parts are written at their
+ * offset as they arrive
+ * @private
+ */
+function createFileSink(path) {
+    const fs = require('fs');
+    let opening = null;
+
+    const open = () => {
+        if (!opening) {
+            opening = fs.promises.open(path, 'w');
+        }
+        return opening;
+    };
+
+    return {
+        async write(index, offset, chunk) {
+            const handle = await open();
+            await handle.write(chunk, 0, chunk.length, offset);
+        },
+        endPart() {},
+        async finish(info) {
+            const handle = await open();
+            await handle.close();
+            return { path: path, size: info.size, type: info.type };
+        },
+        async abort() {
+            if (!opening) return;
+            try {
+                const handle = await opening;
+                await handle.close();
+                await fs.promises.unlink(path);
+            } catch (e) {
+                // Nothing more to clean up
+            }
+        }
+    };
+}
+
+/**
+ * Destination writing to a Node.js writable stream or a web WritableStream.
+ * Parts must reach the stream in order: a part's data is held in memory
+ * until the parts before it were written.
+ * @private
+ */
+function createStreamSink(stream) {
+    const webWriter = typeof stream.getWriter === 'function' ? stream.getWriter() : null;
+    let streamError = null;
+    if (!webWriter && typeof stream.on === 'function') {
+        stream.on('error', err => { streamError = err; });
+    }
+
+    const writeChunk = (chunk) => {
+        if (webWriter) {
+            return webWriter.write(chunk);
+        }
+        if (streamError) {
+            return Promise.reject(streamError);
+        }
+        return new Promise((resolve, reject) => {
+            const onError = err => reject(err);
+            if (typeof stream.once === 'function') stream.once('error', onError);
+            const done = () => {
+                if (typeof stream.removeListener === 'function') stream.removeListener('error', onError);
+                resolve();
+            };
+            if (stream.write(chunk) === false && typeof stream.once === 'function') {
+                stream.once('drain', done);
+            } else {
+                done();
+            }
+        });
+    };
+
+    const buffered = new Map();
+    const finished = new Set();
+    let current = 0;
+    let chain = Promise.resolve();
+
+    const enqueue = (chunk) => {
+        chain = chain.then(() => writeChunk(chunk));
+        // Failures surface through write() or finish()
+        chain.catch(() => {});
+        return chain;
+    };
+
+    return {
+        write(index, offset, chunk) {
+            if (index === current) {
+                return enqueue(chunk);
+            }
+            if (!buffered.has(index)) buffered.set(index, []);
+            buffered.get(index).push(chunk);
+            return Promise.resolve();
+        },
+        endPart(index) {
+            finished.add(index);
+            while (finished.has(current)) {
+                current++;
+                const pending = buffered.get(current);
+                if (pending) {
+                    buffered.delete(current);
+                    pending.forEach(enqueue);
+                }
+            }
+        },
+        async finish(info) {
+            await chain;
+            if (webWriter) {
+                await webWriter.close();
+            } else {
+                await new Promise(resolve => stream.end(resolve));
+            }
+            return { size: info.size, type: info.type };
+        },
+        async abort(error) {
+            if (webWriter) {
+                await webWriter.abort(error).catch(() => {});
+            } else if (typeof stream.destroy === 'function') {
+                // Reported to the 'error' listener set above
+                stream.destroy(error);
+            }
+        }
+    };
+}
+
+/**
+ * Picks the destination of the downloaded content
+ * @private
+ */
+function createSink(destination) {
+    if (destination === undefined || destination === null) {
+        return createMemorySink();
+    }
+    if (typeof destination === 'string') {
+        if (!env.isNode || env.isBrowser) {
+            throw new TypeError('Downloading to a path is only supported in Node.js');
+        }
+        return createFileSink(destination);
+    }
+    if (typeof destination.getWriter === 'function' || typeof destination.write === 'function') {
+        return createStreamSink(destination);
+    }
+    throw new TypeError('destination must be a file path or a writable stream');
+}
+
+/**
+ * Download a file
+ *
+ * Fetches binary content and reports byte progress. Transfers interrupted by
+ * network errors or transient HTTP errors (429, 502, 503, 504) resume from the
+ * last byte received with an HTTP Range request. When the server supports
+ * ranges, files larger than `partSize` are fetched as `concurrency` parallel parts.
+ *
+ * The target is either a URL or a REST endpoint name. Requests to the KLB host
+ * (endpoints, paths starting with `/`, URLs on the client's host) carry the
+ * credentials of the client's auth provider; other URLs (e.g. signed storage
+ * URLs) are fetched without them.
+ *
+ * @param {string} urlOrEndpoint - Absolute URL, path on the KLB host, or REST
+ *   endpoint name (e.g. 'Misc/Debug:download')
+ * @param {Object} [options={}] - Download options
+ * @param {Object} [options.params] - Parameters of a REST endpoint
+ * @param {Object} [options.context] - Context of a REST endpoint
+ * @param {string|Object} [options.destination] - Node.js: file path or writable stream
+ *   to write to; also accepts a web WritableStream. Content is kept in memory when omitted.
+ * @param {Function} [options.onProgress] - Progress callback({ loaded, total, progress, speed }):
+ *   bytes received, total size (null when unknown), 0-1 ratio (null when unknown)
+ *   and average speed in bytes per second
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {boolean} [options.auth] - Force sending (true) or not (false) the credentials
+ * @param {boolean|number|Object} [options.retry=true] - Retry policy of each part
+ *   (see retry.js); attempts count consecutive failures without progress
+ * @param {number} [options.partSize=8388608] - Size of parallel parts in bytes
+ * @param {number} [options.concurrency=4] - Parallel parts; 1 disables ranged parts
+ * @param {AbortSignal} [options.signal] - AbortSignal for cancellation
+ * @param {number} [options.timeoutMs] - Rejects with a KlbTimeoutError when the
+ *   download takes longer
+ * @param {Object} [options.client] - Client for the request, set by createClient() (see client.js)
+ * @returns {Promise<Blob|Buffer|Object>} - Resolves with a Blob (browser) or Buffer (Node.js),
+ *   or `{ size, type }` (plus `path`) when written to a destination
+ *
+ * @example
+ * // Browser: save an invoice
+ * const blob = await downloadFile('Order/Invoice:pdf', { params: { order: id } });
+ * const link = URL.createObjectURL(blob);
+ *
+ * @example
+ * // Node.js: large file to disk, with progress
+ * await downloadFile('https://cdn.example.com/video.mp4', {
+ *   destination: '/tmp/video.mp4',
+ *   onProgress: ({ progress, speed }) => console.log(`${Math.round(progress * 100)}% at ${speed} B/s`)
+ * });
+ */
+async function downloadFile(urlOrEndpoint, options) {
+    options = options || {};
+    if (typeof urlOrEndpoint !== 'string' || urlOrEndpoint === '') {
+        throw new TypeError('downloadFile() expects a URL or an endpoint name');
+    }
+
+    const partSize = options.partSize === undefined ? DEFAULT_PART_SIZE : options.partSize;
+    const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency;
+    if (typeof partSize !== 'number' || !(partSize >= 1)) {
+        throw new TypeError('partSize must be a positive number');
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new TypeError('concurrency must be a positive integer');
+    }
+    if (options.onProgress !== undefined && typeof options.onProgress !== 'function') {
+        throw new TypeError('onProgress must be a function');
+    }
+
+    const apiClient = client.resolveClient(options);
+    const fetch = client.getFetch(apiClient);
+    if (!fetch) {
+        throw new errors.KlbError('fetch is not available in this environment');
+    }
+
+    const { url, authenticated } = resolveTarget(urlOrEndpoint, options, apiClient);
+    const policy = retry.resolvePolicy(options.retry === undefined ? true : options.retry, 'GET');
+    const sink = createSink(options.destination);
+
+    // Stops the other parts when one fails
+    const scope = abort.createAbortScope(options);
+    const callerSignal = scope ? scope.signal : undefined;
+    const controller = new AbortController();
+    const signal = controller.signal;
+    const onCallerAbort = () => controller.abort(callerSignal.reason);
+    if (callerSignal) {
+        if (callerSignal.aborted) onCallerAbort();
+        else callerSignal.addEventListener('abort', onCallerAbort);
+    }
+
+    const state = { total: null, type: null, loaded: 0, start: Date.now() };
+
+    const reportProgress = () => {
+        if (!options.onProgress) return;
+        const elapsed = (Date.now() - state.start) / 1000;
+        options.onProgress({
+            loaded: state.loaded,
+            total: state.total,
+            progress: state.total ? state.loaded / state.total : null,
+            speed: elapsed > 0 ? Math.round(state.loaded / elapsed) : 0
+        });
+    };
+
+    const request = async (range) => {
+        const headers = Object.assign({}, options.headers);
+        const fetchOptions = { method: 'GET', headers: headers, signal: signal };
+        if (range) {
+            headers['Range'] = range;
+        }
+        if (authenticated) {
+            await internal.checkAndRefreshToken({ signal: signal, client: apiClient });
+            apiClient.getAuth().applyToRequest(headers, fetchOptions, { client: apiClient });
+        }
+
+        let response;
+        try {
+            response = await fetch(url, fetchOptions);
+        } catch (error) {
+            throw errors.fromFetchError(error);
+        }
+        if (!response.ok) {
+            // Same error types as rest(), API error payloads included
+            await new Promise((resolve, reject) => internal.responseParse(response, resolve, reject));
+        }
+        return response;
+    };
+
+    // Downloads bytes start..end (inclusive, end null for the rest of the
+    // file) of a part, resuming after failures
+    const downloadPart = async (part, onHeaders) => {
+        let failures = 0;
+        let refreshed = false;
+
+        for (;;) {
+            const from = part.start + part.received;
+            const range = from > 0 || part.end !== null ? `bytes=${from}-${part.end === null ? '' : part.end}` : null;
+            let progressed = false;
+            let writeError = null;
+
+            try {
+                const response = await request(range);
+                let skip = 0;
+
+                if (response.status === 206) {
+                    const contentRange = parseContentRange(response.headers.get('content-range'));
+                    if (!contentRange || contentRange.start !== from) {
+                        throw new errors.KlbHttpError('Unexpected Content-Range in download response', {
+                            status: response.status,
+                            headers: response.headers
+                        });
+                    }
+                    if (contentRange.total !== null) {
+                        state.total = contentRange.total;
+                    }
+                } else {
+                    // The server ignored the Range header: skip what we already have
+                    skip = from;
+                    if (onHeaders) {
+                        part.end = null;
+                    }
+                    const length = response.headers.get('content-length');
+                    if (length && !response.headers.get('content-encoding')) {
+                        state.total = parseInt(length, 10);
+                    }
+                }
+                if (state.type === null) {
+                    state.type = response.headers.get('content-type');
+                }
+                if (onHeaders) {
+                    onHeaders(response.status === 206);
+                    onHeaders = null;
+                }
+
+                await readBody(response, async (chunk) => {
+                    if (skip > 0) {
+                        if (chunk.length <= skip) {
+                            skip -= chunk.length;
+                            return false;
+                        }
+                        chunk = chunk.subarray(skip);
+                        skip = 0;
+                    }
+                    const offset = part.start + part.received;
+                    if (part.end !== null && offset + chunk.length > part.end + 1) {
+                        chunk = chunk.subarray(0, part.end + 1 - offset);
+                    }
+
+                    part.received += chunk.length;
+                    state.loaded += chunk.length;
+                    progressed = true;
+                    await sink.write(part.index, offset, chunk).catch(error => {
+                        writeError = error;
+                        throw error;
+                    });
+                    reportProgress();
+                    return part.end !== null && part.start + part.received > part.end;
+                }).catch(error => {
+                    // Failures reading the body are network errors, worth resuming
+                    throw error === writeError || error instanceof errors.KlbError ? error : errors.fromFetchError(error);
+                });
+
+                const expectedEnd = part.end !== null ? part.end + 1 : state.total;
+                if (expectedEnd !== null && part.start + part.received < expectedEnd) {
+                    throw new errors.KlbNetworkError('Connection closed before the end of the download');
+                }
+                sink.endPart(part.index);
+                return;
+            } catch (error) {
+                if (signal.aborted || error === writeError) {
+                    throw error;
+                }
+                if (authenticated && !refreshed &&
+                    await apiClient.getAuth().handleExpiredError(error, { signal: signal, client: apiClient })) {
+                    refreshed = true;
+                    continue;
+                }
+
+                failures = progressed ? 1 : failures + 1;
+                const delay = policy ? retry.getRetryDelay(error, failures, policy) : null;
+                if (delay === null) {
+                    throw error;
+                }
+                await abort.sleep(delay, signal);
+            }
+        }
+    };
+
+    const run = async () => {
+        const parallel = concurrency > 1;
+        const first = { index: 0, start: 0, end: parallel ? partSize - 1 : null, received: 0 };
+        const queue = [];
+        let ranged = false;
+
+        // The first response tells the size and whether ranges are supported
+        let headersReceived;
+        const headersReady = new Promise(resolve => { headersReceived = resolve; });
+        const firstDone = downloadPart(first, (isRanged) => {
+            ranged = isRanged;
+            headersReceived();
+        });
+        await Promise.race([headersReady, firstDone]);
+
+        if (ranged && first.end !== null) {
+            if (state.total === null) {
+                // Unknown size: fetch the rest in one go
+                queue.push({ index: 1, start: first.end + 1, end: null, received: 0 });
+            } else {
+                first.end = Math.min(first.end, state.total - 1);
+                for (let start = first.end + 1, index = 1; start < state.total; start += partSize, index++) {
+                    queue.push({ index: index, start: start, end: Math.min(start + partSize, state.total) - 1, received: 0 });
+                }
+            }
+        }
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                await downloadPart(queue.shift());
+            }
+        };
+        const workers = [firstDone.then(worker)];
+        for (let i = 1; i < concurrency; i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return sink.finish({ size: state.loaded, type: state.type });
+    };
+
+    try {
+        return await run();
+    } catch (error) {
+        controller.abort();
+        await sink.abort(error);
+        throw callerSignal && callerSignal.aborted ? errors.fromAbortSignal(callerSignal) : error;
+    } finally {
+        if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+        if (scope) scope.done();
+    }
+}
+
+module.exports.downloadFile = downloadFile;
@@ -0,0 +1,206 @@
+'use strict';
+/**
+ * @fileoverview Error classes for KLB Frontend Framework
+ *
+ * Every failure surfaced by `rest()`, `restGet()`, `restSSE()`,
+ * `uploadFile()` and `getI18N()` is an instance of one of these classes, so
+ * error boundaries can use `instanceof` and get a stack trace. The classes
+ * keep the fields the former plain rejection objects carried (`status`,
+ * `headers`, `body`, the API error payload fields, ...).
+ */
+
+/**
+ * Base class for all errors raised by klbfw
+ */
+class KlbError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} [fields] - Extra properties copied onto the error
+     */
+    constructor(message, fields) {
+        super(message);
+        this.name = 'KlbError';
+        if (fields) {
+            for (const key in fields) {
+                if (key === 'message' || key === 'name' || key === 'stack') continue;
+                this[key] = fields[key];
+            }
+        }
+    }
+}
+
+/**
+ * The API answered with `result: "error"`. All fields of the error payload
+ * (`error`, `token`, `extra`, `code`, `exception`, `param`, ...) are copied
+ * onto the instance. The payload's structured `message` (translation data)
+ * is available as `messageData`, as `message` holds the human-readable text.
+ */
+class KlbApiError extends KlbError {
+    /**
+     * @param {Object} body - Parsed API error payload
+     * @param {number} [status] - HTTP status code
+     * @param {Headers} [headers] - Response headers
+     */
+    constructor(body, status, headers) {
+        body = body || {};
+        const message = typeof body.error === 'string' && body.error ?
+            body.error :
+            (body.token || 'API error');
+        super(message, body);
+        this.name = 'KlbApiError';
+        this.body = body;
+        if (body.message !== undefined) {
+            this.messageData = body.message;
+        }
+        if (status !== undefined) {
+            this.status = status;
+        }
+        if (headers !== undefined) {
+            this.headers = headers;
+        }
+        this.request_id = body.request_id || body.request;
+    }
+}
+
+/**
+ * The server answered with a non-2xx status that isn't an API error payload
+ */
+class KlbHttpError extends KlbError {
+    constructor(message, fields) {
+        super(message, fields);
+        this.name = 'KlbHttpError';
+    }
+}
+
+/**
+ * The request never got an HTTP response (DNS failure, connection reset,
+ * CORS rejection, ...). The original error is kept as `cause`.
+ */
+class KlbNetworkError extends KlbError {
+    constructor(message, fields) {
+        super(message, fields);
+        this.name = 'KlbNetworkError';
+    }
+}
+
+/**
+ * The server answered successfully but the body was not JSON
+ */
+class KlbNotJsonError extends KlbError {
+    constructor(message, fields) {
+        super(message || 'Not JSON', fields);
+        this.name = 'KlbNotJsonError';
+    }
+}
+
+/**
+ * The request was cancelled. `name` stays `'AbortError'` so existing
+ * `err.name === 'AbortError'` checks keep working.
+ */
+class KlbAbortError extends KlbError {
+    constructor(message, fields) {
+        super(message || 'Request aborted', fields);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * The request took longer than its `timeoutMs` option allowed. `name` is
+ * `'TimeoutError'`, matching `AbortSignal.timeout()`.
+ */
+class KlbTimeoutError extends KlbError {
+    constructor(message, fields) {
+        super(message || 'Request timed out', fields);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * The bytes stored by the server don't match the bytes sent: a checksum or
+ * ETag echoed back differs from the one computed locally. `expected` and
+ * `actual` hold the two values.
+ */
+class KlbIntegrityError extends KlbError {
+    constructor(message, fields) {
+        super(message || 'Integrity check failed', fields);
+        this.name = 'KlbIntegrityError';
+    }
+}
+
+/**
+ * Checks whether an error signals a cancelled request
+ * @param {*} error - Error to check
+ * @returns {boolean} Whether the error is an abort
+ */
+const isAbortError = (error) => !!error && (error.name === 'AbortError' || error.type === 'aborted');
+
+/**
+ * Normalizes a rejection from fetch() into a klbfw error
+ * @param {*} error - Value fetch rejected with
+ * @returns {KlbError} Typed error
+ */
+const fromFetchError = (error) => {
+    if (error instanceof KlbError) return error;
+    if (error && error.name === 'TimeoutError') {
+        return new KlbTimeoutError(error.message, { cause: error });
+    }
+    if (isAbortError(error)) {
+        return new KlbAbortError(error.message, { cause: error });
+    }
+    const message = error && error.message ? error.message : 'Network error';
+    return new KlbNetworkError(message, { cause: error });
+};
+
+/**
+ * Builds the error for a request cancelled through an AbortSignal
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {KlbError} The signal's reason when it already is a klbfw error,
+ *   otherwise a KlbTimeoutError or KlbAbortError wrapping it
+ */
+const fromAbortSignal = (signal) => {
+    const reason = signal ? signal.reason : undefined;
+    if (reason instanceof KlbError) return reason;
+    if (reason && reason.name === 'TimeoutError') {
+        return new KlbTimeoutError(reason.message, { cause: reason });
+    }
+    return new KlbAbortError(undefined, reason === undefined ? undefined : { cause: reason });
+};
+
+/**
+ * Normalizes a rejection from an SSR platform call into a klbfw error
+ * @param {*} error - Value the platform rejected with
+ * @returns {*} Typed error, or the value itself when it isn't recognized
+ */
+const fromPlatformError = (error) => {
+    if (error instanceof KlbError) return error;
+    if (error && typeof error === 'object' && error.result === 'error') {
+        return new KlbApiError(error, error.status, error.headers);
+    }
+    return error;
+};
+
+/**
+ * Builds the error for a non-2xx response to a raw (non-REST) request,
+ * such as an S3 part upload
+ * @param {Response} response - Fetch Response object
+ * @returns {KlbHttpError} Typed error
+ */
+const httpError = (response) => new KlbHttpError(`HTTP ${response.status}: ${response.statusText}`, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+});
+
+module.exports.KlbError = KlbError;
+module.exports.KlbApiError = KlbApiError;
+module.exports.KlbHttpError = KlbHttpError;
+module.exports.KlbNetworkError = KlbNetworkError;
+module.exports.KlbNotJsonError = KlbNotJsonError;
+module.exports.KlbAbortError = KlbAbortError;
+module.exports.KlbTimeoutError = KlbTimeoutError;
+module.exports.KlbIntegrityError = KlbIntegrityError;
+module.exports.isAbortError = isAbortError;
+module.exports.fromFetchError = fromFetchError;
+module.exports.fromAbortSignal = fromAbortSignal;
+module.exports.fromPlatformError = fromPlatformError;
+module.exports.httpError = httpError;
@@ -5,8 +5,50 @@
  * This module provides a wrapper around the global FW object,
  * providing safe access to its properties with fallbacks for
  * environments where FW is not available.
+ *
+ * Node.js scripts without a global FW can set the same values with
+ * `configure()` (see config.js); they are then kept in a module-level object.
+ *
+ * Within `runWithContext()`, the context, locale, currency, token and path
+ * come from the scope instead, so concurrent server-side renders don't
+ * share them.
  */
 
+const scope = require('./scope');
+
+const SCOPE_KEYS = ['context', 'locale', 'currency', 'token', 'tokenExp', 'path'];
+
+// Stand-in for the global FW, created by configure() when there is none
+let localFW = null;
+
+/**
+ * Returns the FW object to read: the global one, or the one set up by configure()
+ * @private
+ * @returns {Object|undefined} FW object
+ */
+const getFW = () => {
+    if (typeof FW !== "undefined") return FW;
+    return localFW || undefined;
+};
+
+/**
+ * Returns the FW object to write to, creating the module-level one when
+ * there is no global FW. Its initial values match the fallbacks used
+ * without any FW.
+ * @private
+ * @returns {Object} FW object
+ */
+const ensureFW = () => {
+    const fw = getFW();
+    if (fw) return fw;
+    localFW = {
+        Context: {},
+        site_static: true,
+        call_url_prefix: getCallUrlPrefix()
+    };
+    return localFW;
+};
+
 /**
  * Gets a property from the global FW object with fallback
  * @private
@@ -15,12 +57,13 @@
  * @returns {*} The property value or fallback
  */
 const getFWProperty = (property, fallback) => {
-    if (typeof FW === "undefined") return fallback;
+    const fw = getFW();
+    if (fw === undefined) return fallback;
     
     // Handle nested properties (e.g., "Context.c")
     if (property.includes('.')) {
         const parts = property.split('.');
-        let obj = FW;
+        let obj = fw;
         
         for (const part of parts) {
             if (obj === undefined || obj === null) return fallback;
@@ -30,7 +73,7 @@ const getFWProperty = (property, fallback) => {
         return obj !== undefined ? obj : fallback;
     }
     
-    return FW[property] !== undefined ? FW[property] : fallback;
+    return fw[property] !== undefined ? fw[property] : fallback;
 };
 
 /**
@@ -55,13 +98,19 @@ const getRealm = () => getFWProperty('Realm', {});
  * Gets the current locale
  * @returns {string} Current locale
  */
-const getLocale = () => getFWProperty('Locale', 'en-US');
+const getLocale = () => {
+    const store = scope.getStore();
+    if (store) return store.locale;
+    return getFWProperty('Locale', 'en-US');
+};
 
 /**
  * Gets the current path
  * @returns {string} Current path
  */
 const getPath = () => {
+    const store = scope.getStore();
+    if (store) return store.path;
     if (typeof FW !== "undefined") return FW.path;
     if (typeof window !== "undefined") return window.location.pathname;
     return '/';
@@ -81,15 +130,24 @@ const getHostname = () => {
  * Gets the current currency
  * @returns {string} Current currency code
  */
-const getCurrency = () => getFWProperty('Context.c', 'USD');
+const getCurrency = () => {
+    const store = scope.getStore();
+    if (store) return store.context.c !== undefined ? store.context.c : 'USD';
+    return getFWProperty('Context.c', 'USD');
+};
 
 /**
  * Gets a copy of the current context
  * @returns {Object} Current context
  */
 const getContext = () => {
-    if (typeof FW !== "undefined" && FW.Context) {
-        return Object.assign({}, FW.Context);
+    const store = scope.getStore();
+    if (store) {
+        return Object.assign({}, store.context);
+    }
+    const fw = getFW();
+    if (fw && fw.Context) {
+        return Object.assign({}, fw.Context);
     }
     return {};
 };
@@ -100,8 +158,14 @@ const getContext = () => {
  * @param {*} value - Value to set
  */
 const setContext = (key, value) => {
-    if (typeof FW !== "undefined" && FW.Context) {
-        FW.Context[key] = value;
+    const store = scope.getStore();
+    if (store) {
+        store.context[key] = value;
+        return;
+    }
+    const fw = getFW();
+    if (fw && fw.Context) {
+        fw.Context[key] = value;
     }
 };
 
@@ -109,13 +173,21 @@ const setContext = (key, value) => {
  * Gets the current authentication token
  * @returns {string|undefined} Authentication token
  */
-const getToken = () => getFWProperty('token', undefined);
+const getToken = () => {
+    const store = scope.getStore();
+    if (store) return store.token;
+    return getFWProperty('token', undefined);
+};
 
 /**
  * Gets the current token expiration time
  * @returns {number|undefined} Token expiration time in milliseconds
  */
-const getTokenExp = () => getFWProperty('token_exp', undefined);
+const getTokenExp = () => {
+    const store = scope.getStore();
+    if (store) return store.tokenExp;
+    return getFWProperty('token_exp', undefined);
+};
 
 /**
  * Sets the authentication token and its expiration time
@@ -123,9 +195,16 @@ const getTokenExp = () => getFWProperty('token_exp', undefined);
  * @param {number|undefined} tokenExp - Token expiration time in milliseconds
  */
 const setToken = (token, tokenExp) => {
-    if (typeof FW !== 'undefined') {
-        FW.token = token;
-        FW.token_exp = tokenExp;
+    const store = scope.getStore();
+    if (store) {
+        store.token = token;
+        store.tokenExp = tokenExp;
+        return;
+    }
+    const fw = getFW();
+    if (fw) {
+        fw.token = token;
+        fw.token_exp = tokenExp;
     }
 };
 
@@ -164,8 +243,9 @@ const getUrl = () => {
  * @returns {boolean} Whether site is static
  */
 const getSiteStatic = () => {
-    if (typeof FW === "undefined") return true;
-    return FW.site_static === undefined ? false : FW.site_static;
+    const fw = getFW();
+    if (fw === undefined) return true;
+    return fw.site_static === undefined ? false : fw.site_static;
 };
 
 /**
@@ -173,8 +253,9 @@ const getSiteStatic = () => {
  * @returns {string|undefined} API prefix
  */
 const getApiPrefix = () => {
-    if (typeof FW !== "undefined") {
-        return FW.api_prefix; // Return undefined if property doesn't exist
+    const fw = getFW();
+    if (fw) {
+        return fw.api_prefix; // Return undefined if property doesn't exist
     }
     return undefined;
 };
@@ -185,8 +266,9 @@ const getApiPrefix = () => {
  */
 const getCallUrlPrefix = () => {
     // In original code, if FW existed but call_url_prefix wasn't set, it would return undefined
-    if (typeof FW !== "undefined") {
-        return FW.call_url_prefix; // Return undefined if property doesn't exist
+    const fw = getFW();
+    if (fw) {
+        return fw.call_url_prefix; // Return undefined if property doesn't exist
     }
     // Only use fallback in non-browser environments
     return typeof window === "undefined" ? 'https://hub.atonline.com' : undefined;
@@ -252,6 +334,64 @@ const flushGet = () => {
     }
 };
 
+/**
+ * Runs a function with its own context, locale, currency, token and path
+ *
+ * Inside the scope, getContext(), getLocale(), getCurrency(), getToken(),
+ * getPath() and the REST calls use the scoped values, and setContext() and
+ * setToken() only change the scope. Values that aren't given are copied
+ * from the enclosing scope, or from FW.
+ *
+ * On Node.js the scope follows the function through `await`, timers and
+ * promises (AsyncLocalStorage). Elsewhere it only covers the synchronous
+ * part of the function, but the REST calls made there keep the scope until
+ * they complete (see client.callScope()).
+ *
+ * @param {Object} ctx - Scoped values
+ * @param {Object} [ctx.context] - Context entries, merged over the current context
+ * @param {string} [ctx.locale] - Locale, also sent as context `l` unless ctx.context has one
+ * @param {string} [ctx.currency] - Currency, sent as context `c`
+ * @param {string} [ctx.token] - Session token
+ * @param {number} [ctx.tokenExp] - Session token expiration time in milliseconds
+ * @param {string} [ctx.path] - Current path
+ * @param {Function} fn - Function to run in the scope
+ * @returns {*} Return value of fn
+ * @throws {TypeError} When ctx or fn is invalid
+ */
+const runWithContext = (ctx, fn) => {
+    if (!ctx || typeof ctx !== 'object') {
+        throw new TypeError('runWithContext() expects a context object');
+    }
+    if (typeof fn !== 'function') {
+        throw new TypeError('runWithContext() expects a function');
+    }
+    for (const key of Object.keys(ctx)) {
+        if (SCOPE_KEYS.indexOf(key) === -1) {
+            throw new TypeError(`Unknown runWithContext() key: ${key}`);
+        }
+    }
+    if (ctx.context !== undefined && (!ctx.context || typeof ctx.context !== 'object')) {
+        throw new TypeError('runWithContext() context must be an object');
+    }
+
+    const store = {
+        context: Object.assign(getContext(), ctx.context),
+        locale: ctx.locale !== undefined ? ctx.locale : getLocale(),
+        token: ctx.token !== undefined ? ctx.token : getToken(),
+        // A new token doesn't inherit the expiration of the previous one
+        tokenExp: ctx.tokenExp !== undefined || ctx.token !== undefined ? ctx.tokenExp : getTokenExp(),
+        path: ctx.path !== undefined ? ctx.path : getPath()
+    };
+    if (ctx.locale !== undefined && !(ctx.context && ctx.context.l !== undefined)) {
+        store.context.l = ctx.locale;
+    }
+    if (ctx.currency !== undefined) {
+        store.context.c = ctx.currency;
+    }
+
+    return scope.run(store, fn);
+};
+
 /**
  * Gets the current mode
  * @returns {string} Current mode
@@ -274,6 +414,7 @@ module.exports.setToken = setToken;
 module.exports.getRegistry = getRegistry;
 module.exports.getUrl = getUrl;
 module.exports.getSiteStatic = getSiteStatic;
+module.exports.getApiPrefix = getApiPrefix;
 module.exports.getCallUrlPrefix = getCallUrlPrefix;
 module.exports.getUuid = getUuid;
 module.exports.getInitialState = getInitialState;
@@ -282,3 +423,6 @@ module.exports.GET = getGET;
 module.exports.Get = getParam;
 module.exports.flushGet = flushGet;
 module.exports.getMode = getMode;
+module.exports.runWithContext = runWithContext;
+module.exports.getFW = getFW;
+module.exports.ensureFW = ensureFW;
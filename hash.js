@@ -0,0 +1,300 @@
+'use strict';
+/**
+ * @fileoverview Hashing backends for uploads
+ *
+ * S3 request signing and upload checksums hash every byte sent. Running the
+ * pure-JS js-sha256 over a multi-megabyte part blocks the browser's main
+ * thread, so hashes use the fastest backend available:
+ *
+ * - Node.js: `crypto.createHash`
+ * - Browsers: `crypto.subtle.digest`, optionally inside a Worker
+ * - Elsewhere (e.g. pages served over plain HTTP, without `crypto.subtle`): js-sha256
+ *
+ * `crypto.subtle` can't hash incrementally, so incremental hashes (see
+ * createSha256()) only use native code in Node.js. It has no MD5 either:
+ * browsers compute it in JavaScript, and only when asked (see md5()).
+ */
+
+const jsSha256 = require('js-sha256').sha256;
+const logger = require('./logger');
+
+// Digest computed in a Worker: a copy of the data is transferred to it, the result transferred back
+const WORKER_SOURCE = `self.onmessage = function (event) {
+    crypto.subtle.digest('SHA-256', event.data.bytes).then(function (digest) {
+        self.postMessage({ id: event.data.id, digest: digest }, [digest]);
+    }, function (error) {
+        self.postMessage({ id: event.data.id, error: String(error) });
+    });
+};`;
+
+let worker = null;
+let workerFailed = false;
+let workerRequests = 0;
+const workerPending = new Map();
+
+/**
+ * Whether Node.js crypto is available (not in browser bundles)
+ * @private
+ */
+function useNodeCrypto() {
+    const { env } = require('./upload-internal');
+    return !env.isBrowser && !!env.isNode;
+}
+
+/**
+ * SubtleCrypto if available (secure contexts only)
+ * @private
+ */
+function subtleCrypto() {
+    const webCrypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+    return webCrypto && webCrypto.subtle && typeof webCrypto.subtle.digest === 'function' ? webCrypto.subtle : null;
+}
+
+/**
+ * Convert data to bytes; strings are hashed as UTF-8
+ * @private
+ */
+function toBytes(data) {
+    if (typeof data === 'string') {
+        return typeof Buffer !== 'undefined' ? Buffer.from(data) : new TextEncoder().encode(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return new Uint8Array(data);
+}
+
+/**
+ * Start the hashing Worker, or return null if Workers can't be used
+ * @private
+ */
+function hashWorker() {
+    if (worker || workerFailed) {
+        return worker;
+    }
+    try {
+        const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+        worker = new Worker(url);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        // Workers disabled, or blob: URLs blocked by the Content Security Policy
+        logger.warn('Cannot start the hashing worker, hashing on the main thread:', error);
+        workerFailed = true;
+        return null;
+    }
+
+    worker.onmessage = (event) => {
+        const request = workerPending.get(event.data.id);
+        workerPending.delete(event.data.id);
+        if (!request) return;
+        if (event.data.error) {
+            request.reject(new Error(event.data.error));
+        } else {
+            request.resolve(new Uint8Array(event.data.digest));
+        }
+    };
+    worker.onerror = (event) => {
+        // The worker is unusable: fail what it was hashing and stop using it
+        const error = new Error(event.message || 'Hashing worker failed');
+        workerPending.forEach(request => request.reject(error));
+        workerPending.clear();
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+    };
+    return worker;
+}
+
+/**
+ * Hash in the Worker
+ * @private
+ */
+function workerSha256(target, bytes) {
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequests;
+        workerPending.set(id, { resolve, reject });
+        // Posting the view would clone the whole buffer behind it; copy the
+        // bytes hashed alone and hand that copy over
+        const copy = bytes.slice().buffer;
+        target.postMessage({ id, bytes: copy }, [copy]);
+    });
+}
+
+/**
+ * Compute the SHA-256 of some data with the fastest available backend
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Data to hash; strings are hashed as UTF-8
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.worker=false] - In browsers, hash in a Worker. The data is
+ *   copied to the Worker, so this needs memory for a second copy.
+ * @returns {Promise<Uint8Array>} - The 32 bytes of the digest
+ */
+async function sha256(data, options) {
+    const bytes = toBytes(data);
+
+    if (useNodeCrypto()) {
+        return new Uint8Array(require('crypto').createHash('sha256').update(bytes).digest());
+    }
+
+    const subtle = subtleCrypto();
+    if (subtle) {
+        const target = options && options.worker && typeof Worker !== 'undefined' ? hashWorker() : null;
+        if (target) {
+            return workerSha256(target, bytes);
+        }
+        return new Uint8Array(await subtle.digest('SHA-256', bytes));
+    }
+
+    return new Uint8Array(jsSha256.arrayBuffer(bytes));
+}
+
+/**
+ * Create an incremental SHA-256 hash, fed as data arrives
+ * @returns {Object} - `{ update(data), digest() }`: update() takes the same data types as
+ *   sha256(), digest() resolves with the 32 bytes of the digest
+ */
+function createSha256() {
+    const hash = useNodeCrypto() ? require('crypto').createHash('sha256') : jsSha256.create();
+    return {
+        update(data) {
+            hash.update(toBytes(data));
+        },
+        digest() {
+            return Promise.resolve(new Uint8Array(typeof hash.arrayBuffer === 'function' ? hash.arrayBuffer() : hash.digest()));
+        }
+    };
+}
+
+/**
+ * Whether createSha256() hashes with native code. Callers hashing data they
+ * also keep in memory are faster with sha256() otherwise.
+ * @returns {boolean}
+ */
+function hasNativeIncrementalHash() {
+    return useNodeCrypto();
+}
+
+// Per-round shift amounts and constants of MD5 (RFC 1321)
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = new Int32Array(64).map((_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296));
+
+/**
+ * Process a 64-byte MD5 block
+ * @private
+ */
+function md5Block(state, view, offset) {
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    for (let i = 0; i < 64; i++) {
+        let f;
+        let g;
+        if (i < 16) {
+            f = (b & c) | (~b & d);
+            g = i;
+        } else if (i < 32) {
+            f = (d & b) | (~d & c);
+            g = (5 * i + 1) & 15;
+        } else if (i < 48) {
+            f = b ^ c ^ d;
+            g = (3 * i + 5) & 15;
+        } else {
+            f = c ^ (b | ~d);
+            g = (7 * i) & 15;
+        }
+        const shift = MD5_SHIFTS[(i >> 4) * 4 + (i & 3)];
+        const sum = (a + f + MD5_K[i] + view.getInt32(offset + g * 4, true)) | 0;
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+}
+
+/**
+ * Pure-JS MD5, for browsers
+ * @private
+ */
+function jsMd5(bytes) {
+    const state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    const full = bytes.length - bytes.length % 64;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let offset = 0; offset < full; offset += 64) {
+        md5Block(state, view, offset);
+    }
+
+    // Padding, then the length in bits
+    const tail = new Uint8Array(bytes.length - full < 56 ? 64 : 128);
+    tail.set(bytes.subarray(full));
+    tail[bytes.length - full] = 0x80;
+    const tailView = new DataView(tail.buffer);
+    tailView.setUint32(tail.length - 8, (bytes.length * 8) >>> 0, true);
+    tailView.setUint32(tail.length - 4, Math.floor(bytes.length / 0x20000000), true);
+    for (let offset = 0; offset < tail.length; offset += 64) {
+        md5Block(state, tailView, offset);
+    }
+
+    const digest = new Uint8Array(16);
+    const digestView = new DataView(digest.buffer);
+    state.forEach((word, i) => digestView.setInt32(i * 4, word, true));
+    return digest;
+}
+
+/**
+ * Compute the MD5 of some data
+ *
+ * Browsers have no native MD5: there it is only computed with
+ * `options.fallback`, in JavaScript on the main thread.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Data to hash
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fallback=false] - Outside Node.js, hash in JavaScript instead of
+ *   returning null
+ * @returns {Uint8Array|null} - The 16 bytes of the digest, or null without native MD5 or fallback
+ */
+function md5(data, options) {
+    if (useNodeCrypto()) {
+        return new Uint8Array(require('crypto').createHash('md5').update(toBytes(data)).digest());
+    }
+    return options && options.fallback ? jsMd5(toBytes(data)) : null;
+}
+
+/**
+ * Encode bytes as hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) {
+        hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(bytes).toString('base64');
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+module.exports.sha256 = sha256;
+module.exports.createSha256 = createSha256;
+module.exports.hasNativeIncrementalHash = hasNativeIncrementalHash;
+module.exports.md5 = md5;
+module.exports.toHex = toHex;
+module.exports.toBase64 = toBase64;
@@ -23,6 +23,63 @@ declare function getPath(): string;
 declare function getUuid(): string | undefined;
 declare function getInitialState(): Record<string, any> | undefined;
 
+/** Values scoped by runWithContext() */
+interface ScopedContext {
+  /** Context entries, merged over the current context */
+  context?: Context;
+  /** Locale, also sent as context `l` unless `context` has one */
+  locale?: string;
+  /** Currency, sent as context `c` */
+  currency?: string;
+  /** Session token */
+  token?: string;
+  /** Session token expiration time in milliseconds */
+  tokenExp?: number;
+  /** Current path */
+  path?: string;
+}
+
+declare function runWithContext<T>(ctx: ScopedContext, fn: () => T): T;
+
+/** Options of configure() */
+interface ConfigureOptions {
+  /** Scheme and host of the API, e.g. 'https://hub.atonline.com' */
+  callUrlPrefix?: string;
+  /** Path before /_rest/, e.g. '/api' */
+  apiPrefix?: string;
+  /** Locale, e.g. 'en-US'; also sets context `l` */
+  locale?: string;
+  /** Currency code, e.g. 'USD'; sets context `c` */
+  currency?: string;
+  /** Context entries merged into the context */
+  context?: Record<string, string | number | boolean>;
+  /** Whether REST URLs carry the `static` flag */
+  siteStatic?: boolean;
+  /** Session token */
+  token?: string;
+}
+
+declare function configure(options: ConfigureOptions): void;
+declare function loadConfigFromEnv(env?: Record<string, string | undefined>): ConfigureOptions;
+
+/** Destination of the framework's log messages; missing methods are skipped */
+interface Logger {
+  debug?(message: string, ...details: any[]): void;
+  info?(message: string, ...details: any[]): void;
+  warn?(message: string, ...details: any[]): void;
+  error?(message: string, ...details: any[]): void;
+}
+
+type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+interface LoggerOptions {
+  /** Minimum level, default 'warn' */
+  level?: LogLevel;
+}
+
+/** Replaces the logger (null restores the console) and/or its level */
+declare function setLogger(logger: Logger | null | undefined, options?: LoggerOptions): void;
+
 // Cookie handling types
 declare function getCookie(name: string): string | null;
 declare function hasCookie(name: string): boolean;
@@ -104,6 +161,72 @@ interface RestError {
   [key: string]: any;
 }
 
+/** Base class of every error raised by klbfw */
+declare class KlbError extends Error {
+  constructor(message: string, fields?: Record<string, any>);
+  [key: string]: any;
+}
+
+/**
+ * The API answered with `result: "error"`. Carries all fields of the error
+ * payload; its structured `message` is available as `messageData`.
+ */
+declare class KlbApiError extends KlbError {
+  constructor(body: Record<string, any>, status?: number, headers?: Headers);
+  /** Translatable error token (e.g., 'error_invalid_field') */
+  token?: string;
+  /** Extra error detail (e.g., 'token_expired') */
+  extra?: any;
+  /** HTTP status code */
+  status?: number;
+  /** Response headers */
+  headers?: Headers;
+  /** Request ID for debugging */
+  request_id?: string;
+  /** Structured message data for translation */
+  messageData?: Record<string, any>;
+  /** Raw error payload */
+  body: RestError;
+}
+
+/** Non-2xx response that isn't an API error payload */
+declare class KlbHttpError extends KlbError {
+  status: number;
+  statusText?: string;
+  headers?: Headers;
+}
+
+/** The request never got an HTTP response. The original error is kept as `cause`. */
+declare class KlbNetworkError extends KlbError {
+  cause?: any;
+}
+
+/** Successful response with a body that isn't JSON */
+declare class KlbNotJsonError extends KlbError {
+  /** Raw response body, when it could be read */
+  body?: string;
+  status?: number;
+  headers?: Headers;
+}
+
+/** The request was cancelled. `name` is 'AbortError'. */
+declare class KlbAbortError extends KlbError {
+  name: 'AbortError';
+}
+
+/** The call exceeded its `timeoutMs` option. `name` is 'TimeoutError'. */
+declare class KlbTimeoutError extends KlbError {
+  name: 'TimeoutError';
+  timeoutMs?: number;
+}
+
+/** An uploaded part's checksum or ETag doesn't match the data sent. */
+declare class KlbIntegrityError extends KlbError {
+  name: 'KlbIntegrityError';
+  expected?: string;
+  actual?: string;
+}
+
 /**
  * Server DateTime object
  * @example
@@ -191,9 +314,126 @@ interface Price extends PriceValue {
   tax_rate?: number;
 }
 
-declare function rest<T = any>(name: string, verb: string, params?: Record<string, any>, context?: Context): Promise<RestResponse<T>>;
-declare function rest_get<T = any>(name: string, params?: Record<string, any>): Promise<RestResponse<T>>; // Backward compatibility
-declare function restGet<T = any>(name: string, params?: Record<string, any>): Promise<RestResponse<T>>;
+/** Retry policy for transient failures (network errors, 429, 502, 503, 504) */
+interface RetryPolicy {
+  /** Total attempts, first one included (default 3) */
+  attempts?: number;
+  /** Delay before the first retry in ms, doubled on each retry (default 1000) */
+  baseDelay?: number;
+  /** Upper bound of the exponential delay in ms (default 4000) */
+  maxDelay?: number;
+  /** Random extra delay of up to this many ms (default 500) */
+  jitter?: number;
+  /** Longest Retry-After in ms worth waiting for; longer ones fail the call (default 30000) */
+  maxRetryAfter?: number;
+}
+
+/** Per-call options for rest() and restGet() */
+interface RestOptions {
+  /** Cancels the call; it then rejects with a KlbAbortError */
+  signal?: AbortSignal;
+  /** Rejects with a KlbTimeoutError when the whole call takes longer than this */
+  timeoutMs?: number;
+  /**
+   * Retry policy: false to disable, true for the defaults, a number of
+   * attempts or policy overrides. Defaults to true for GET, false otherwise.
+   */
+  retry?: boolean | number | RetryPolicy;
+  /** Set to false to keep this rest() call out of batches when batching is enabled */
+  batch?: boolean;
+  /** Resolve with the full response (see restFull()); such calls are never batched, deduplicated or cached */
+  raw?: boolean;
+}
+
+/** Response of restFull() and of calls made with `raw: true` */
+interface RestFullResponse<T = any> {
+  /** Parsed API response, as rest() resolves with */
+  body: RestResponse<T>;
+  /** HTTP status of the last response; null when the call didn't go through fetch */
+  status: number | null;
+  /** Headers of the last response; null when the call didn't go through fetch */
+  headers: Headers | null;
+  /** Final URL of the last response, after redirects; null when unknown */
+  url: string | null;
+  /** Time from the call to its result, retries included */
+  durationMs: number;
+  /** Number of attempts made: 1 unless the call was retried */
+  attempt: number;
+}
+
+declare function rest<T = any>(name: string, verb: string, params: Record<string, any> | undefined, context: Context | undefined, options: RestOptions & { raw: true }): Promise<RestFullResponse<T>>;
+declare function rest<T = any>(name: string, verb: string, params?: Record<string, any>, context?: Context, options?: RestOptions): Promise<RestResponse<T>>;
+declare function restFull<T = any>(name: string, verb: string, params?: Record<string, any>, context?: Context, options?: RestOptions): Promise<RestFullResponse<T>>;
+/** Options for restGet() */
+interface RestGetOptions extends RestOptions {
+  /** Share the request with identical concurrent calls (default true) */
+  dedupe?: boolean;
+  /** Cache the response: true for the default TTL, or a TTL in milliseconds */
+  cache?: boolean | number;
+  /** Set to false for the legacy unauthenticated request (no Authorization header, token refresh or context) */
+  auth?: boolean;
+}
+
+declare function rest_get<T = any>(name: string, params?: Record<string, any>, context?: Context, options?: RestGetOptions): Promise<RestResponse<T>>; // Backward compatibility
+declare function restGet<T = any>(name: string, params: Record<string, any> | undefined, context: Context | undefined, options: RestGetOptions & { raw: true }): Promise<RestFullResponse<T>>;
+/** The options are always the fourth argument; the third is the context (null or {} for none) */
+declare function restGet<T = any>(name: string, params?: Record<string, any>, context?: Context | null, options?: RestGetOptions): Promise<RestResponse<T>>;
+/** Change the default retry policy of rest() and restGet() */
+declare function configureRetry(policy: RetryPolicy): void;
+
+/** restGet() response cache settings */
+interface CacheOptions {
+  /** TTL in ms used by `cache: true` (default 60000) */
+  ttl?: number;
+  /** Approximate memory limit of the stored responses in bytes (default 5 MiB) */
+  maxBytes?: number;
+  /** Maximum number of stored responses (default 500) */
+  maxEntries?: number;
+}
+
+/** Drop cached restGet() responses of endpoints starting with `prefix` (all when omitted) */
+declare function invalidate(prefix?: string): void;
+/** Drop all cached restGet() responses */
+declare function clearCache(): void;
+/** Change the restGet() cache settings */
+declare function configureCache(options: CacheOptions): void;
+
+/** Request batching settings */
+interface BatchingOptions {
+  /** Batch endpoint name (default '_special/batch.json') */
+  endpoint?: string;
+  /** Milliseconds to wait for more calls before sending (default 0: same tick) */
+  window?: number;
+  /** Calls per batch; a full batch is sent right away (default 20) */
+  maxSize?: number;
+}
+
+/** Enable (true or settings) or disable (false) batching of rest() calls */
+declare function configureBatching(options: boolean | BatchingOptions): void;
+
+/** Options for restPaginate() */
+interface PaginateOptions extends RestOptions {
+  /** Sent as `results_per_page` */
+  pageSize?: number;
+  /** HTTP method (default 'GET') */
+  verb?: string;
+}
+
+/** Iterates over a KLB list endpoint. Async iterable over the items of all pages. */
+interface Paginator<T = any> extends AsyncIterable<T> {
+  /** `paging` metadata of the latest page fetched */
+  paging: RestPaging | null;
+  /** Async iterator over the page responses */
+  pages(): AsyncIterableIterator<RestResponse<T[]>>;
+  /** Fetch a single page */
+  getPage(pageNo: number): Promise<RestResponse<T[]>>;
+  /** Total number of items, from the first page's `paging.count` */
+  count(): Promise<number>;
+  /** Read the items into an array, stopping after `limit` items */
+  collect(options?: { limit?: number }): Promise<T[]>;
+}
+
+declare function restPaginate<T = any>(name: string, params?: Record<string, any>, context?: Context, options?: PaginateOptions): Paginator<T>;
 
 /** SSE message event */
 interface SSEMessageEvent {
@@ -213,6 +453,37 @@ interface SSEErrorEvent {
   error: Error | Record<string, any>;
 }
 
+/** Dispatched by restSSE before each reconnection attempt */
+interface SSEReconnectEvent {
+  type: 'reconnect';
+  /** Consecutive attempt number, starting at 1 */
+  attempt: number;
+  /** Delay in ms before the attempt */
+  delay: number;
+  /** Sent as the Last-Event-ID header */
+  lastEventId: string;
+  /** Failure that closed the connection, null when the stream just ended */
+  error: Error | null;
+}
+
+/** Reconnection settings of restSSE */
+interface SSEReconnectOptions {
+  /** Consecutive attempts before giving up (default 10) */
+  maxReconnects?: number;
+  /** First delay in ms when the server sent no `retry` field (default 3000) */
+  delay?: number;
+  /** Upper bound of the delay in ms (default 30000) */
+  maxDelay?: number;
+  /** Delay multiplier per consecutive attempt (default 2) */
+  backoff?: number;
+}
+
+/** Options for restSSE */
+interface SSEOptions {
+  /** Reopen the stream when it ends or the connection fails */
+  reconnect?: boolean | SSEReconnectOptions;
+}
+
 /** EventSource-like object returned by restSSE */
 interface SSESource {
   /** Handler called when connection opens */
@@ -221,6 +492,12 @@ interface SSESource {
   onmessage: ((event: SSEMessageEvent) => void) | null;
   /** Handler called on error */
   onerror: ((event: SSEErrorEvent) => void) | null;
+  /** Handler called before each reconnection attempt */
+  onreconnect: ((event: SSEReconnectEvent) => void) | null;
+  /** Handler called once the object reached the CLOSED state */
+  onclose?: ((event: { type: 'close' }) => void) | null;
+  /** Id of the last event received, sent as Last-Event-ID when reconnecting */
+  lastEventId: string;
   /** Connection state: 0 = CONNECTING, 1 = OPEN, 2 = CLOSED */
   readyState: number;
   /** CONNECTING state constant */
@@ -237,7 +514,69 @@ interface SSESource {
   close(): void;
 }
 
-declare function restSSE(name: string, method?: string, params?: Record<string, any>, context?: Context): SSESource;
+declare function restSSE(name: string, method?: string, params?: Record<string, any>, context?: Context, options?: SSEOptions): SSESource;
+
+/** Options for restSSEStream() and restSSEReadableStream() */
+interface SSEStreamOptions extends SSEOptions {
+  /** Only emit events of these types (default: all server events) */
+  events?: string | string[];
+  /** Decode `data` as JSON when it parses (default true) */
+  json?: boolean;
+  /** Closes the connection; the iterator or stream fails with KlbAbortError */
+  signal?: AbortSignal;
+  /** Most events buffered for a slow reader before failing with KlbError (default 1000, Infinity for no limit) */
+  highWaterMark?: number;
+}
+
+/** Event emitted by restSSEStream() and restSSEReadableStream() */
+interface SSEStreamEvent<T = any> {
+  type: string;
+  /** Decoded JSON, or the raw string */
+  data: T;
+  lastEventId: string;
+}
+
+declare function restSSEStream<T = any>(name: string, method?: string, params?: Record<string, any>, context?: Context, options?: SSEStreamOptions): AsyncIterableIterator<SSEStreamEvent<T>>;
+declare function restSSEReadableStream<T = any>(name: string, method?: string, params?: Record<string, any>, context?: Context, options?: SSEStreamOptions): ReadableStream<SSEStreamEvent<T>>;
+
+// Middleware types
+
+/** Request descriptor passed through the middleware stages */
+interface MiddlewareRequest {
+  /** Which API started the call */
+  type: 'rest' | 'restGet' | 'sse';
+  /** API endpoint name */
+  name: string;
+  /** HTTP method */
+  verb: string;
+  /** Request parameters */
+  params?: Record<string, any> | string;
+  /** Context overrides */
+  context?: Context;
+  /** Extra headers to send (ignored by platform SSR calls) */
+  headers: Record<string, string>;
+  /** Overrides the URL built from name and context (ignored by platform SSR calls) */
+  url?: string;
+  /** Combined AbortSignal of the call's `signal` and `timeoutMs` options, when given */
+  signal?: AbortSignal;
+  /** Set to short-circuit the call with a synthetic response */
+  response?: any;
+}
+
+/** Middleware wrapping rest(), restGet() and restSSE() calls. All stages are optional. */
+interface Middleware {
+  /** Runs before the call, in registration order. Return or mutate the descriptor. */
+  request?(req: MiddlewareRequest): MiddlewareRequest | void | Promise<MiddlewareRequest | void>;
+  /** Runs after success, in reverse order. Return a replacement result or undefined to keep it. */
+  response?(result: any, req: MiddlewareRequest): any;
+  /** Runs on failure, in reverse order. Throw to keep failing, return a value to recover. */
+  error?(error: any, req: MiddlewareRequest): any;
+}
+
+/** Register a middleware. Returns a function that removes it again. */
+declare function useMiddleware(middleware: Middleware): () => void;
+/** Alias of useMiddleware() */
+declare function addInterceptor(middleware: Middleware): () => void;
 
 // Upload module types
 
@@ -246,30 +585,109 @@ type UploadFileInput =
   | ArrayBuffer
   | Uint8Array
   | File
+  | Blob
   | string
   | { name?: string; size?: number; type?: string; content: ArrayBuffer | Uint8Array | string; lastModified?: number }
-  | NodeJS.ReadableStream;
+  | { path: string }
+  | NodeJS.ReadableStream
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array | ArrayBuffer>;
 
 /** Options for uploadFile */
+/** Byte progress of uploadFile() */
+interface UploadProgressEvent {
+  loaded: number;
+  /** Bytes sent by this call, without the parts resumed from an earlier call */
+  sent: number;
+  /** null for streams of unknown size */
+  total: number | null;
+  /** 0-100, null when the total is unknown */
+  percent: number | null;
+  bytesPerSecond: number;
+  etaSeconds: number | null;
+  /** Part that progressed (number is 1-based) */
+  part: { number: number; loaded: number; size: number };
+}
+
 interface UploadFileOptions {
   /** Progress callback (0-1) */
   onProgress?: (progress: number) => void;
+  /** Byte progress callback, called while each part is sending */
+  onUploadProgress?: (event: UploadProgressEvent) => void;
   /** Error callback - resolve to retry, reject to fail */
   onError?: (error: Error, context: { phase: string; blockNum?: number; attempt: number }) => Promise<void>;
   /** AbortSignal for cancellation - use AbortController.signal */
   signal?: AbortSignal;
+  /** Save the progress so a later call for the same file only sends the missing parts */
+  resumable?: boolean | UploadStateStore;
+  /** Key of the saved state instead of the file fingerprint (required except for File objects and files on disk) */
+  resumeKey?: string;
+  /** Return an UploadHandle instead of a Promise */
+  handle?: boolean;
+  /** Maximum number of blocks uploaded at once (default 3) */
+  concurrency?: number;
+  /** Smallest block size in bytes (default and S3 minimum 5MiB) */
+  minPartSize?: number;
+  /** Largest block size in bytes (default 5GiB) */
+  maxPartSize?: number;
+  /** Bytes of file data held in memory at once; lowers concurrency and part sizes to fit, and rejects when a server-set part is larger */
+  memoryBudget?: number;
+  /** Send and check part checksums (default true) */
+  integrity?: boolean;
+  /** Pass the file's SHA-256 to the completion call (default `integrity`, but false for Files, Blobs and buffers over 16MiB in browsers) */
+  digest?: boolean;
+  /** With `presign: false`, send S3 parts as UNSIGNED-PAYLOAD instead of signing their SHA-256; the bucket policy must allow it */
+  unsignedPayload?: boolean;
+  /** With `presign: false`, hash S3 parts in a Worker rather than on the main thread in browsers */
+  hashWorker?: boolean;
+  /** Sign S3 parts a window ahead (presigned URLs if the server returns them), checking them with Content-MD5 (default true); false signs each part with its SHA-256 */
+  presign?: boolean;
+  /** Parts signed at once with `presign` (default 20) */
+  presignWindow?: number;
+}
+
+/** Controls an upload started with `handle: true` */
+interface UploadHandle {
+  /** Resolves with the full REST response */
+  promise: Promise<any>;
+  status: 'running' | 'paused' | 'completed' | 'failed' | 'cancelled';
+  /** Let the blocks in flight finish and start no new ones */
+  pause(): void;
+  resume(): void;
+  /** Abort the upload, rejecting the promise with a KlbAbortError */
+  cancel(): void;
 }
 
+/** Storage for the state of resumable uploads */
+interface UploadStateStore {
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/** Store upload states in localStorage */
+declare function createLocalStorageUploadStore(options?: { storage?: Storage }): UploadStateStore;
+
+/** Store upload states in IndexedDB */
+declare function createIndexedDBUploadStore(options?: { name?: string; indexedDB?: IDBFactory }): UploadStateStore;
+
+/** Store upload states in a JSON file (Node.js, defaults to ~/.config/atonline/klbfw-uploads.json, written with mode 0600) */
+declare function createFileUploadStore(filePath?: string): UploadStateStore;
+
 /** Options for uploadManyFiles */
-interface UploadManyFilesOptions extends UploadFileOptions {
+interface UploadManyFilesOptions extends Omit<UploadFileOptions, 'onUploadProgress' | 'resumeKey' | 'handle'> {
   /** Progress callback with file-level details */
   onProgress?: (progress: { fileIndex: number; fileCount: number; fileProgress: number; totalProgress: number }) => void;
+  /** Byte progress over all files */
+  onUploadProgress?: (event: Omit<UploadProgressEvent, 'part'> & { fileIndex: number; fileCount: number; file: UploadProgressEvent }) => void;
   /** Called when each file completes */
   onFileComplete?: (info: { fileIndex: number; fileCount: number; result: any }) => void;
   /** Error callback - context includes fileIndex */
   onError?: (error: Error, context: { fileIndex: number; phase: string; blockNum?: number; attempt: number }) => Promise<void>;
-  /** Maximum concurrent uploads (1-10, default 3) */
+  /** Maximum concurrent uploads (1-10, default 3), and blocks in flight per upload */
   concurrency?: number;
+  /** Bytes of file data held in memory at once, split evenly between the files uploading at the same time */
+  memoryBudget?: number;
 }
 
 /** @deprecated Use uploadFile() instead */
@@ -298,6 +716,14 @@ declare const upload: {
 };
 
 /** Upload a single file. Resolves with the full REST response. */
+declare function uploadFile(
+  api: string,
+  buffer: UploadFileInput,
+  method: string | undefined,
+  params: Record<string, any> | undefined,
+  context: Context | null | undefined,
+  options: UploadFileOptions & { handle: true }
+): UploadHandle;
 declare function uploadFile(
   api: string,
   buffer: UploadFileInput,
@@ -307,6 +733,24 @@ declare function uploadFile(
   options?: UploadFileOptions
 ): Promise<any>;
 
+/** Upload a file on disk (Node.js only), read in parallel parts. Same as uploadFile(api, { path }, ...). */
+declare function uploadPath(
+  api: string,
+  path: string,
+  method: string | undefined,
+  params: Record<string, any> | undefined,
+  context: Context | null | undefined,
+  options: UploadFileOptions & { handle: true }
+): UploadHandle;
+declare function uploadPath(
+  api: string,
+  path: string,
+  method?: string,
+  params?: Record<string, any>,
+  context?: Context,
+  options?: UploadFileOptions
+): Promise<any>;
+
 /** Upload multiple files with concurrency control */
 declare function uploadManyFiles(
   api: string,
@@ -317,15 +761,92 @@ declare function uploadManyFiles(
   options?: UploadManyFilesOptions
 ): Promise<any[]>;
 
+// Download module types
+
+/** Progress of downloadFile() */
+interface DownloadProgress {
+  /** Bytes received */
+  loaded: number;
+  /** Total size in bytes, null when unknown */
+  total: number | null;
+  /** 0-1, null when the size is unknown */
+  progress: number | null;
+  /** Average speed in bytes per second */
+  speed: number;
+}
+
+/** Options for downloadFile */
+interface DownloadFileOptions {
+  /** Parameters of a REST endpoint */
+  params?: Record<string, any>;
+  /** Context of a REST endpoint */
+  context?: Context;
+  /** File path (Node.js) or writable stream to write to; content is kept in memory when omitted */
+  destination?: string | NodeJS.WritableStream | WritableStream;
+  /** Byte progress callback */
+  onProgress?: (progress: DownloadProgress) => void;
+  /** Extra request headers */
+  headers?: Record<string, string>;
+  /** Force sending (true) or not (false) the auth provider's credentials; automatic for the KLB host */
+  auth?: boolean;
+  /** Retry policy of each part, enabled by default */
+  retry?: boolean | number | RetryPolicy;
+  /** Size of parallel parts in bytes (default 8 MiB) */
+  partSize?: number;
+  /** Parallel parts (default 4); 1 disables ranged parts */
+  concurrency?: number;
+  /** AbortSignal for cancellation */
+  signal?: AbortSignal;
+  /** Rejects with a KlbTimeoutError when the download takes longer */
+  timeoutMs?: number;
+}
+
+/** Result of downloadFile() with a destination */
+interface DownloadResult {
+  /** Bytes written */
+  size: number;
+  /** Content-Type of the response */
+  type: string | null;
+  /** File path, when downloading to a path */
+  path?: string;
+}
+
+/** Download a URL or REST endpoint: a Blob in the browser, a Buffer in Node.js */
+declare function downloadFile(urlOrEndpoint: string, options?: DownloadFileOptions & { destination?: undefined }): Promise<Blob | Buffer>;
+declare function downloadFile(urlOrEndpoint: string, options: DownloadFileOptions): Promise<DownloadResult>;
+
 // Auth provider types
 
 /**
- * Pluggable auth provider interface used by rest(), restSSE(), and uploadFile().
+ * Pluggable auth provider interface used by rest(), restGet(), restSSE(), and uploadFile().
  *
  * The default `sessionAuth` uses browser session cookies + FW.token. Node
  * applications should require '@karpeleslab/klbfw/auth-node' and call
  * `setAuth(bearerAuth(authInfo))` once at startup to switch to OAuth2 Bearer.
  */
+/**
+ * Client configuration handed to the auth provider as `options.client`: the
+ * provider reads and renews the token through it and fetches with its fetch.
+ */
+interface AuthClient {
+  getCallUrlPrefix(): string | undefined;
+  getApiPrefix(): string | undefined;
+  getSiteStatic(): boolean;
+  getToken(): string | undefined;
+  getTokenExp(): number | undefined;
+  setToken(token: string | undefined, tokenExp: number | undefined): void;
+  /** fetch of the client; null for the global fetch */
+  fetch: typeof fetch | null;
+}
+
+/** Options of the auth provider methods */
+interface AuthCallOptions {
+  /** AbortSignal of the call in progress */
+  signal?: AbortSignal;
+  /** Client the call is made with */
+  client?: AuthClient;
+}
+
 interface AuthProvider {
   /** Optional human-readable name (e.g. 'session', 'bearer'). */
   name?: string;
@@ -334,15 +855,15 @@ interface AuthProvider {
    * provider sets `Authorization: Session <token>` and credentials: 'include';
    * a Bearer provider sets `Authorization: Bearer <access_token>` only.
    */
-  applyToRequest(headers: Record<string, string>, fetchOptions: Record<string, any>): void;
-  /** Resolves once the credential is fresh enough to use. */
-  refreshIfNeeded(): Promise<void>;
+  applyToRequest(headers: Record<string, string>, fetchOptions: Record<string, any>, options?: AuthCallOptions): void;
+  /** Resolves once the credential is fresh enough to use. `options.signal` is the call's AbortSignal. */
+  refreshIfNeeded(options?: AuthCallOptions): Promise<void>;
   /**
    * Called when a request rejects with an API error. Return true if the
    * provider successfully refreshed the credential and the caller should
    * retry the request once.
    */
-  handleExpiredError(error: any): Promise<boolean> | boolean;
+  handleExpiredError(error: any, options?: AuthCallOptions): Promise<boolean> | boolean;
 }
 
 /** Replace the active auth provider. Pass null/undefined to restore the default. */
@@ -352,6 +873,41 @@ declare function getAuth(): AuthProvider;
 /** Default auth provider — browser session cookie + FW.token. */
 declare const sessionAuth: AuthProvider;
 
+/** Settings of createClient(); missing ones fall back to the global configuration */
+interface ClientOptions {
+  /** Scheme and host of the API, e.g. 'https://hub.atonline.com' */
+  baseUrl?: string;
+  /** Path before /_rest/, e.g. '/api' */
+  apiPrefix?: string;
+  /** Base context; call contexts are merged over it */
+  context?: Context;
+  /** Whether the site is static (adds `?static` to calls) */
+  siteStatic?: boolean;
+  /** Session token kept by this client; without it the client shares the global FW token */
+  token?: string;
+  /** Expiration time of `token` in milliseconds */
+  tokenExp?: number;
+  /** Auth provider of the client */
+  auth?: AuthProvider;
+  /** fetch implementation used for API requests */
+  fetch?: typeof fetch;
+}
+
+/** API functions bound to a client configuration */
+interface KlbClient {
+  rest: typeof rest;
+  restFull: typeof restFull;
+  restGet: typeof restGet;
+  restSSE: typeof restSSE;
+  restSSEStream: typeof restSSEStream;
+  restPaginate: typeof restPaginate;
+  uploadFile: typeof uploadFile;
+  uploadManyFiles: typeof uploadManyFiles;
+  downloadFile: typeof downloadFile;
+}
+
+declare function createClient(options?: ClientOptions): KlbClient;
+
 // Utility types
 declare function getI18N(key: string, args?: Record<string, any>): string;
 declare function trimPrefix(path: string): string;
@@ -376,26 +932,70 @@ export {
   getPath,
   getUuid,
   getInitialState,
+  runWithContext,
+  ScopedContext,
+  configure,
+  loadConfigFromEnv,
+  ConfigureOptions,
+  setLogger,
+  Logger,
+  LogLevel,
+  LoggerOptions,
   getCookie,
   hasCookie,
   setCookie,
   rest,
   rest_get,
   restGet,
+  restFull,
+  RestFullResponse,
+  RestOptions,
+  RetryPolicy,
+  configureRetry,
+  RestGetOptions,
+  CacheOptions,
+  invalidate,
+  clearCache,
+  configureCache,
+  configureBatching,
+  BatchingOptions,
+  restPaginate,
+  Paginator,
+  PaginateOptions,
   restSSE,
+  restSSEStream,
+  restSSEReadableStream,
+  useMiddleware,
+  addInterceptor,
+  Middleware,
+  MiddlewareRequest,
   upload,
   uploadFile,
+  uploadPath,
   uploadManyFiles,
   setAuth,
   getAuth,
   sessionAuth,
   AuthProvider,
+  AuthClient,
+  AuthCallOptions,
+  createClient,
+  ClientOptions,
+  KlbClient,
   getI18N,
   trimPrefix,
   Context,
   RestPaging,
   RestResponse,
   RestError,
+  KlbError,
+  KlbApiError,
+  KlbHttpError,
+  KlbNetworkError,
+  KlbNotJsonError,
+  KlbAbortError,
+  KlbTimeoutError,
+  KlbIntegrityError,
   DateTime,
   Xint,
   PriceValue,
@@ -403,7 +1003,22 @@ export {
   UploadFileInput,
   UploadFileOptions,
   UploadManyFilesOptions,
+  UploadHandle,
+  UploadProgressEvent,
+  UploadStateStore,
+  createLocalStorageUploadStore,
+  createIndexedDBUploadStore,
+  createFileUploadStore,
+  downloadFile,
+  DownloadFileOptions,
+  DownloadProgress,
+  DownloadResult,
   SSEMessageEvent,
+  SSEReconnectEvent,
+  SSEReconnectOptions,
+  SSEOptions,
+  SSEStreamOptions,
+  SSEStreamEvent,
   SSEErrorEvent,
   SSESource
 };
\ No newline at end of file
@@ -11,9 +11,21 @@ const rest = require('./rest');
 const upload = require('./upload');
 const uploadMany = require('./upload-many');
 const uploadLegacy = require('./upload-legacy');
+const uploadState = require('./upload-state');
+const download = require('./download');
 const util = require('./util');
 const cookies = require('./cookies');
 const auth = require('./auth');
+const middleware = require('./middleware');
+const errors = require('./errors');
+const retry = require('./retry');
+const cache = require('./cache');
+const paginate = require('./paginate');
+const batch = require('./batch');
+const sseStream = require('./sse-stream');
+const client = require('./client');
+const config = require('./config');
+const logger = require('./logger');
 
 // Framework wrapper exports
 module.exports.GET = internalFW.GET; // Use the function directly
@@ -35,6 +47,10 @@ module.exports.getUrl = internalFW.getUrl;
 module.exports.getPath = internalFW.getPath;
 module.exports.getUuid = internalFW.getUuid;
 module.exports.getInitialState = internalFW.getInitialState;
+module.exports.runWithContext = internalFW.runWithContext;
+module.exports.configure = config.configure;
+module.exports.loadConfigFromEnv = config.loadConfigFromEnv;
+module.exports.setLogger = logger.setLogger;
 
 // Cookie handling exports
 module.exports.getCookie = cookies.getCookie;
@@ -45,19 +61,52 @@ module.exports.setCookie = cookies.setCookie;
 module.exports.rest = rest.rest;
 module.exports.rest_get = rest.rest_get; // Backward compatibility
 module.exports.restGet = rest.restGet;   // New camelCase name
+module.exports.restFull = rest.restFull;
 module.exports.restSSE = rest.restSSE;
+module.exports.restSSEStream = sseStream.restSSEStream;
+module.exports.restSSEReadableStream = sseStream.restSSEReadableStream;
+module.exports.restPaginate = paginate.restPaginate;
+module.exports.configureRetry = retry.configureRetry;
+module.exports.invalidate = cache.invalidate;
+module.exports.clearCache = cache.clearCache;
+module.exports.configureCache = cache.configureCache;
+module.exports.configureBatching = batch.configureBatching;
+
+// Middleware exports
+module.exports.useMiddleware = middleware.useMiddleware;
+module.exports.addInterceptor = middleware.addInterceptor;
+
+// Error class exports
+module.exports.KlbError = errors.KlbError;
+module.exports.KlbApiError = errors.KlbApiError;
+module.exports.KlbHttpError = errors.KlbHttpError;
+module.exports.KlbNetworkError = errors.KlbNetworkError;
+module.exports.KlbNotJsonError = errors.KlbNotJsonError;
+module.exports.KlbAbortError = errors.KlbAbortError;
+module.exports.KlbTimeoutError = errors.KlbTimeoutError;
+module.exports.KlbIntegrityError = errors.KlbIntegrityError;
 
 // Upload module exports
 /** @deprecated Use uploadFile() instead */
 module.exports.upload = uploadLegacy.upload;
 module.exports.uploadFile = upload.uploadFile;
+module.exports.uploadPath = upload.uploadPath;
 module.exports.uploadManyFiles = uploadMany.uploadManyFiles;
+module.exports.createLocalStorageUploadStore = uploadState.createLocalStorageUploadStore;
+module.exports.createIndexedDBUploadStore = uploadState.createIndexedDBUploadStore;
+module.exports.createFileUploadStore = uploadState.createFileUploadStore;
+
+// Download module exports
+module.exports.downloadFile = download.downloadFile;
 
 // Auth provider exports — see auth-node.js for the Node-only Bearer provider.
 module.exports.setAuth = auth.setAuth;
 module.exports.getAuth = auth.getAuth;
 module.exports.sessionAuth = auth.sessionAuth;
 
+// Client exports — the functions above use the default client
+module.exports.createClient = client.createClient;
+
 // Utility exports
 module.exports.getI18N = util.getI18N;
 module.exports.trimPrefix = util.trimPrefix;
\ No newline at end of file
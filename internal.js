@@ -7,7 +7,10 @@
  */
 
 const fwWrapper = require('./fw-wrapper');
-const auth = require('./auth');
+const errors = require('./errors');
+const abort = require('./abort');
+const client = require('./client');
+const logger = require('./logger');
 
 /**
  * Pads a number with leading zeros
@@ -48,17 +51,22 @@ const getTimezoneData = () => {
  * @param {string} path - API endpoint path
  * @param {boolean} withToken - Whether to include authentication token
  * @param {Object} context - Context object with additional parameters
+ * @param {Object} [apiClient] - Client providing the host, prefix and base context
+ *   (defaults to the global FW configuration, see client.js)
  * @returns {string} Constructed URL
  */
-const buildRestUrl = (path, withToken, context) => {
+const buildRestUrl = (path, withToken, context, apiClient) => {
+    apiClient = apiClient || client.defaultClient;
+
     // Check for api_prefix
-    const apiPrefixPath = typeof FW !== "undefined" && FW.api_prefix ? 
-        FW.api_prefix + "/_rest/" + path : 
+    const apiPrefix = apiClient.getApiPrefix();
+    const apiPrefixPath = apiPrefix ? 
+        apiPrefix + "/_rest/" + path : 
         "/_rest/" + path;
     
     // For non-authenticated requests
     if (!withToken) {
-        const prefix = fwWrapper.getCallUrlPrefix();
+        const prefix = apiClient.getCallUrlPrefix();
         if (prefix) {
             return prefix + apiPrefixPath;
         }
@@ -70,7 +78,7 @@ const buildRestUrl = (path, withToken, context) => {
     
     // Start building the URL
     let callUrl;
-    if (fwWrapper.getSiteStatic()) {
+    if (apiClient.getSiteStatic()) {
         callUrl = apiPrefixPath + "?static";
         glue = '&';
     } else {
@@ -78,13 +86,13 @@ const buildRestUrl = (path, withToken, context) => {
     }
     
     // Add call_url_prefix if it exists
-    const prefix = fwWrapper.getCallUrlPrefix();
+    const prefix = apiClient.getCallUrlPrefix();
     if (prefix) {
         callUrl = prefix + callUrl;
     }
 
     // Copy context, proceed with overload then add to url
-    const ctxFinal = fwWrapper.getContext();
+    const ctxFinal = apiClient.getContext();
     for (const key in context) {
         ctxFinal[key] = context[key];
     }
@@ -101,12 +109,13 @@ const buildRestUrl = (path, withToken, context) => {
 
 /**
  * Checks if the environment supports required features
+ * @param {Object} [apiClient] - Client the call is made with, which may bring its own fetch
  * @returns {boolean} Whether the environment is supported
  */
-const checkSupport = () => {
+const checkSupport = (apiClient) => {
     const missingFeatures = [];
 
-    if (typeof fetch === "undefined") {
+    if (!client.getFetch(apiClient)) {
         missingFeatures.push("fetch API");
     }
 
@@ -115,7 +124,7 @@ const checkSupport = () => {
     }
 
     if (missingFeatures.length > 0) {
-        console.error("Missing required features: " + missingFeatures.join(", "));
+        logger.error("Missing required features: " + missingFeatures.join(", "));
         return false;
     }
 
@@ -126,9 +135,24 @@ const checkSupport = () => {
  * Checks if token needs refresh and refreshes if necessary.
  * Delegates to the active auth provider's `refreshIfNeeded` so Node-side
  * Bearer flows can plug in their own renewal logic.
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the wait (and the refresh
+ *   request when the provider supports it)
+ * @param {Object} [options.client] - Client whose auth provider is used
  * @returns {Promise<void>} Resolves when check/refresh is complete
  */
-const checkAndRefreshToken = () => auth.getAuth().refreshIfNeeded();
+const checkAndRefreshToken = (options) => {
+    const signal = options && options.signal;
+    if (signal && signal.aborted) {
+        return Promise.reject(errors.fromAbortSignal(signal));
+    }
+    // A provider throwing synchronously rejects instead
+    const refresh = new Promise(resolve => {
+        const apiClient = client.resolveClient(options);
+        resolve(apiClient.getAuth().refreshIfNeeded({ signal: signal, client: apiClient }));
+    });
+    return abort.abortable(refresh, signal);
+};
 
 /**
  * Makes an internal REST API call
@@ -136,31 +160,51 @@ const checkAndRefreshToken = () => auth.getAuth().refreshIfNeeded();
  * @param {string} verb - HTTP method (GET, POST, etc.)
  * @param {Object|string} params - Request parameters
  * @param {Object} context - Context object with additional parameters
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra headers to send with the request
+ * @param {string} [options.url] - Overrides the URL built from name and context
+ * @param {AbortSignal} [options.signal] - Cancels the token refresh and the request
+ * @param {Object} [options.client] - Client the call is made with (see client.js)
  * @returns {Promise} Fetch promise
  */
-const internalRest = (name, verb, params, context) => {
+const internalRest = (name, verb, params, context, options) => {
     verb = verb || "GET";
     params = params || {};
     context = context || {};
+    options = options || {};
+
+    let apiClient;
+    let fetch;
+    try {
+        apiClient = client.resolveClient(options);
+        fetch = client.getFetch(apiClient);
 
-    if (typeof window !== "undefined") {
-        context['t'] = getTimezoneData();
+        if (typeof window !== "undefined") {
+            context['t'] = getTimezoneData();
+        }
+    } catch (error) {
+        return Promise.reject(error);
     }
 
     // Check and refresh token if needed before making the request
-    return checkAndRefreshToken().then(() => {
-        const callUrl = buildRestUrl(name, true, context);
-        const headers = {};
+    return checkAndRefreshToken({ signal: options.signal, client: apiClient }).then(() => {
+        const callUrl = options.url || buildRestUrl(name, true, context, apiClient);
+        const headers = Object.assign({}, options.headers);
         const fetchOptions = { method: verb, headers: headers };
 
+        if (options.signal) {
+            fetchOptions.signal = options.signal;
+        }
+
         // Active auth provider sets Authorization header and credentials mode.
-        auth.getAuth().applyToRequest(headers, fetchOptions);
+        apiClient.getAuth().applyToRequest(headers, fetchOptions, { client: apiClient });
 
         // Handle GET requests
         if (verb === "GET") {
             if (params) {
                 const encoded = typeof params === "string" ? params : JSON.stringify(params);
-                return fetch(callUrl + "&_=" + encodeURIComponent(encoded), fetchOptions);
+                const glue = callUrl.indexOf('?') === -1 ? '?' : '&';
+                return fetch(callUrl + glue + "_=" + encodeURIComponent(encoded), fetchOptions);
             }
             return fetch(callUrl, fetchOptions);
         }
@@ -180,11 +224,12 @@ const internalRest = (name, verb, params, context) => {
 
 /**
  * Parses API response and resolves/rejects accordingly
+ * @private
  * @param {Response} response - Fetch Response object
  * @param {Function} resolve - Promise resolve function
  * @param {Function} reject - Promise reject function
  */
-const responseParse = (response, resolve, reject) => {
+const parseResponse = (response, resolve, reject) => {
     // Check if response is ok (status 200-299)
     if (!response.ok) {
         // Check if the error response is JSON
@@ -193,29 +238,35 @@ const responseParse = (response, resolve, reject) => {
             // Parse JSON error response
             response.json()
                 .then(json => {
-                    // Add headers and status to the parsed JSON
-                    json.headers = response.headers;
-                    json.status = response.status;
-                    reject(json);
+                    if (json && typeof json === 'object' && json.result === 'error') {
+                        reject(new errors.KlbApiError(json, response.status, response.headers));
+                        return;
+                    }
+                    reject(new errors.KlbHttpError(`HTTP Error: ${response.status} ${response.statusText}`, {
+                        status: response.status,
+                        statusText: response.statusText,
+                        headers: response.headers,
+                        body: json
+                    }));
                 })
                 .catch(error => {
                     // If JSON parsing fails, reject with basic error info
-                    reject({
-                        message: `HTTP Error: ${response.status} ${response.statusText}`,
-                        status: response.status, 
+                    reject(new errors.KlbHttpError(`HTTP Error: ${response.status} ${response.statusText}`, {
+                        status: response.status,
+                        statusText: response.statusText,
                         headers: response.headers,
                         parseError: error
-                    });
+                    }));
                 });
             return;
         }
         
         // Non-JSON error response
-        reject({
-            message: `HTTP Error: ${response.status} ${response.statusText}`,
-            status: response.status, 
+        reject(new errors.KlbHttpError(`HTTP Error: ${response.status} ${response.statusText}`, {
+            status: response.status,
+            statusText: response.statusText,
             headers: response.headers
-        });
+        }));
         return;
     }
     
@@ -223,13 +274,13 @@ const responseParse = (response, resolve, reject) => {
     if (!contentType || contentType.indexOf("application/json") === -1) {
         response.text()
             .then(text => {
-                reject({
-                    message: "Not JSON", 
-                    body: text, 
+                reject(new errors.KlbNotJsonError("Not JSON", {
+                    body: text,
+                    status: response.status,
                     headers: response.headers
-                });
+                }));
             })
-            .catch(error => reject(error));
+            .catch(error => reject(errors.fromFetchError(error)));
         return;
     }
 
@@ -242,15 +293,43 @@ const responseParse = (response, resolve, reject) => {
             
             // Check for result
             if (json.result !== "success" && json.result !== "redirect") {
-                json.headers = response.headers;
-                reject(json);
+                reject(new errors.KlbApiError(json, response.status, response.headers));
             } else {
                 resolve(json);
             }
+        }, error => {
+            if (errors.isAbortError(error)) {
+                reject(errors.fromFetchError(error));
+                return;
+            }
+            reject(new errors.KlbNotJsonError(error && error.message, {
+                status: response.status,
+                headers: response.headers,
+                parseError: error
+            }));
         })
         .catch(error => reject(error));
 };
 
+/**
+ * Parses API response and resolves/rejects accordingly. Always settles:
+ * a value that isn't a usable Response (e.g. returned by a middleware or a
+ * custom fetch) rejects with a KlbError.
+ * @param {Response} response - Fetch Response object
+ * @param {Function} resolve - Promise resolve function
+ * @param {Function} reject - Promise reject function
+ */
+const responseParse = (response, resolve, reject) => {
+    try {
+        parseResponse(response, resolve, reject);
+    } catch (error) {
+        logger.error('Could not parse the API response:', error);
+        reject(error instanceof errors.KlbError ? error : new errors.KlbError('Invalid response: ' + (error && error.message), {
+            parseError: error
+        }));
+    }
+};
+
 // Backward compatibility aliases
 module.exports.get_tz_pad = padNumber;
 module.exports.get_timezone_data = getTimezoneData;
@@ -0,0 +1,167 @@
+'use strict';
+/**
+ * @fileoverview Pluggable logger
+ *
+ * Modules log through `logger.debug/info/warn/error(message, ...details)`
+ * instead of calling `console` directly. `setLogger()` replaces the
+ * destination (any object with `debug`, `info`, `warn` and `error`
+ * methods, e.g. pino or winston) and the minimum level, 'warn' by default.
+ *
+ * Details are redacted before they reach the logger: Authorization,
+ * Cookie and token-like fields of objects are masked, as are
+ * `Bearer <token>` and `Session <token>` strings.
+ */
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged
+const SENSITIVE_KEY = /^(authorization|proxy-authorization|cookie|set-cookie|x-amz-security-token|password|secret|client_secret|(access_|refresh_)?token)$/i;
+
+// Credentials embedded in strings
+const SENSITIVE_STRING = /\b(Bearer|Session|Basic)\s+[^\s"',;]+/g;
+
+const MAX_DEPTH = 5;
+
+const consoleLogger = {
+    debug: (...args) => console.debug(...args),
+    info: (...args) => console.info(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+let destination = consoleLogger;
+let minLevel = LEVELS.warn;
+
+/**
+ * Masks credentials in a string
+ * @param {string} str - String to redact
+ * @returns {string} Redacted string
+ */
+const redactString = (str) => str.replace(SENSITIVE_STRING, (match, scheme) => scheme + ' ' + REDACTED);
+
+/**
+ * Returns a copy of a value with its credentials masked
+ * @param {*} value - Value to redact
+ * @param {number} [depth=0] - Current nesting depth
+ * @param {Set} [seen] - Objects already visited, for cycles
+ * @returns {*} Redacted copy
+ */
+const redact = (value, depth, seen) => {
+    depth = depth || 0;
+    seen = seen || new Set();
+
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+    seen.add(value);
+
+    let copy;
+    if (value instanceof Error) {
+        copy = new Error(redactString(String(value.message)));
+        copy.name = value.name;
+        if (value.stack) {
+            copy.stack = redactString(String(value.stack));
+        }
+    } else if (Array.isArray(value)) {
+        copy = value.map(item => redact(item, depth + 1, seen));
+        seen.delete(value);
+        return copy;
+    } else if (typeof value.forEach === 'function' && typeof value.get === 'function' && typeof value.has === 'function') {
+        // Headers and Map
+        copy = {};
+        value.forEach((v, k) => {
+            copy[k] = SENSITIVE_KEY.test(String(k)) ? REDACTED : redact(v, depth + 1, seen);
+        });
+        seen.delete(value);
+        return copy;
+    } else {
+        copy = {};
+    }
+
+    for (const key of Object.keys(value)) {
+        copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(value[key], depth + 1, seen);
+    }
+    seen.delete(value);
+    return copy;
+};
+
+/**
+ * Sends a message to the logger when its level is enabled
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {Array} args - Message and details
+ */
+const log = (level, args) => {
+    if (LEVELS[level] < minLevel) {
+        return;
+    }
+    const method = destination[level];
+    if (typeof method !== 'function') {
+        return;
+    }
+    try {
+        method.apply(destination, args.map(arg => redact(arg)));
+    } catch (e) {
+        // A failing logger must never break the call being logged
+    }
+};
+
+/**
+ * Replaces the logger and/or its minimum level
+ * @param {Object|null} logger - Object with debug/info/warn/error methods (missing
+ *   ones are skipped), null to restore the console, undefined to keep the current one
+ * @param {Object} [options] - Options
+ * @param {string} [options.level] - Minimum level: 'debug', 'info', 'warn' (default),
+ *   'error' or 'silent'
+ * @throws {TypeError} When the logger or level is invalid
+ */
+const setLogger = (logger, options) => {
+    if (logger !== undefined && logger !== null) {
+        if (typeof logger !== 'object' && typeof logger !== 'function') {
+            throw new TypeError('Logger must be an object with debug/info/warn/error methods');
+        }
+        const methods = ['debug', 'info', 'warn', 'error'];
+        if (!methods.some(name => typeof logger[name] === 'function')) {
+            throw new TypeError('Logger must have at least one of debug/info/warn/error');
+        }
+    }
+    if (options !== undefined && (!options || typeof options !== 'object')) {
+        throw new TypeError('Logger options must be an object');
+    }
+    const level = options && options.level;
+    if (level !== undefined && !LEVELS.hasOwnProperty(level)) {
+        throw new TypeError(`Unknown log level: ${level}`);
+    }
+
+    if (logger === null) {
+        destination = consoleLogger;
+    } else if (logger !== undefined) {
+        destination = logger;
+    }
+    if (level !== undefined) {
+        minLevel = LEVELS[level];
+    }
+};
+
+module.exports.setLogger = setLogger;
+module.exports.redact = redact;
+module.exports.debug = (...args) => log('debug', args);
+module.exports.info = (...args) => log('info', args);
+module.exports.warn = (...args) => log('warn', args);
+module.exports.error = (...args) => log('error', args);
@@ -0,0 +1,92 @@
+'use strict';
+/**
+ * @fileoverview Request middleware pipeline for KLB Frontend Framework
+ *
+ * Middlewares wrap every `rest()`, `restGet()` and `restSSE()` call, which
+ * includes the `signV4` calls `uploadFile()` makes before each S3 request.
+ * They replace the need to monkey-patch `fetch` for tracing headers, timing
+ * or error rewriting.
+ *
+ * A middleware is an object with any of these optional stages:
+ *   - request(req): runs before the call, in registration order. May mutate
+ *     and/or return the request descriptor `{ type, name, verb, params,
+ *     context, headers, url, signal }`. Setting `req.response` short-circuits the
+ *     call: no request is sent and the response stage receives that value.
+ *   - response(result, req): runs after the call, in reverse registration
+ *     order. Returns the (possibly replaced) result; returning undefined
+ *     keeps the current result.
+ *   - error(error, req): runs when the call rejects, in reverse registration
+ *     order. Throw (or reject) to keep the call failing — possibly with a
+ *     different error — or return a value to resolve the call with it.
+ */
+
+const middlewares = [];
+
+/**
+ * Registers a middleware for all subsequent REST calls
+ * @param {Object} middleware - Object with optional request/response/error stages
+ * @returns {Function} Function removing the middleware again
+ */
+const useMiddleware = (middleware) => {
+    if (!middleware || typeof middleware !== 'object') {
+        throw new TypeError('Middleware must be an object with request, response and/or error stages');
+    }
+    middlewares.push(middleware);
+
+    return () => {
+        const idx = middlewares.indexOf(middleware);
+        if (idx !== -1) {
+            middlewares.splice(idx, 1);
+        }
+    };
+};
+
+/**
+ * Runs a request descriptor through the registered middlewares
+ * @param {Object} req - Request descriptor
+ * @param {Function} exec - Performs the actual call, receives the final descriptor
+ * @returns {Promise} Promise resolving with the (transformed) call result
+ */
+const runPipeline = (req, exec) => {
+    req.headers = req.headers || {};
+
+    // Fast path keeps the call behavior identical when nothing is registered
+    if (middlewares.length === 0) {
+        return Promise.resolve().then(() => exec(req));
+    }
+
+    // Snapshot so a middleware (un)registering mid-call can't skew the stages
+    const stack = middlewares.slice();
+    let current = req;
+
+    let chain = Promise.resolve(current);
+    for (const middleware of stack) {
+        if (typeof middleware.request !== 'function') continue;
+        chain = chain.then(r => {
+            if (r.response !== undefined) return r;
+            return Promise.resolve(middleware.request(r)).then(out => {
+                current = out || r;
+                return current;
+            });
+        });
+    }
+
+    let result = chain.then(r => (r.response !== undefined ? r.response : exec(r)));
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+        const middleware = stack[i];
+        const onResponse = typeof middleware.response === 'function' ?
+            value => Promise.resolve(middleware.response(value, current)).then(out => (out === undefined ? value : out)) :
+            undefined;
+        const onError = typeof middleware.error === 'function' ?
+            error => middleware.error(error, current) :
+            undefined;
+        result = result.then(onResponse, onError);
+    }
+
+    return result;
+};
+
+module.exports.useMiddleware = useMiddleware;
+module.exports.addInterceptor = useMiddleware;
+module.exports.runPipeline = runPipeline;
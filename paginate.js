@@ -0,0 +1,169 @@
+'use strict';
+/**
+ * @fileoverview Pagination helper for KLB list endpoints
+ *
+ * List endpoints answer with a `data` array and `paging` metadata
+ * (`page_no`, `page_max`, `results_per_page`, `count`). `restPaginate()`
+ * walks the pages with `rest()`, one page request at a time.
+ */
+
+const rest = require('./rest');
+const errors = require('./errors');
+
+/**
+ * Checks whether a page response is followed by another page
+ * @param {Object} response - Page response
+ * @returns {boolean} Whether a next page exists
+ */
+const hasNextPage = (response) => {
+    const paging = response.paging;
+    if (!paging) {
+        return false;
+    }
+    if (!Array.isArray(response.data) || response.data.length === 0) {
+        return false;
+    }
+    return Number(paging.page_no) < Number(paging.page_max);
+};
+
+/**
+ * Iterates over a KLB list endpoint
+ *
+ * The returned object is an async iterable over the items of all pages:
+ *
+ *     for await (const product of restPaginate('Catalog/Product', { sort: 'name' })) { ... }
+ *
+ * It also offers:
+ *   - pages(): async iterator over the page responses (`data` + `paging`)
+ *   - getPage(pageNo): fetches a single page
+ *   - count(): total number of items, from the first page's `paging.count`
+ *   - collect({ limit }): array of the items, stopping after `limit` items
+ *   - paging: `paging` metadata of the latest page fetched, or null
+ *
+ * @param {string} name - API endpoint name
+ * @param {Object} [params] - Request parameters; `page_no` sets the first page
+ * @param {Object} [context] - Context object with additional parameters
+ * @param {Object} [options] - Options
+ * @param {number} [options.pageSize] - Sent as `results_per_page`
+ * @param {string} [options.verb='GET'] - HTTP method
+ * @param {AbortSignal} [options.signal] - Stops the iteration; pending and later page requests reject
+ * @param {number} [options.timeoutMs] - Timeout of each page request
+ * @param {boolean|number|Object} [options.retry] - Retry policy of each page request
+ * @param {Object} [options.client] - Client to make the calls with (see client.js)
+ * @returns {Object} Paginator
+ */
+const restPaginate = (name, params, context, options) => {
+    params = Object.assign({}, params);
+    options = options || {};
+
+    const verb = options.verb || 'GET';
+    const firstPage = Number(params.page_no) || 1;
+    const callOptions = {
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
+        retry: options.retry,
+        client: options.client
+    };
+
+    // Page requests are chained so at most one is in flight
+    let queue = Promise.resolve();
+    let lastPage = null;
+
+    const paginator = {
+        paging: null
+    };
+
+    const fetchPage = (pageNo) => {
+        if (lastPage && lastPage.pageNo === pageNo) {
+            return lastPage.promise;
+        }
+
+        const run = () => {
+            if (options.signal && options.signal.aborted) {
+                throw errors.fromAbortSignal(options.signal);
+            }
+
+            const pageParams = Object.assign({}, params, { page_no: pageNo });
+            if (options.pageSize) {
+                pageParams.results_per_page = options.pageSize;
+            }
+
+            return rest.rest(name, verb, pageParams, context, callOptions).then(response => {
+                if (response.paging) {
+                    paginator.paging = response.paging;
+                }
+                return response;
+            });
+        };
+
+        const promise = queue.then(run);
+        queue = promise.then(() => {}, () => {});
+        lastPage = { pageNo: pageNo, promise: promise };
+        // A failed page is requested again by the next call
+        promise.catch(() => {
+            if (lastPage && lastPage.promise === promise) {
+                lastPage = null;
+            }
+        });
+        return promise;
+    };
+
+    async function* pages() {
+        let pageNo = firstPage;
+        while (true) {
+            const response = await fetchPage(pageNo);
+            yield response;
+            if (!hasNextPage(response)) {
+                return;
+            }
+            pageNo = Number(response.paging.page_no) + 1;
+        }
+    }
+
+    async function* items() {
+        for await (const response of pages()) {
+            if (!Array.isArray(response.data)) {
+                continue;
+            }
+            for (const item of response.data) {
+                yield item;
+            }
+        }
+    }
+
+    paginator.pages = pages;
+    paginator.getPage = (pageNo) => fetchPage(Number(pageNo) || 1);
+    paginator[Symbol.asyncIterator] = items;
+
+    paginator.count = () => {
+        if (paginator.paging) {
+            return Promise.resolve(Number(paginator.paging.count));
+        }
+        return fetchPage(firstPage).then(response => {
+            if (response.paging) {
+                return Number(response.paging.count);
+            }
+            return Array.isArray(response.data) ? response.data.length : 0;
+        });
+    };
+
+    paginator.collect = async (collectOptions) => {
+        const limit = collectOptions && collectOptions.limit;
+        const result = [];
+        if (limit !== undefined && limit <= 0) {
+            return result;
+        }
+
+        for await (const item of items()) {
+            result.push(item);
+            if (limit !== undefined && result.length >= limit) {
+                break;
+            }
+        }
+        return result;
+    };
+
+    return paginator;
+};
+
+module.exports.restPaginate = restPaginate;
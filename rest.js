@@ -6,22 +6,29 @@
  */
 
 const internal = require('./internal');
-const fwWrapper = require('./fw-wrapper');
-const auth = require('./auth');
+const middleware = require('./middleware');
+const errors = require('./errors');
+const abort = require('./abort');
+const retry = require('./retry');
+const cache = require('./cache');
+const batch = require('./batch');
+const client = require('./client');
+const logger = require('./logger');
 
 /**
  * Handles platform-specific API calls
+ * @param {Object} apiClient - Client the call is made with, the default one
  * @param {string} name - API endpoint name
  * @param {string} verb - HTTP method (GET, POST, etc.)
  * @param {Object} params - Request parameters
  * @param {Object} context - Context object with additional parameters
  * @returns {Promise} API response promise
  */
-const handlePlatformCall = (name, verb, params, context) => {
+const handlePlatformCall = (apiClient, name, verb, params, context) => {
     // For platform-specific REST implementations
     if (typeof __platformAsyncRest !== "undefined") {
         context = context || {};
-        const ctxFinal = fwWrapper.getContext();
+        const ctxFinal = apiClient.getContext();
         
         // Merge context
         for (const key in context) {
@@ -32,13 +39,13 @@ const handlePlatformCall = (name, verb, params, context) => {
             __platformAsyncRest(name, verb, params, ctxFinal)
                 .then(result => {
                     if (result.result !== "success" && result.result !== "redirect") {
-                        reject(result);
+                        reject(new errors.KlbApiError(result));
                     } else {
                         resolve(result);
                     }
                 })
                 .catch(error => {
-                    reject(error || new Error('Unknown platform async error'));
+                    reject(errors.fromPlatformError(error) || new Error('Unknown platform async error'));
                 });
         });
     }
@@ -48,9 +55,9 @@ const handlePlatformCall = (name, verb, params, context) => {
         return new Promise((resolve, reject) => {
             __platformRest(name, verb, params, (res, err) => {
                 if (err) {
-                    reject(err);
+                    reject(errors.fromPlatformError(err));
                 } else if (res.result !== "success") {
-                    reject(res);
+                    reject(new errors.KlbApiError(res));
                 } else {
                     resolve(res);
                 }
@@ -62,103 +69,300 @@ const handlePlatformCall = (name, verb, params, context) => {
 };
 
 /**
- * Makes a REST API call
- * @param {string} name - API endpoint name
- * @param {string} verb - HTTP method (GET, POST, etc.)
- * @param {Object} params - Request parameters
- * @param {Object} context - Context object with additional parameters
+ * Records the status, headers and URL of a fetch Response for `raw` calls
+ * @private
+ * @param {Object} [options] - Call options, carrying `responseMeta` for raw calls
+ * @param {Response} response - Fetch Response
+ */
+const recordResponse = (options, response) => {
+    const meta = options && options.responseMeta;
+    if (!meta || !response || typeof response !== 'object') {
+        return;
+    }
+    meta.status = response.status;
+    meta.headers = response.headers || null;
+    meta.url = response.url || null;
+};
+
+/**
+ * Performs a REST API call described by a middleware request descriptor
+ * @private
+ * @param {Object} req - Request descriptor (see middleware.js)
+ * @param {Object} [options] - Call options
  * @returns {Promise} API response promise
  */
-const rest = (name, verb, params, context) => {
-    // Try platform-specific REST implementations first
-    const platformResult = handlePlatformCall(name, verb, params, context);
+const executeRest = (req, options) => {
+    const signal = req.signal;
+    if (signal && signal.aborted) {
+        return Promise.reject(errors.fromAbortSignal(signal));
+    }
+
+    const apiClient = client.resolveClient(options);
+
+    // Try platform-specific REST implementations first (they serve the
+    // default client's site only)
+    const platformResult = client.isDefaultClient(apiClient) &&
+        handlePlatformCall(apiClient, req.name, req.verb, req.params, req.context);
     if (platformResult) {
-        return platformResult;
+        return abort.abortable(platformResult, signal);
     }
 
     // Fall back to standard fetch implementation
-    if (!internal.checkSupport()) {
+    if (!internal.checkSupport(apiClient)) {
         return Promise.reject(new Error('Environment not supported'));
     }
 
-    const tryOnce = () => new Promise((resolve, reject) => {
+    // Raw calls need the HTTP response of their own request
+    const useBatch = !(options && (options.batch === false || options.raw)) && batch.canBatch(req);
+
+    const tryOnce = () => useBatch ? batch.enqueue(req, apiClient) : new Promise((resolve, reject) => {
         const handleSuccess = data => {
+            recordResponse(options, data);
             internal.responseParse(data, resolve, reject);
         };
 
-        const handleError = data => {
-            reject(data);
+        const handleError = error => {
+            reject(signal && signal.aborted ? errors.fromAbortSignal(signal) : errors.fromFetchError(error));
         };
 
         const handleException = error => {
-            console.error(error);
-            // TODO: Add proper error logging
+            logger.error('Unexpected error in REST call ' + req.name + ':', error);
+            reject(error);
         };
 
-        internal.internalRest(name, verb, params, context)
+        internal.internalRest(req.name, req.verb, req.params, req.context, {
+            headers: req.headers,
+            url: req.url,
+            signal: signal,
+            client: apiClient
+        })
             .then(handleSuccess, handleError)
             .catch(handleException);
     });
 
-    return tryOnce().catch(err =>
-        Promise.resolve(auth.getAuth().handleExpiredError(err)).then(retry => {
-            if (retry) return tryOnce();
+    const attempt = tryOnce().catch(err => {
+        // Never retry (or refresh credentials for) a cancelled call
+        if (signal && signal.aborted) throw err;
+
+        return Promise.resolve(apiClient.getAuth().handleExpiredError(err, { signal: signal, client: apiClient })).then(shouldRetry => {
+            if (shouldRetry) return tryOnce();
             throw err;
-        })
+        });
+    });
+
+    // The response body is read after fetch resolved; make sure an abort
+    // arriving then still rejects the call promptly
+    return abort.abortable(attempt, signal);
+};
+
+/**
+ * Runs a request descriptor through the middleware pipeline, retrying
+ * transient failures and bounded by the caller's AbortSignal and timeout
+ * @private
+ * @param {Object} req - Request descriptor
+ * @param {Object} [options] - Call options (signal, timeoutMs, retry, raw)
+ * @param {Function} exec - Performs the actual call
+ * @returns {Promise} API response promise, or the full response of `raw` calls
+ */
+const runCall = (req, options, exec) => {
+    options = options || {};
+
+    // Raw calls: exec fills in the HTTP metadata of the last attempt
+    const meta = options.raw ? { status: null, headers: null, url: null, attempt: 0 } : null;
+    const execOptions = meta ? Object.assign({}, options, { responseMeta: meta }) : options;
+    const start = Date.now();
+
+    const execWithRetry = (finalReq) => retry.withRetry(
+        () => {
+            if (meta) meta.attempt++;
+            return exec(finalReq, execOptions);
+        },
+        retry.resolvePolicy(options.retry, finalReq.verb),
+        finalReq.signal
     );
+
+    const scope = abort.createAbortScope(options);
+    let result;
+    if (!scope) {
+        result = middleware.runPipeline(req, execWithRetry);
+    } else {
+        req.signal = scope.signal;
+        result = middleware.runPipeline(req, execWithRetry);
+        result.then(scope.done, scope.done);
+    }
+
+    if (!meta) {
+        return result;
+    }
+    return result.then(body => ({
+        body: body,
+        status: meta.status,
+        headers: meta.headers,
+        url: meta.url,
+        durationMs: Date.now() - start,
+        attempt: meta.attempt
+    }));
 };
 
 /**
- * Makes a GET request to the REST API
+ * Makes a REST API call
  * @param {string} name - API endpoint name
+ * @param {string} verb - HTTP method (GET, POST, etc.)
  * @param {Object} params - Request parameters
+ * @param {Object} context - Context object with additional parameters
+ * @param {Object} [options] - Call options
+ * @param {AbortSignal} [options.signal] - Cancels the call; it then rejects with a KlbAbortError
+ * @param {number} [options.timeoutMs] - Rejects with a KlbTimeoutError when the call
+ *   (token refresh and retries included) takes longer
+ * @param {boolean|number|Object} [options.retry] - Retry policy for transient failures
+ *   (see retry.js). Defaults to true for GET and false for other verbs.
+ * @param {boolean} [options.batch] - Set to false to keep the call out of batches
+ *   when batching is enabled (see batch.js)
+ * @param {Object} [options.client] - Client to make the call with; set by the
+ *   functions of createClient() (see client.js)
+ * @param {boolean} [options.raw] - Resolve with the full response (see restFull())
  * @returns {Promise} API response promise
  */
-const restGet = (name, params) => {
+const rest = (name, verb, params, context, options) => runCall({
+    type: 'rest',
+    name: name,
+    verb: verb || 'GET',
+    params: params,
+    context: context
+}, client.callScope(options), executeRest);
+
+/**
+ * Makes a REST API call and resolves with the full response instead of
+ * the body alone. Same as `rest()` with the `raw` option.
+ *
+ * `status`, `headers` and `url` are those of the last HTTP response. They
+ * are null when the call didn't go through fetch (SSR platform calls, or a
+ * middleware answering from `req.response`). Raw calls are never batched.
+ *
+ * @param {string} name - API endpoint name
+ * @param {string} verb - HTTP method (GET, POST, etc.)
+ * @param {Object} params - Request parameters
+ * @param {Object} context - Context object with additional parameters
+ * @param {Object} [options] - Call options, as for rest()
+ * @returns {Promise<Object>} Promise resolving with `{ body, status, headers,
+ *   url, durationMs, attempt }`; `attempt` is 1 unless the call was retried
+ */
+const restFull = (name, verb, params, context, options) =>
+    rest(name, verb, params, context, Object.assign({}, options, { raw: true }));
+
+/**
+ * Performs an unauthenticated GET described by a middleware request
+ * descriptor, for `restGet()` calls passing `auth: false`
+ * @private
+ * @param {Object} req - Request descriptor (see middleware.js)
+ * @param {Object} [options] - Call options
+ * @returns {Promise} API response promise
+ */
+const executeRestGet = (req, options) => {
+    const signal = req.signal;
+    if (signal && signal.aborted) {
+        return Promise.reject(errors.fromAbortSignal(signal));
+    }
+
+    const apiClient = client.resolveClient(options);
+
     // Try platform-specific REST implementations first
-    const platformResult = handlePlatformCall(name, "GET", params);
+    const platformResult = client.isDefaultClient(apiClient) &&
+        handlePlatformCall(apiClient, req.name, "GET", req.params);
     if (platformResult) {
-        return platformResult;
+        return abort.abortable(platformResult, signal);
     }
 
     // Fall back to standard fetch implementation
-    if (!internal.checkSupport()) {
+    if (!internal.checkSupport(apiClient)) {
         return Promise.reject(new Error('Environment not supported'));
     }
 
-    params = params || {};
-    let callUrl = internal.buildRestUrl(name, false);
+    const fetch = client.getFetch(apiClient);
+    const params = req.params || {};
+    let callUrl = req.url || internal.buildRestUrl(req.name, false, undefined, apiClient);
 
     if (params) {
+        const glue = callUrl.indexOf('?') === -1 ? '?' : '&';
         // Check if params is a JSON string, or if it needs encoding
         if (typeof params === "string") {
-            callUrl += "?_=" + encodeURIComponent(params);
+            callUrl += glue + "_=" + encodeURIComponent(params);
         } else {
-            callUrl += "?_=" + encodeURIComponent(JSON.stringify(params));
+            callUrl += glue + "_=" + encodeURIComponent(JSON.stringify(params));
         }
     }
 
-    return new Promise((resolve, reject) => {
+    const fetchOptions = {
+        method: 'GET',
+        credentials: 'include',
+        headers: req.headers
+    };
+    if (signal) {
+        fetchOptions.signal = signal;
+    }
+
+    return abort.abortable(new Promise((resolve, reject) => {
         const handleSuccess = data => {
+            recordResponse(options, data);
             internal.responseParse(data, resolve, reject);
         };
         
-        const handleError = data => {
-            reject(data);
+        const handleError = error => {
+            reject(signal && signal.aborted ? errors.fromAbortSignal(signal) : errors.fromFetchError(error));
         };
         
         const handleException = error => {
-            console.error(error);
-            // TODO: Add proper error logging
+            logger.error('Unexpected error in REST call ' + req.name + ':', error);
+            reject(error);
         };
 
-        fetch(callUrl, {
-            method: 'GET',
-            credentials: 'include'
-        })
+        fetch(callUrl, fetchOptions)
         .then(handleSuccess, handleError)
         .catch(handleException);
-    });
+    }), signal);
+};
+
+/**
+ * Makes a GET request to the REST API. Goes through the same path as
+ * `rest(name, 'GET', ...)`: auth provider, token refresh, expired-token
+ * retry, context and timezone.
+ * @param {string} name - API endpoint name
+ * @param {Object} params - Request parameters
+ * @param {Object} [context] - Context object with additional parameters
+ * @param {Object} [options] - Call options, always the fourth argument: pass a null or empty
+ *   context before them
+ * @param {AbortSignal} [options.signal] - Cancels the call; it then rejects with a KlbAbortError
+ * @param {number} [options.timeoutMs] - Rejects with a KlbTimeoutError when the call
+ *   (token refresh and retries included) takes longer
+ * @param {boolean|number|Object} [options.retry] - Retry policy for transient failures
+ *   (see retry.js), enabled by default
+ * @param {boolean} [options.dedupe=true] - Share the request with identical concurrent calls
+ * @param {boolean|number} [options.cache] - Cache the response, for the default TTL
+ *   (true) or for this many milliseconds (see cache.js)
+ * @param {boolean} [options.batch] - Set to false to keep the call out of batches
+ * @param {boolean} [options.auth=true] - Set to false for the legacy unauthenticated
+ *   request: no Authorization header, token refresh or context parameters
+ * @param {Object} [options.client] - Client to make the call with (see client.js)
+ * @param {boolean} [options.raw] - Resolve with the full response (see restFull());
+ *   raw calls are neither deduplicated nor cached
+ * @returns {Promise} API response promise
+ */
+const restGet = (name, params, context, options) => {
+    options = client.callScope(options) || {};
+    const unauthenticated = options.auth === false;
+
+    const load = callOptions => runCall({
+        type: 'restGet',
+        name: name,
+        verb: 'GET',
+        params: params,
+        context: unauthenticated ? undefined : context
+    }, callOptions, unauthenticated ? executeRestGet : executeRest);
+
+    if (options.raw) {
+        return load(options);
+    }
+    return cache.cachedCall(name, params, unauthenticated ? undefined : context, options, load);
 };
 
 /**
@@ -227,16 +431,60 @@ const parseSSEEvent = (eventText) => {
     return event;
 };
 
+const SSE_RECONNECT_DEFAULTS = {
+    maxReconnects: 10,
+    delay: 3000,
+    maxDelay: 30000,
+    backoff: 2
+};
+
+/**
+ * Resolves the `reconnect` option of restSSE()
+ * @param {boolean|Object} [option] - true for the defaults, or settings
+ * @returns {Object|null} Reconnect settings, or null when disabled
+ */
+const resolveReconnect = (option) => {
+    if (!option) {
+        return null;
+    }
+    return Object.assign({}, SSE_RECONNECT_DEFAULTS, option === true ? {} : option);
+};
+
 /**
  * Makes a REST API request that handles SSE streaming responses
+ *
+ * With the `reconnect` option, the connection is reopened like a native
+ * EventSource does when the stream ends or the network drops: after the
+ * server's `retry` delay (or `reconnect.delay`), growing by
+ * `reconnect.backoff` on each consecutive failure, and with a
+ * `Last-Event-ID` header carrying the id of the last event received. The
+ * auth provider refreshes the token before each attempt. A `reconnect`
+ * event (`{ attempt, delay, lastEventId, error }`) is dispatched before
+ * each attempt.
+ *
+ * A `close` event is dispatched once the object reaches the CLOSED state,
+ * whether close() was called, the stream ended or the connection failed.
+ *
  * @param {string} name - API endpoint name
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {Object} params - Request parameters
  * @param {Object} [context] - Context object with additional parameters
+ * @param {Object} [options] - Options
+ * @param {boolean|Object} [options.reconnect] - Reopen the stream when it ends or fails
+ * @param {number} [options.reconnect.maxReconnects=10] - Consecutive attempts before giving up
+ * @param {number} [options.reconnect.delay=3000] - First delay (ms) when the server sent no `retry`
+ * @param {number} [options.reconnect.maxDelay=30000] - Upper bound of the delay (ms)
+ * @param {number} [options.reconnect.backoff=2] - Delay multiplier per consecutive attempt
+ * @param {Object} [options.client] - Client to make the call with (see client.js)
+ * @param {Function} [options.onEvent] - Internal: called with every event dispatched, after
+ *   the handlers (see sse-stream.js)
  * @returns {Object} EventSource-like object with onmessage, onerror, addEventListener, close
  */
-const restSSE = (name, method, params, context) => {
+const restSSE = (name, method, params, context, options) => {
     const abortController = new AbortController();
+    const reconnect = resolveReconnect(options && options.reconnect);
+    const apiClient = client.resolveClient(client.callScope(options));
+    let reconnectTimer = null;
 
     method = method || 'GET';
     params = params || {};
@@ -247,10 +495,12 @@ const restSSE = (name, method, params, context) => {
         onopen: null,
         onmessage: null,
         onerror: null,
+        onreconnect: null,
         readyState: 0, // 0 = CONNECTING, 1 = OPEN, 2 = CLOSED
         CONNECTING: 0,
         OPEN: 1,
         CLOSED: 2,
+        lastEventId: '',
         _listeners: {},
 
         addEventListener: function(type, listener) {
@@ -269,31 +519,63 @@ const restSSE = (name, method, params, context) => {
         },
 
         dispatchEvent: function(event) {
+            // A throwing handler is logged, it must not stop the stream or
+            // keep the other handlers from running
+            const call = (handler) => {
+                try {
+                    handler.call(this, event);
+                } catch (error) {
+                    logger.error('Error in restSSE ' + event.type + ' handler:', error);
+                }
+            };
+
             // Call type-specific handler (onmessage, onerror, etc.)
             const handlerName = 'on' + event.type;
             if (typeof this[handlerName] === 'function') {
-                this[handlerName](event);
+                call(this[handlerName]);
             }
 
             // Call addEventListener listeners
             const listeners = this._listeners[event.type];
             if (listeners) {
-                for (const listener of listeners) {
-                    listener(event);
+                for (const listener of listeners.slice()) {
+                    call(listener);
                 }
             }
         },
 
         close: function() {
-            this.readyState = 2;
+            clearTimeout(reconnectTimer);
             abortController.abort();
+            markClosed();
+        }
+    };
+
+    // Dispatches an event, then passes it to the internal onEvent hook: server
+    // events carry arbitrary type names, which listeners can't subscribe to ahead
+    const onEvent = options && options.onEvent;
+    const emit = (event) => {
+        eventSource.dispatchEvent(event);
+        if (onEvent) {
+            onEvent(event);
         }
     };
 
-    if (!internal.checkSupport()) {
+    // Moves to CLOSED and dispatches a single `close` event, whatever the cause
+    let closeDispatched = false;
+    const markClosed = () => {
+        eventSource.readyState = 2;
+        if (!closeDispatched) {
+            closeDispatched = true;
+            emit({ type: 'close' });
+        }
+    };
+
+    if (!internal.checkSupport(apiClient)) {
         setTimeout(() => {
             eventSource.readyState = 2;
-            eventSource.dispatchEvent({ type: 'error', error: new Error('Environment not supported') });
+            emit({ type: 'error', error: new Error('Environment not supported') });
+            markClosed();
         }, 0);
         return eventSource;
     }
@@ -303,36 +585,11 @@ const restSSE = (name, method, params, context) => {
         context['t'] = internal.getTimezoneData();
     }
 
-    let callUrl = internal.buildRestUrl(name, true, context);
-    const headers = {
-        'Accept': 'text/event-stream, application/json'
-    };
+    // Server-provided reconnection delay (`retry` field)
+    let serverRetry = null;
 
-    // Build fetch options based on method
-    const fetchOptions = {
-        method: method,
-        headers: headers,
-        signal: abortController.signal
-    };
-
-    // Active auth provider sets Authorization header and credentials mode.
-    auth.getAuth().applyToRequest(headers, fetchOptions);
-
-    if (method === 'GET') {
-        // For GET requests, add params to URL
-        if (params && Object.keys(params).length > 0) {
-            const glue = callUrl.indexOf('?') === -1 ? '?' : '&';
-            if (typeof params === 'string') {
-                callUrl += glue + '_=' + encodeURIComponent(params);
-            } else {
-                callUrl += glue + '_=' + encodeURIComponent(JSON.stringify(params));
-            }
-        }
-    } else {
-        // For other methods, add params to body as JSON
-        headers['Content-Type'] = 'application/json; charset=utf-8';
-        fetchOptions.body = JSON.stringify(params);
-    }
+    // Consecutive reconnection attempts since the last event received
+    let attempts = 0;
 
     // Helper to dispatch SSE events
     const dispatchSSEEvent = (parsedEvent) => {
@@ -345,178 +602,351 @@ const restSSE = (name, method, params, context) => {
 
         // For 'message' type, use onmessage
         if (parsedEvent.type === 'message') {
-            eventSource.dispatchEvent(event);
+            emit(event);
         } else {
             // For custom event types, dispatch to both the specific type and as a generic event
-            eventSource.dispatchEvent(event);
+            emit(event);
         }
     };
 
-    // Check and refresh token if needed, then make the request
-    internal.checkAndRefreshToken().then(() => {
-        fetch(callUrl, fetchOptions)
-        .then(response => {
+    // Records the resume state carried by a parsed event, then dispatches it
+    // when it has a payload
+    const handleParsedEvent = (parsed) => {
+        attempts = 0;
+        if (parsed.id !== null) {
+            eventSource.lastEventId = parsed.id;
+        }
+        if (parsed.retry !== null) {
+            serverRetry = parsed.retry;
+        }
+        if (parsed.data || parsed.type !== 'message') {
+            dispatchSSEEvent(parsed);
+        }
+    };
+
+    // Opens the connection once the middlewares had their say
+    const connect = (req) => internal.checkAndRefreshToken({ client: apiClient }).then(() => {
+        let callUrl = req.url || internal.buildRestUrl(req.name, true, req.context, apiClient);
+        const headers = Object.assign({
+            'Accept': 'text/event-stream, application/json'
+        }, req.headers);
+
+        // Build fetch options based on method
+        const fetchOptions = {
+            method: req.verb,
+            headers: headers,
+            signal: abortController.signal
+        };
+
+        // Active auth provider sets Authorization header and credentials mode.
+        apiClient.getAuth().applyToRequest(headers, fetchOptions, { client: apiClient });
+
+        const reqParams = req.params || {};
+        if (req.verb === 'GET') {
+            // For GET requests, add params to URL
+            if (reqParams && Object.keys(reqParams).length > 0) {
+                const glue = callUrl.indexOf('?') === -1 ? '?' : '&';
+                if (typeof reqParams === 'string') {
+                    callUrl += glue + '_=' + encodeURIComponent(reqParams);
+                } else {
+                    callUrl += glue + '_=' + encodeURIComponent(JSON.stringify(reqParams));
+                }
+            }
+        } else {
+            // For other methods, add params to body as JSON
+            headers['Content-Type'] = 'application/json; charset=utf-8';
+            fetchOptions.body = JSON.stringify(reqParams);
+        }
+
+        return client.getFetch(apiClient)(callUrl, fetchOptions).then(response => {
             if (!response.ok) {
                 // Handle HTTP errors
                 const contentType = response.headers.get('content-type') || '';
                 if (contentType.indexOf('application/json') !== -1) {
                     return response.json().then(json => {
-                        json.headers = response.headers;
-                        json.status = response.status;
-                        throw json;
+                        if (json && json.result === 'error') {
+                            throw new errors.KlbApiError(json, response.status, response.headers);
+                        }
+                        throw new errors.KlbHttpError(`HTTP Error: ${response.status} ${response.statusText}`, {
+                            status: response.status,
+                            statusText: response.statusText,
+                            headers: response.headers,
+                            body: json
+                        });
                     });
                 }
-                throw {
-                    message: `HTTP Error: ${response.status} ${response.statusText}`,
+                throw new errors.KlbHttpError(`HTTP Error: ${response.status} ${response.statusText}`, {
                     status: response.status,
+                    statusText: response.statusText,
                     headers: response.headers
-                };
+                });
             }
+            return response;
+        }, error => {
+            throw errors.fromFetchError(error);
+        });
+    });
 
-            // Connection is now open
-            eventSource.readyState = 1;
-            eventSource.dispatchEvent({ type: 'open' });
+    /**
+     * Reads an event stream until it ends
+     * @param {Response} response - Fetch response with an event stream body
+     * @returns {Promise<void>} Resolves when the stream ended, rejects when it failed
+     */
+    const readEventStream = (response) => new Promise((resolve, reject) => {
+        let buffer = '';
 
-            const contentType = response.headers.get('content-type') || '';
+        const processData = (chunk) => {
+            buffer += chunk;
 
-            // Check if response is SSE
-            if (contentType.indexOf('text/event-stream') !== -1) {
-                // Stream SSE events
-                let buffer = '';
+            // SSE events are separated by double newlines
+            const events = buffer.split(/\n\n/);
 
-                const processData = (chunk) => {
-                    buffer += chunk;
+            // Keep the last incomplete event in the buffer
+            buffer = events.pop() || '';
+
+            // Process complete events
+            for (const eventText of events) {
+                if (eventText.trim()) {
+                    handleParsedEvent(parseSSEEvent(eventText));
+                }
+            }
+        };
 
-                    // SSE events are separated by double newlines
-                    const events = buffer.split(/\n\n/);
+        const processEnd = () => {
+            // Process any remaining data in buffer
+            if (buffer.trim()) {
+                handleParsedEvent(parseSSEEvent(buffer));
+            }
+            resolve();
+        };
 
-                    // Keep the last incomplete event in the buffer
-                    buffer = events.pop() || '';
+        // Check if we have a web ReadableStream (browser) or Node.js stream
+        if (response.body && typeof response.body.getReader === 'function') {
+            // Browser environment - use ReadableStream API
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
 
-                    // Process complete events
-                    for (const eventText of events) {
-                        if (eventText.trim()) {
-                            const parsed = parseSSEEvent(eventText);
-                            if (parsed.data || parsed.type !== 'message') {
-                                dispatchSSEEvent(parsed);
-                            }
-                        }
-                    }
-                };
-
-                const processEnd = () => {
-                    // Process any remaining data in buffer
-                    if (buffer.trim()) {
-                        const parsed = parseSSEEvent(buffer);
-                        if (parsed.data || parsed.type !== 'message') {
-                            dispatchSSEEvent(parsed);
-                        }
+            const processStream = () => {
+                reader.read().then(({ done, value }) => {
+                    if (done) {
+                        processEnd();
+                        return;
                     }
-                    eventSource.readyState = 2;
-                };
-
-                // Check if we have a web ReadableStream (browser) or Node.js stream
-                if (response.body && typeof response.body.getReader === 'function') {
-                    // Browser environment - use ReadableStream API
-                    const reader = response.body.getReader();
-                    const decoder = new TextDecoder();
-
-                    const processStream = () => {
-                        reader.read().then(({ done, value }) => {
-                            if (done) {
-                                processEnd();
-                                return;
-                            }
-
-                            processData(decoder.decode(value, { stream: true }));
-
-                            // Continue reading
-                            processStream();
-                        }).catch(err => {
-                            if (err.name !== 'AbortError') {
-                                eventSource.dispatchEvent({ type: 'error', error: err });
-                            }
-                            eventSource.readyState = 2;
-                        });
-                    };
 
+                    processData(decoder.decode(value, { stream: true }));
+
+                    // Continue reading
                     processStream();
-                } else if (response.body && typeof response.body.on === 'function') {
-                    // Node.js environment - use Node stream API
-                    response.body.on('data', (chunk) => {
-                        processData(chunk.toString());
-                    });
+                }).catch(err => reject(errors.fromFetchError(err)));
+            };
+
+            processStream();
+        } else if (response.body && typeof response.body.on === 'function') {
+            // Node.js environment - use Node stream API
+            response.body.on('data', (chunk) => {
+                processData(chunk.toString());
+            });
 
-                    response.body.on('end', () => {
-                        processEnd();
-                    });
+            response.body.on('end', () => {
+                processEnd();
+            });
 
-                    response.body.on('error', (err) => {
-                        // Handle abort errors gracefully
-                        if (err.type !== 'aborted' && err.name !== 'AbortError') {
-                            eventSource.dispatchEvent({ type: 'error', error: err });
-                        }
-                        eventSource.readyState = 2;
-                    });
-                } else {
-                    // Fallback - read entire body as text
-                    response.text().then(text => {
-                        processData(text);
-                        processEnd();
-                    }).catch(err => {
-                        eventSource.dispatchEvent({ type: 'error', error: err });
-                        eventSource.readyState = 2;
-                    });
+            response.body.on('error', (err) => {
+                reject(errors.fromFetchError(err));
+            });
+        } else {
+            // Fallback - read entire body as text
+            response.text().then(text => {
+                processData(text);
+                processEnd();
+            }).catch(err => reject(errors.fromFetchError(err)));
+        }
+    });
+
+    /**
+     * Handles a response that isn't an event stream
+     * @param {Response|*} response - Fetch response, or a middleware's plain value
+     * @returns {Promise<void>} Resolves once its single event was dispatched
+     */
+    const readSingleResponse = (response) => {
+        // A middleware short-circuited or recovered with a plain value
+        if (!response || !response.headers || typeof response.headers.get !== 'function') {
+            dispatchSSEEvent({
+                type: 'message',
+                data: typeof response === 'string' ? response : JSON.stringify(response),
+                id: null
+            });
+            return Promise.resolve();
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.indexOf('application/json') !== -1) {
+            // Non-SSE JSON response - emit as single event
+            return response.json().then(json => {
+                // Check for gtag (consistent with responseParse)
+                if (json.gtag && typeof window !== 'undefined' && window.gtag) {
+                    json.gtag.map(item => window.gtag.apply(null, item));
                 }
-            } else if (contentType.indexOf('application/json') !== -1) {
-                // Non-SSE JSON response - emit as single event
-                response.json().then(json => {
-                    // Check for gtag (consistent with responseParse)
-                    if (json.gtag && typeof window !== 'undefined' && window.gtag) {
-                        json.gtag.map(item => window.gtag.apply(null, item));
-                    }
 
-                    dispatchSSEEvent({
-                        type: 'message',
-                        data: JSON.stringify(json),
-                        id: null
-                    });
-                    eventSource.readyState = 2;
-                }).catch(err => {
-                    eventSource.dispatchEvent({ type: 'error', error: err });
-                    eventSource.readyState = 2;
+                dispatchSSEEvent({
+                    type: 'message',
+                    data: JSON.stringify(json),
+                    id: null
                 });
-            } else {
-                // Other content types - emit raw text as single event
-                response.text().then(text => {
-                    dispatchSSEEvent({
-                        type: 'message',
-                        data: text,
-                        id: null
-                    });
-                    eventSource.readyState = 2;
-                }).catch(err => {
-                    eventSource.dispatchEvent({ type: 'error', error: err });
-                    eventSource.readyState = 2;
+            }, err => {
+                throw new errors.KlbNotJsonError(err && err.message, {
+                    status: response.status,
+                    headers: response.headers,
+                    parseError: err
                 });
+            });
+        }
+
+        // Other content types - emit raw text as single event
+        return response.text().then(text => {
+            dispatchSSEEvent({
+                type: 'message',
+                data: text,
+                id: null
+            });
+        }, err => {
+            throw errors.fromFetchError(err);
+        });
+    };
+
+    const isEventStream = (response) => !!response && !!response.headers &&
+        typeof response.headers.get === 'function' &&
+        (response.headers.get('content-type') || '').indexOf('text/event-stream') !== -1;
+
+    /**
+     * Checks whether a failure is worth reconnecting after
+     * @param {*} err - Connection or stream error
+     * @returns {Promise<boolean>} Whether to reconnect
+     */
+    const shouldReconnect = (err) => {
+        if (err === null || retry.isRetryable(err)) {
+            return Promise.resolve(true);
+        }
+        if (err instanceof errors.KlbApiError) {
+            // Expired credentials: let the auth provider renew them first
+            return Promise.resolve(apiClient.getAuth().handleExpiredError(err, { client: apiClient })).then(renewed => !!renewed, () => false);
+        }
+        return Promise.resolve(false);
+    };
+
+    /**
+     * Called when the connection ended (err null) or failed
+     * @param {*} err - Error, or null for a stream that ended normally
+     */
+    const handleDisconnect = (err) => {
+        if (eventSource.readyState === 2 || abortController.signal.aborted) {
+            return;
+        }
+
+        const fail = () => {
+            eventSource.readyState = 2;
+            if (err) {
+                emit({ type: 'error', error: err });
             }
-        })
-        .catch(err => {
-            if (err.name !== 'AbortError') {
-                eventSource.dispatchEvent({ type: 'error', error: err });
+            markClosed();
+        };
+
+        if (!reconnect) {
+            fail();
+            return;
+        }
+
+        shouldReconnect(err).then(retryable => {
+            if (eventSource.readyState === 2) {
+                return;
             }
-            eventSource.readyState = 2;
+            if (!retryable) {
+                fail();
+                return;
+            }
+            if (attempts >= reconnect.maxReconnects) {
+                eventSource.readyState = 2;
+                emit({
+                    type: 'error',
+                    error: new errors.KlbError(`Gave up reconnecting after ${attempts} attempts`, { cause: err })
+                });
+                markClosed();
+                return;
+            }
+
+            attempts++;
+            const base = serverRetry !== null ? serverRetry : reconnect.delay;
+            const delay = Math.min(base * Math.pow(reconnect.backoff, attempts - 1), reconnect.maxDelay);
+
+            logger.info(`restSSE ${name}: reconnecting in ${delay}ms (attempt ${attempts})`);
+            eventSource.readyState = 0;
+            if (err) {
+                emit({ type: 'error', error: err });
+            }
+            emit({
+                type: 'reconnect',
+                attempt: attempts,
+                delay: delay,
+                lastEventId: eventSource.lastEventId,
+                error: err
+            });
+
+            reconnectTimer = setTimeout(open, delay);
         });
-    }).catch(err => {
-        eventSource.dispatchEvent({ type: 'error', error: err });
-        eventSource.readyState = 2;
-    });
+    };
+
+    // Opens (or reopens) the connection through the middleware pipeline
+    const open = () => {
+        if (eventSource.readyState === 2) {
+            return;
+        }
+
+        const headers = {};
+        if (eventSource.lastEventId) {
+            headers['Last-Event-ID'] = eventSource.lastEventId;
+        }
+
+        middleware.runPipeline({
+            type: 'sse',
+            name: name,
+            verb: method,
+            params: params,
+            context: context,
+            headers: headers
+        }, connect)
+            .then(response => {
+                if (eventSource.readyState === 2) {
+                    return;
+                }
+
+                // Connection is now open
+                eventSource.readyState = 1;
+                emit({ type: 'open' });
+
+                if (!isEventStream(response)) {
+                    // A single response is the whole answer, nothing to resume
+                    return readSingleResponse(response).then(markClosed);
+                }
+
+                return readEventStream(response).then(() => handleDisconnect(null));
+            })
+            .catch(err => {
+                if (errors.isAbortError(err)) {
+                    markClosed();
+                    return;
+                }
+                handleDisconnect(err);
+            });
+    };
+
+    open();
 
     return eventSource;
 };
 
 // Export new camelCase API
 module.exports.rest = rest;
+module.exports.restFull = restFull;
 module.exports.restGet = restGet;
 module.exports.restSSE = restSSE;
 
@@ -0,0 +1,174 @@
+'use strict';
+/**
+ * @fileoverview Automatic retry policy for REST calls
+ *
+ * `rest()` and `restGet()` retry transient failures — network errors,
+ * 502/503/504 and 429 — with exponential backoff and jitter. GET calls are
+ * retried by default since they are idempotent; other verbs only when the
+ * call passes a `retry` option. A `Retry-After` header on 429/503 responses
+ * replaces the computed backoff.
+ */
+
+const errors = require('./errors');
+const abort = require('./abort');
+const logger = require('./logger');
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+const defaults = {
+    attempts: 3,
+    baseDelay: 1000,
+    maxDelay: 4000,
+    jitter: 500,
+    maxRetryAfter: 30000
+};
+
+/**
+ * Changes the default retry policy for all subsequent calls
+ * @param {Object} policy - Fields to change
+ * @param {number} [policy.attempts] - Total attempts, first one included
+ * @param {number} [policy.baseDelay] - Delay before the first retry (ms), doubled on each retry
+ * @param {number} [policy.maxDelay] - Upper bound of the exponential delay (ms)
+ * @param {number} [policy.jitter] - Random extra delay of up to this many ms
+ * @param {number} [policy.maxRetryAfter] - Longest `Retry-After` (ms) worth waiting for;
+ *   longer waits fail the call instead
+ */
+const configureRetry = (policy) => {
+    if (!policy || typeof policy !== 'object') {
+        throw new TypeError('Retry policy must be an object');
+    }
+    for (const key in policy) {
+        if (!(key in defaults)) {
+            throw new TypeError(`Unknown retry policy field: ${key}`);
+        }
+        if (typeof policy[key] !== 'number' || policy[key] < 0) {
+            throw new TypeError(`Retry policy field ${key} must be a non-negative number`);
+        }
+        defaults[key] = policy[key];
+    }
+};
+
+/**
+ * Resolves the `retry` call option into a policy
+ * @param {boolean|number|Object} [option] - false/true, a number of attempts or policy fields
+ * @param {string} verb - HTTP method of the call
+ * @returns {Object|null} Policy, or null when the call must not be retried
+ */
+const resolvePolicy = (option, verb) => {
+    if (option === undefined || option === null) {
+        option = verb === 'GET';
+    }
+    if (option === false) {
+        return null;
+    }
+    if (option === true) {
+        return Object.assign({}, defaults);
+    }
+    if (typeof option === 'number') {
+        return Object.assign({}, defaults, { attempts: option });
+    }
+    return Object.assign({}, defaults, option);
+};
+
+/**
+ * Checks whether a failed call is worth retrying
+ * @param {*} error - Rejection of the call
+ * @returns {boolean} Whether the failure is transient
+ */
+const isRetryable = (error) => {
+    if (error instanceof errors.KlbNetworkError) {
+        return true;
+    }
+    if (error instanceof errors.KlbHttpError || error instanceof errors.KlbApiError) {
+        return RETRY_STATUSES.indexOf(error.status) !== -1;
+    }
+    return false;
+};
+
+/**
+ * Reads the `Retry-After` header of a failed response
+ * @param {*} error - Rejection of the call
+ * @returns {number|null} Delay in milliseconds, or null when absent/invalid
+ */
+const getRetryAfter = (error) => {
+    const headers = error && error.headers;
+    if (!headers || typeof headers.get !== 'function') {
+        return null;
+    }
+
+    const value = headers.get('retry-after');
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - Date.now());
+};
+
+/**
+ * Computes the delay before a retry
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempt, policy) => {
+    const delay = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+    return delay + Math.random() * policy.jitter;
+};
+
+/**
+ * Computes the wait before retrying a failed attempt
+ * @param {*} error - Rejection of the attempt
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} Delay in milliseconds, or null when the failure must not be retried
+ */
+const getRetryDelay = (error, attempt, policy) => {
+    if (attempt >= policy.attempts || !isRetryable(error)) {
+        return null;
+    }
+
+    const delay = error.status === 429 || error.status === 503 ? getRetryAfter(error) : null;
+    if (delay === null) {
+        return backoffDelay(attempt, policy);
+    }
+    return delay > policy.maxRetryAfter ? null : delay;
+};
+
+/**
+ * Runs a call, retrying transient failures according to a policy
+ * @param {Function} fn - Performs one attempt, returns a promise
+ * @param {Object|null} policy - Policy from resolvePolicy(), null to run once
+ * @param {AbortSignal} [signal] - Stops retrying (and waiting) when aborted
+ * @returns {Promise} Result of the first successful attempt
+ */
+const withRetry = (fn, policy, signal) => {
+    if (!policy) {
+        return fn();
+    }
+
+    const run = (attempt) => fn().catch(error => {
+        const delay = signal && signal.aborted ? null : getRetryDelay(error, attempt, policy);
+        if (delay === null) {
+            throw error;
+        }
+
+        logger.debug(`Retrying in ${delay}ms after attempt ${attempt}:`, error);
+        return abort.sleep(delay, signal).then(() => run(attempt + 1));
+    });
+
+    return run(1);
+};
+
+module.exports.configureRetry = configureRetry;
+module.exports.resolvePolicy = resolvePolicy;
+module.exports.isRetryable = isRetryable;
+module.exports.backoffDelay = backoffDelay;
+module.exports.getRetryDelay = getRetryDelay;
+module.exports.withRetry = withRetry;
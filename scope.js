@@ -0,0 +1,89 @@
+'use strict';
+/**
+ * @fileoverview Storage of the per-request scope of runWithContext()
+ *
+ * On Node.js the scope is kept in an AsyncLocalStorage, so it follows the
+ * callback through timers, promises and `await`. Elsewhere a plain stack is
+ * used: the scope only covers the synchronous part of the callback, which
+ * is what single-user environments such as browsers need.
+ */
+
+let storage = null;
+
+if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    try {
+        const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+        if (AsyncLocalStorage) {
+            storage = new AsyncLocalStorage();
+        }
+    } catch (e) {
+        // Older Node.js versions, use the stack fallback
+    }
+}
+
+// Fallback storage: innermost scope last
+const stack = [];
+
+let scopeCount = 0;
+
+/**
+ * Runs a function with a scope
+ * @param {Object} store - Scope values
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const run = (store, fn) => {
+    store.id = 'scope' + (++scopeCount);
+    return enter(store, fn);
+};
+
+/**
+ * Runs a function in a scope created earlier by run(), again
+ * @param {Object} store - Scope values, as given to run()
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const enter = (store, fn) => {
+    if (storage) {
+        return storage.run(store, fn);
+    }
+    stack.push(store);
+    try {
+        return fn();
+    } finally {
+        stack.pop();
+    }
+};
+
+/**
+ * Returns the scope of the current call, if any
+ * @returns {Object|undefined} Scope values
+ */
+const getStore = () => {
+    if (storage) {
+        return storage.getStore();
+    }
+    return stack[stack.length - 1];
+};
+
+/**
+ * Tells whether the scope follows callbacks through `await`, timers and
+ * promises, or only covers synchronous code
+ * @returns {boolean} Whether AsyncLocalStorage is used
+ */
+const followsAsync = () => storage !== null;
+
+/**
+ * Returns the id of the current scope, to keep shared state per scope
+ * @returns {string} Scope id, or '' outside of any scope
+ */
+const getScopeId = () => {
+    const store = getStore();
+    return store ? store.id : '';
+};
+
+module.exports.run = run;
+module.exports.enter = enter;
+module.exports.getStore = getStore;
+module.exports.followsAsync = followsAsync;
+module.exports.getScopeId = getScopeId;
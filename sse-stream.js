@@ -0,0 +1,273 @@
+'use strict';
+/**
+ * @fileoverview Async-iterator and ReadableStream interfaces for restSSE()
+ *
+ * Both interfaces open the connection with `restSSE()`, so events are parsed
+ * by the same `parseSSEEvent()` and go through the same middlewares, auth
+ * provider and reconnection logic as the callback API.
+ */
+
+const rest = require('./rest');
+const errors = require('./errors');
+
+// Events of the EventSource-like object that aren't server events
+const CONTROL_EVENTS = ['open', 'error', 'reconnect', 'close'];
+
+// Events buffered for a slow reader before the connection is given up
+const DEFAULT_HIGH_WATER_MARK = 1000;
+
+/**
+ * Resolves the `highWaterMark` option
+ * @param {Object} [options] - restSSEStream() options
+ * @returns {number} Most events buffered
+ * @throws {TypeError} When the option is not a positive number
+ */
+const resolveHighWaterMark = (options) => {
+    const value = options && options.highWaterMark !== undefined ? options.highWaterMark : DEFAULT_HIGH_WATER_MARK;
+    if (typeof value !== 'number' || !(value >= 1)) {
+        throw new TypeError('highWaterMark must be a number of events, at least 1');
+    }
+    return value;
+};
+
+/**
+ * Decodes the `data` of an event as JSON when it parses
+ * @param {string} data - Raw event data
+ * @returns {*} Decoded value, or the raw string
+ */
+const decodeData = (data) => {
+    if (data === '') {
+        return data;
+    }
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        return data;
+    }
+};
+
+/**
+ * Opens a restSSE() connection and feeds its server events to callbacks
+ * @param {Array} args - restSSE() arguments (name, method, params, context)
+ * @param {Object} options - restSSE() options, plus `events`, `json` and `signal`
+ * @param {Object} sink - `{ push(event), end(error), full() }`, end is called once. When
+ *   full() is true, the reader fell too far behind: the connection is closed with an error
+ *   rather than buffering more events.
+ * @returns {Function} Function closing the connection
+ */
+const openSource = (args, options, sink) => {
+    options = options || {};
+    const types = options.events === undefined ? null : [].concat(options.events);
+    const json = options.json !== false;
+    const signal = options.signal;
+    let ended = false;
+
+    const end = (error) => {
+        if (ended) return;
+        ended = true;
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        sink.end(error);
+    };
+
+    const onAbort = () => {
+        end(errors.fromAbortSignal(signal));
+        source.close();
+    };
+
+    let failure = null;
+
+    // Server events carry arbitrary type names, so every event is taken from the onEvent hook
+    const onEvent = (event) => {
+        if (event.type === 'error') {
+            // Errors followed by a reconnection aren't fatal
+            if (source.readyState === source.CLOSED) {
+                failure = event.error;
+            }
+            return;
+        }
+        if (event.type === 'close') {
+            end(failure);
+            return;
+        }
+        if (CONTROL_EVENTS.indexOf(event.type) !== -1 || ended) {
+            return;
+        }
+        if (types && types.indexOf(event.type) === -1) {
+            return;
+        }
+        if (sink.full()) {
+            end(new errors.KlbError('The SSE reader fell more than highWaterMark events behind'));
+            source.close();
+            return;
+        }
+        sink.push({
+            type: event.type,
+            data: json ? decodeData(event.data) : event.data,
+            lastEventId: event.lastEventId
+        });
+    };
+
+    const source = rest.restSSE(args[0], args[1], args[2], args[3], Object.assign({}, options, { onEvent }));
+
+    if (signal) {
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort);
+        }
+    }
+
+    return () => {
+        end(null);
+        source.close();
+    };
+};
+
+/**
+ * Iterates over the events of an SSE endpoint
+ *
+ *     for await (const event of restSSEStream('Dashboard/Live:events', 'GET')) {
+ *         console.log(event.type, event.data);
+ *     }
+ *
+ * Each event is `{ type, data, lastEventId }`, with `data` decoded as JSON
+ * when it parses. The loop ends when the stream closes, throws when the
+ * connection fails for good, and breaking out of it closes the connection.
+ * Events received while the loop body runs are buffered, up to
+ * `highWaterMark`: a reader falling further behind fails with a KlbError,
+ * as the server can't be slowed down.
+ *
+ * @param {string} name - API endpoint name
+ * @param {string} [method='GET'] - HTTP method
+ * @param {Object} [params] - Request parameters
+ * @param {Object} [context] - Context object with additional parameters
+ * @param {Object} [options] - restSSE() options (e.g. `reconnect`), plus:
+ * @param {string|string[]} [options.events] - Only yield events of these types
+ * @param {boolean} [options.json=true] - Decode `data` as JSON when it parses
+ * @param {AbortSignal} [options.signal] - Closes the connection, the loop throws KlbAbortError
+ * @param {number} [options.highWaterMark=1000] - Most events buffered while the loop body
+ *   runs; Infinity for no limit
+ * @returns {AsyncIterableIterator<Object>} Async iterator over the events
+ */
+const restSSEStream = (name, method, params, context, options) => {
+    const highWaterMark = resolveHighWaterMark(options);
+    const queue = [];
+    let waiting = null;
+    let done = false;
+    let failure = null;
+
+    const wake = () => {
+        if (waiting) {
+            const resolve = waiting;
+            waiting = null;
+            resolve();
+        }
+    };
+
+    let close = null;
+    const start = () => {
+        close = openSource([name, method, params, context], options, {
+            push: (event) => {
+                queue.push(event);
+                wake();
+            },
+            end: (error) => {
+                done = true;
+                failure = error || null;
+                wake();
+            },
+            full: () => queue.length >= highWaterMark
+        });
+    };
+
+    async function* iterate() {
+        start();
+        try {
+            while (true) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                    continue;
+                }
+                if (done) {
+                    if (failure) {
+                        throw failure;
+                    }
+                    return;
+                }
+                await new Promise(resolve => { waiting = resolve; });
+            }
+        } finally {
+            close();
+        }
+    }
+
+    return iterate();
+};
+
+/**
+ * Resolves the ReadableStream constructor of the platform
+ * @returns {Function} ReadableStream constructor
+ * @throws {KlbError} When the platform has none
+ */
+const getReadableStream = () => {
+    if (typeof ReadableStream !== 'undefined') {
+        return ReadableStream;
+    }
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+        try {
+            return require('stream/web').ReadableStream;
+        } catch (e) {
+            // Node.js without web streams, handled below
+        }
+    }
+    throw new errors.KlbError('ReadableStream is not supported in this environment');
+};
+
+/**
+ * Returns the events of an SSE endpoint as a web ReadableStream
+ *
+ * Takes the same arguments as restSSEStream() and emits the same event
+ * objects. Cancelling the stream closes the connection, and a connection
+ * that fails for good errors the stream.
+ *
+ * @param {string} name - API endpoint name
+ * @param {string} [method='GET'] - HTTP method
+ * @param {Object} [params] - Request parameters
+ * @param {Object} [context] - Context object with additional parameters
+ * @param {Object} [options] - Same options as restSSEStream()
+ * @returns {ReadableStream<Object>} Stream of events
+ */
+const restSSEReadableStream = (name, method, params, context, options) => {
+    const Stream = getReadableStream();
+    const highWaterMark = resolveHighWaterMark(options);
+    let close = null;
+    let cancelled = false;
+
+    return new Stream({
+        start(controller) {
+            close = openSource([name, method, params, context], options, {
+                push: (event) => controller.enqueue(event),
+                end: (error) => {
+                    if (cancelled) {
+                        return;
+                    }
+                    if (error) {
+                        controller.error(error);
+                    } else {
+                        controller.close();
+                    }
+                },
+                full: () => controller.desiredSize <= 0
+            });
+        },
+        cancel() {
+            cancelled = true;
+            close();
+        }
+    }, { highWaterMark });
+};
+
+module.exports.restSSEStream = restSSEStream;
+module.exports.restSSEReadableStream = restSSEReadableStream;
@@ -0,0 +1,147 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+// fetch mock that only settles when its signal aborts, like the real one
+const hangingFetch = () => jest.fn((url, options) => new Promise((resolve, reject) => {
+    if (options && options.signal) {
+        options.signal.addEventListener('abort', () => {
+            const err = new Error('The operation was aborted');
+            err.name = 'AbortError';
+            reject(err);
+        });
+    }
+}));
+
+describe('AbortSignal and timeout support', () => {
+    let rest;
+    let auth;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        auth = require('../auth');
+        errors = require('../errors');
+    });
+
+    afterEach(() => {
+        auth.setAuth(null);
+        delete FW.token_exp;
+    });
+
+    test('an already aborted signal rejects without sending the request', async () => {
+        global.fetch = jest.fn();
+        const controller = new AbortController();
+        controller.abort();
+
+        const err = await rest.rest('User:get', 'GET', {}, {}, { signal: controller.signal }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbAbortError);
+        expect(err.name).toBe('AbortError');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('aborting cancels the in-flight fetch', async () => {
+        global.fetch = hangingFetch();
+        const controller = new AbortController();
+
+        const promise = rest.rest('User:get', 'GET', {}, {}, { signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+
+        const err = await promise.catch(e => e);
+        expect(err).toBeInstanceOf(errors.KlbAbortError);
+        expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    test('timeoutMs rejects with a TimeoutError', async () => {
+        global.fetch = hangingFetch();
+
+        const err = await rest.rest('User:get', 'GET', {}, {}, { timeoutMs: 20 }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbTimeoutError);
+        expect(err.name).toBe('TimeoutError');
+        expect(err.timeoutMs).toBe(20);
+    });
+
+    test('timeoutMs applies even when fetch ignores the signal', async () => {
+        global.fetch = jest.fn(() => new Promise(() => {}));
+
+        const err = await rest.restGet('Misc/Debug:fixedString', {}, null, { timeoutMs: 20 }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbTimeoutError);
+    });
+
+    test('restGet accepts a signal', async () => {
+        global.fetch = hangingFetch();
+        const controller = new AbortController();
+
+        const promise = rest.restGet('Misc/Debug:fixedString', {}, null, { signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+
+        await expect(promise).rejects.toBeInstanceOf(errors.KlbAbortError);
+    });
+
+    test('calls completing in time resolve normally', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({ result: 'success', data: 'ok' }));
+
+        const result = await rest.rest('User:get', 'GET', {}, {}, { timeoutMs: 1000 });
+
+        expect(result.data).toBe('ok');
+    });
+
+    test('aborting during the token refresh rejects and keeps the token expiry', async () => {
+        FW.token_exp = Date.now() + 1000;
+        global.fetch = hangingFetch();
+        const controller = new AbortController();
+
+        const promise = rest.rest('User:get', 'GET', {}, {}, { signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(global.fetch.mock.calls[0][0]).toContain('_special/token.json');
+        controller.abort();
+
+        await expect(promise).rejects.toBeInstanceOf(errors.KlbAbortError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(FW.token_exp).toBeDefined();
+    });
+
+    test('the signal reaches handleExpiredError and aborting skips the retry', async () => {
+        const controller = new AbortController();
+        const handleExpiredError = jest.fn(() => {
+            controller.abort();
+            return new Promise(() => {});
+        });
+        auth.setAuth({
+            applyToRequest() {},
+            refreshIfNeeded: () => Promise.resolve(),
+            handleExpiredError: handleExpiredError
+        });
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 403,
+            statusText: 'Forbidden',
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({ result: 'error', error: 'Login required', token: 'error_login_required' })
+        });
+
+        const err = await rest.rest('User:get', 'GET', {}, {}, { signal: controller.signal }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbAbortError);
+        expect(handleExpiredError.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+});
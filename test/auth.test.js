@@ -200,6 +200,90 @@ describe('Auth abstraction', () => {
             expect(global.fetch).toHaveBeenCalledTimes(1);
         });
     });
+
+    describe('restGet()', () => {
+        const success = () => Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({ result: 'success', data: { ok: true } })
+        });
+
+        test('uses the active provider, context and timezone', async () => {
+            const provider = {
+                name: 'bearer-like',
+                applyToRequest(headers) { headers['Authorization'] = 'Bearer abc'; },
+                refreshIfNeeded: jest.fn().mockResolvedValue(),
+                handleExpiredError: jest.fn().mockResolvedValue(false)
+            };
+            auth.setAuth(provider);
+            global.fetch = jest.fn().mockImplementation(success);
+
+            await rest.restGet('User:get', { a: 1 }, { l: 'fr-FR' });
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(provider.refreshIfNeeded).toHaveBeenCalledTimes(1);
+            expect(options.headers['Authorization']).toBe('Bearer abc');
+            expect(url).toContain('_ctx[l]=fr-FR');
+            expect(url).toContain('_ctx[t]=');
+            expect(url).toContain('_=' + encodeURIComponent(JSON.stringify({ a: 1 })));
+        });
+
+        test('retries once after handleExpiredError returns true', async () => {
+            const provider = {
+                name: 'retrying',
+                applyToRequest() {},
+                refreshIfNeeded: () => Promise.resolve(),
+                handleExpiredError: jest.fn().mockResolvedValue(true)
+            };
+            auth.setAuth(provider);
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: () => 'application/json' },
+                    json: () => Promise.resolve({ result: 'error', error: 'login required', token: 'error_login_required' })
+                })
+                .mockImplementationOnce(success);
+
+            const result = await rest.restGet('User:get');
+
+            expect(result.data).toEqual({ ok: true });
+            expect(provider.handleExpiredError).toHaveBeenCalledTimes(1);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('auth: false keeps the unauthenticated request', async () => {
+            const provider = {
+                name: 'bearer-like',
+                applyToRequest: jest.fn(),
+                refreshIfNeeded: jest.fn().mockResolvedValue(),
+                handleExpiredError: jest.fn().mockResolvedValue(false)
+            };
+            auth.setAuth(provider);
+            global.fetch = jest.fn().mockImplementation(success);
+
+            await rest.restGet('Misc/Debug:fixedString', { a: 1 }, { l: 'fr-FR' }, { auth: false });
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(provider.applyToRequest).not.toHaveBeenCalled();
+            expect(provider.refreshIfNeeded).not.toHaveBeenCalled();
+            expect(url).not.toContain('_ctx');
+            expect(options.credentials).toBe('include');
+        });
+
+        test('takes its options from the fourth argument only', async () => {
+            auth.setAuth(null);
+            global.fetch = jest.fn().mockImplementation(success);
+
+            await rest.restGet('Misc/Debug:fixedString', {}, null, { auth: false, dedupe: false });
+            await rest.restGet('User:get', {}, { l: 'fr-FR', auth: 'x' });
+
+            expect(global.fetch.mock.calls[0][0]).not.toContain('_ctx');
+            expect(global.fetch.mock.calls[1][0]).toContain('_ctx[l]=fr-FR');
+            expect(global.fetch.mock.calls[1][0]).toContain('_ctx[auth]=x');
+        });
+    });
 });
 
 describe('bearerAuth', () => {
@@ -0,0 +1,181 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+// Answers a single call the way the API would
+const answer = (path, params) => {
+    if (path === 'Misc/Debug:error') {
+        return { result: 'error', error: 'This is an error', token: 'error_debug' };
+    }
+    return { result: 'success', data: { path: path, params: params } };
+};
+
+// Local mock of the batch endpoint, also serving single calls
+const batchServer = () => jest.fn((url, options) => {
+    if (url.indexOf('/_rest/_special/batch.json') !== -1) {
+        const body = JSON.parse(options.body);
+        return Promise.resolve(jsonResponse({
+            result: 'success',
+            data: body.requests.map(request => answer(request.path, request.params))
+        }));
+    }
+
+    const path = url.match(/\/_rest\/([^?]*)/)[1];
+    const encoded = url.match(/[?&]_=([^&]*)/);
+    const params = encoded ? JSON.parse(decodeURIComponent(encoded[1])) : JSON.parse(options.body || '{}');
+    return Promise.resolve(jsonResponse(answer(path, params)));
+});
+
+const batchCalls = () => global.fetch.mock.calls.filter(call => call[0].indexOf('_special/batch.json') !== -1);
+
+describe('Request batching', () => {
+    let rest;
+    let batch;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        batch = require('../batch');
+        errors = require('../errors');
+        require('../retry').configureRetry({ attempts: 1 });
+        global.fetch = batchServer();
+    });
+
+    test('calls are sent separately while batching is disabled', async () => {
+        await Promise.all([rest.rest('User:get', 'GET'), rest.rest('Realm:get', 'GET')]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(batchCalls()).toHaveLength(0);
+    });
+
+    test('calls made in the same tick share one request', async () => {
+        batch.configureBatching(true);
+
+        const [user, realm, update] = await Promise.all([
+            rest.rest('User:get', 'GET'),
+            rest.rest('Realm:get', 'GET', { id: 1 }),
+            rest.rest('User:update', 'PATCH', { name: 'x' })
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const body = JSON.parse(batchCalls()[0][1].body);
+        expect(body.requests).toEqual([
+            { path: 'User:get', verb: 'GET', params: {} },
+            { path: 'Realm:get', verb: 'GET', params: { id: 1 } },
+            { path: 'User:update', verb: 'PATCH', params: { name: 'x' } }
+        ]);
+        expect(user.data.path).toBe('User:get');
+        expect(realm.data.params).toEqual({ id: 1 });
+        expect(update.data.path).toBe('User:update');
+    });
+
+    test('each call settles on its own', async () => {
+        batch.configureBatching(true);
+
+        const results = await Promise.allSettled([
+            rest.rest('User:get', 'GET'),
+            rest.rest('Misc/Debug:error', 'GET')
+        ]);
+
+        expect(results[0].status).toBe('fulfilled');
+        expect(results[1].status).toBe('rejected');
+        expect(results[1].reason).toBeInstanceOf(errors.KlbApiError);
+        expect(results[1].reason.token).toBe('error_debug');
+    });
+
+    test('a lone call is sent directly', async () => {
+        batch.configureBatching(true);
+
+        const result = await rest.rest('User:get', 'GET');
+
+        expect(result.data.path).toBe('User:get');
+        expect(batchCalls()).toHaveLength(0);
+    });
+
+    test('calls opting out with batch: false are sent directly', async () => {
+        batch.configureBatching(true);
+
+        await Promise.all([
+            rest.rest('User:get', 'GET'),
+            rest.rest('Realm:get', 'GET'),
+            rest.rest('Order:get', 'GET', {}, {}, { batch: false })
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(batchCalls()[0][1].body).requests).toHaveLength(2);
+    });
+
+    test('calls are grouped by context', async () => {
+        batch.configureBatching(true);
+
+        await Promise.all([
+            rest.rest('User:get', 'GET', {}, { l: 'fr-FR' }),
+            rest.rest('Realm:get', 'GET', {}, { l: 'fr-FR' }),
+            rest.rest('Order:get', 'GET', {}, { l: 'ja-JP' })
+        ]);
+
+        expect(batchCalls()).toHaveLength(1);
+        expect(batchCalls()[0][0]).toContain('_ctx[l]=fr-FR');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('maxSize splits large bursts', async () => {
+        batch.configureBatching({ maxSize: 2 });
+
+        await Promise.all([1, 2, 3, 4].map(id => rest.rest('User:get', 'GET', { id: id })));
+
+        expect(batchCalls()).toHaveLength(2);
+    });
+
+    test('a window gathers calls across ticks', async () => {
+        batch.configureBatching({ window: 20 });
+
+        const first = rest.rest('User:get', 'GET');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = rest.rest('Realm:get', 'GET');
+        await Promise.all([first, second]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failed batch request rejects every call', async () => {
+        batch.configureBatching(true);
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const results = await Promise.allSettled([rest.rest('User:get', 'GET'), rest.rest('Realm:get', 'GET')]);
+
+        expect(results.map(result => result.reason instanceof errors.KlbNetworkError)).toEqual([true, true]);
+    });
+
+    test('calls aborted while queued leave the batch', async () => {
+        batch.configureBatching({ window: 20 });
+        const controller = new AbortController();
+
+        const aborted = rest.rest('Order:get', 'GET', {}, {}, { signal: controller.signal });
+        const kept = [rest.rest('User:get', 'GET'), rest.rest('Realm:get', 'GET')];
+        await new Promise(resolve => setTimeout(resolve, 5));
+        controller.abort();
+
+        await expect(aborted).rejects.toBeInstanceOf(errors.KlbAbortError);
+        await Promise.all(kept);
+        expect(JSON.parse(batchCalls()[0][1].body).requests.map(request => request.path)).toEqual(['User:get', 'Realm:get']);
+    });
+
+    test('configureBatching validates its options', () => {
+        expect(() => batch.configureBatching({ window: -1 })).toThrow(TypeError);
+        expect(() => batch.configureBatching({ maxSize: 0 })).toThrow(TypeError);
+        expect(() => batch.configureBatching('yes')).toThrow(TypeError);
+    });
+});
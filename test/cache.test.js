@@ -0,0 +1,197 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+// fetch mock resolving each call with an increasing counter
+const countingFetch = () => {
+    let count = 0;
+    return jest.fn(() => Promise.resolve(jsonResponse({ result: 'success', data: { n: ++count } })));
+};
+
+// fetch mock that only settles when its signal aborts
+const hangingFetch = () => jest.fn((url, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => {
+        const err = new Error('The operation was aborted');
+        err.name = 'AbortError';
+        reject(err);
+    });
+}));
+
+describe('restGet() deduplication and cache', () => {
+    let rest;
+    let cache;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        cache = require('../cache');
+        errors = require('../errors');
+        global.fetch = countingFetch();
+    });
+
+    test('identical concurrent calls share one request', async () => {
+        const results = await Promise.all([
+            rest.restGet('User:get'),
+            rest.restGet('User:get'),
+            rest.restGet('Catalog/Product', { id: 1 }),
+            rest.restGet('Catalog/Product', { id: 1 }),
+            rest.restGet('Catalog/Product', { id: 2 })
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(results[1]).toEqual(results[0]);
+        expect(results[3]).toEqual(results[2]);
+        expect(results[4]).not.toEqual(results[2]);
+    });
+
+    test('callers sharing a request get their own copy of the result', async () => {
+        const [first, second] = await Promise.all([rest.restGet('User:get'), rest.restGet('User:get')]);
+
+        first.data.n = 'changed';
+
+        expect(second.data.n).toBe(1);
+        expect(second).not.toBe(first);
+    });
+
+    test('sequential calls are not deduplicated without cache', async () => {
+        await rest.restGet('User:get');
+        await rest.restGet('User:get');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('dedupe: false always sends a request', async () => {
+        await Promise.all([
+            rest.restGet('User:get'),
+            rest.restGet('User:get', undefined, null, { dedupe: false })
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('cached responses are served until the TTL expires', async () => {
+        const nowSpy = jest.spyOn(Date, 'now');
+        nowSpy.mockReturnValue(1000000);
+
+        const first = await rest.restGet('Catalog/Product', { id: 1 }, null, { cache: 5000 });
+        const second = await rest.restGet('Catalog/Product', { id: 1 }, null, { cache: 5000 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(second).toEqual(first);
+        expect(second).not.toBe(first);
+
+        nowSpy.mockReturnValue(1006000);
+        const third = await rest.restGet('Catalog/Product', { id: 1 }, null, { cache: 5000 });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(third.data.n).toBe(2);
+
+        nowSpy.mockRestore();
+    });
+
+    test('calls without the cache option ignore cached entries', async () => {
+        await rest.restGet('User:get', {}, null, { cache: true });
+        await rest.restGet('User:get');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('invalidate() drops entries by endpoint prefix', async () => {
+        await rest.restGet('Catalog/Product', { id: 1 }, null, { cache: true });
+        await rest.restGet('User:get', {}, null, { cache: true });
+
+        cache.invalidate('Catalog/');
+
+        await rest.restGet('Catalog/Product', { id: 1 }, null, { cache: true });
+        await rest.restGet('User:get', {}, null, { cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('invalidate() keeps in-flight results out of the cache', async () => {
+        const pending = rest.restGet('Catalog/Product', { id: 1 }, null, { cache: true });
+        cache.invalidate('Catalog/');
+        await pending;
+
+        await rest.restGet('Catalog/Product', { id: 1 }, null, { cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('failed calls are not cached', async () => {
+        global.fetch = jest.fn().mockResolvedValueOnce({
+            ok: false,
+            status: 404,
+            statusText: 'Not Found',
+            headers: { get: () => 'text/html' }
+        }).mockResolvedValueOnce(jsonResponse({ result: 'success', data: 'ok' }));
+
+        await expect(rest.restGet('User:get', {}, null, { cache: true })).rejects.toBeInstanceOf(errors.KlbHttpError);
+        await expect(rest.restGet('User:get', {}, null, { cache: true })).resolves.toMatchObject({ data: 'ok' });
+    });
+
+    test('maxEntries evicts the least recently used entry', async () => {
+        cache.configureCache({ maxEntries: 2 });
+
+        await rest.restGet('A', {}, null, { cache: true });
+        await rest.restGet('B', {}, null, { cache: true });
+        await rest.restGet('A', {}, null, { cache: true });
+        await rest.restGet('C', {}, null, { cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+
+        await rest.restGet('A', {}, null, { cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        await rest.restGet('B', {}, null, { cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('responses larger than maxBytes are not stored', async () => {
+        cache.configureCache({ maxBytes: 10 });
+
+        await rest.restGet('User:get', {}, null, { cache: true });
+        await rest.restGet('User:get', {}, null, { cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('one caller aborting does not cancel the shared request', async () => {
+        const controller = new AbortController();
+        const aborted = rest.restGet('User:get', {}, null, { signal: controller.signal });
+        const kept = rest.restGet('User:get');
+
+        controller.abort();
+
+        await expect(aborted).rejects.toBeInstanceOf(errors.KlbAbortError);
+        await expect(kept).resolves.toMatchObject({ data: { n: 1 } });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('the shared request is aborted once every caller gave up', async () => {
+        global.fetch = hangingFetch();
+        const first = new AbortController();
+        const second = new AbortController();
+        const a = rest.restGet('User:get', {}, null, { signal: first.signal });
+        const b = rest.restGet('User:get', {}, null, { signal: second.signal });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        first.abort();
+        expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(false);
+        second.abort();
+        expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+
+        await expect(a).rejects.toBeInstanceOf(errors.KlbAbortError);
+        await expect(b).rejects.toBeInstanceOf(errors.KlbAbortError);
+    });
+
+    test('configureCache rejects invalid options', () => {
+        expect(() => cache.configureCache({ ttl: 'long' })).toThrow(TypeError);
+        expect(() => cache.configureCache({ size: 1 })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+const success = (data) => () => Promise.resolve(jsonResponse({ result: 'success', data: data }));
+
+const provider = (token) => ({
+    name: 'test',
+    applyToRequest: jest.fn((headers) => { headers['Authorization'] = 'Bearer ' + token; }),
+    refreshIfNeeded: jest.fn().mockResolvedValue(),
+    handleExpiredError: jest.fn().mockResolvedValue(false)
+});
+
+describe('createClient()', () => {
+    let client;
+    let rest;
+    let auth;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        client = require('../client');
+        rest = require('../rest');
+        auth = require('../auth');
+        global.fetch = jest.fn(success('global'));
+    });
+
+    afterEach(() => {
+        auth.setAuth(null);
+    });
+
+    test('calls go to the client host, prefix and context with its auth and fetch', async () => {
+        const clientFetch = jest.fn(success('client'));
+        const clientAuth = provider('abc');
+        const api = client.createClient({
+            baseUrl: 'https://api.example.com/',
+            apiPrefix: '/v1',
+            context: { l: 'fr-FR', c: 'EUR' },
+            auth: clientAuth,
+            fetch: clientFetch
+        });
+
+        const result = await api.rest('User:get', 'GET', {}, { g: 'admin' });
+
+        expect(result.data).toBe('client');
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(clientAuth.refreshIfNeeded).toHaveBeenCalledTimes(1);
+
+        const [url, options] = clientFetch.mock.calls[0];
+        expect(url).toMatch(/^https:\/\/api\.example\.com\/v1\/_rest\/User:get/);
+        expect(url).toContain('_ctx[l]=fr-FR');
+        expect(url).toContain('_ctx[c]=EUR');
+        expect(url).toContain('_ctx[g]=admin');
+        expect(url).not.toContain('_ctx[b]=master');
+        expect(options.headers['Authorization']).toBe('Bearer abc');
+    });
+
+    test('two clients keep their own configuration', async () => {
+        const first = client.createClient({ baseUrl: 'https://one.example.com', auth: provider('one') });
+        const second = client.createClient({ baseUrl: 'https://two.example.com', auth: provider('two') });
+
+        await Promise.all([first.restGet('User:get'), second.restGet('User:get')]);
+
+        const calls = global.fetch.mock.calls;
+        expect(calls).toHaveLength(2);
+        expect(calls[0][0]).toMatch(/^https:\/\/one\.example\.com\//);
+        expect(calls[0][1].headers['Authorization']).toBe('Bearer one');
+        expect(calls[1][0]).toMatch(/^https:\/\/two\.example\.com\//);
+        expect(calls[1][1].headers['Authorization']).toBe('Bearer two');
+    });
+
+    test('the top-level functions keep using the global configuration', async () => {
+        const custom = provider('custom');
+        client.createClient({ baseUrl: 'https://api.example.com', auth: custom });
+
+        await rest.rest('User:get', 'GET');
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toMatch(/^\/_rest\/User:get/);
+        expect(url).toContain('_ctx[b]=master');
+        expect(options.headers['Authorization']).toBe('Session test-csrf-token');
+        expect(custom.applyToRequest).not.toHaveBeenCalled();
+    });
+
+    test('settings that are not given fall back to the global ones', async () => {
+        const api = client.createClient({ baseUrl: 'https://api.example.com' });
+
+        await api.rest('User:get', 'GET');
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toMatch(/^https:\/\/api\.example\.com\/_rest\/User:get/);
+        expect(url).toContain('_ctx[b]=master');
+        expect(options.headers['Authorization']).toBe('Session test-csrf-token');
+    });
+
+    test('restGet() deduplication does not mix clients', async () => {
+        const first = client.createClient({ baseUrl: 'https://one.example.com' });
+
+        await Promise.all([first.restGet('User:get'), rest.restGet('User:get')]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('restSSE() connects through the client', async () => {
+        const clientFetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: { get: () => 'text/event-stream' },
+            text: () => Promise.resolve('data: hello\n\n')
+        });
+        const api = client.createClient({ baseUrl: 'https://api.example.com', fetch: clientFetch });
+
+        const source = api.restSSE('Misc/Debug:sse', 'GET');
+        const event = await new Promise(resolve => source.addEventListener('message', resolve));
+
+        expect(event.data).toBe('hello');
+        expect(clientFetch.mock.calls[0][0]).toMatch(/^https:\/\/api\.example\.com\/_rest\/Misc\/Debug:sse/);
+    });
+
+    test('uploadFile() initializes the upload through the client', async () => {
+        const clientFetch = jest.fn(success({ Complete: 'Cloud/Upload:complete' }));
+        const api = client.createClient({ baseUrl: 'https://api.example.com', fetch: clientFetch });
+
+        await expect(api.uploadFile('Misc/Debug:testUpload', Buffer.from('x'), 'POST', { filename: 'a.txt' }))
+            .rejects.toThrow('Invalid upload response format');
+
+        expect(clientFetch.mock.calls[0][0]).toMatch(/^https:\/\/api\.example\.com\/_rest\/Misc\/Debug:testUpload/);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('uploadFile() sends the data through the client fetch', async () => {
+        const clientFetch = jest.fn((url) => {
+            if (url.includes('Misc/Debug:testUpload')) {
+                return success({ PUT: 'https://storage.example.com/upload', Complete: 'Cloud/Upload:complete' })();
+            }
+            if (url.includes('Cloud/Upload:complete')) {
+                return success({ Blob__: 'blob-1' })();
+            }
+            return Promise.resolve({ ok: true, status: 200, headers: { get: () => null }, text: () => Promise.resolve('') });
+        });
+        const api = client.createClient({ baseUrl: 'https://api.example.com', fetch: clientFetch });
+
+        const result = await api.uploadFile('Misc/Debug:testUpload', Buffer.from('x'), 'POST', { filename: 'a.txt' }, null, {
+            onUploadProgress: () => {}
+        });
+
+        expect(result.data.Blob__).toBe('blob-1');
+        const put = clientFetch.mock.calls.find(call => call[0] === 'https://storage.example.com/upload');
+        expect(put[1].method).toBe('PUT');
+        expect(put[1].onUploadProgress).toBeUndefined();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('uploadFile() sends S3 parts through the client fetch', async () => {
+        const clientFetch = jest.fn((url) => {
+            if (url.includes('Misc/Debug:testUpload')) {
+                return success({
+                    Cloud_Aws_Bucket_Upload__: 'clabu-test-id',
+                    Bucket_Endpoint: { Host: 'example.s3.amazonaws.com', Name: 'test-bucket', Region: 'us-east-1' },
+                    Key: 'uploads/test.bin'
+                })();
+            }
+            if (url.includes('signV4')) {
+                return success({ authorization: 'AWS4-HMAC-SHA256 Credential=test' })();
+            }
+            if (url.includes('handleComplete')) {
+                return success({ Blob__: 'blob-aws' })();
+            }
+            const body = url.includes('uploads=') ? '<InitiateMultipartUploadResult><UploadId>upload-id</UploadId></InitiateMultipartUploadResult>' : '';
+            return Promise.resolve({ ok: true, status: 200, headers: { get: (name) => name === 'ETag' ? '"etag"' : null }, text: () => Promise.resolve(body) });
+        });
+        const api = client.createClient({ baseUrl: 'https://api.example.com', fetch: clientFetch });
+
+        const result = await api.uploadFile('Misc/Debug:testUpload', Buffer.from('x'), 'POST', {}, null, { integrity: false });
+
+        expect(result.data.Blob__).toBe('blob-aws');
+        expect(clientFetch.mock.calls.some(call => call[0].includes('partNumber=1'))).toBe(true);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('sessionAuth renews the token of the client through the client, never the global fetch', async () => {
+        const clientFetch = jest.fn((url) => url.includes('_special/token.json')
+            ? success()().then(response => Object.assign(response, {
+                json: () => Promise.resolve({ token: 'renewed', token_exp: Date.now() + 3600000 })
+            }))
+            : success('client')());
+        const api = client.createClient({
+            baseUrl: 'https://api.example.com',
+            siteStatic: true,
+            token: 'expiring',
+            tokenExp: Date.now() + 1000,
+            fetch: clientFetch
+        });
+
+        await api.rest('User:get', 'GET');
+        await api.rest('User:get', 'GET');
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        const urls = clientFetch.mock.calls.map(call => call[0]);
+        expect(urls.filter(url => url.includes('_special/token.json'))).toHaveLength(1);
+        expect(urls[0]).toMatch(/^https:\/\/api\.example\.com\/_rest\/_special\/token\.json\?static&/);
+        expect(clientFetch.mock.calls[0][1].headers['Authorization']).toBe('Session expiring');
+        expect(clientFetch.mock.calls[2][1].headers['Authorization']).toBe('Session renewed');
+        expect(global.FW.token).toBe('test-csrf-token');
+    });
+
+    test('siteStatic is a setting of each client', async () => {
+        const api = client.createClient({ baseUrl: 'https://api.example.com', siteStatic: true });
+
+        await Promise.all([api.rest('User:get', 'GET'), rest.rest('User:get', 'GET')]);
+
+        expect(global.fetch.mock.calls[0][0]).toContain('/_rest/User:get?static');
+        expect(global.fetch.mock.calls[1][0]).not.toContain('static');
+    });
+
+    test('rejects invalid settings', () => {
+        expect(() => client.createClient({ baseURL: 'https://api.example.com' })).toThrow(TypeError);
+        expect(() => client.createClient({ baseUrl: 42 })).toThrow(TypeError);
+        expect(() => client.createClient({ auth: {} })).toThrow(TypeError);
+        expect(() => client.createClient({ fetch: 'fetch' })).toThrow(TypeError);
+        expect(() => client.createClient({ siteStatic: 'yes' })).toThrow(TypeError);
+        expect(() => client.createClient({ tokenExp: 1000 })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+describe('configure()', () => {
+    let config;
+    let fwWrapper;
+    let internal;
+    let savedFW;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        savedFW = global.FW;
+        global.FW = JSON.parse(JSON.stringify(savedFW));
+        config = require('../config');
+        fwWrapper = require('../fw-wrapper');
+        internal = require('../internal');
+    });
+
+    afterEach(() => {
+        global.FW = savedFW;
+    });
+
+    test('writes into the global FW when there is one', () => {
+        config.configure({
+            callUrlPrefix: 'https://shop.example.com/',
+            apiPrefix: '/api',
+            locale: 'fr-FR',
+            currency: 'EUR',
+            context: { g: 'member' },
+            siteStatic: true,
+            token: 'tok'
+        });
+
+        expect(fwWrapper.getCallUrlPrefix()).toBe('https://shop.example.com');
+        expect(fwWrapper.getApiPrefix()).toBe('/api');
+        expect(fwWrapper.getLocale()).toBe('fr-FR');
+        expect(fwWrapper.getCurrency()).toBe('EUR');
+        expect(fwWrapper.getContext()).toEqual({ b: 'master', c: 'EUR', l: 'fr-FR', g: 'member' });
+        expect(fwWrapper.getSiteStatic()).toBe(true);
+        expect(fwWrapper.getToken()).toBe('tok');
+        expect(global.FW.Locale).toBe('fr-FR');
+    });
+
+    test('only the given options change', () => {
+        config.configure({ currency: 'JPY' });
+
+        expect(fwWrapper.getCurrency()).toBe('JPY');
+        expect(fwWrapper.getLocale()).toBe('en-US');
+        expect(fwWrapper.getToken()).toBe('test-csrf-token');
+    });
+
+    test('works without a global FW', () => {
+        delete global.FW;
+        jest.resetModules();
+        config = require('../config');
+        fwWrapper = require('../fw-wrapper');
+        internal = require('../internal');
+
+        config.configure({ callUrlPrefix: 'https://api.example.com', locale: 'ja-JP', siteStatic: false });
+
+        expect(typeof FW).toBe('undefined');
+        expect(fwWrapper.getLocale()).toBe('ja-JP');
+        expect(internal.buildRestUrl('User:get', true, {})).toBe('https://api.example.com/_rest/User:get?_ctx[l]=ja-JP');
+    });
+
+    test('keeps the no-FW defaults for options that are not given', () => {
+        delete global.FW;
+        jest.resetModules();
+        config = require('../config');
+        fwWrapper = require('../fw-wrapper');
+
+        const prefix = fwWrapper.getCallUrlPrefix();
+        config.configure({ token: 'tok' });
+
+        expect(fwWrapper.getCallUrlPrefix()).toBe(prefix);
+        expect(fwWrapper.getSiteStatic()).toBe(true);
+        expect(fwWrapper.getToken()).toBe('tok');
+    });
+
+    test('rejects invalid options without changing anything', () => {
+        expect(() => config.configure()).toThrow(TypeError);
+        expect(() => config.configure({ callUrl: 'https://x' })).toThrow(TypeError);
+        expect(() => config.configure({ callUrlPrefix: 'shop.example.com' })).toThrow(TypeError);
+        expect(() => config.configure({ apiPrefix: 'api' })).toThrow(TypeError);
+        expect(() => config.configure({ locale: 'french' })).toThrow(TypeError);
+        expect(() => config.configure({ currency: 'eur' })).toThrow(TypeError);
+        expect(() => config.configure({ context: { g: {} } })).toThrow(TypeError);
+        expect(() => config.configure({ siteStatic: 'yes' })).toThrow(TypeError);
+        expect(() => config.configure({ locale: 'fr-FR', token: 42 })).toThrow(TypeError);
+
+        expect(fwWrapper.getLocale()).toBe('en-US');
+    });
+});
+
+describe('loadConfigFromEnv()', () => {
+    let config;
+    let fwWrapper;
+    let savedFW;
+
+    beforeEach(() => {
+        jest.resetModules();
+        savedFW = global.FW;
+        global.FW = JSON.parse(JSON.stringify(savedFW));
+        config = require('../config');
+        fwWrapper = require('../fw-wrapper');
+    });
+
+    afterEach(() => {
+        global.FW = savedFW;
+    });
+
+    test('reads the KLB_* variables', () => {
+        const applied = config.loadConfigFromEnv({
+            KLB_CALL_URL_PREFIX: 'https://api.example.com',
+            KLB_API_PREFIX: '/v1',
+            KLB_LOCALE: 'de-DE',
+            KLB_CURRENCY: 'EUR',
+            KLB_CONTEXT: '{"g":"admin"}',
+            KLB_SITE_STATIC: '0',
+            KLB_TOKEN: 'tok',
+            KLB_CURRENCY_UNUSED: 'x',
+            KLB_API_PREFIX_EMPTY: ''
+        });
+
+        expect(applied).toEqual({
+            callUrlPrefix: 'https://api.example.com',
+            apiPrefix: '/v1',
+            locale: 'de-DE',
+            currency: 'EUR',
+            context: { g: 'admin' },
+            siteStatic: false,
+            token: 'tok'
+        });
+        expect(fwWrapper.getContext().g).toBe('admin');
+        expect(fwWrapper.getSiteStatic()).toBe(false);
+    });
+
+    test('defaults to process.env and ignores empty variables', () => {
+        const saved = process.env.KLB_LOCALE;
+        process.env.KLB_LOCALE = 'it-IT';
+        process.env.KLB_CURRENCY = '';
+        try {
+            expect(config.loadConfigFromEnv()).toEqual({ locale: 'it-IT' });
+            expect(fwWrapper.getLocale()).toBe('it-IT');
+        } finally {
+            if (saved === undefined) delete process.env.KLB_LOCALE;
+            else process.env.KLB_LOCALE = saved;
+            delete process.env.KLB_CURRENCY;
+        }
+    });
+
+    test('rejects malformed values', () => {
+        expect(() => config.loadConfigFromEnv({ KLB_CONTEXT: '{g:1}' })).toThrow(/KLB_CONTEXT/);
+        expect(() => config.loadConfigFromEnv({ KLB_SITE_STATIC: 'maybe' })).toThrow(/KLB_SITE_STATIC/);
+        expect(() => config.loadConfigFromEnv({ KLB_CURRENCY: 'euro' })).toThrow(TypeError);
+    });
+});
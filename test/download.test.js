@@ -0,0 +1,272 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+
+const CONTENT = 'abcdefghijklmnopqrstuvwxyz';
+
+const response = (status, chunks, headers) => ({
+    ok: status >= 200 && status < 300,
+    status: status,
+    statusText: status === 404 ? 'Not Found' : 'OK',
+    headers: { get: (name) => (headers || {})[name.toLowerCase()] || null },
+    body: Readable.from((async function* () {
+        for (const chunk of chunks) {
+            if (chunk instanceof Error) throw chunk;
+            yield Buffer.from(chunk);
+        }
+    })())
+});
+
+// Serves CONTENT, honoring Range headers unless told otherwise
+const server = (options) => {
+    options = options || {};
+    return jest.fn((url, init) => {
+        const range = init.headers.Range;
+        const match = range && /^bytes=(\d+)-(\d*)$/.exec(range);
+        if (!match || options.ranges === false) {
+            return Promise.resolve(response(200, [CONTENT], {
+                'content-type': 'text/plain',
+                'content-length': String(CONTENT.length)
+            }));
+        }
+        const start = parseInt(match[1], 10);
+        const end = match[2] ? Math.min(parseInt(match[2], 10), CONTENT.length - 1) : CONTENT.length - 1;
+        return Promise.resolve(response(206, [CONTENT.slice(start, end + 1)], {
+            'content-type': 'text/plain',
+            'content-range': `bytes ${start}-${end}/${CONTENT.length}`
+        }));
+    });
+};
+
+const collector = () => {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    stream.text = () => Buffer.concat(chunks).toString();
+    return stream;
+};
+
+const blobText = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+});
+
+const fast = { baseDelay: 1, maxDelay: 1, jitter: 0 };
+
+describe('downloadFile()', () => {
+    let download;
+    let errors;
+    let auth;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        download = require('../download');
+        errors = require('../errors');
+        auth = require('../auth');
+    });
+
+    test('downloads an endpoint into a Blob with credentials and progress', async () => {
+        global.fetch = server();
+        const progress = [];
+
+        const blob = await download.downloadFile('Misc/Debug:download', {
+            params: { id: 1 },
+            concurrency: 1,
+            onProgress: event => progress.push(event)
+        });
+
+        expect(await blobText(blob)).toBe(CONTENT);
+        expect(blob.type).toBe('text/plain');
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toContain('/_rest/Misc/Debug:download');
+        expect(url).toContain('_=' + encodeURIComponent('{"id":1}'));
+        expect(init.headers['Authorization']).toBe('Session test-csrf-token');
+        expect(init.headers['Range']).toBeUndefined();
+        expect(progress[progress.length - 1]).toMatchObject({ loaded: 26, total: 26, progress: 1 });
+        expect(typeof progress[0].speed).toBe('number');
+    });
+
+    test('does not send credentials to other hosts', async () => {
+        global.fetch = server();
+
+        await download.downloadFile('https://storage.example.net/file.txt', { concurrency: 1 });
+
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://storage.example.net/file.txt');
+        expect(init.headers['Authorization']).toBeUndefined();
+    });
+
+    test('fetches large files as parallel ranged parts, in order', async () => {
+        global.fetch = server();
+        const stream = collector();
+
+        const result = await download.downloadFile('https://storage.example.net/file.txt', {
+            destination: stream,
+            partSize: 10,
+            concurrency: 3
+        });
+
+        expect(stream.text()).toBe(CONTENT);
+        expect(result).toEqual({ size: 26, type: 'text/plain' });
+        expect(global.fetch.mock.calls.map(call => call[1].headers.Range))
+            .toEqual(['bytes=0-9', 'bytes=10-19', 'bytes=20-25']);
+    });
+
+    test('resumes from the last byte after a failure', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(response(200, ['abcdefgh', new TypeError('socket hang up')], {
+                'content-length': '26'
+            }))
+            .mockImplementation(server());
+
+        const stream = collector();
+        await download.downloadFile('https://storage.example.net/file.txt', {
+            destination: stream,
+            concurrency: 1,
+            retry: fast
+        });
+
+        expect(stream.text()).toBe(CONTENT);
+        expect(global.fetch.mock.calls[1][1].headers.Range).toBe('bytes=8-');
+    });
+
+    test('skips the bytes already received when the server ignores Range', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(response(200, ['abcdefgh', new TypeError('socket hang up')], {}))
+            .mockImplementation(server({ ranges: false }));
+
+        const stream = collector();
+        await download.downloadFile('https://storage.example.net/file.txt', {
+            destination: stream,
+            concurrency: 1,
+            retry: fast
+        });
+
+        expect(stream.text()).toBe(CONTENT);
+    });
+
+    test('falls back to a single request when ranges are not supported', async () => {
+        global.fetch = server({ ranges: false });
+        const stream = collector();
+
+        await download.downloadFile('https://storage.example.net/file.txt', { destination: stream, partSize: 10 });
+
+        expect(stream.text()).toBe(CONTENT);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('writes parts to a file path in Node.js', async () => {
+        const { env } = require('../upload-internal');
+        const target = path.join(os.tmpdir(), `klbfw-download-${process.pid}.txt`);
+        env.isBrowser = false;
+        global.fetch = server();
+
+        try {
+            const result = await download.downloadFile('https://storage.example.net/file.txt', {
+                destination: target,
+                partSize: 7,
+                concurrency: 2
+            });
+
+            expect(result).toEqual({ path: target, size: 26, type: 'text/plain' });
+            expect(fs.readFileSync(target, 'utf8')).toBe(CONTENT);
+        } finally {
+            env.isBrowser = true;
+            if (fs.existsSync(target)) fs.unlinkSync(target);
+        }
+    });
+
+    test('rejects with the REST error classes and does not retry client errors', async () => {
+        global.fetch = jest.fn().mockResolvedValue(response(404, [''], { 'content-type': 'text/html' }));
+
+        const err = await download.downloadFile('Misc/Debug:download').catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbHttpError);
+        expect(err.status).toBe(404);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('uses the auth provider of the client', async () => {
+        auth.setAuth({
+            refreshIfNeeded: () => Promise.resolve(),
+            applyToRequest: (headers) => { headers['Authorization'] = 'Bearer client-token'; },
+            handleExpiredError: () => Promise.resolve(false)
+        });
+        global.fetch = server();
+
+        try {
+            await download.downloadFile('/_special/export.csv', { concurrency: 1 });
+        } finally {
+            auth.setAuth(null);
+        }
+
+        expect(global.fetch.mock.calls[0][1].headers['Authorization']).toBe('Bearer client-token');
+    });
+
+    test('aborting rejects with a KlbAbortError', async () => {
+        const controller = new AbortController();
+        global.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        }));
+
+        const pending = download.downloadFile('https://storage.example.net/file.txt', { signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toBeInstanceOf(errors.KlbAbortError);
+    });
+
+    test('a failed download destroys a Node.js stream destination', async () => {
+        global.fetch = jest.fn().mockResolvedValue(response(404, [''], { 'content-type': 'text/html' }));
+        const stream = collector();
+
+        const err = await download.downloadFile('https://storage.example.net/file.txt', { destination: stream }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbHttpError);
+        expect(stream.destroyed).toBe(true);
+        expect(stream.errored).toBe(err);
+    });
+
+    test('aborting aborts a WritableStream destination', async () => {
+        const controller = new AbortController();
+        const aborted = [];
+        const destination = {
+            getWriter: () => ({
+                write: () => Promise.resolve(),
+                close: () => Promise.resolve(),
+                abort: (reason) => {
+                    aborted.push(reason);
+                    return Promise.resolve();
+                }
+            })
+        };
+        global.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        }));
+
+        const pending = download.downloadFile('https://storage.example.net/file.txt', { destination: destination, signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toBeInstanceOf(errors.KlbAbortError);
+        expect(aborted).toHaveLength(1);
+    });
+
+    test('rejects invalid arguments', async () => {
+        await expect(download.downloadFile('')).rejects.toThrow(TypeError);
+        await expect(download.downloadFile('x', { concurrency: 0 })).rejects.toThrow(TypeError);
+        await expect(download.downloadFile('x', { destination: 42 })).rejects.toThrow(TypeError);
+        await expect(download.downloadFile('x', { destination: '/tmp/x' })).rejects.toThrow(/Node/);
+    });
+});
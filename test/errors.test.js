@@ -0,0 +1,144 @@
+'use strict';
+
+const { setupClientMode, setupSSRMode, resetMocks } = require('./setup');
+
+describe('Typed errors', () => {
+    let rest;
+    let util;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        util = require('../util');
+        errors = require('../errors');
+    });
+
+    test('API error payloads reject with KlbApiError', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 403,
+            statusText: 'Forbidden',
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({
+                result: 'error',
+                error: 'Login required',
+                token: 'error_login_required',
+                extra: 'detail',
+                request_id: 'req-1',
+                message: { token: 'error_login_required', args: [] }
+            })
+        });
+
+        const err = await rest.rest('User:get', 'GET').catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbApiError);
+        expect(err).toBeInstanceOf(errors.KlbError);
+        expect(err).toBeInstanceOf(Error);
+        expect(err.message).toBe('Login required');
+        expect(err.token).toBe('error_login_required');
+        expect(err.extra).toBe('detail');
+        expect(err.status).toBe(403);
+        expect(err.request_id).toBe('req-1');
+        expect(err.messageData).toEqual({ token: 'error_login_required', args: [] });
+        expect(err.result).toBe('error');
+        expect(typeof err.stack).toBe('string');
+    });
+
+    test('non-JSON error responses reject with KlbHttpError', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 502,
+            statusText: 'Bad Gateway',
+            headers: { get: () => 'text/html' }
+        });
+
+        const err = await rest.rest('User:get', 'GET', {}, null, { retry: false }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbHttpError);
+        expect(err.status).toBe(502);
+        expect(err.message).toBe('HTTP Error: 502 Bad Gateway');
+    });
+
+    test('non-JSON success responses reject with KlbNotJsonError', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'text/plain' },
+            text: () => Promise.resolve('hello')
+        });
+
+        const err = await rest.restGet('Misc/Debug:fixedString').catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbNotJsonError);
+        expect(err.message).toBe('Not JSON');
+        expect(err.body).toBe('hello');
+    });
+
+    test('fetch failures reject with KlbNetworkError', async () => {
+        const cause = new TypeError('Failed to fetch');
+        global.fetch = jest.fn().mockRejectedValue(cause);
+
+        const err = await rest.rest('User:get', 'GET', {}, null, { retry: false }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbNetworkError);
+        expect(err.message).toBe('Failed to fetch');
+        expect(err.cause).toBe(cause);
+    });
+
+    test('aborted fetches reject with KlbAbortError named AbortError', async () => {
+        const abort = new Error('The operation was aborted');
+        abort.name = 'AbortError';
+        global.fetch = jest.fn().mockRejectedValue(abort);
+
+        const err = await rest.restGet('User:get').catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbAbortError);
+        expect(err.name).toBe('AbortError');
+    });
+
+    test('restSSE error events carry typed errors', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 500,
+            statusText: 'Internal Server Error',
+            headers: { get: () => 'text/plain' }
+        });
+
+        const event = await new Promise(resolve => {
+            rest.restSSE('Misc/Debug:sse', 'GET').onerror = resolve;
+        });
+
+        expect(event.error).toBeInstanceOf(errors.KlbHttpError);
+        expect(event.error.status).toBe(500);
+    });
+
+    test('getI18N rejects with KlbHttpError', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 404,
+            statusText: 'Not Found'
+        });
+
+        const err = await util.getI18N('xx-XX').catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbHttpError);
+        expect(err.status).toBe(404);
+    });
+
+    test('platform error results reject with KlbApiError', async () => {
+        setupSSRMode();
+        resetMocks();
+
+        const err = await rest.rest('Misc/Debug:error', 'GET').catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbApiError);
+        expect(err.message).toBe('This is an error response');
+        expect(err.code).toBe('TEST_ERROR');
+
+        setupClientMode();
+    });
+});
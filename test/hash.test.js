@@ -0,0 +1,191 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+
+const MB = 1024 * 1024;
+
+const json = (data) => Promise.resolve({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve({ result: 'success', data }),
+    text: () => Promise.resolve('')
+});
+
+const ok = (headers, body) => Promise.resolve({
+    ok: true,
+    status: 200,
+    headers: { get: (name) => (headers || {})[name] || null },
+    text: () => Promise.resolve(body || '')
+});
+
+const data = Buffer.from([0, 1, 2, 0xff, 0xfe, 0x80]);
+const expected = crypto.createHash('sha256').update(data).digest('hex');
+
+// Replace globalThis.crypto for one test
+const withWebCrypto = async (webCrypto, fn) => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: webCrypto, configurable: true, writable: true });
+    try {
+        await fn();
+    } finally {
+        Object.defineProperty(globalThis, 'crypto', descriptor);
+    }
+};
+
+describe('hash backends', () => {
+    let hash;
+    let env;
+
+    beforeEach(() => {
+        jest.resetModules();
+        hash = require('../hash');
+        env = require('../upload-internal').env;
+        require('../logger').setLogger(null, { level: 'silent' });
+    });
+
+    afterEach(() => {
+        env.isBrowser = true;
+        delete global.Worker;
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    test('uses Node.js crypto outside browsers', async () => {
+        env.isBrowser = false;
+
+        expect(hash.toHex(await hash.sha256(data))).toBe(expected);
+        expect(hash.toHex(hash.md5(data))).toBe(crypto.createHash('md5').update(data).digest('hex'));
+        expect(hash.hasNativeIncrementalHash()).toBe(true);
+    });
+
+    test('uses crypto.subtle in browsers, js-sha256 without it', async () => {
+        const digest = jest.fn((algorithm, bytes) => Promise.resolve(crypto.createHash('sha256').update(bytes).digest().buffer));
+
+        await withWebCrypto({ subtle: { digest } }, async () => {
+            expect(hash.toHex(await hash.sha256(data))).toBe(expected);
+        });
+        expect(digest).toHaveBeenCalledWith('SHA-256', expect.any(Uint8Array));
+
+        await withWebCrypto({}, async () => {
+            expect(hash.toHex(await hash.sha256(data))).toBe(expected);
+        });
+        expect(hash.md5(data)).toBeNull();
+        expect(hash.hasNativeIncrementalHash()).toBe(false);
+    });
+
+    test('browsers compute MD5 in JavaScript when asked', () => {
+        // Padding needs one or two extra blocks, around the 56-byte boundary
+        for (const size of [0, 3, 55, 56, 64, 119, 1000]) {
+            const bytes = crypto.randomBytes(size);
+            expect(hash.toHex(hash.md5(bytes, { fallback: true }))).toBe(crypto.createHash('md5').update(bytes).digest('hex'));
+        }
+        expect(hash.toHex(hash.md5(new Uint8Array(Buffer.concat([Buffer.from('xx'), data])).subarray(2), { fallback: true })))
+            .toBe(crypto.createHash('md5').update(data).digest('hex'));
+    });
+
+    test('hashes in a Worker when asked, and on the main thread if Workers fail', async () => {
+        const digest = (bytes) => crypto.createHash('sha256').update(bytes).digest().buffer;
+        const workers = [];
+        const posted = [];
+        global.Worker = class {
+            constructor(url) {
+                this.url = url;
+                workers.push(this);
+            }
+            postMessage(message, transfer) {
+                posted.push({ message, transfer });
+                setTimeout(() => this.onmessage({ data: { id: message.id, digest: digest(Buffer.from(message.bytes)) } }), 0);
+            }
+        };
+        URL.createObjectURL = jest.fn(() => 'blob:hash-worker');
+        URL.revokeObjectURL = jest.fn();
+
+        await withWebCrypto({ subtle: { digest: () => Promise.reject(new Error('not on the main thread')) } }, async () => {
+            expect(hash.toHex(await hash.sha256(data, { worker: true }))).toBe(expected);
+            // A view of a larger buffer: only its bytes are handed over
+            const larger = Buffer.concat([Buffer.alloc(1000), data, Buffer.alloc(1000)]);
+            expect(hash.toHex(await hash.sha256(larger.subarray(1000, 1000 + data.length), { worker: true }))).toBe(expected);
+        });
+        expect(workers).toHaveLength(1);
+        expect(posted[1].message.bytes.byteLength).toBe(data.length);
+        expect(posted[1].transfer).toEqual([posted[1].message.bytes]);
+
+        jest.resetModules();
+        hash = require('../hash');
+        global.Worker = class {
+            constructor() {
+                throw new Error('blocked by CSP');
+            }
+        };
+        await withWebCrypto({ subtle: { digest: (algorithm, bytes) => Promise.resolve(digest(bytes)) } }, async () => {
+            expect(hash.toHex(await hash.sha256(data, { worker: true }))).toBe(expected);
+        });
+    });
+
+    test('incremental hashes match, and streams feed them while read', async () => {
+        const hasher = hash.createSha256();
+        hasher.update(data.subarray(0, 2));
+        hasher.update(data.subarray(2));
+        expect(hash.toHex(await hasher.digest())).toBe(expected);
+
+        const { readChunkFromStream } = require('../upload-internal');
+        const streamed = hash.createSha256();
+        const stream = Readable.from([data.subarray(0, 4), data.subarray(4)], { objectMode: false });
+        await readChunkFromStream(stream, 100, streamed);
+        expect(hash.toHex(await streamed.digest())).toBe(expected);
+    });
+});
+
+describe('uploadFile() unsignedPayload', () => {
+    let upload;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+    });
+
+    test('parts are sent as UNSIGNED-PAYLOAD', async () => {
+        const signed = [];
+        const parts = [];
+        global.fetch = jest.fn((url, init) => {
+            if (url.includes('Misc/Debug:testUpload')) {
+                return json({
+                    Cloud_Aws_Bucket_Upload__: 'clabu-test-id',
+                    Bucket_Endpoint: { Host: 'example.s3.amazonaws.com', Name: 'test-bucket', Region: 'us-east-1' },
+                    Key: 'uploads/test.bin'
+                });
+            }
+            if (url.includes('signV4')) {
+                signed.push(JSON.parse(init.body).headers);
+                return json({ authorization: 'AWS4-HMAC-SHA256 Credential=test' });
+            }
+            if (url.includes('handleComplete')) {
+                return json({ Blob__: 'blob-aws' });
+            }
+            if (url.includes('uploads=')) {
+                return ok({}, '<InitiateMultipartUploadResult><UploadId>upload-id</UploadId></InitiateMultipartUploadResult>');
+            }
+            if (url.includes('partNumber=')) {
+                parts.push(init.headers);
+                return ok({ ETag: '"etag"' });
+            }
+            return ok({}, '<CompleteMultipartUploadResult/>');
+        });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(6 * MB), 'POST', {}, null, {
+            presign: false,
+            unsignedPayload: true,
+            integrity: false
+        });
+
+        expect(parts.map(headers => headers['X-Amz-Content-Sha256'])).toEqual(['UNSIGNED-PAYLOAD', 'UNSIGNED-PAYLOAD']);
+        const partSignatures = signed.filter(headers => headers.includes('partNumber='));
+        expect(partSignatures).toHaveLength(2);
+        expect(partSignatures.every(headers => headers.endsWith('\nUNSIGNED-PAYLOAD'))).toBe(true);
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+/**
+ * Fake KLB API, PUT target and S3 bucket of the upload tests
+ */
+
+const crypto = require('crypto');
+
+// Bytes uploaded by the tests of small files
+const data = Buffer.from('0123456789');
+
+const sha256 = (bytes, encoding) => crypto.createHash('sha256').update(bytes).digest(encoding || 'hex');
+
+// Successful KLB API response
+const json = (payload) => Promise.resolve({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve({ result: 'success', data: payload }),
+    text: () => Promise.resolve('')
+});
+
+// KLB API error, for methods the server doesn't have
+const apiError = () => Promise.resolve({
+    ok: false,
+    status: 404,
+    statusText: 'Not Found',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve({ result: 'error', error: 'Method not found', token: 'error_method_not_found' })
+});
+
+// Response of the PUT target or S3
+const ok = (headers, body, status) => Promise.resolve({
+    ok: !status || status < 300,
+    status: status || 200,
+    statusText: status === 404 ? 'Not Found' : 'OK',
+    headers: { get: (name) => (headers || {})[name] || null },
+    text: () => Promise.resolve(body || '')
+});
+
+// Parameters the test server received with the completion call
+const completionParams = (fetch) => JSON.parse(fetch.requests.find(request => request.url.includes('handleComplete')).init.body);
+
+const PUT_URL = 'https://example.com/upload';
+
+/**
+  * KLB API answering with a PUT upload, and the PUT target
+  *
+  * The returned fetch records the `requests`, the Content-Range of each block
+  * in `ranges` and the most blocks in flight in `maxInFlight`.
+  * @param {Object} [uploadInfo] - Merged into the upload answer, e.g. { Blocksize: 4 }
+  * @param {Object} [options] - `hold`: blocks wait for fetch.release()
+  */
+const putServer = (uploadInfo, options) => {
+    const held = [];
+    let inFlight = 0;
+    const fetch = jest.fn((url, init) => {
+        fetch.requests.push({ url, init });
+        if (url.includes('Misc/Debug:testUpload')) {
+            return json(Object.assign({ PUT: PUT_URL, Complete: 'Blob/Upload/TEST:handleComplete' }, uploadInfo));
+        }
+        if (url.includes('handleComplete')) {
+            return json({ Blob__: 'blob-test' });
+        }
+        if (url !== PUT_URL) {
+            return Promise.reject(new Error(`Unexpected URL: ${url}`));
+        }
+        fetch.ranges.push(init.headers['Content-Range']);
+        inFlight++;
+        fetch.maxInFlight = Math.max(fetch.maxInFlight, inFlight);
+        const stored = options && options.hold ? new Promise(resolve => held.push(resolve)) : new Promise(resolve => setTimeout(resolve, 1));
+        return stored.then(() => {
+            inFlight--;
+            return ok();
+        });
+    });
+    fetch.requests = [];
+    fetch.ranges = [];
+    fetch.maxInFlight = 0;
+    fetch.release = () => held.splice(0).forEach(release => release());
+    fetch.completionParams = () => completionParams(fetch);
+    return fetch;
+};
+
+const awsInfo = {
+    Cloud_Aws_Bucket_Upload__: 'clabu-test-id',
+    Bucket_Endpoint: { Host: 'example.s3.amazonaws.com', Name: 'test-bucket', Region: 'us-east-1' },
+    Key: 'uploads/test.bin'
+};
+
+const listPartsXml = (parts) => '<ListPartsResult>' + parts.map(part =>
+    `<Part><PartNumber>${part[0]}</PartNumber><ETag>"etag-${part[0]}"</ETag><Size>${part[1]}</Size></Part>`
+).join('') + '<IsTruncated>false</IsTruncated></ListPartsResult>';
+
+/**
+  * KLB API answering with an S3 multipart upload, and the S3 bucket
+  *
+  * The returned fetch records the `requests`, the upload steps in `calls`
+  * ('init', 'initMultipart', 'part<n>', 'listParts', 'complete', 'handleComplete'),
+  * the `parts` sent, the `signed` signV4 headers, the `presigned` part windows,
+  * and the `initMultipart` request and `completeXml` body.
+  * @param {Object} [options] - `listParts`: [partNumber, size] pairs listed for a
+  *   resumed upload, null when the upload is gone; `presignExpires`: returns the
+  *   unix time of presigned URLs, which presignParts refuses without it
+  */
+const awsServer = (options) => {
+    options = options || {};
+    const fetch = jest.fn((url, init) => {
+        fetch.requests.push({ url, init });
+        if (url.includes('Misc/Debug:testUpload')) {
+            fetch.calls.push('init');
+            return json(awsInfo);
+        }
+        if (url.includes('presignParts')) {
+            const params = JSON.parse(init.body);
+            fetch.presigned.push(params.parts);
+            if (!options.presignExpires) {
+                return apiError();
+            }
+            const urls = {};
+            params.parts.forEach(part => { urls[part] = `https://presigned.example.com/uploads/test.bin?partNumber=${part}&uploadId=${params.upload_id}`; });
+            return json({ urls, expires: options.presignExpires() });
+        }
+        if (url.includes('signV4')) {
+            fetch.signed.push(JSON.parse(init.body).headers);
+            return json({ authorization: 'AWS4-HMAC-SHA256 Credential=test' });
+        }
+        if (url.includes('handleComplete')) {
+            fetch.calls.push('handleComplete');
+            return json({ Blob__: 'blob-aws' });
+        }
+        if (url.includes('uploads=')) {
+            fetch.calls.push('initMultipart');
+            fetch.initMultipart = init;
+            return ok({}, '<InitiateMultipartUploadResult><UploadId>upload-id</UploadId></InitiateMultipartUploadResult>');
+        }
+        const part = /partNumber=(\d+)/.exec(url);
+        if (part) {
+            fetch.calls.push('part' + part[1]);
+            fetch.parts.push({ url, headers: init.headers });
+            return ok({ ETag: `"etag-${part[1]}"`, 'x-amz-checksum-sha256': init.headers['X-Amz-Checksum-Sha256'] });
+        }
+        if (init.method === 'GET') {
+            fetch.calls.push('listParts');
+            return options.listParts === null
+                ? ok({}, '<Error><Code>NoSuchUpload</Code></Error>', 404)
+                : ok({}, listPartsXml(options.listParts || []));
+        }
+        fetch.calls.push('complete');
+        fetch.completeXml = init.body;
+        return ok({}, '<CompleteMultipartUploadResult/>');
+    });
+    fetch.requests = [];
+    fetch.calls = [];
+    fetch.parts = [];
+    fetch.signed = [];
+    fetch.presigned = [];
+    fetch.completionParams = () => completionParams(fetch);
+    return fetch;
+};
+
+module.exports = {
+    data,
+    sha256,
+    json,
+    ok,
+    awsInfo,
+    putServer,
+    awsServer
+};
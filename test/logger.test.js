@@ -0,0 +1,203 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { setupClientMode, resetMocks } = require('./setup');
+
+const memoryLogger = () => {
+    const entries = [];
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        logger[level] = (...args) => entries.push([level].concat(args));
+    });
+    logger.entries = entries;
+    return logger;
+};
+
+describe('setLogger()', () => {
+    let logger;
+
+    beforeEach(() => {
+        jest.resetModules();
+        logger = require('../logger');
+    });
+
+    test('sends messages at or above the level to the logger', () => {
+        const sink = memoryLogger();
+        logger.setLogger(sink, { level: 'info' });
+
+        logger.debug('hidden');
+        logger.info('shown', 1);
+        logger.error('also shown');
+
+        expect(sink.entries).toEqual([['info', 'shown', 1], ['error', 'also shown']]);
+    });
+
+    test('defaults to warn and can be silenced', () => {
+        const sink = memoryLogger();
+        logger.setLogger(sink);
+
+        logger.info('hidden');
+        logger.warn('shown');
+        logger.setLogger(undefined, { level: 'silent' });
+        logger.error('hidden');
+
+        expect(sink.entries).toEqual([['warn', 'shown']]);
+    });
+
+    test('null restores the console', () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const sink = memoryLogger();
+        logger.setLogger(sink);
+        logger.setLogger(null);
+
+        logger.error('to console');
+
+        expect(sink.entries).toEqual([]);
+        expect(spy).toHaveBeenCalledWith('to console');
+        spy.mockRestore();
+    });
+
+    test('a throwing logger does not break the caller', () => {
+        logger.setLogger({ error: () => { throw new Error('broken'); } });
+
+        expect(() => logger.error('message')).not.toThrow();
+        expect(() => logger.warn('no warn method')).not.toThrow();
+    });
+
+    test('rejects invalid arguments', () => {
+        expect(() => logger.setLogger('console')).toThrow(TypeError);
+        expect(() => logger.setLogger({})).toThrow(TypeError);
+        expect(() => logger.setLogger(null, { level: 'verbose' })).toThrow(TypeError);
+        expect(() => logger.setLogger(null, 'debug')).toThrow(TypeError);
+    });
+});
+
+describe('redaction', () => {
+    let logger;
+    let sink;
+
+    beforeEach(() => {
+        jest.resetModules();
+        logger = require('../logger');
+        sink = memoryLogger();
+        logger.setLogger(sink, { level: 'debug' });
+    });
+
+    test('masks credential fields of objects, nested and in headers', () => {
+        const headers = new Map([['Authorization', 'Session abc'], ['Accept', 'application/json']]);
+        const details = {
+            headers: { Authorization: 'Bearer abc', 'X-Amz-Security-Token': 'aws', 'Content-Type': 'text/plain' },
+            body: { access_token: 'a', refresh_token: 'r', password: 'p', name: 'kept' },
+            list: [{ token: 't' }],
+            map: headers
+        };
+
+        logger.warn('request', details);
+
+        expect(sink.entries[0][2]).toEqual({
+            headers: { Authorization: '[REDACTED]', 'X-Amz-Security-Token': '[REDACTED]', 'Content-Type': 'text/plain' },
+            body: { access_token: '[REDACTED]', refresh_token: '[REDACTED]', password: '[REDACTED]', name: 'kept' },
+            list: [{ token: '[REDACTED]' }],
+            map: { Authorization: '[REDACTED]', Accept: 'application/json' }
+        });
+        expect(details.headers.Authorization).toBe('Bearer abc');
+    });
+
+    test('masks credentials inside strings and errors', () => {
+        const error = new Error('401 for Authorization: Bearer abc.def');
+
+        logger.error('sent Session xyz123', error);
+
+        expect(sink.entries[0][1]).toBe('sent Session [REDACTED]');
+        expect(sink.entries[0][2]).toBeInstanceOf(Error);
+        expect(sink.entries[0][2].message).toBe('401 for Authorization: Bearer [REDACTED]');
+        expect(sink.entries[0][2].stack).not.toContain('abc.def');
+    });
+
+    test('handles cycles', () => {
+        const details = { name: 'a' };
+        details.self = details;
+
+        logger.warn('cycle', details);
+
+        expect(sink.entries[0][2]).toEqual({ name: 'a', self: '[Circular]' });
+    });
+});
+
+describe('promise settlement', () => {
+    let rest;
+    let logger;
+    let sink;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        logger = require('../logger');
+        sink = memoryLogger();
+        logger.setLogger(sink);
+    });
+
+    test('rest() rejects when the response cannot be parsed', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+
+        await expect(rest.rest('User:get', 'GET')).rejects.toThrow(/Invalid response/);
+        expect(sink.entries[0][0]).toBe('error');
+    });
+
+    test('restGet() rejects when fetch resolves with nothing', async () => {
+        global.fetch = jest.fn().mockResolvedValue(undefined);
+
+        await expect(rest.restGet('User:get')).rejects.toBeInstanceOf(require('../errors').KlbError);
+    });
+
+    test('rest() rejects when the auth provider throws synchronously', async () => {
+        const auth = require('../auth');
+        auth.setAuth({
+            refreshIfNeeded: () => { throw new Error('refresh failed'); },
+            applyToRequest: () => {},
+            handleExpiredError: () => false
+        });
+        global.fetch = jest.fn();
+
+        try {
+            await expect(rest.rest('User:get', 'GET')).rejects.toThrow('refresh failed');
+            expect(global.fetch).not.toHaveBeenCalled();
+        } finally {
+            auth.setAuth(null);
+        }
+    });
+
+    test('a throwing restSSE() handler is logged and does not stop the others', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'text/event-stream' },
+            text: () => Promise.resolve('data: a\n\ndata: b\n\n')
+        });
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET');
+        const received = [];
+        source.onmessage = () => { throw new Error('handler bug'); };
+        source.addEventListener('message', event => received.push(event.data));
+        await new Promise(resolve => source.addEventListener('close', resolve));
+
+        expect(received).toEqual(['a', 'b']);
+        expect(sink.entries.filter(entry => entry[0] === 'error')).toHaveLength(2);
+    });
+
+    test('readChunkFromStream() rejects when the stream closes before it ends', async () => {
+        const { readChunkFromStream } = require('../upload-internal');
+        const stream = new EventEmitter();
+        stream.read = () => null;
+        stream.readableEnded = false;
+
+        const chunk = readChunkFromStream(stream, 10);
+        stream.emit('close');
+
+        await expect(chunk).rejects.toThrow('Stream closed before it ended');
+        expect(stream.listenerCount('close')).toBe(0);
+    });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body, status) => ({
+    ok: !status || status < 400,
+    status: status || 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+describe('Middleware pipeline', () => {
+    let rest;
+    let middleware;
+    let removers;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        middleware = require('../middleware');
+        removers = [];
+
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({ result: 'success', data: { ok: true } }));
+    });
+
+    afterEach(() => {
+        removers.forEach(remove => remove());
+    });
+
+    const use = (mw) => removers.push(middleware.useMiddleware(mw));
+
+    test('request stage can add headers and rewrite params', async () => {
+        use({
+            request(req) {
+                req.headers['X-Trace-Id'] = 'trace-1';
+                req.params = { rewritten: true };
+                return req;
+            }
+        });
+
+        await rest.rest('Misc/Debug:params', 'POST', { original: true });
+
+        const [, options] = global.fetch.mock.calls[0];
+        expect(options.headers['X-Trace-Id']).toBe('trace-1');
+        expect(JSON.parse(options.body)).toEqual({ rewritten: true });
+    });
+
+    test('request stage can override the URL', async () => {
+        use({
+            request(req) {
+                req.url = 'https://proxy.example.com/_rest/' + req.name;
+            }
+        });
+
+        await rest.restGet('Misc/Debug:fixedString', { a: 1 });
+
+        expect(global.fetch.mock.calls[0][0]).toMatch(/^https:\/\/proxy\.example\.com\/_rest\/Misc\/Debug:fixedString\?_=/);
+    });
+
+    test('request stage can short-circuit with a synthetic response', async () => {
+        const response = jest.fn(result => result);
+        use({ response });
+        use({
+            request(req) {
+                req.response = { result: 'success', data: 'cached' };
+            }
+        });
+
+        const result = await rest.rest('Misc/Debug:fixedString', 'GET');
+
+        expect(result.data).toBe('cached');
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(response).toHaveBeenCalledTimes(1);
+    });
+
+    test('stages run as an onion around the call', async () => {
+        const order = [];
+        use({
+            request: () => { order.push('req1'); },
+            response: () => { order.push('res1'); }
+        });
+        use({
+            request: () => { order.push('req2'); },
+            response: () => { order.push('res2'); }
+        });
+
+        await rest.rest('Misc/Debug:fixedString', 'GET');
+
+        expect(order).toEqual(['req1', 'req2', 'res2', 'res1']);
+    });
+
+    test('response stage can replace the result', async () => {
+        use({ response: result => result.data });
+
+        await expect(rest.rest('Misc/Debug:fixedString', 'GET')).resolves.toEqual({ ok: true });
+    });
+
+    test('error stage can transform rejections', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({ result: 'error', error: 'nope' }, 400));
+        use({
+            error(error, req) {
+                throw new Error(req.name + ' failed: ' + error.error);
+            }
+        });
+
+        await expect(rest.rest('Misc/Debug:error', 'GET')).rejects.toThrow('Misc/Debug:error failed: nope');
+    });
+
+    test('error stage can recover with a value', async () => {
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('network down'));
+        use({ error: () => ({ result: 'success', data: 'fallback' }) });
+
+        const result = await rest.rest('Misc/Debug:fixedString', 'GET', {}, null, { retry: false });
+        expect(result.data).toBe('fallback');
+    });
+
+    test('removing a middleware stops it from running', async () => {
+        const request = jest.fn();
+        const remove = middleware.useMiddleware({ request });
+        remove();
+
+        await rest.rest('Misc/Debug:fixedString', 'GET');
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    test('restSSE requests go through the request stage', async () => {
+        use({
+            request(req) {
+                expect(req.type).toBe('sse');
+                req.headers['X-Trace-Id'] = 'sse-trace';
+            }
+        });
+
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({ result: 'success', data: 'hello' })
+        });
+
+        const messages = await new Promise(resolve => {
+            const received = [];
+            const source = rest.restSSE('Misc/Debug:sse', 'POST', {});
+            source.onmessage = event => {
+                received.push(JSON.parse(event.data));
+                resolve(received);
+            };
+        });
+
+        expect(messages[0].data).toBe('hello');
+        expect(global.fetch.mock.calls[0][1].headers['X-Trace-Id']).toBe('sse-trace');
+    });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+// Decodes the `_` query parameter rest() sends GET params in
+const paramsOf = (url) => JSON.parse(decodeURIComponent(url.match(/[?&]_=([^&]*)/)[1]));
+
+// Serves `total` items split in pages of `perPage`
+const listFetch = (total, perPage) => jest.fn((url) => {
+    const params = paramsOf(url);
+    const size = params.results_per_page || perPage;
+    const pageNo = params.page_no;
+    const pageMax = Math.max(1, Math.ceil(total / size));
+    const data = [];
+    for (let i = (pageNo - 1) * size; i < Math.min(total, pageNo * size); i++) {
+        data.push({ id: i + 1 });
+    }
+    return Promise.resolve(jsonResponse({
+        result: 'success',
+        data: data,
+        paging: { page_no: pageNo, page_max: pageMax, results_per_page: size, count: total }
+    }));
+});
+
+describe('restPaginate()', () => {
+    let restPaginate;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        restPaginate = require('../paginate').restPaginate;
+        errors = require('../errors');
+    });
+
+    test('iterates over the items of every page', async () => {
+        global.fetch = listFetch(5, 2);
+
+        const ids = [];
+        for await (const item of restPaginate('Catalog/Product', { sort: 'name' })) {
+            ids.push(item.id);
+        }
+
+        expect(ids).toEqual([1, 2, 3, 4, 5]);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(paramsOf(global.fetch.mock.calls[0][0])).toEqual({ sort: 'name', page_no: 1 });
+    });
+
+    test('pages() yields each page response', async () => {
+        global.fetch = listFetch(5, 2);
+        const paginator = restPaginate('Catalog/Product', {}, {}, { pageSize: 3 });
+
+        const pages = [];
+        for await (const page of paginator.pages()) {
+            pages.push(page.data.length);
+        }
+
+        expect(pages).toEqual([3, 2]);
+        expect(paginator.paging.page_no).toBe(2);
+        expect(paramsOf(global.fetch.mock.calls[0][0]).results_per_page).toBe(3);
+    });
+
+    test('getPage() fetches a single page', async () => {
+        global.fetch = listFetch(5, 2);
+
+        const page = await restPaginate('Catalog/Product').getPage(3);
+
+        expect(page.data).toEqual([{ id: 5 }]);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('count() reads the total and reuses the first page', async () => {
+        global.fetch = listFetch(5, 2);
+        const paginator = restPaginate('Catalog/Product');
+
+        await expect(paginator.count()).resolves.toBe(5);
+        const items = await paginator.collect();
+
+        expect(items).toHaveLength(5);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('collect({ limit }) stops fetching once enough items were read', async () => {
+        global.fetch = listFetch(100, 10);
+
+        const items = await restPaginate('Catalog/Product').collect({ limit: 15 });
+
+        expect(items).toHaveLength(15);
+        expect(items[14].id).toBe(15);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('responses without paging are a single page', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({ result: 'success', data: [{ id: 1 }] }));
+
+        const items = await restPaginate('User/Location').collect();
+
+        expect(items).toEqual([{ id: 1 }]);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps at most one page request in flight', async () => {
+        const inner = listFetch(6, 2);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        global.fetch = jest.fn((url) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            return new Promise(resolve => setTimeout(resolve, 5))
+                .then(() => inner(url))
+                .finally(() => { inFlight--; });
+        });
+        const paginator = restPaginate('Catalog/Product');
+
+        await Promise.all([paginator.getPage(1), paginator.getPage(2), paginator.getPage(3)]);
+
+        expect(maxInFlight).toBe(1);
+    });
+
+    test('a failed page is requested again', async () => {
+        const list = listFetch(5, 2);
+        global.fetch = jest.fn()
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockImplementation(list);
+        const paginator = restPaginate('Catalog/Product', {}, {}, { retry: false });
+
+        await expect(paginator.getPage(2)).rejects.toBeInstanceOf(errors.KlbNetworkError);
+        const page = await paginator.getPage(2);
+
+        expect(page.data).toEqual([{ id: 3 }, { id: 4 }]);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('aborting stops the iteration', async () => {
+        global.fetch = listFetch(10, 2);
+        const controller = new AbortController();
+
+        const iterate = async () => {
+            for await (const item of restPaginate('Catalog/Product', {}, {}, { signal: controller.signal })) {
+                if (item.id === 3) controller.abort();
+            }
+        };
+
+        await expect(iterate()).rejects.toBeInstanceOf(errors.KlbAbortError);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
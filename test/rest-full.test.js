@@ -0,0 +1,117 @@
+'use strict';
+
+const { setupSSRMode, setupClientMode, resetMocks } = require('./setup');
+
+const headers = (values) => ({
+    get: (name) => values[name.toLowerCase()] || null
+});
+
+const jsonResponse = (body, extraHeaders) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    url: 'https://example.com/_rest/User:get',
+    headers: headers(Object.assign({ 'content-type': 'application/json' }, extraHeaders)),
+    json: () => Promise.resolve(body)
+});
+
+const success = (extraHeaders) => jsonResponse({ result: 'success', data: 'ok' }, extraHeaders);
+
+describe('restFull() and the raw option', () => {
+    let rest;
+    let retry;
+    let batch;
+    let middleware;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        retry = require('../retry');
+        batch = require('../batch');
+        middleware = require('../middleware');
+        retry.configureRetry({ baseDelay: 1, maxDelay: 1, jitter: 0 });
+    });
+
+    test('resolves with the body and the response metadata', async () => {
+        global.fetch = jest.fn().mockResolvedValue(success({ 'x-request-id': 'req-1' }));
+
+        const result = await rest.restFull('User:get', 'GET');
+
+        expect(result.body).toEqual({ result: 'success', data: 'ok' });
+        expect(result.status).toBe(200);
+        expect(result.headers.get('X-Request-Id')).toBe('req-1');
+        expect(result.url).toBe('https://example.com/_rest/User:get');
+        expect(typeof result.durationMs).toBe('number');
+        expect(result.durationMs).toBeGreaterThanOrEqual(0);
+        expect(result.attempt).toBe(1);
+    });
+
+    test('counts retried attempts and keeps the last response', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Unavailable', headers: headers({}) })
+            .mockResolvedValueOnce(success({ 'x-request-id': 'req-2' }));
+
+        const result = await rest.rest('User:get', 'GET', {}, {}, { raw: true });
+
+        expect(result.attempt).toBe(2);
+        expect(result.headers.get('x-request-id')).toBe('req-2');
+    });
+
+    test('middlewares still receive the body', async () => {
+        global.fetch = jest.fn().mockResolvedValue(success());
+        const seen = [];
+        middleware.useMiddleware({ response: result => { seen.push(result); } });
+
+        const result = await rest.restFull('User:get', 'GET');
+
+        expect(seen).toEqual([{ result: 'success', data: 'ok' }]);
+        expect(result.body).toBe(seen[0]);
+    });
+
+    test('restGet() raw calls are not deduplicated', async () => {
+        global.fetch = jest.fn(() => Promise.resolve(success()));
+
+        const results = await Promise.all([
+            rest.restGet('User:get', {}, {}, { raw: true }),
+            rest.restGet('User:get', {}, {}, { raw: true })
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(results[0].status).toBe(200);
+        expect(results[0]).not.toBe(results[1]);
+    });
+
+    test('raw calls are not batched', async () => {
+        batch.configureBatching(true);
+        global.fetch = jest.fn(() => Promise.resolve(success()));
+
+        try {
+            await Promise.all([rest.restFull('User:get', 'GET'), rest.restFull('User/Profile:get', 'GET')]);
+        } finally {
+            batch.configureBatching(false);
+        }
+
+        expect(global.fetch.mock.calls.map(call => call[0].split('?')[0]))
+            .toEqual([expect.stringContaining('User:get'), expect.stringContaining('User/Profile:get')]);
+    });
+
+    test('metadata is null for SSR platform calls', async () => {
+        setupSSRMode();
+
+        const result = await rest.restFull('User:get', 'GET');
+
+        expect(result.body).toEqual({ result: 'success', data: { mock: 'data' } });
+        expect(result.status).toBeNull();
+        expect(result.headers).toBeNull();
+        expect(result.attempt).toBe(1);
+    });
+
+    test('failures reject as with rest()', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({ result: 'error', error: 'nope', token: 'error_nope' }));
+
+        await expect(rest.restFull('User:get', 'POST')).rejects.toMatchObject({ token: 'error_nope' });
+    });
+});
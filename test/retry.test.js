@@ -0,0 +1,142 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const headers = (values) => ({
+    get: (name) => values[name.toLowerCase()] || null
+});
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: headers({ 'content-type': 'application/json' }),
+    json: () => Promise.resolve(body)
+});
+
+const errorResponse = (status, extraHeaders) => ({
+    ok: false,
+    status: status,
+    statusText: 'Error',
+    headers: headers(Object.assign({ 'content-type': 'text/html' }, extraHeaders))
+});
+
+const success = () => jsonResponse({ result: 'success', data: 'ok' });
+
+// Fast policy so tests don't wait on the real backoff
+const fast = { baseDelay: 1, maxDelay: 1, jitter: 0 };
+
+describe('Automatic retry', () => {
+    let rest;
+    let retry;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        retry = require('../retry');
+        errors = require('../errors');
+        retry.configureRetry(fast);
+    });
+
+    test('GET calls retry network errors by default', async () => {
+        global.fetch = jest.fn()
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValueOnce(success());
+
+        const result = await rest.rest('User:get', 'GET');
+
+        expect(result.data).toBe('ok');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('gives up after the configured number of attempts', async () => {
+        global.fetch = jest.fn().mockResolvedValue(errorResponse(503));
+
+        const err = await rest.restGet('User:get', {}, null, { retry: 4 }).catch(e => e);
+
+        expect(err).toBeInstanceOf(errors.KlbHttpError);
+        expect(err.status).toBe(503);
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('non-GET calls are only retried when asked to', async () => {
+        global.fetch = jest.fn().mockResolvedValue(errorResponse(502));
+
+        await expect(rest.rest('User:update', 'POST', {})).rejects.toBeInstanceOf(errors.KlbHttpError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(errorResponse(504))
+            .mockResolvedValueOnce(success());
+
+        const result = await rest.rest('User:update', 'POST', {}, {}, { retry: true });
+        expect(result.data).toBe('ok');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('API errors and other statuses are not retried', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 400,
+            statusText: 'Bad Request',
+            headers: headers({ 'content-type': 'application/json' }),
+            json: () => Promise.resolve({ result: 'error', error: 'Invalid', token: 'error_invalid' })
+        });
+
+        await expect(rest.rest('User:get', 'GET')).rejects.toBeInstanceOf(errors.KlbApiError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('retry: false disables retries for GET', async () => {
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await expect(rest.restGet('User:get', {}, null, { retry: false })).rejects.toBeInstanceOf(errors.KlbNetworkError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('Retry-After replaces the computed backoff on 429', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(errorResponse(429, { 'retry-after': '0' }))
+            .mockResolvedValueOnce(success());
+
+        const started = Date.now();
+        const result = await rest.rest('User:get', 'GET', {}, {}, { retry: { baseDelay: 60000, maxDelay: 60000 } });
+
+        expect(result.data).toBe('ok');
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('a Retry-After longer than maxRetryAfter fails right away', async () => {
+        global.fetch = jest.fn().mockResolvedValue(errorResponse(503, { 'retry-after': '3600' }));
+
+        const err = await rest.rest('User:get', 'GET').catch(e => e);
+
+        expect(err.status).toBe(503);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('aborting during the backoff stops retrying', async () => {
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+        const controller = new AbortController();
+
+        const promise = rest.rest('User:get', 'GET', {}, {}, {
+            signal: controller.signal,
+            retry: { baseDelay: 60000, maxDelay: 60000 }
+        });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        controller.abort();
+
+        await expect(promise).rejects.toBeInstanceOf(errors.KlbAbortError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('configureRetry rejects invalid policies', () => {
+        expect(() => retry.configureRetry(null)).toThrow(TypeError);
+        expect(() => retry.configureRetry({ attemps: 2 })).toThrow(TypeError);
+        expect(() => retry.configureRetry({ attempts: -1 })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body)
+});
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms || 0));
+
+describe('runWithContext()', () => {
+    let fwWrapper;
+    let rest;
+    let savedContext;
+    let savedToken;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        fwWrapper = require('../fw-wrapper');
+        rest = require('../rest');
+        savedContext = Object.assign({}, global.FW.Context);
+        savedToken = global.FW.token;
+        global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ result: 'success', data: {} })));
+    });
+
+    afterEach(() => {
+        global.FW.Context = savedContext;
+        global.FW.token = savedToken;
+    });
+
+    test('getters return the scoped values', () => {
+        const seen = fwWrapper.runWithContext({
+            context: { g: 'member' },
+            locale: 'fr-FR',
+            currency: 'EUR',
+            token: 'user-token',
+            path: '/fr/shop'
+        }, () => ({
+            context: fwWrapper.getContext(),
+            locale: fwWrapper.getLocale(),
+            currency: fwWrapper.getCurrency(),
+            token: fwWrapper.getToken(),
+            path: fwWrapper.getPath()
+        }));
+
+        expect(seen).toEqual({
+            context: { b: 'master', c: 'EUR', l: 'fr-FR', g: 'member' },
+            locale: 'fr-FR',
+            currency: 'EUR',
+            token: 'user-token',
+            path: '/fr/shop'
+        });
+        expect(fwWrapper.getLocale()).toBe('en-US');
+        expect(fwWrapper.getToken()).toBe('test-csrf-token');
+    });
+
+    test('setContext() and setToken() only change the scope', () => {
+        fwWrapper.runWithContext({}, () => {
+            fwWrapper.setContext('c', 'JPY');
+            fwWrapper.setToken('renewed', 123);
+
+            expect(fwWrapper.getCurrency()).toBe('JPY');
+            expect(fwWrapper.getToken()).toBe('renewed');
+            expect(fwWrapper.getTokenExp()).toBe(123);
+        });
+
+        expect(global.FW.Context.c).toBe('USD');
+        expect(global.FW.token).toBe('test-csrf-token');
+    });
+
+    test('concurrent scopes keep their values across await', async () => {
+        const render = (locale, delay) => fwWrapper.runWithContext({ locale: locale }, async () => {
+            await tick(delay);
+            fwWrapper.setContext('g', locale);
+            await tick(delay);
+            return [fwWrapper.getLocale(), fwWrapper.getContext().g];
+        });
+
+        const results = await Promise.all([render('fr-FR', 10), render('ja-JP', 1)]);
+
+        expect(results).toEqual([['fr-FR', 'fr-FR'], ['ja-JP', 'ja-JP']]);
+    });
+
+    test('nested scopes start from the enclosing one', () => {
+        fwWrapper.runWithContext({ currency: 'EUR', token: 'outer' }, () => {
+            fwWrapper.runWithContext({ locale: 'de-DE' }, () => {
+                expect(fwWrapper.getCurrency()).toBe('EUR');
+                expect(fwWrapper.getToken()).toBe('outer');
+                expect(fwWrapper.getLocale()).toBe('de-DE');
+            });
+            expect(fwWrapper.getLocale()).toBe('en-US');
+        });
+    });
+
+    test('rest() sends the scoped context and token', async () => {
+        await fwWrapper.runWithContext({ locale: 'fr-FR', token: 'user-token' }, () => rest.rest('User:get', 'GET'));
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toContain('_ctx[l]=fr-FR');
+        expect(options.headers['Authorization']).toBe('Session user-token');
+    });
+
+    test('restGet() calls of different scopes are not deduplicated', async () => {
+        await Promise.all([
+            fwWrapper.runWithContext({ token: 'a' }, () => rest.restGet('User:get')),
+            fwWrapper.runWithContext({ token: 'b' }, () => rest.restGet('User:get'))
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(global.fetch.mock.calls.map(call => call[1].headers['Authorization']).sort())
+            .toEqual(['Session a', 'Session b']);
+    });
+
+    test('rejects invalid arguments', () => {
+        expect(() => fwWrapper.runWithContext(null, () => {})).toThrow(TypeError);
+        expect(() => fwWrapper.runWithContext({}, null)).toThrow(TypeError);
+        expect(() => fwWrapper.runWithContext({ Locale: 'fr-FR' }, () => {})).toThrow(TypeError);
+    });
+});
+
+describe('runWithContext() without AsyncLocalStorage', () => {
+    let fwWrapper;
+    let rest;
+    let savedContext;
+    let savedToken;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        // The scope then only covers synchronous code (scope.js)
+        jest.doMock('async_hooks', () => ({}));
+
+        fwWrapper = require('../fw-wrapper');
+        rest = require('../rest');
+        savedContext = Object.assign({}, global.FW.Context);
+        savedToken = global.FW.token;
+        global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ result: 'success', data: {} })));
+    });
+
+    afterEach(() => {
+        jest.dontMock('async_hooks');
+        global.FW.Context = savedContext;
+        global.FW.token = savedToken;
+    });
+
+    test('the scope is gone once the callback returned', async () => {
+        expect(require('../scope').followsAsync()).toBe(false);
+        const seen = await fwWrapper.runWithContext({ locale: 'fr-FR' }, () => tick().then(() => fwWrapper.getLocale()));
+
+        expect(seen).not.toBe('fr-FR');
+    });
+
+    test('rest() sends the scoped context and token', async () => {
+        await fwWrapper.runWithContext({ locale: 'fr-FR', token: 'user-token' }, () => rest.rest('User:get', 'GET'));
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toContain('_ctx[l]=fr-FR');
+        expect(options.headers['Authorization']).toBe('Session user-token');
+    });
+
+    test('restGet() calls of different scopes are not deduplicated', async () => {
+        await Promise.all([
+            fwWrapper.runWithContext({ token: 'a', context: { g: 'one' } }, () => rest.restGet('User:get')),
+            fwWrapper.runWithContext({ token: 'b', context: { g: 'two' } }, () => rest.restGet('User:get'))
+        ]);
+
+        const calls = global.fetch.mock.calls;
+        expect(calls).toHaveLength(2);
+        expect(calls.map(call => call[1].headers['Authorization']).sort()).toEqual(['Session a', 'Session b']);
+        expect(calls.map(call => /_ctx\[g\]=(\w+)/.exec(call[0])[1]).sort()).toEqual(['one', 'two']);
+    });
+
+    test('the token is renewed within the scope', async () => {
+        global.fetch = jest.fn((url) => Promise.resolve(jsonResponse(url.includes('_special/token.json')
+            ? { token: 'renewed', token_exp: Date.now() + 3600000 }
+            : { result: 'success', data: {} })));
+
+        await fwWrapper.runWithContext({ token: 'expiring', tokenExp: Date.now() + 1000 }, () => rest.rest('User:get', 'GET'));
+
+        expect(global.fetch.mock.calls[0][1].headers['Authorization']).toBe('Session expiring');
+        expect(global.fetch.mock.calls[1][1].headers['Authorization']).toBe('Session renewed');
+        expect(global.FW.token).toBe(savedToken);
+    });
+
+    test('restSSE() connects with the scoped context and token', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: { get: () => 'text/event-stream' },
+            text: () => Promise.resolve('data: hello\n\n')
+        });
+
+        const source = fwWrapper.runWithContext({ locale: 'de-DE', token: 'sse-token' }, () => rest.restSSE('Misc/Debug:sse', 'GET'));
+        await new Promise(resolve => source.addEventListener('message', resolve));
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toContain('_ctx[l]=de-DE');
+        expect(options.headers['Authorization']).toBe('Session sse-token');
+    });
+});
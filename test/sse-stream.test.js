@@ -0,0 +1,201 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+// Event stream response read through the text() fallback
+const streamResponse = (text) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'text/event-stream' },
+    text: () => Promise.resolve(text)
+});
+
+// Event stream response whose body never ends
+const openStreamResponse = (text) => {
+    const chunks = [new TextEncoder().encode(text)];
+    return {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: { get: () => 'text/event-stream' },
+        body: {
+            getReader: () => ({
+                read: () => chunks.length > 0
+                    ? Promise.resolve({ done: false, value: chunks.shift() })
+                    : new Promise(() => {})
+            })
+        }
+    };
+};
+
+const collect = async (iterable) => {
+    const events = [];
+    for await (const event of iterable) {
+        events.push(event);
+    }
+    return events;
+};
+
+describe('restSSEStream()', () => {
+    let sseStream;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        if (typeof global.TextEncoder === 'undefined') {
+            global.TextEncoder = require('util').TextEncoder;
+            global.TextDecoder = require('util').TextDecoder;
+        }
+
+        sseStream = require('../sse-stream');
+        errors = require('../errors');
+    });
+
+    test('yields events with JSON-decoded data', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse(
+            'id: 1\ndata: {"n":1}\n\nevent: note\ndata: plain text\n\n'
+        ));
+
+        const events = await collect(sseStream.restSSEStream('Misc/Debug:sse', 'GET'));
+
+        expect(events).toEqual([
+            { type: 'message', data: { n: 1 }, lastEventId: '1' },
+            { type: 'note', data: 'plain text', lastEventId: '' }
+        ]);
+    });
+
+    test('json: false keeps the raw data', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse('data: {"n":1}\n\n'));
+
+        const events = await collect(sseStream.restSSEStream('Misc/Debug:sse', 'GET', {}, {}, { json: false }));
+
+        expect(events[0].data).toBe('{"n":1}');
+    });
+
+    test('filters events by type', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse(
+            'event: a\ndata: 1\n\nevent: b\ndata: 2\n\ndata: 3\n\nevent: a\ndata: 4\n\n'
+        ));
+
+        const events = await collect(sseStream.restSSEStream('Misc/Debug:sse', 'GET', {}, {}, { events: 'a' }));
+
+        expect(events.map(event => event.data)).toEqual([1, 4]);
+    });
+
+    test('breaking out of the loop closes the connection', async () => {
+        let signal = null;
+        global.fetch = jest.fn((url, options) => {
+            signal = options.signal;
+            return Promise.resolve(openStreamResponse('data: 1\n\ndata: 2\n\n'));
+        });
+
+        const seen = [];
+        for await (const event of sseStream.restSSEStream('Misc/Debug:sse', 'GET')) {
+            seen.push(event.data);
+            break;
+        }
+
+        expect(seen).toEqual([1]);
+        expect(signal.aborted).toBe(true);
+    });
+
+    test('a failed connection throws from the loop', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 400,
+            statusText: 'Bad Request',
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({ result: 'error', error: 'bad', token: 'error_bad' })
+        });
+
+        await expect(collect(sseStream.restSSEStream('Misc/Debug:sse', 'GET'))).rejects.toBeInstanceOf(errors.KlbApiError);
+    });
+
+    test('aborting the signal throws KlbAbortError', async () => {
+        global.fetch = jest.fn().mockResolvedValue(openStreamResponse('data: 1\n\n'));
+        const controller = new AbortController();
+
+        const iterator = sseStream.restSSEStream('Misc/Debug:sse', 'GET', {}, {}, { signal: controller.signal });
+        const first = await iterator.next();
+        controller.abort();
+
+        expect(first.value.data).toBe(1);
+        await expect(iterator.next()).rejects.toBeInstanceOf(errors.KlbAbortError);
+    });
+
+    test('a reader falling more than highWaterMark events behind fails', async () => {
+        let signal = null;
+        global.fetch = jest.fn((url, options) => {
+            signal = options.signal;
+            return Promise.resolve(openStreamResponse('data: 1\n\ndata: 2\n\ndata: 3\n\ndata: 4\n\n'));
+        });
+        const seen = [];
+
+        const iterator = sseStream.restSSEStream('Misc/Debug:sse', 'GET', {}, {}, { highWaterMark: 2 });
+        const failure = (async () => {
+            for await (const event of iterator) {
+                seen.push(event.data);
+            }
+        })().catch(e => e);
+
+        const error = await failure;
+        expect(error).toBeInstanceOf(errors.KlbError);
+        expect(error).not.toBeInstanceOf(errors.KlbAbortError);
+        expect(seen).toEqual([1, 2]);
+        expect(signal.aborted).toBe(true);
+        expect(() => sseStream.restSSEStream('Misc/Debug:sse', 'GET', {}, {}, { highWaterMark: 0 })).toThrow(TypeError);
+    });
+});
+
+describe('restSSEReadableStream()', () => {
+    let sseStream;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        sseStream = require('../sse-stream');
+    });
+
+    test('emits the events, then closes', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse('data: {"n":1}\n\ndata: two\n\n'));
+
+        const reader = sseStream.restSSEReadableStream('Misc/Debug:sse', 'GET').getReader();
+        const events = [];
+        let result;
+        while (!(result = await reader.read()).done) {
+            events.push(result.value.data);
+        }
+
+        expect(events).toEqual([{ n: 1 }, 'two']);
+    });
+
+    test('cancelling the stream closes the connection', async () => {
+        let signal = null;
+        global.fetch = jest.fn((url, options) => {
+            signal = options.signal;
+            return Promise.resolve(openStreamResponse('data: 1\n\n'));
+        });
+
+        const reader = sseStream.restSSEReadableStream('Misc/Debug:sse', 'GET').getReader();
+        const first = await reader.read();
+        await reader.cancel();
+
+        expect(first.value.data).toBe(1);
+        expect(signal.aborted).toBe(true);
+    });
+
+    test('errors when more than highWaterMark events are queued', async () => {
+        global.fetch = jest.fn().mockResolvedValue(openStreamResponse('data: 1\n\ndata: 2\n\ndata: 3\n\n'));
+
+        const reader = sseStream.restSSEReadableStream('Misc/Debug:sse', 'GET', {}, {}, { highWaterMark: 1 }).getReader();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        await expect(reader.read()).rejects.toThrow('highWaterMark');
+    });
+});
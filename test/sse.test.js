@@ -0,0 +1,174 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+
+// Event stream response read through the text() fallback
+const streamResponse = (text) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: () => 'text/event-stream' },
+    text: () => Promise.resolve(text)
+});
+
+const waitFor = (source, type) => new Promise(resolve => source.addEventListener(type, resolve));
+
+describe('restSSE() reconnection', () => {
+    let rest;
+    let auth;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+
+        rest = require('../rest');
+        auth = require('../auth');
+        errors = require('../errors');
+    });
+
+    afterEach(() => {
+        auth.setAuth(null);
+    });
+
+    test('the stream closes when it ends without the reconnect option', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse('id: 1\ndata: a\n\n'));
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET');
+        await waitFor(source, 'message');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(source.readyState).toBe(source.CLOSED);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('the onEvent hook sees every event, whatever dispatchEvent becomes', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse('event: note\ndata: a\n\n'));
+        const seen = [];
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { onEvent: event => seen.push(event.type) });
+        source.dispatchEvent = () => {};
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(seen).toEqual(['open', 'note', 'close']);
+    });
+
+    test('reconnects after the server retry delay with Last-Event-ID', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(streamResponse('retry: 10\nid: 5\ndata: first\n\n'))
+            .mockResolvedValueOnce(streamResponse('id: 6\ndata: second\n\n'));
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { reconnect: { delay: 60000 } });
+        const messages = [];
+        source.onmessage = event => messages.push(event.data);
+        const reconnects = [];
+        source.onreconnect = event => reconnects.push(event);
+
+        await new Promise(resolve => {
+            source.addEventListener('message', event => {
+                if (event.data === 'second') resolve();
+            });
+        });
+        source.close();
+
+        expect(messages).toEqual(['first', 'second']);
+        expect(reconnects).toHaveLength(1);
+        expect(reconnects[0]).toMatchObject({ attempt: 1, delay: 10, lastEventId: '5', error: null });
+        expect(global.fetch.mock.calls[0][1].headers['Last-Event-ID']).toBeUndefined();
+        expect(global.fetch.mock.calls[1][1].headers['Last-Event-ID']).toBe('5');
+        expect(source.lastEventId).toBe('6');
+    });
+
+    test('network failures back off between attempts', async () => {
+        global.fetch = jest.fn()
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValueOnce(streamResponse('data: back\n\n'));
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { reconnect: { delay: 5, backoff: 2 } });
+        const delays = [];
+        const failures = [];
+        source.addEventListener('reconnect', event => delays.push(event.delay));
+        source.onerror = event => failures.push(event.error);
+
+        const message = await waitFor(source, 'message');
+        source.close();
+
+        expect(message.data).toBe('back');
+        expect(delays).toEqual([5, 10]);
+        expect(failures).toHaveLength(2);
+        expect(failures[0]).toBeInstanceOf(errors.KlbNetworkError);
+    });
+
+    test('gives up after maxReconnects consecutive attempts', async () => {
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { reconnect: { delay: 1, maxReconnects: 2 } });
+        const failures = [];
+        source.onerror = event => failures.push(event.error);
+
+        await new Promise(resolve => {
+            const check = () => source.readyState === source.CLOSED ? resolve() : setTimeout(check, 5);
+            check();
+        });
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(failures[failures.length - 1].message).toBe('Gave up reconnecting after 2 attempts');
+    });
+
+    test('refreshes credentials between attempts', async () => {
+        const provider = {
+            applyToRequest(headers) { headers['Authorization'] = 'Bearer t'; },
+            refreshIfNeeded: jest.fn().mockResolvedValue(),
+            handleExpiredError: jest.fn().mockResolvedValue(true)
+        };
+        auth.setAuth(provider);
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({
+                ok: false,
+                status: 401,
+                statusText: 'Unauthorized',
+                headers: { get: () => 'application/json' },
+                json: () => Promise.resolve({ result: 'error', error: 'expired', token: 'invalid_request_token', extra: 'token_expired' })
+            })
+            .mockResolvedValueOnce(streamResponse('data: ok\n\n'));
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { reconnect: { delay: 1 } });
+        await waitFor(source, 'message');
+        source.close();
+
+        expect(provider.handleExpiredError).toHaveBeenCalledTimes(1);
+        expect(provider.refreshIfNeeded).toHaveBeenCalledTimes(2);
+    });
+
+    test('API errors are not retried', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 400,
+            statusText: 'Bad Request',
+            headers: { get: () => 'application/json' },
+            json: () => Promise.resolve({ result: 'error', error: 'bad', token: 'error_bad' })
+        });
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { reconnect: { delay: 1 } });
+        const event = await waitFor(source, 'error');
+
+        expect(event.error).toBeInstanceOf(errors.KlbApiError);
+        expect(source.readyState).toBe(source.CLOSED);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('close() cancels a pending reconnection', async () => {
+        global.fetch = jest.fn().mockResolvedValue(streamResponse('data: a\n\n'));
+
+        const source = rest.restSSE('Misc/Debug:sse', 'GET', {}, {}, { reconnect: { delay: 20 } });
+        await waitFor(source, 'reconnect');
+        expect(source.readyState).toBe(source.CONNECTING);
+        source.close();
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(source.readyState).toBe(source.CLOSED);
+    });
+});
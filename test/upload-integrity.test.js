@@ -0,0 +1,169 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+const { sha256, awsInfo, putServer, awsServer } = require('./helpers/upload-server');
+
+const MB = 1024 * 1024;
+
+const md5 = (data, encoding) => crypto.createHash('md5').update(data).digest(encoding);
+
+// Bytes that are not valid UTF-8
+const binary = (size) => {
+    const data = Buffer.alloc(size);
+    for (let i = 0; i < size; i++) data[i] = (i * 131) & 0xff;
+    return data;
+};
+
+describe('uploadFile() integrity', () => {
+    let upload;
+    let internal;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        internal = require('../upload-internal');
+        errors = require('../errors');
+    });
+
+    test('awsReq signs the bytes of binary bodies', async () => {
+        global.fetch = awsServer();
+        const data = binary(300);
+
+        await internal.awsReq(awsInfo, 'PUT', 'partNumber=1&uploadId=upload-id', data, null, {});
+
+        const signed = global.fetch.signed[0].split('\n');
+        expect(signed[signed.length - 1]).toBe(sha256(data));
+        expect(global.fetch.parts[0].headers['X-Amz-Content-Sha256']).toBe(sha256(data));
+    });
+
+    test('S3 parts carry their MD5, computed in JavaScript in browsers', async () => {
+        global.fetch = awsServer();
+        const data = binary(6 * MB);
+
+        await upload.uploadFile('Misc/Debug:testUpload', data, 'POST', {}, null);
+
+        expect(global.fetch.initMultipart.headers['X-Amz-Checksum-Algorithm']).toBeUndefined();
+        expect(global.fetch.parts.map(part => part.headers['Content-MD5'])).toEqual([
+            md5(data.subarray(0, 5 * MB), 'base64'),
+            md5(data.subarray(5 * MB), 'base64')
+        ]);
+        expect(global.fetch.parts.every(part => part.headers['X-Amz-Content-Sha256'] === 'UNSIGNED-PAYLOAD')).toBe(true);
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('with presign: false, S3 parts carry their SHA-256, listed in the completion', async () => {
+        global.fetch = awsServer();
+        const data = binary(6 * MB);
+
+        await upload.uploadFile('Misc/Debug:testUpload', data, 'POST', {}, null, { presign: false });
+
+        expect(global.fetch.initMultipart.headers['X-Amz-Checksum-Algorithm']).toBe('SHA256');
+        expect(global.fetch.parts.map(part => part.headers['X-Amz-Checksum-Sha256'])).toEqual([
+            sha256(data.subarray(0, 5 * MB), 'base64'),
+            sha256(data.subarray(5 * MB), 'base64')
+        ]);
+
+        expect(global.fetch.completeXml).toContain(`<PartNumber>2</PartNumber><ETag>"etag-2"</ETag><ChecksumSHA256>${sha256(data.subarray(5 * MB), 'base64')}</ChecksumSHA256>`);
+
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('streams are hashed as they are read', async () => {
+        global.fetch = putServer();
+        const data = binary(10);
+        const stream = Readable.from([data.subarray(0, 3), data.subarray(3)], { objectMode: false });
+
+        await upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', {}, null, { minPartSize: 4 });
+
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('PUT blocks send Content-MD5 in Node.js and a wrong ETag sends the block again', async () => {
+        const { env } = internal;
+        const originalFetch = env.node.fetch;
+        const data = binary(10);
+        const md5Hex = md5(data, 'hex');
+        const puts = [];
+        env.isBrowser = false;
+        env.node.fetch = jest.fn((url, init) => {
+            puts.push(init.headers['Content-MD5']);
+            const etag = puts.length === 1 ? '"00000000000000000000000000000000"' : `"${md5Hex}"`;
+            return Promise.resolve({ ok: true, status: 200, headers: { get: name => name === 'ETag' ? etag : null }, text: () => Promise.resolve('') });
+        });
+        global.fetch = putServer();
+
+        try {
+            await upload.uploadFile('Misc/Debug:testUpload', data, 'POST', {}, null);
+        } finally {
+            env.isBrowser = true;
+            env.node.fetch = originalFetch;
+        }
+
+        expect(puts).toEqual([md5(data, 'base64'), md5(data, 'base64')]);
+    });
+
+    test('the whole-file digest is sent by default in Node.js, unless turned off', async () => {
+        const { env } = internal;
+        const originalFetch = env.node.fetch;
+        env.isBrowser = false;
+
+        try {
+            global.fetch = env.node.fetch = putServer();
+            await upload.uploadFile('Misc/Debug:testUpload', binary(10), 'POST', {}, null);
+            expect(global.fetch.completionParams()).toEqual({ sha256: sha256(binary(10)) });
+
+            global.fetch = env.node.fetch = putServer();
+            await upload.uploadFile('Misc/Debug:testUpload', binary(10), 'POST', {}, null, { digest: false });
+            expect(global.fetch.completionParams()).toEqual({});
+        } finally {
+            env.isBrowser = true;
+            env.node.fetch = originalFetch;
+        }
+    });
+
+    test('browsers only hash large Blobs for the digest when asked', async () => {
+        global.fetch = putServer();
+        await upload.uploadFile('Misc/Debug:testUpload', new Blob([binary(10)]), 'POST', {}, null);
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(binary(10)) });
+
+        global.fetch = putServer();
+        const createSha256 = jest.spyOn(require('../hash'), 'createSha256');
+        try {
+            await upload.uploadFile('Misc/Debug:testUpload', new Blob([Buffer.alloc(17 * MB)]), 'POST', {}, null);
+        } finally {
+            createSha256.mockRestore();
+        }
+        expect(createSha256).not.toHaveBeenCalled();
+        expect(global.fetch.completionParams()).toEqual({});
+    });
+
+    test('verifyPart checks echoed checksums and MD5 ETags, except with KMS', async () => {
+        const data = binary(10);
+        const checksums = await internal.partChecksums(data);
+        const response = (headers) => ({ headers: { get: (name) => headers[name] || null } });
+        const wrong = '"00000000000000000000000000000000"';
+
+        expect(() => internal.verifyPart(response({ 'x-amz-checksum-sha256': 'AAAA' }), checksums)).toThrow(errors.KlbIntegrityError);
+        expect(() => internal.verifyPart(response({ ETag: wrong }), { ...checksums, md5Hex: md5(data, 'hex') }))
+            .toThrow(errors.KlbIntegrityError);
+        expect(() => internal.verifyPart(response({ ETag: wrong, 'x-amz-server-side-encryption': 'aws:kms' }), { ...checksums, md5Hex: md5(data, 'hex') }))
+            .not.toThrow();
+        expect(() => internal.verifyPart(response({ ETag: '"etag-1"', 'x-amz-checksum-sha256': checksums.sha256Base64 }), checksums)).not.toThrow();
+        expect(() => internal.verifyPart({}, checksums)).not.toThrow();
+    });
+
+    test('integrity: false sends no checksum and no digest', async () => {
+        global.fetch = awsServer();
+
+        await upload.uploadFile('Misc/Debug:testUpload', binary(6 * MB), 'POST', {}, null, { integrity: false });
+
+        expect(global.fetch.initMultipart.headers['X-Amz-Checksum-Algorithm']).toBeUndefined();
+        expect(global.fetch.parts[0].headers['X-Amz-Checksum-Sha256']).toBeUndefined();
+        expect(global.fetch.completionParams()).toEqual({});
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+const { putServer, awsServer } = require('./helpers/upload-server');
+
+const MB = 1024 * 1024;
+
+describe('uploadFile() concurrency and part sizes', () => {
+    let upload;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+    });
+
+    test('concurrency sets the number of blocks in flight', async () => {
+        global.fetch = putServer({ Blocksize: 4 });
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, { concurrency: 5 });
+        expect(global.fetch.maxInFlight).toBe(5);
+
+        global.fetch = putServer({ Blocksize: 4 });
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, { concurrency: 1 });
+        expect(global.fetch.maxInFlight).toBe(1);
+        expect(global.fetch.ranges).toHaveLength(10);
+    });
+
+    test('memoryBudget lowers the concurrency', async () => {
+        global.fetch = putServer({ Blocksize: 4 });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, {
+            minPartSize: 1,
+            memoryBudget: 8
+        });
+
+        expect(global.fetch.maxInFlight).toBe(2);
+    });
+
+    test('streams of unknown size grow their part size, within maxPartSize', async () => {
+        global.fetch = putServer({});
+        const stream = Readable.from([Buffer.alloc(4000 + 14)], { objectMode: false });
+
+        await upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', {}, null, {
+            minPartSize: 4,
+            maxPartSize: 6
+        });
+
+        const ranges = global.fetch.ranges;
+        expect(ranges).toHaveLength(1003);
+        expect(ranges[0]).toBe('bytes 0-3/*');
+        expect(ranges[999]).toBe('bytes 3996-3999/*');
+        expect(ranges.slice(1000)).toEqual(['bytes 4000-4005/*', 'bytes 4006-4011/*', 'bytes 4012-4013/*']);
+    });
+
+    test('streams buffer no more than the memory budget', async () => {
+        global.fetch = putServer({});
+        const stream = Readable.from([Buffer.alloc(64)], { objectMode: false });
+
+        await upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', {}, null, {
+            concurrency: 10,
+            minPartSize: 4,
+            memoryBudget: 12
+        });
+
+        expect(global.fetch.ranges).toHaveLength(16);
+        expect(global.fetch.maxInFlight).toBe(3);
+    });
+
+    test('PUT uploads without a server block size are split to fit the memory budget', async () => {
+        global.fetch = putServer({});
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(20), 'POST', {}, null, {
+            minPartSize: 1,
+            memoryBudget: 8
+        });
+
+        expect(global.fetch.ranges).toEqual(['bytes 0-7/*', 'bytes 8-15/*', 'bytes 16-19/*']);
+        expect(global.fetch.maxInFlight).toBe(1);
+    });
+
+    test('rejects a server block size larger than the memory budget', async () => {
+        global.fetch = putServer({ Blocksize: 16 });
+
+        await expect(upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, {
+            minPartSize: 1,
+            memoryBudget: 8
+        })).rejects.toThrow(/memoryBudget/);
+        expect(global.fetch.ranges).toHaveLength(0);
+    });
+
+    test('minPartSize sets the S3 part size of small files', async () => {
+        global.fetch = awsServer();
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, {
+            minPartSize: 6 * MB
+        });
+
+        expect(global.fetch.parts).toHaveLength(2);
+    });
+
+    test('uploadManyFiles() passes the limits to each file, splitting the memory budget', async () => {
+        const uploadFile = jest.spyOn(upload, 'uploadFile').mockResolvedValue({ result: 'success' });
+        const uploadMany = require('../upload-many');
+
+        await uploadMany.uploadManyFiles('Misc/Debug:testUpload', [Buffer.alloc(10), Buffer.alloc(10), Buffer.alloc(10)], 'POST', {}, null, {
+            concurrency: 2,
+            memoryBudget: 20 * MB,
+            minPartSize: 6 * MB,
+            maxPartSize: 8 * MB,
+            resumable: false,
+            integrity: false,
+            digest: true,
+            presign: false
+        });
+
+        expect(uploadFile).toHaveBeenCalledTimes(3);
+        expect(uploadFile.mock.calls[0][5]).toMatchObject({
+            concurrency: 2,
+            memoryBudget: 10 * MB,
+            minPartSize: 6 * MB,
+            maxPartSize: 8 * MB,
+            resumable: false,
+            integrity: false,
+            digest: true,
+            presign: false
+        });
+    });
+
+    test('rejects invalid limits', async () => {
+        global.fetch = awsServer();
+        const send = (options) => upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, options);
+
+        await expect(send({ concurrency: 0 })).rejects.toThrow(TypeError);
+        await expect(send({ concurrency: 1.5 })).rejects.toThrow(TypeError);
+        await expect(send({ minPartSize: -1 })).rejects.toThrow(TypeError);
+        await expect(send({ maxPartSize: MB })).rejects.toThrow(TypeError);
+        await expect(send({ memoryBudget: MB })).rejects.toThrow(TypeError);
+        await expect(send({ minPartSize: MB })).rejects.toThrow(/5MiB/);
+    });
+});
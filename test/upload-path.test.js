@@ -0,0 +1,86 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupClientMode, resetMocks } = require('./setup');
+const { data, sha256, putServer } = require('./helpers/upload-server');
+
+describe('uploadPath()', () => {
+    let upload;
+    let internal;
+    let dir;
+    let file;
+    let originalFetch;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        internal = require('../upload-internal');
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'klbfw-upload-path-'));
+        file = path.join(dir, 'data.txt');
+        fs.writeFileSync(file, data);
+        originalFetch = internal.env.node.fetch;
+        internal.env.isBrowser = false;
+    });
+
+    afterEach(() => {
+        internal.env.isBrowser = true;
+        internal.env.node.fetch = originalFetch;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('uploads a file on disk with its stat metadata, in ranged parts', async () => {
+        global.fetch = internal.env.node.fetch = putServer({ Blocksize: 4 });
+
+        const result = await upload.uploadPath('Misc/Debug:testUpload', file);
+
+        expect(result.data.Blob__).toBe('blob-test');
+        expect(JSON.parse(global.fetch.requests[0].init.body)).toEqual({
+            filename: 'data.txt',
+            size: data.length,
+            type: 'text/plain',
+            lastModified: fs.statSync(file).mtimeMs / 1000
+        });
+        expect(global.fetch.ranges.slice().sort()).toEqual(['bytes 0-3/*', 'bytes 4-7/*', 'bytes 8-9/*']);
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('uploadFile() takes { path }, with params overriding the name and type', async () => {
+        global.fetch = internal.env.node.fetch = putServer({ Blocksize: 4 });
+
+        await upload.uploadFile('Misc/Debug:testUpload', { path: file }, 'POST', { filename: 'renamed.bin', type: 'application/x-test' }, null);
+
+        expect(JSON.parse(global.fetch.requests[0].init.body)).toMatchObject({ filename: 'renamed.bin', type: 'application/x-test' });
+    });
+
+    test('readFileSlice reads ranges in parallel and fails on truncated files', async () => {
+        const local = await internal.statLocalFile(file);
+        const slices = await Promise.all([
+            internal.readFileSlice(local, 0, 4),
+            internal.readFileSlice(local, 4, 8),
+            internal.readFileSlice(local, 8, 10)
+        ]);
+        expect(Buffer.concat(slices.map(slice => Buffer.from(slice))).equals(data)).toBe(true);
+
+        fs.truncateSync(file, 5);
+        await expect(internal.readFileSlice(local, 4, 8)).rejects.toThrow(require('../errors').KlbError);
+    });
+
+    test('rejects directories, and paths outside Node.js', async () => {
+        global.fetch = internal.env.node.fetch = putServer({ Blocksize: 4 });
+
+        await expect(upload.uploadPath('Misc/Debug:testUpload', dir)).rejects.toThrow('Not a regular file');
+
+        internal.env.isBrowser = true;
+        await expect(upload.uploadPath('Misc/Debug:testUpload', file)).rejects.toThrow('requires Node.js');
+    });
+
+    test('guessMimeType uses the extension', () => {
+        expect(internal.guessMimeType('photo.JPG')).toBe('image/jpeg');
+        expect(internal.guessMimeType('/data/big.iso')).toBe('application/x-iso9660-image');
+        expect(internal.guessMimeType('/data/v1.2/README')).toBe('application/octet-stream');
+    });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+const { putServer, awsServer } = require('./helpers/upload-server');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('uploadFile() handle', () => {
+    let upload;
+    let errors;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        errors = require('../errors');
+    });
+
+    test('pause lets the blocks in flight finish and starts no new ones', async () => {
+        global.fetch = putServer({ Blocksize: 4 }, { hold: true });
+
+        const handle = upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, { handle: true });
+        expect(handle.status).toBe('running');
+        await flush();
+        expect(global.fetch.ranges.length).toBe(3);
+
+        handle.pause();
+        expect(handle.status).toBe('paused');
+        global.fetch.release();
+        await flush();
+        expect(global.fetch.ranges.length).toBe(3);
+
+        handle.resume();
+        expect(handle.status).toBe('running');
+        while (handle.status === 'running') {
+            await flush();
+            global.fetch.release();
+        }
+
+        await expect(handle.promise).resolves.toMatchObject({ data: { Blob__: 'blob-test' } });
+        expect(handle.status).toBe('completed');
+        expect(global.fetch.ranges.length).toBe(10);
+    });
+
+    test('a paused stream is not read', async () => {
+        global.fetch = putServer({ Blocksize: 4 }, { hold: true });
+        let reads = 0;
+        const stream = Readable.from((function* () {
+            for (let i = 0; i < 3; i++) {
+                reads++;
+                yield Buffer.from('abcd');
+            }
+        })(), { objectMode: false });
+
+        const handle = upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', { size: 12 }, null, { handle: true });
+        handle.pause();
+        await flush();
+
+        expect(reads).toBe(0);
+        expect(global.fetch.ranges.length).toBe(0);
+
+        handle.resume();
+        while (handle.status === 'running') {
+            await flush();
+            global.fetch.release();
+        }
+        await handle.promise;
+        expect(reads).toBe(3);
+        expect(global.fetch.ranges.length).toBe(3);
+    });
+
+    test('a paused upload does not read its file for the digest', async () => {
+        global.fetch = putServer({ Blocksize: 4 }, { hold: true });
+        const slice = jest.spyOn(Blob.prototype, 'slice');
+
+        try {
+            const handle = upload.uploadFile('Misc/Debug:testUpload', new Blob([Buffer.alloc(12)]), 'POST', {}, null, { handle: true, digest: true });
+            handle.pause();
+            await flush();
+            expect(slice).not.toHaveBeenCalled();
+
+            handle.resume();
+            while (handle.status === 'running') {
+                await flush();
+                global.fetch.release();
+            }
+            await handle.promise;
+            // Three blocks and the digest slice
+            expect(slice).toHaveBeenCalledTimes(4);
+        } finally {
+            slice.mockRestore();
+        }
+    });
+
+    test('pauses AWS multipart uploads before the parts', async () => {
+        global.fetch = awsServer();
+
+        const handle = upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(16), 'POST', {}, null, { handle: true });
+        handle.pause();
+        await flush();
+        expect(global.fetch.calls).toEqual(['init', 'initMultipart']);
+
+        handle.resume();
+        await expect(handle.promise).resolves.toMatchObject({ data: { Blob__: 'blob-aws' } });
+        expect(global.fetch.calls).toEqual(['init', 'initMultipart', 'part1', 'complete', 'handleComplete']);
+    });
+
+    test('cancel rejects with a KlbAbortError, also while paused', async () => {
+        global.fetch = putServer({ Blocksize: 4 }, { hold: true });
+
+        const handle = upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, { handle: true });
+        handle.pause();
+        await flush();
+        global.fetch.release();
+        handle.cancel();
+
+        await expect(handle.promise).rejects.toBeInstanceOf(errors.KlbAbortError);
+        expect(handle.status).toBe('cancelled');
+        handle.resume();
+        expect(handle.status).toBe('cancelled');
+    });
+
+    test('follows the caller signal and reports failures', async () => {
+        global.fetch = putServer({ Blocksize: 4 }, { hold: true });
+        const controller = new AbortController();
+
+        const handle = upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(40), 'POST', {}, null, {
+            handle: true,
+            signal: controller.signal
+        });
+        controller.abort();
+        await expect(handle.promise).rejects.toBeInstanceOf(errors.KlbAbortError);
+
+        const failed = upload.uploadFile('Misc/Debug:testUpload', 42, 'POST', {}, null, { handle: true });
+        await expect(failed.promise).rejects.toThrow('Invalid file');
+        expect(failed.status).toBe('failed');
+    });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const { setupClientMode, resetMocks } = require('./setup');
+const { awsServer } = require('./helpers/upload-server');
+
+const MB = 1024 * 1024;
+
+describe('uploadFile() presign', () => {
+    let upload;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        require('../logger').setLogger(null, { level: 'silent' });
+    });
+
+    test('sends parts to presigned URLs requested for a window of parts', async () => {
+        global.fetch = awsServer({ presignExpires: () => Date.now() / 1000 + 3600 });
+
+        const result = await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, { presign: true });
+
+        expect(result.data.Blob__).toBe('blob-aws');
+        expect(global.fetch.presigned).toEqual([[1, 2, 3]]);
+        expect(global.fetch.parts.map(part => part.url)).toEqual([1, 2, 3].map(part => `https://presigned.example.com/uploads/test.bin?partNumber=${part}&uploadId=upload-id`));
+        expect(global.fetch.parts[0].headers.Authorization).toBeUndefined();
+        // Only the multipart creation and completion are signed one by one
+        expect(global.fetch.signed).toHaveLength(2);
+        expect(global.fetch.initMultipart.headers['X-Amz-Checksum-Algorithm']).toBeUndefined();
+    });
+
+    test('a default upload makes fewer signing calls than it has parts', async () => {
+        global.fetch = awsServer({ presignExpires: () => Date.now() / 1000 + 3600 });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(30 * MB), 'POST', {}, null);
+
+        expect(global.fetch.parts).toHaveLength(6);
+        expect(global.fetch.signed.length + global.fetch.presigned.length).toBeLessThan(6);
+        expect(global.fetch.parts.every(part => part.headers['Content-MD5'])).toBe(true);
+    });
+
+    test('presign: false signs each part on its own', async () => {
+        global.fetch = awsServer({ presignExpires: () => Date.now() / 1000 + 3600 });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, { presign: false });
+
+        expect(global.fetch.presigned).toEqual([]);
+        expect(global.fetch.signed.filter(headers => headers.includes('partNumber='))).toHaveLength(3);
+    });
+
+    test('signs the next window while a part transfers', async () => {
+        global.fetch = awsServer({ presignExpires: () => Date.now() / 1000 + 3600 });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, {
+            presign: true,
+            presignWindow: 2,
+            concurrency: 1
+        });
+
+        expect(global.fetch.presigned).toEqual([[1, 2], [3]]);
+    });
+
+    test('requests URLs again when they are about to expire', async () => {
+        global.fetch = awsServer({ presignExpires: () => Date.now() / 1000 + 10 });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, {
+            presign: true,
+            concurrency: 1
+        });
+
+        expect(global.fetch.presigned).toEqual([[1, 2, 3], [2], [3]]);
+    });
+
+    test('signs each part of the window as UNSIGNED-PAYLOAD when the server cannot presign', async () => {
+        global.fetch = awsServer();
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, {
+            presign: true,
+            presignWindow: 2,
+            concurrency: 1
+        });
+
+        expect(global.fetch.presigned).toEqual([[1, 2]]);
+        const partSignatures = global.fetch.signed.filter(headers => headers.includes('partNumber='));
+        expect(partSignatures).toHaveLength(3);
+        expect(partSignatures.every(headers => headers.endsWith('\nUNSIGNED-PAYLOAD'))).toBe(true);
+        expect(global.fetch.parts.every(part => part.headers['X-Amz-Content-Sha256'] === 'UNSIGNED-PAYLOAD' && part.headers.Authorization)).toBe(true);
+    });
+
+    test('signs each part when the presigned URLs come without an expiry time', async () => {
+        global.fetch = awsServer({ presignExpires: () => 'soon' });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, {
+            presign: true,
+            concurrency: 1
+        });
+
+        expect(global.fetch.presigned).toEqual([[1, 2, 3]]);
+        expect(global.fetch.parts.every(part => part.url.startsWith('https://example.s3.amazonaws.com/'))).toBe(true);
+        expect(global.fetch.signed.filter(headers => headers.includes('partNumber='))).toHaveLength(3);
+    });
+
+    test('rejects an invalid window', async () => {
+        await expect(upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(10), 'POST', {}, null, {
+            presign: true,
+            presignWindow: 0
+        })).rejects.toThrow(TypeError);
+    });
+});
@@ -0,0 +1,236 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+const { putServer } = require('./helpers/upload-server');
+
+// XMLHttpRequest sending half of the body, then the rest
+class MockXHR {
+    constructor() {
+        this.upload = {};
+        this.headers = {};
+        MockXHR.instances.push(this);
+    }
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    getResponseHeader(name) {
+        return name === 'ETag' ? '"etag"' : null;
+    }
+
+    send(body) {
+        this.body = body;
+        if (MockXHR.hang) return;
+        const size = body.byteLength;
+        setTimeout(() => {
+            this.upload.onprogress({ loaded: Math.floor(size / 2) });
+            this.upload.onprogress({ loaded: size });
+            this.status = 200;
+            this.statusText = 'OK';
+            this.responseText = '';
+            this.onload();
+        }, 0);
+    }
+
+    abort() {
+        setTimeout(() => this.onabort(), 0);
+    }
+}
+
+describe('uploadFile() onUploadProgress', () => {
+    let upload;
+    let uploadMany;
+    let internal;
+    let errors;
+    let originalXHR;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        uploadMany = require('../upload-many');
+        internal = require('../upload-internal');
+        errors = require('../errors');
+
+        originalXHR = global.XMLHttpRequest;
+        global.XMLHttpRequest = MockXHR;
+        MockXHR.instances = [];
+        MockXHR.hang = false;
+    });
+
+    afterEach(() => {
+        global.XMLHttpRequest = originalXHR;
+    });
+
+    test('reports bytes while a single block is sending, through XHR in browsers', async () => {
+        global.fetch = putServer();
+        const events = [];
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(10), 'POST', { type: 'text/plain' }, null, {
+            onUploadProgress: event => events.push(event)
+        });
+
+        expect(MockXHR.instances).toHaveLength(1);
+        expect(MockXHR.instances[0].method).toBe('PUT');
+        expect(MockXHR.instances[0].headers['Content-Type']).toBe('text/plain');
+        expect(events.map(event => event.loaded)).toEqual([5, 10, 10]);
+        expect(events[0]).toMatchObject({ total: 10, percent: 50, part: { number: 1, loaded: 5, size: 10 } });
+        expect(events[2]).toMatchObject({ percent: 100, etaSeconds: 0 });
+        expect(typeof events[2].bytesPerSecond).toBe('number');
+    });
+
+    test('counts the parts of streams of unknown size', async () => {
+        global.fetch = putServer();
+        const events = [];
+        const stream = Readable.from([Buffer.alloc(10)], { objectMode: false });
+
+        await upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', {}, null, {
+            minPartSize: 4,
+            concurrency: 1,
+            onUploadProgress: event => events.push(event)
+        });
+
+        const last = events[events.length - 1];
+        expect(last).toMatchObject({ loaded: 10, total: null, percent: null, etaSeconds: null, part: { number: 3, size: 2 } });
+        expect(events.filter(event => event.part.loaded === event.part.size && event.part.number === 1)).not.toHaveLength(0);
+    });
+
+    test('leaves the parts of a resumed upload out of the bytes sent', async () => {
+        global.fetch = putServer();
+        const saved = {
+            version: 1,
+            method: 'put',
+            uploadInfo: { PUT: 'https://example.com/upload', Complete: 'Blob/Upload/TEST:handleComplete', Blocksize: 4 },
+            blockSize: 4,
+            size: 10,
+            done: [0, 2]
+        };
+        const store = { get: () => Promise.resolve(saved), set: () => Promise.resolve(), delete: () => Promise.resolve() };
+        const events = [];
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(10), 'POST', {}, null, {
+            resumable: store,
+            resumeKey: 'file-1',
+            onUploadProgress: event => events.push(event)
+        });
+
+        expect(MockXHR.instances).toHaveLength(1);
+        expect(events[events.length - 1]).toMatchObject({ loaded: 10, sent: 4, total: 10 });
+    });
+
+    test('counts the body read by node-fetch in Node.js', async () => {
+        const { env } = internal;
+        const originalFetch = env.node.fetch;
+        const events = [];
+        let headers = null;
+        env.isBrowser = false;
+        env.node.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+            headers = init.headers;
+            init.body.on('data', () => {});
+            init.body.on('error', reject);
+            init.body.on('end', () => resolve({ ok: true, status: 200, headers: { get: () => null }, text: () => Promise.resolve('') }));
+        }));
+        global.fetch = putServer();
+
+        try {
+            await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(200000), 'POST', {}, null, {
+                onUploadProgress: event => events.push(event.loaded)
+            });
+        } finally {
+            env.isBrowser = true;
+            env.node.fetch = originalFetch;
+        }
+
+        expect(headers['Content-Length']).toBe('200000');
+        expect(events).toEqual([65536, 131072, 196608, 200000, 200000]);
+    });
+
+    test('cancelling aborts the XHR', async () => {
+        global.fetch = putServer();
+        MockXHR.hang = true;
+        const controller = new AbortController();
+
+        const pending = upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(10), 'POST', {}, null, {
+            signal: controller.signal,
+            onUploadProgress: () => {}
+        });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        controller.abort();
+
+        await expect(pending).rejects.toBeInstanceOf(errors.KlbAbortError);
+    });
+
+    test('uploadManyFiles() aggregates the files', async () => {
+        global.fetch = putServer();
+        const events = [];
+
+        await uploadMany.uploadManyFiles('Misc/Debug:testUpload', [Buffer.alloc(10), Buffer.alloc(6)], 'POST', {}, null, {
+            concurrency: 1,
+            onUploadProgress: event => events.push(event)
+        });
+
+        expect(events[0]).toMatchObject({ loaded: 5, total: 16, fileIndex: 0, fileCount: 2, file: { loaded: 5, total: 10 } });
+        expect(events[events.length - 1]).toMatchObject({ loaded: 16, total: 16, percent: 100, fileIndex: 1 });
+    });
+
+    test('uploadManyFiles() counts files on disk in the total', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'klbfw-upload-progress-'));
+        const file = path.join(dir, 'data.bin');
+        fs.writeFileSync(file, Buffer.alloc(10));
+        const originalFetch = internal.env.node.fetch;
+        internal.env.isBrowser = false;
+        global.fetch = internal.env.node.fetch = putServer();
+        const events = [];
+
+        try {
+            await uploadMany.uploadManyFiles('Misc/Debug:testUpload', [{ path: file }, new Blob([Buffer.alloc(6)])], 'POST', {}, null, {
+                concurrency: 1,
+                onUploadProgress: event => events.push(event)
+            });
+        } finally {
+            internal.env.isBrowser = true;
+            internal.env.node.fetch = originalFetch;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(events.every(event => event.total === 16)).toBe(true);
+        expect(events[events.length - 1]).toMatchObject({ loaded: 16, percent: 100, fileIndex: 1 });
+    });
+
+    test('uploadManyFiles() computes the speed from the bytes sent by this call', async () => {
+        jest.resetModules();
+        jest.doMock('../upload', () => ({
+            uploadFile: async (api, file, method, params, context, options) => {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                options.onUploadProgress({ loaded: 1000, sent: 0, total: 1000 });
+                return { data: {} };
+            }
+        }));
+        uploadMany = require('../upload-many');
+        const events = [];
+
+        await uploadMany.uploadManyFiles('Misc/Debug:testUpload', [Buffer.alloc(1000)], 'POST', {}, null, {
+            onUploadProgress: event => events.push(event)
+        });
+        jest.dontMock('../upload');
+
+        expect(events[0]).toMatchObject({ loaded: 1000, sent: 0, bytesPerSecond: 0, percent: 100 });
+    });
+
+    test('rejects a non-function callback', async () => {
+        await expect(upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(10), 'POST', {}, null, {
+            onUploadProgress: true
+        })).rejects.toThrow(TypeError);
+    });
+});
@@ -0,0 +1,263 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupClientMode, resetMocks } = require('./setup');
+const { awsInfo, putServer, awsServer } = require('./helpers/upload-server');
+
+const MB = 1024 * 1024;
+
+// Store keeping states in memory, recording writes
+const memoryStore = (initial) => {
+    const data = new Map(Object.entries(initial || {}));
+    const calls = [];
+    return {
+        data,
+        calls,
+        get: (key) => Promise.resolve(data.get(key)),
+        set: (key, value) => {
+            calls.push(['set', key, JSON.parse(JSON.stringify(value))]);
+            data.set(key, value);
+            return Promise.resolve();
+        },
+        delete: (key) => {
+            calls.push(['delete', key]);
+            data.delete(key);
+            return Promise.resolve();
+        }
+    };
+};
+
+describe('upload state stores', () => {
+    beforeEach(() => {
+        jest.resetModules();
+        require('../logger').setLogger(null, { level: 'silent' });
+    });
+
+    test('localStorage store keeps JSON under a prefix', async () => {
+        const { createLocalStorageUploadStore } = require('../upload-state');
+        const store = createLocalStorageUploadStore();
+
+        await store.set('key-1', { size: 3 });
+
+        expect(JSON.parse(localStorage.getItem('klbfw-upload:key-1'))).toEqual({ size: 3 });
+        expect(await store.get('key-1')).toEqual({ size: 3 });
+        await store.delete('key-1');
+        expect(await store.get('key-1')).toBeUndefined();
+    });
+
+    test('file store serializes writes and ignores a corrupt file', async () => {
+        const { createFileUploadStore } = require('../upload-state');
+        const file = path.join(os.tmpdir(), `klbfw-upload-state-${process.pid}.json`);
+        fs.writeFileSync(file, '{not json');
+
+        try {
+            const store = createFileUploadStore(file);
+            await Promise.all([store.set('a', { n: 1 }), store.set('b', { n: 2 }), store.delete('a')]);
+
+            expect(await store.get('a')).toBeUndefined();
+            expect(await store.get('b')).toEqual({ n: 2 });
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ b: { n: 2 } });
+        } finally {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    });
+
+    test('file store writes files readable only by their owner, never through a planted name', async () => {
+        const { createFileUploadStore } = require('../upload-state');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'klbfw-upload-state-'));
+        const file = path.join(dir, 'uploads.json');
+        const target = path.join(dir, 'target');
+        fs.writeFileSync(target, 'keep');
+        // Names the temporary file could have had with a predictable name
+        fs.symlinkSync(target, `${file}.${process.pid}.tmp`);
+
+        try {
+            await createFileUploadStore(file).set('a', { n: 1 });
+
+            expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+            expect(fs.readFileSync(target, 'utf8')).toBe('keep');
+            expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).toEqual([`uploads.json.${process.pid}.tmp`]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('default file store lives in the user config directory', async () => {
+        const home = fs.mkdtempSync(path.join(os.tmpdir(), 'klbfw-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+
+        try {
+            await require('../upload-state').createFileUploadStore().set('a', { n: 1 });
+
+            const dir = path.join(home, '.config', 'atonline');
+            expect(fs.statSync(dir).mode & 0o777).toBe(0o700);
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'klbfw-uploads.json'), 'utf8'))).toEqual({ a: { n: 1 } });
+        } finally {
+            os.homedir.mockRestore();
+            fs.rmSync(home, { recursive: true, force: true });
+        }
+    });
+
+    test('store failures do not fail the upload state', async () => {
+        const { openUploadState } = require('../upload-state');
+        const failing = () => Promise.reject(new Error('quota exceeded'));
+        const state = openUploadState({ get: failing, set: failing, delete: failing }, 'key');
+
+        await expect(state.load()).resolves.toBeNull();
+        await expect(state.save({})).resolves.toBeUndefined();
+        expect(() => openUploadState({ get: failing }, 'key')).toThrow(TypeError);
+    });
+});
+
+describe('resumable uploadFile()', () => {
+    let upload;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        require('../logger').setLogger(null, { level: 'silent' });
+    });
+
+    test('records each part and clears the state once complete', async () => {
+        global.fetch = awsServer();
+        const store = memoryStore();
+
+        const result = await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {
+            filename: 'big.bin'
+        }, null, { resumable: store, resumeKey: 'big-1' });
+
+        expect(result.data.Blob__).toBe('blob-aws');
+        const saves = store.calls.filter(call => call[0] === 'set');
+        expect(saves[0][2]).toMatchObject({ method: 'aws', uploadId: 'upload-id', blockSize: 5 * MB, size: 12 * MB, version: 1 });
+        expect(Object.keys(saves[saves.length - 2][2].etags)).toHaveLength(3);
+        expect(saves[saves.length - 1][2].phase).toBe('completed');
+        expect(store.calls[store.calls.length - 1][0]).toBe('delete');
+        expect(store.data.size).toBe(0);
+    });
+
+    test('the same file gets the same key, another file another one', async () => {
+        global.fetch = awsServer();
+        const store = memoryStore();
+        const send = (lastModified) => upload.uploadFile('Misc/Debug:testUpload', new File(['data'], 'big.bin', { lastModified }), 'POST', {}, null, {
+            resumable: store
+        });
+
+        await send(1000);
+        await send(1000);
+        await send(2000);
+
+        const keys = store.calls.filter(call => call[0] === 'delete').map(call => call[1]);
+        expect(keys[0]).toBe(keys[1]);
+        expect(keys[2]).not.toBe(keys[0]);
+    });
+
+    test('inputs without a modification time need a resumeKey', async () => {
+        global.fetch = awsServer();
+        const store = memoryStore();
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(6 * MB), 'POST', { filename: 'big.bin' }, null, { resumable: store });
+
+        expect(store.calls).toEqual([]);
+    });
+
+    test('resumes an AWS upload with only the parts S3 is missing', async () => {
+        global.fetch = awsServer({ listParts: [[1, 5 * MB], [2, 1000]] });
+        const store = memoryStore({
+            'file-1': {
+                version: 1,
+                method: 'aws',
+                uploadInfo: awsInfo,
+                uploadId: 'old-upload-id',
+                blockSize: 5 * MB,
+                size: 12 * MB,
+                etags: {},
+                phase: 'upload'
+            }
+        });
+        const progress = [];
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(12 * MB), 'POST', {}, null, {
+            resumable: store,
+            resumeKey: 'file-1',
+            onProgress: value => progress.push(value)
+        });
+
+        // Part 2 was incomplete and is sent again
+        expect(global.fetch.calls).toEqual(['listParts', 'part2', 'part3', 'complete', 'handleComplete']);
+        expect(global.fetch.mock.calls.some(call => call[0].includes('uploadId=old-upload-id'))).toBe(true);
+        expect(global.fetch.completeXml).toContain('<PartNumber>1</PartNumber><ETag>"etag-1"</ETag>');
+        expect(global.fetch.completeXml).toContain('<PartNumber>3</PartNumber><ETag>"etag-3"</ETag>');
+        expect(progress[progress.length - 1]).toBe(1);
+        expect(store.data.has('file-1')).toBe(false);
+    });
+
+    test('starts over when the saved multipart upload is gone', async () => {
+        global.fetch = awsServer({ listParts: null });
+        const store = memoryStore({
+            'file-1': { version: 1, method: 'aws', uploadInfo: awsInfo, uploadId: 'old-upload-id', blockSize: 5 * MB, size: 6 * MB, etags: {} }
+        });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(6 * MB), 'POST', {}, null, {
+            resumable: store,
+            resumeKey: 'file-1'
+        });
+
+        expect(global.fetch.calls).toEqual(['listParts', 'init', 'initMultipart', 'part1', 'part2', 'complete', 'handleComplete']);
+    });
+
+    test('goes straight to the server-side completion when S3 was completed', async () => {
+        global.fetch = awsServer();
+        const store = memoryStore({
+            'file-1': { version: 1, method: 'aws', uploadInfo: awsInfo, uploadId: 'old-upload-id', blockSize: 5 * MB, size: 6 * MB, etags: {}, phase: 'completed' }
+        });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(6 * MB), 'POST', {}, null, {
+            resumable: store,
+            resumeKey: 'file-1'
+        });
+
+        expect(global.fetch.calls).toEqual(['handleComplete']);
+    });
+
+    test('resumes a PUT upload with the saved Blocksize', async () => {
+        global.fetch = putServer();
+        const store = memoryStore({
+            'file-2': {
+                version: 1,
+                method: 'put',
+                uploadInfo: { PUT: 'https://example.com/upload', Complete: 'Blob/Upload/TEST:handleComplete', Blocksize: 4 },
+                blockSize: 4,
+                size: 10,
+                done: [0, 2]
+            }
+        });
+
+        const result = await upload.uploadFile('Misc/Debug:testUpload', Buffer.from('0123456789'), 'POST', {}, null, {
+            resumable: store,
+            resumeKey: 'file-2'
+        });
+
+        expect(result.data.Blob__).toBe('blob-test');
+        expect(global.fetch.ranges).toEqual(['bytes 4-7/*']);
+        expect(global.fetch.requests.some(request => request.url.includes('Misc/Debug:testUpload'))).toBe(false);
+        expect(store.data.has('file-2')).toBe(false);
+    });
+
+    test('a state for a different size is ignored', async () => {
+        global.fetch = awsServer();
+        const store = memoryStore({
+            'file-1': { version: 1, method: 'aws', uploadInfo: awsInfo, uploadId: 'old-upload-id', blockSize: 5 * MB, size: 20 * MB, etags: {} }
+        });
+
+        await upload.uploadFile('Misc/Debug:testUpload', Buffer.alloc(6 * MB), 'POST', {}, null, {
+            resumable: store,
+            resumeKey: 'file-1'
+        });
+
+        expect(global.fetch.calls[0]).toBe('init');
+    });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { setupClientMode, resetMocks } = require('./setup');
+const { data, sha256, putServer } = require('./helpers/upload-server');
+
+// Minimal web ReadableStream, as returned by fetch().body, recording how it was released
+const webStream = (chunks) => {
+    const stream = {
+        cancelled: [],
+        released: false,
+        getReader() {
+            const queue = chunks.slice();
+            return {
+                read: () => Promise.resolve(queue.length ? { done: false, value: queue.shift() } : { done: true, value: undefined }),
+                cancel: (reason) => {
+                    stream.cancelled.push(reason);
+                    return Promise.resolve();
+                },
+                releaseLock: () => {
+                    stream.released = true;
+                }
+            };
+        }
+    };
+    return stream;
+};
+
+describe('uploadFile() sources', () => {
+    let upload;
+    let internal;
+
+    beforeEach(() => {
+        resetMocks();
+        setupClientMode();
+        jest.resetModules();
+        upload = require('../upload');
+        internal = require('../upload-internal');
+    });
+
+    test('reads web ReadableStreams in parts, whatever the chunk sizes', async () => {
+        global.fetch = putServer();
+        const chunks = [data.subarray(0, 3), new Uint8Array(data.subarray(3, 9)), data.subarray(9)];
+
+        const result = await upload.uploadFile('Misc/Debug:testUpload', webStream(chunks), 'POST', {}, null, { minPartSize: 4 });
+
+        expect(result.data.Blob__).toBe('blob-test');
+        expect(global.fetch.ranges).toEqual(['bytes 0-3/*', 'bytes 4-7/*', 'bytes 8-9/*']);
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('reads async iterables of ArrayBuffers and Buffers', async () => {
+        global.fetch = putServer();
+        async function* generate() {
+            yield data.buffer.slice(data.byteOffset, data.byteOffset + 5);
+            yield data.subarray(5);
+        }
+
+        await upload.uploadFile('Misc/Debug:testUpload', generate(), 'POST', { size: data.length }, null, { minPartSize: 4 });
+
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('uploads Blobs like Files', async () => {
+        global.fetch = putServer();
+
+        await upload.uploadFile('Misc/Debug:testUpload', new Blob([data], { type: 'text/plain' }), 'POST');
+
+        const init = JSON.parse(global.fetch.requests[0].init.body);
+        expect(init).toMatchObject({ filename: 'file.bin', size: data.length, type: 'text/plain' });
+        expect(global.fetch.completionParams()).toEqual({ sha256: sha256(data) });
+    });
+
+    test('releases a web ReadableStream read to its end', async () => {
+        global.fetch = putServer();
+        const stream = webStream([data]);
+
+        await upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', {}, null, { minPartSize: 4 });
+
+        expect(stream.released).toBe(true);
+        expect(stream.cancelled).toEqual([]);
+    });
+
+    test('cancels a web ReadableStream when the upload is aborted', async () => {
+        global.fetch = putServer();
+        const controller = new AbortController();
+        const stream = webStream(new Array(20).fill(data));
+        const reader = stream.getReader;
+        stream.getReader = () => {
+            const inner = reader();
+            const read = inner.read;
+            inner.read = () => {
+                controller.abort();
+                return read();
+            };
+            return inner;
+        };
+
+        const pending = upload.uploadFile('Misc/Debug:testUpload', stream, 'POST', {}, null, {
+            minPartSize: 4,
+            concurrency: 1,
+            signal: controller.signal
+        });
+
+        await expect(pending).rejects.toThrow('Upload aborted');
+        expect(stream.cancelled).toHaveLength(1);
+        expect(stream.cancelled[0].name).toBe('AbortError');
+        expect(stream.released).toBe(true);
+    });
+
+    test('returns an async iterable when the upload fails', async () => {
+        global.fetch = putServer();
+        let finished = false;
+        async function* generate() {
+            try {
+                yield data.subarray(0, 4);
+                yield 'text';
+                yield data.subarray(4);
+            } finally {
+                finished = true;
+            }
+        }
+
+        await expect(upload.uploadFile('Misc/Debug:testUpload', generate(), 'POST', {}, null, { minPartSize: 4 })).rejects.toThrow(TypeError);
+        expect(finished).toBe(true);
+    });
+
+    test('rejects chunks that are not binary', async () => {
+        global.fetch = putServer();
+        async function* generate() {
+            yield 'text';
+        }
+
+        await expect(upload.uploadFile('Misc/Debug:testUpload', generate(), 'POST', {}, null)).rejects.toThrow(TypeError);
+    });
+
+    test('isSequentialSource recognizes Node.js streams, web streams and async iterables', () => {
+        expect(internal.isSequentialSource(Readable.from([data]))).toBe(true);
+        expect(internal.isSequentialSource(webStream([]))).toBe(true);
+        expect(internal.isSequentialSource((async function* () {})())).toBe(true);
+        expect(internal.isSequentialSource(data)).toBe(false);
+        expect(internal.isSequentialSource(null)).toBe(false);
+    });
+});
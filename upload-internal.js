@@ -11,7 +11,9 @@
 'use strict';
 
 const rest = require('./rest');
-const sha256 = require('js-sha256').sha256;
+const hash = require('./hash');
+const errors = require('./errors');
+const logger = require('./logger');
 
 /**
  * Environment detection and cross-platform utilities
@@ -48,8 +50,8 @@ if (env.isNode && !env.isBrowser) {
     env.node.EventEmitter = require('events');
     env.node.eventEmitter = new (env.node.EventEmitter)();
   } catch (e) {
-    console.warn('Node.js dependencies not available. Some functionality may be limited:', e.message);
-    console.warn('To use in Node.js, install: npm install node-fetch @xmldom/xmldom');
+    logger.warn('Node.js dependencies not available. Some functionality may be limited:', e.message);
+    logger.warn('To use in Node.js, install: npm install node-fetch @xmldom/xmldom');
   }
 }
 
@@ -61,18 +63,50 @@ const utils = {
    * Environment-agnostic fetch implementation
    * @param {string} url - The URL to fetch
    * @param {Object} options - Fetch options
+   * @param {Function} [options.onUploadProgress] - Called with the number of body bytes
+   *   sent so far: through XMLHttpRequest in browsers, a counted stream with node-fetch
+   * @param {Object} [apiClient] - Client of the upload (see client.js). A client created
+   *   with its own `fetch` sends the request through it, without onUploadProgress events.
    * @returns {Promise} - Fetch promise
    */
-  fetch(url, options) {
-    if (env.isBrowser && typeof window.fetch === 'function') {
-      return window.fetch(url, options);
-    } else if (env.isNode && env.node.fetch) {
-      return env.node.fetch(url, options);
-    } else if (typeof fetch === 'function') {
-      // For environments where fetch is globally available
-      return fetch(url, options);
+  fetch(url, options, apiClient) {
+    const transport = apiClient && apiClient.fetch;
+    if (transport) {
+      const { onUploadProgress, ...fetchOptions } = options || {};
+      return Promise.resolve()
+        .then(() => transport(url, fetchOptions))
+        .catch(error => {
+          throw errors.fromFetchError(error);
+        });
     }
-    return Promise.reject(new Error('fetch not available in this environment'));
+
+    if (options && options.onUploadProgress) {
+      const { onUploadProgress, ...fetchOptions } = options;
+      if (env.isBrowser && typeof XMLHttpRequest !== 'undefined') {
+        return xhrFetch(url, fetchOptions, onUploadProgress);
+      }
+      options = env.isNode && env.node.fetch ? countedBody(fetchOptions, onUploadProgress) : fetchOptions;
+    }
+
+    let request;
+    try {
+      if (env.isBrowser && typeof window.fetch === 'function') {
+        request = window.fetch(url, options);
+      } else if (env.isNode && env.node.fetch) {
+        request = env.node.fetch(url, options);
+      } else if (typeof fetch === 'function') {
+        // For environments where fetch is globally available
+        request = fetch(url, options);
+      } else {
+        return Promise.reject(new Error('fetch not available in this environment'));
+      }
+    } catch (error) {
+      // e.g. an invalid URL or header value
+      request = Promise.reject(error);
+    }
+    return Promise.resolve(request).catch(error => {
+      throw errors.fromFetchError(error);
+    });
   },
 
   /**
@@ -189,10 +223,11 @@ const utils = {
 
   /**
    * Format a date for AWS (YYYYMMDDTHHMMSSZ)
+   * @param {Date} [t] - Date to format, now by default
    * @returns {string} Formatted date
    */
-  getAmzTime() {
-    const t = new Date();
+  getAmzTime(t) {
+    t = t || new Date();
     return t.getUTCFullYear() +
       this.pad(t.getUTCMonth() + 1) +
       this.pad(t.getUTCDate()) +
@@ -213,48 +248,198 @@ const utils = {
 };
 
 /**
- * AWS S3 request handler
- * Performs a signed request to AWS S3 using a signature obtained from the server
- *
- * @param {Object} upInfo - Upload info including bucket endpoint and key
- * @param {string} method - HTTP method (GET, POST, PUT)
- * @param {string} query - Query parameters
- * @param {*} body - Request body
- * @param {Object} headers - Request headers
- * @param {Object} context - Request context
- * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
- * @returns {Promise} - Request promise
+ * Sends a request through XMLHttpRequest to get upload progress events,
+ * resolving with a fetch-like response
+ * @param {string} url - The URL to send to
+ * @param {Object} options - Fetch options (method, headers, body, signal)
+ * @param {Function} onUploadProgress - Called with the number of body bytes sent so far
+ * @returns {Promise<Object>} - Response with ok, status, statusText, url, headers.get(), text() and json()
  */
-function awsReq(upInfo, method, query, body, headers, context, signal) {
-    headers = headers || {};
-    context = context || {};
+function xhrFetch(url, options, onUploadProgress) {
+    const signal = options.signal;
+    if (signal && signal.aborted) {
+        return Promise.reject(errors.fromAbortSignal(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const onAbort = () => xhr.abort();
+        const cleanup = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
 
-    // Calculate body hash for AWS signature
-    let bodyHash;
+        xhr.open(options.method || 'GET', url);
+        const headers = options.headers || {};
+        Object.keys(headers).forEach(name => xhr.setRequestHeader(name, headers[name]));
 
-    if (!body || body === "") {
-        // Empty body hash
-        bodyHash = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+        xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+        xhr.onload = () => {
+            cleanup();
+            const text = xhr.responseText;
+            resolve({
+                ok: xhr.status >= 200 && xhr.status < 300,
+                status: xhr.status,
+                statusText: xhr.statusText,
+                url: xhr.responseURL || url,
+                headers: { get: (name) => xhr.getResponseHeader(name) },
+                text: () => Promise.resolve(text),
+                json: () => Promise.resolve(text).then(JSON.parse)
+            });
+        };
+        xhr.onerror = () => {
+            cleanup();
+            reject(errors.fromFetchError(new TypeError('Network request failed')));
+        };
+        xhr.onabort = () => {
+            cleanup();
+            reject(errors.fromAbortSignal(signal));
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort);
+        xhr.send(options.body === undefined ? null : options.body);
+    });
+}
+
+/**
+ * Replaces a Buffer, ArrayBuffer, typed array or string body with a stream
+ * counting the bytes node-fetch reads from it
+ * @param {Object} options - Fetch options
+ * @param {Function} onUploadProgress - Called with the number of body bytes read so far
+ * @returns {Object} - Fetch options with the counted body and its Content-Length
+ */
+function countedBody(options, onUploadProgress) {
+    const body = options.body;
+    let data;
+    if (typeof body === 'string') {
+        data = Buffer.from(body);
+    } else if (ArrayBuffer.isView(body)) {
+        data = Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+    } else if (Object.prototype.toString.call(body) === '[object ArrayBuffer]') {
+        // Not instanceof: the buffer may come from another realm
+        data = Buffer.from(body);
     } else {
-        try {
-            // Handle different body types
-            let bodyForHash = body;
-
-            if (body instanceof ArrayBuffer || (body.constructor && body.constructor.name === 'ArrayBuffer')) {
-                bodyForHash = new Uint8Array(body);
-            } else if (body.constructor && body.constructor.name === 'Buffer') {
-                bodyForHash = Buffer.from(body).toString();
-            }
+        return options;
+    }
 
-            bodyHash = sha256(bodyForHash);
-        } catch (e) {
-            console.error("Error calculating hash:", e.message);
-            bodyHash = "UNSIGNED-PAYLOAD";
+    const { Readable } = require('stream');
+    let offset = 0;
+    const stream = new Readable({
+        read() {
+            // Asked for more: everything pushed so far was consumed
+            if (offset > 0) onUploadProgress(offset);
+            if (offset >= data.length) {
+                this.push(null);
+                return;
+            }
+            const end = Math.min(offset + 65536, data.length);
+            this.push(data.subarray(offset, end));
+            offset = end;
         }
+    });
+
+    return Object.assign({}, options, {
+        body: stream,
+        headers: Object.assign({}, options.headers, { 'Content-Length': String(data.length) })
+    });
+}
+
+/**
+ * Get the bytes of a request body for hashing
+ * @param {*} body - String, ArrayBuffer, Buffer or other ArrayBuffer view
+ * @returns {string|Uint8Array|null} - Strings as is (hashed as UTF-8), bytes, or
+ *   null for bodies that can't be hashed up front
+ */
+function bodyBytes(body) {
+    if (typeof body === 'string') {
+        return body;
+    }
+    if (ArrayBuffer.isView(body)) {
+        return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+    }
+    if (Object.prototype.toString.call(body) === '[object ArrayBuffer]') {
+        // Not instanceof: the buffer may come from another realm
+        return new Uint8Array(body);
     }
+    return null;
+}
 
+/**
+ * Compute the checksums of an upload part
+ * @param {ArrayBuffer|Uint8Array|Buffer} data - Part data
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.worker] - Hash in a Worker in browsers (see hash.js)
+ * @param {Uint8Array} [options.sha256] - SHA-256 already computed while the data was read
+ * @returns {Promise<Object>} - { sha256Hex, sha256Base64, md5Hex, md5Base64 }. The MD5 is
+ *   only computed in Node.js (null in browsers, which have no MD5).
+ */
+async function partChecksums(data, options) {
+    options = options || {};
+    const bytes = bodyBytes(data);
+    const digest = options.sha256 || await hash.sha256(bytes, { worker: options.worker });
+    const md5 = hash.md5(bytes);
+    return {
+        sha256Hex: hash.toHex(digest),
+        sha256Base64: hash.toBase64(digest),
+        md5Hex: md5 ? hash.toHex(md5) : null,
+        md5Base64: md5 ? hash.toBase64(md5) : null
+    };
+}
+
+/**
+ * Check an upload part response against the checksums of the data sent
+ *
+ * The echoed x-amz-checksum-sha256 is always compared. The ETag is only compared
+ * with the MD5 when it looks like one: S3 ETags are not the MD5 of the data with
+ * SSE-KMS or SSE-C encryption.
+ *
+ * @param {Response} response - Part upload response
+ * @param {Object} checksums - Result of partChecksums()
+ * @throws {KlbIntegrityError} - When a value doesn't match
+ */
+function verifyPart(response, checksums) {
+    if (!response.headers || typeof response.headers.get !== 'function') {
+        return;
+    }
+    const header = (name) => response.headers.get(name);
+
+    const checksum = header('x-amz-checksum-sha256');
+    if (checksum && checksums.sha256Base64 && checksum !== checksums.sha256Base64) {
+        throw new errors.KlbIntegrityError('Part checksum mismatch', {
+            expected: checksums.sha256Base64,
+            actual: checksum
+        });
+    }
+
+    const etag = header('ETag');
+    const encryption = header('x-amz-server-side-encryption') || '';
+    const md5Etag = checksums.md5Hex && etag && /^"[0-9a-f]{32}"$/i.test(etag)
+        && encryption.indexOf('kms') === -1
+        && !header('x-amz-server-side-encryption-customer-algorithm');
+    if (md5Etag && etag.slice(1, -1).toLowerCase() !== checksums.md5Hex) {
+        throw new errors.KlbIntegrityError('Part ETag does not match the data sent', {
+            expected: `"${checksums.md5Hex}"`,
+            actual: etag
+        });
+    }
+}
+
+/**
+ * Sign an AWS S3 request with a signature obtained from the server
+ *
+ * @param {Object} upInfo - Upload info including bucket endpoint and key
+ * @param {string} method - HTTP method (GET, POST, PUT)
+ * @param {string} query - Query parameters
+ * @param {Object} headers - Request headers; x-* headers are signed. X-Amz-Content-Sha256,
+ *   X-Amz-Date and Authorization are added.
+ * @param {string} bodyHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {Object} context - Request context
+ * @param {Object} [apiClient] - Client for the signing call (see client.js)
+ * @returns {Promise<Object>} - { url, headers, date } where date is the signing time in ms
+ */
+async function signAwsRequest(upInfo, method, query, headers, bodyHash, context, apiClient) {
     // Create AWS timestamp
-    const timestamp = utils.getAmzTime();
+    const date = Date.now();
+    const timestamp = utils.getAmzTime(new Date(date));
     const datestamp = timestamp.substring(0, 8);
 
     // Set AWS headers
@@ -289,51 +474,146 @@ function awsReq(upInfo, method, query, body, headers, context, signal) {
     authStringParts.push(headersToSign.join(';'));
     authStringParts.push(bodyHash);
 
-    return new Promise((resolve, reject) => {
-        // Get signature from server
-        rest.rest(
-            `Cloud/Aws/Bucket/Upload/${upInfo.Cloud_Aws_Bucket_Upload__}:signV4`,
-            "POST",
-            { headers: authStringParts.join("\n") },
-            context
-        )
-        .then(response => {
-            // Construct the S3 URL
-            let url = `https://${upInfo.Bucket_Endpoint.Host}/${upInfo.Bucket_Endpoint.Name}/${upInfo.Key}`;
-            if (query) url += `?${query}`;
-
-            // Add the authorization header
-            headers["Authorization"] = response.data.authorization;
-
-            // Make the actual request to S3
-            const fetchOptions = {
-                method,
-                body,
-                headers
+    // Get signature from server
+    const response = await rest.rest(
+        `Cloud/Aws/Bucket/Upload/${upInfo.Cloud_Aws_Bucket_Upload__}:signV4`,
+        "POST",
+        { headers: authStringParts.join("\n") },
+        context,
+        { client: apiClient }
+    );
+
+    // Construct the S3 URL
+    let url = `https://${upInfo.Bucket_Endpoint.Host}/${upInfo.Bucket_Endpoint.Name}/${upInfo.Key}`;
+    if (query) url += `?${query}`;
+
+    // Add the authorization header
+    headers["Authorization"] = response.data.authorization;
+
+    return { url, headers, date };
+}
+
+/**
+ * AWS S3 request handler
+ * Performs a signed request to AWS S3 using a signature obtained from the server
+ *
+ * @param {Object} upInfo - Upload info including bucket endpoint and key
+ * @param {string} method - HTTP method (GET, POST, PUT)
+ * @param {string} query - Query parameters
+ * @param {*} body - Request body
+ * @param {Object} headers - Request headers
+ * @param {Object} context - Request context
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @param {Object} [apiClient] - Client for the signing call (see client.js)
+ * @param {Function} [onUploadProgress] - Called with the number of body bytes sent so far
+ * @returns {Promise} - Request promise
+ */
+async function awsReq(upInfo, method, query, body, headers, context, signal, apiClient, onUploadProgress) {
+    headers = headers || {};
+    context = context || {};
+
+    // Calculate body hash for AWS signature, unless the caller already did
+    // (see partChecksums()) or sends an UNSIGNED-PAYLOAD
+    let bodyHash = headers["X-Amz-Content-Sha256"];
+
+    if (!bodyHash && (!body || body === "")) {
+        // Empty body hash
+        bodyHash = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+    } else if (!bodyHash) {
+        const bytes = bodyBytes(body);
+        if (bytes === null) {
+            logger.warn("Cannot hash this body type, sending an unsigned payload");
+            bodyHash = "UNSIGNED-PAYLOAD";
+        } else {
+            bodyHash = hash.toHex(await hash.sha256(bytes));
+        }
+    }
+
+    const signed = await signAwsRequest(upInfo, method, query, headers, bodyHash, context, apiClient);
+
+    // Make the actual request to S3
+    const fetchOptions = {
+        method,
+        body,
+        headers: signed.headers
+    };
+    if (signal) {
+        fetchOptions.signal = signal;
+    }
+    if (onUploadProgress) {
+        fetchOptions.onUploadProgress = onUploadProgress;
+    }
+    return utils.fetch(signed.url, fetchOptions, apiClient);
+}
+
+/**
+ * List the parts already stored for an S3 multipart upload (ListParts)
+ * @param {Object} upInfo - Upload info
+ * @param {string} uploadId - Multipart upload id
+ * @param {Object} context - Request context
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @param {Object} [apiClient] - Client for the signing calls (see client.js)
+ * @returns {Promise<Object|null>} - Map of 1-based part number to { etag, size, checksum },
+ *   or null when the upload no longer exists
+ */
+async function listAwsParts(upInfo, uploadId, context, signal, apiClient) {
+    const parts = {};
+    let marker = null;
+
+    for (;;) {
+        // Query parameters must be sorted for the signature
+        const query = (marker ? `part-number-marker=${marker}&` : '') + `uploadId=${uploadId}`;
+        const response = await awsReq(upInfo, 'GET', query, '', null, context, signal, apiClient);
+        if (response.status === 404) {
+            await response.text();
+            return null;
+        }
+        if (!response.ok) {
+            throw errors.httpError(response);
+        }
+
+        const dom = utils.parseXML(await response.text());
+        const text = (node, tag) => {
+            const found = node.getElementsByTagName(tag);
+            return found.length > 0 ? found[0].textContent : null;
+        };
+
+        const partNodes = dom.getElementsByTagName('Part');
+        for (let i = 0; i < partNodes.length; i++) {
+            const partNumber = parseInt(text(partNodes[i], 'PartNumber'), 10);
+            parts[partNumber] = {
+                etag: text(partNodes[i], 'ETag'),
+                size: parseInt(text(partNodes[i], 'Size'), 10),
+                checksum: text(partNodes[i], 'ChecksumSHA256')
             };
-            if (signal) {
-                fetchOptions.signal = signal;
-            }
-            return utils.fetch(url, fetchOptions);
-        })
-        .then(resolve)
-        .catch(reject);
-    });
+        }
+
+        marker = text(dom, 'IsTruncated') === 'true' ? text(dom, 'NextPartNumberMarker') : null;
+        if (!marker) {
+            return parts;
+        }
+    }
 }
 
 /**
  * Read a chunk of specified size from a stream
  * @param {ReadableStream} stream - Node.js readable stream
  * @param {number} size - Number of bytes to read
+ * @param {Object} [hasher] - Incremental hash (see hash.js createSha256()) fed with the
+ *   bytes as they are read
  * @returns {Promise<ArrayBuffer|null>} - ArrayBuffer with data, or null if stream ended
  */
-function readChunkFromStream(stream, size) {
+function readChunkFromStream(stream, size, hasher) {
     return new Promise((resolve, reject) => {
         // Check if stream already ended before we start
         if (stream.readableEnded) {
             resolve(null);
             return;
         }
+        if (stream.destroyed) {
+            reject(new errors.KlbError('Stream was destroyed before it ended'));
+            return;
+        }
 
         const chunks = [];
         let bytesRead = 0;
@@ -350,9 +630,15 @@ function readChunkFromStream(stream, size) {
             if (resolved) return;
 
             let chunk;
-            while (bytesRead < size && (chunk = stream.read(Math.min(size - bytesRead, 65536))) !== null) {
-                chunks.push(chunk);
-                bytesRead += chunk.length;
+            try {
+                while (bytesRead < size && (chunk = stream.read(Math.min(size - bytesRead, 65536))) !== null) {
+                    chunks.push(chunk);
+                    bytesRead += chunk.length;
+                    if (hasher) hasher.update(chunk);
+                }
+            } catch (err) {
+                onError(err);
+                return;
             }
 
             if (bytesRead >= size) {
@@ -383,21 +669,143 @@ function readChunkFromStream(stream, size) {
             reject(err);
         };
 
+        // Destroyed without 'end' (nor 'error'): no more data will come
+        const onClose = () => {
+            if (resolved) return;
+            if (stream.readableEnded) {
+                onEnd();
+                return;
+            }
+            onError(new errors.KlbError('Stream closed before it ended'));
+        };
+
         const cleanup = () => {
             stream.removeListener('readable', onReadable);
             stream.removeListener('end', onEnd);
             stream.removeListener('error', onError);
+            stream.removeListener('close', onClose);
         };
 
         stream.on('readable', onReadable);
         stream.on('end', onEnd);
         stream.on('error', onError);
+        stream.on('close', onClose);
 
         // Try reading immediately in case data is already buffered
         onReadable();
     });
 }
 
+/**
+ * Check whether a value is a sequential source createChunkReader() can read
+ * @param {*} source - Value to check
+ * @returns {boolean} - True for Node.js readable streams, web ReadableStreams and async iterables
+ */
+function isSequentialSource(source) {
+    return !!source && (
+        (typeof source.read === 'function' && typeof source.on === 'function') ||
+        typeof source.getReader === 'function' ||
+        typeof source[Symbol.asyncIterator] === 'function'
+    );
+}
+
+/**
+ * Create a reader taking chunks of a given size from a sequential source
+ *
+ * Node.js streams are read with readChunkFromStream(). Web ReadableStreams
+ * (e.g. `fetch().body` or `Blob.stream()`) and async iterables are pulled one
+ * chunk at a time, keeping what goes past the requested size for the next read.
+ *
+ * @param {*} source - Node.js readable stream, web ReadableStream, or async iterable of
+ *   Uint8Array, Buffer or ArrayBuffer chunks
+ * @returns {Object} - `{ read(size, hasher), close(reason) }`, read() resolving like
+ *   readChunkFromStream(); close() is called once the upload stops
+ */
+function createChunkReader(source) {
+    if (typeof source.read === 'function' && typeof source.on === 'function') {
+        return {
+            read: (size, hasher) => readChunkFromStream(source, size, hasher),
+            close: async (reason) => {
+                if (reason !== undefined && typeof source.destroy === 'function') {
+                    source.destroy();
+                }
+            }
+        };
+    }
+
+    let next;
+    let stop;
+    if (typeof source.getReader === 'function') {
+        const reader = source.getReader();
+        next = () => reader.read();
+        stop = async (reason) => {
+            if (!ended) {
+                await reader.cancel(reason);
+            }
+            reader.releaseLock();
+        };
+    } else {
+        const iterator = source[Symbol.asyncIterator]();
+        next = () => iterator.next();
+        stop = async () => {
+            if (!ended && typeof iterator.return === 'function') {
+                await iterator.return();
+            }
+        };
+    }
+
+    let pending = null;
+    let ended = false;
+    let closed = false;
+    return {
+        /**
+         * Stop reading: cancel the source unless it was read to its end, and release it
+         * @param {*} [reason] - Why the upload stopped early
+         */
+        async close(reason) {
+            if (closed) return;
+            closed = true;
+            try {
+                await stop(reason);
+            } catch (error) {
+                // The upload already failed or completed; nothing more to report
+            }
+        },
+
+        async read(size, hasher) {
+            const chunks = [];
+            let bytesRead = 0;
+
+            while (bytesRead < size) {
+                let chunk = pending;
+                pending = null;
+                if (!chunk) {
+                    if (ended) break;
+                    const result = await next();
+                    if (result.done) {
+                        ended = true;
+                        break;
+                    }
+                    chunk = typeof result.value === 'string' ? null : bodyBytes(result.value);
+                    if (!chunk) {
+                        throw new TypeError('Stream chunks must be Uint8Array, Buffer or ArrayBuffer');
+                    }
+                }
+
+                if (chunk.length > size - bytesRead) {
+                    pending = chunk.subarray(size - bytesRead);
+                    chunk = chunk.subarray(0, size - bytesRead);
+                }
+                chunks.push(chunk);
+                bytesRead += chunk.length;
+                if (hasher) hasher.update(chunk);
+            }
+
+            return bytesRead === 0 ? null : combineChunks(chunks);
+        }
+    };
+}
+
 /**
  * Combine chunks into a single ArrayBuffer
  * @private
@@ -420,18 +828,129 @@ function combineChunks(chunks) {
     return result.buffer;
 }
 
+/**
+ * MIME types of common file extensions, for files uploaded by path
+ * @private
+ */
+const MIME_TYPES = {
+    txt: 'text/plain',
+    csv: 'text/csv',
+    html: 'text/html',
+    htm: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript',
+    json: 'application/json',
+    xml: 'application/xml',
+    pdf: 'application/pdf',
+    zip: 'application/zip',
+    gz: 'application/gzip',
+    tar: 'application/x-tar',
+    iso: 'application/x-iso9660-image',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mov: 'video/quicktime',
+    mkv: 'video/x-matroska'
+};
+
+/**
+ * Guess the MIME type of a file from its extension
+ * @param {string} name - File name
+ * @returns {string} - MIME type, `application/octet-stream` if unknown
+ */
+function guessMimeType(name) {
+    const base = name.replace(/^.*[\\/]/, '');
+    const dot = base.lastIndexOf('.');
+    const extension = dot === -1 ? '' : base.slice(dot + 1).toLowerCase();
+    return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Describe a file on disk for uploadFile(), read later in slices by readFileSlice()
+ * @param {string} filePath - Path of the file
+ * @param {Object} [params] - Upload parameters; `filename` and `type` override the file's
+ * @returns {Promise<Object>} - File-like object with { name, size, type, lastModified, path }
+ * @throws {Error} - Outside Node.js, or when the path is not a regular file
+ */
+async function statLocalFile(filePath, params) {
+    if (env.isBrowser || !env.isNode) {
+        throw new Error('Uploading a file by path requires Node.js');
+    }
+    params = params || {};
+    const stats = await require('fs').promises.stat(filePath);
+    if (!stats.isFile()) {
+        throw new Error(`Not a regular file: ${filePath}`);
+    }
+    const name = params.filename || require('path').basename(filePath);
+    return {
+        name,
+        size: stats.size,
+        type: params.type || guessMimeType(name),
+        lastModified: stats.mtimeMs / 1000,
+        path: filePath
+    };
+}
+
+/**
+ * Read a byte range of a file on disk with positioned reads, so that
+ * parts can be read in parallel
+ * @private
+ */
+async function readLocalSlice(filePath, start, end) {
+    const bytes = new Uint8Array(end - start);
+    const handle = await require('fs').promises.open(filePath, 'r');
+    try {
+        let offset = 0;
+        while (offset < bytes.length) {
+            const { bytesRead } = await handle.read(bytes, offset, bytes.length - offset, start + offset);
+            if (bytesRead === 0) {
+                throw new errors.KlbError(`File ${filePath} was truncated during the upload`);
+            }
+            offset += bytesRead;
+        }
+    } finally {
+        await handle.close();
+    }
+    return bytes.buffer;
+}
+
 /**
  * Read a slice of a file as ArrayBuffer
  * @private
  */
 function readFileSlice(file, start, end) {
     return new Promise((resolve, reject) => {
+        // Handle files on disk (Node.js)
+        if (file.path) {
+            readLocalSlice(file.path, start, end).then(resolve, reject);
+            return;
+        }
+
         // Handle browser File objects
         if (file.browserFile) {
             const slice = file.browserFile.slice(start, end);
+            // Blobs outside browsers (Node.js 18+) have no FileReader
+            if (typeof FileReader === 'undefined') {
+                slice.arrayBuffer().then(resolve, reject);
+                return;
+            }
             const reader = new FileReader();
-            reader.addEventListener('loadend', () => resolve(reader.result));
-            reader.addEventListener('error', (e) => reject(e));
+            reader.addEventListener('loadend', () => {
+                // loadend also fires after an error or an abort
+                if (reader.error || reader.result === null) {
+                    reject(reader.error || new errors.KlbError('File read was aborted'));
+                    return;
+                }
+                resolve(reader.result);
+            });
             reader.readAsArrayBuffer(slice);
             return;
         }
@@ -473,7 +992,16 @@ function readFileSlice(file, start, end) {
 // Exports
 module.exports.env = env;
 module.exports.utils = utils;
+module.exports.signAwsRequest = signAwsRequest;
 module.exports.awsReq = awsReq;
+module.exports.listAwsParts = listAwsParts;
+module.exports.bodyBytes = bodyBytes;
+module.exports.partChecksums = partChecksums;
+module.exports.verifyPart = verifyPart;
 module.exports.readChunkFromStream = readChunkFromStream;
+module.exports.isSequentialSource = isSequentialSource;
+module.exports.createChunkReader = createChunkReader;
 module.exports.combineChunks = combineChunks;
+module.exports.guessMimeType = guessMimeType;
+module.exports.statLocalFile = statLocalFile;
 module.exports.readFileSlice = readFileSlice;
@@ -13,6 +13,7 @@
 const rest = require('./rest');
 const fwWrapper = require('./fw-wrapper');
 const { env, utils, awsReq } = require('./upload-internal');
+const logger = require('./logger');
 
 /**
  * Upload module (IIFE pattern)
@@ -602,12 +603,12 @@ module.exports.upload = (function () {
                                 })
                                 .catch(function(err) {
                                     remainingCount -= 1;
-                                    console.error('Error uploading file:', err);
+                                    logger.error('Error uploading file:', err);
                                     if (remainingCount === 0) resolve();
                                 });
                         } catch (err) {
                             remainingCount -= 1;
-                            console.error('Error processing file:', err);
+                            logger.error('Error processing file:', err);
                             if (remainingCount === 0) resolve();
                         }
                     });
@@ -9,6 +9,40 @@
 'use strict';
 
 const { uploadFile } = require('./upload');
+const { statLocalFile } = require('./upload-internal');
+const { KlbAbortError } = require('./errors');
+
+// uploadFile() options given to every file as they are
+const FILE_OPTION_KEYS = ['concurrency', 'minPartSize', 'maxPartSize', 'resumable', 'integrity', 'digest',
+    'unsignedPayload', 'hashWorker', 'presign', 'presignWindow'];
+
+/**
+ * Size in bytes of an uploadFile() input, null when unknown
+ * @private
+ */
+async function inputSize(file) {
+    if (file && typeof file.path === 'string' && typeof file.size !== 'number') {
+        try {
+            return (await statLocalFile(file.path)).size;
+        } catch (error) {
+            // The file's own upload fails with this error
+            return null;
+        }
+    }
+    if (typeof file === 'string') {
+        return new TextEncoder().encode(file).length;
+    }
+    if (file && typeof file.byteLength === 'number') {
+        return file.byteLength;
+    }
+    if (file && file.content !== undefined) {
+        return file.size || file.content.byteLength || file.content.length;
+    }
+    if (file && typeof file.size === 'number') {
+        return file.size;
+    }
+    return null;
+}
 
 /**
  * Upload multiple files with concurrency control
@@ -23,6 +57,7 @@ const { uploadFile } = require('./upload');
  *   - A Node.js Buffer
  *   - An ArrayBuffer or Uint8Array
  *   - A file-like object with { name, size, type, content }
+ *   - `{ path }`, a file on disk (Node.js)
  *   - A string (will be converted to UTF-8 bytes)
  * @param {string} [method='POST'] - HTTP method for the initial API call
  * @param {Object} [params={}] - Additional parameters to send with each upload.
@@ -34,13 +69,25 @@ const { uploadFile } = require('./upload');
  *   - fileCount: Total number of files
  *   - fileProgress: Progress of current file (0-1)
  *   - totalProgress: Overall progress (0-1)
+ * @param {Function} [options.onUploadProgress] - Byte progress callback({ loaded, sent, total,
+ *   percent, bytesPerSecond, etaSeconds, fileIndex, fileCount, file }) over all files, where file
+ *   is the uploadFile() onUploadProgress event of the file that progressed. bytesPerSecond counts
+ *   the bytes sent by this call only. total, percent and etaSeconds are null when the size of a
+ *   file is unknown (streams). Files on disk are stat'ed before the uploads start.
  * @param {Function} [options.onFileComplete] - Called when each file completes({ fileIndex, fileCount, result })
  * @param {Function} [options.onError] - Error callback(error, context). Can return a Promise
  *   that, if resolved, will cause the failed operation to be retried.
  *   Context includes { fileIndex, phase, attempt } where phase is 'file' for file-level errors,
  *   or 'upload'/'init'/'complete' for block-level errors (also includes blockNum for 'upload').
- * @param {number} [options.concurrency=3] - Maximum concurrent uploads (1-10)
+ * @param {number} [options.concurrency=3] - Maximum concurrent uploads (1-10), and blocks in
+ *   flight per upload
+ * @param {number} [options.memoryBudget] - Bytes of file data held in memory at once, split
+ *   evenly between the files uploading at the same time
+ * @param {number} [options.minPartSize] - Passed to each uploadFile() call, like
+ *   `maxPartSize`, `resumable`, `integrity`, `digest`, `unsignedPayload`, `hashWorker`,
+ *   `presign` and `presignWindow`
  * @param {AbortSignal} [options.signal] - AbortSignal for cancellation. Use AbortController to cancel.
+ * @param {Object} [options.client] - Client for the API calls, set by createClient() (see client.js)
  * @returns {Promise<Array>} - Resolves with array of upload results in same order as input files.
  *   Rejects with AbortError if cancelled.
  *
@@ -78,13 +125,24 @@ async function uploadManyFiles(api, files, method, params, context, options) {
     }
 
     const concurrency = Math.min(Math.max(options.concurrency || 3, 1), 10);
-    const { onProgress, onFileComplete, onError, signal } = options;
+    const { onProgress, onUploadProgress, onFileComplete, onError, signal } = options;
+
+    // Options of each file upload, with its share of the memory budget
+    const sharedOptions = {};
+    for (const key of FILE_OPTION_KEYS) {
+        if (options[key] !== undefined) {
+            sharedOptions[key] = options[key];
+        }
+    }
+    if (typeof options.memoryBudget === 'number') {
+        sharedOptions.memoryBudget = Math.floor(options.memoryBudget / Math.min(concurrency, fileCount));
+    } else if (options.memoryBudget !== undefined) {
+        sharedOptions.memoryBudget = options.memoryBudget;
+    }
 
     // Check if already aborted
     if (signal && signal.aborted) {
-        const error = new Error('Upload aborted');
-        error.name = 'AbortError';
-        throw error;
+        throw new KlbAbortError('Upload aborted');
     }
 
     // Results array in same order as input
@@ -93,6 +151,17 @@ async function uploadManyFiles(api, files, method, params, context, options) {
     // Track progress for each file (0-1)
     const fileProgressArray = new Array(fileCount).fill(0);
 
+    // Track bytes sent for each file, over the known total
+    const fileLoadedArray = new Array(fileCount).fill(0);
+
+    // Bytes sent by this call for each file, and by the failed attempts of retried files,
+    // without the parts resumed from an earlier call
+    const fileSentArray = new Array(fileCount).fill(0);
+    let retriedSent = 0;
+    const fileSizes = await Promise.all(files.map(inputSize));
+    const totalSize = fileSizes.includes(null) ? null : fileSizes.reduce((sum, size) => sum + size, 0);
+    const start = Date.now();
+
     // Queue of file indices to process
     let nextIndex = 0;
 
@@ -116,6 +185,28 @@ async function uploadManyFiles(api, files, method, params, context, options) {
         }
     };
 
+    // Helper to aggregate the byte progress of the files
+    const reportBytes = (fileIndex, event) => {
+        fileLoadedArray[fileIndex] = event.loaded;
+        fileSentArray[fileIndex] = event.sent;
+
+        const loaded = fileLoadedArray.reduce((sum, bytes) => sum + bytes, 0);
+        const sent = fileSentArray.reduce((sum, bytes) => sum + bytes, retriedSent);
+        const elapsed = (Date.now() - start) / 1000;
+        const bytesPerSecond = elapsed > 0 ? Math.round(sent / elapsed) : 0;
+        onUploadProgress({
+            loaded,
+            sent,
+            total: totalSize,
+            percent: totalSize ? Math.min(100, loaded / totalSize * 100) : null,
+            bytesPerSecond,
+            etaSeconds: totalSize && bytesPerSecond > 0 ? Math.ceil(Math.max(0, totalSize - loaded) / bytesPerSecond) : null,
+            fileIndex,
+            fileCount,
+            file: event
+        });
+    };
+
     // Upload a single file and return its result (with retry support)
     const uploadOne = async (fileIndex) => {
         const file = files[fileIndex];
@@ -126,16 +217,28 @@ async function uploadManyFiles(api, files, method, params, context, options) {
 
             // Create per-file options with wrapped callbacks
             const fileOptions = {
+                ...sharedOptions,
                 onProgress: (progress) => {
                     reportProgress(fileIndex, progress);
                 }
             };
 
+            if (onUploadProgress) {
+                fileOptions.onUploadProgress = (event) => {
+                    reportBytes(fileIndex, event);
+                };
+            }
+
             // Pass signal to each file upload
             if (signal) {
                 fileOptions.signal = signal;
             }
 
+            // Keep the uploads on the caller's client
+            if (options.client) {
+                fileOptions.client = options.client;
+            }
+
             // Wrap onError to include fileIndex for block-level errors
             if (onError) {
                 fileOptions.onError = (error, ctx) => {
@@ -167,6 +270,9 @@ async function uploadManyFiles(api, files, method, params, context, options) {
                         await onError(error, { fileIndex, phase: 'file', attempt });
                         // Reset progress for retry
                         fileProgressArray[fileIndex] = 0;
+                        fileLoadedArray[fileIndex] = 0;
+                        retriedSent += fileSentArray[fileIndex];
+                        fileSentArray[fileIndex] = 0;
                         continue; // Retry
                     } catch (e) {
                         // onError rejected, don't retry
@@ -194,8 +300,7 @@ async function uploadManyFiles(api, files, method, params, context, options) {
                     // Check for abort before starting next file
                     if (signal && signal.aborted) {
                         aborted = true;
-                        abortError = new Error('Upload aborted');
-                        abortError.name = 'AbortError';
+                        abortError = new KlbAbortError('Upload aborted');
                         return;
                     }
 
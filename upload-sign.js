@@ -0,0 +1,170 @@
+'use strict';
+/**
+ * @fileoverview Signing S3 part uploads ahead of time
+ *
+ * awsReq() makes one signing call to the API before each S3 request, because
+ * the signature covers the body's SHA-256. Parts sent as UNSIGNED-PAYLOAD
+ * don't depend on their data, so their signatures can be requested for a
+ * window of parts at once, while earlier parts are still transferring.
+ *
+ * The signer first asks the server for presigned part URLs:
+ *
+ *     POST Cloud/Aws/Bucket/Upload/<id>:presignParts
+ *     { "upload_id": "...", "parts": [1, 2, 3] }
+ *     -> { "urls": { "1": "https://...", ... }, "expires": <unix time> }
+ *
+ * If the server can't (the call fails, or the answer lacks URLs or a numeric
+ * `expires`), each part of the window is signed with the
+ * usual signV4 call. These calls are made together, so they share one HTTP
+ * request when batching is enabled (see batch.js).
+ *
+ * Signatures are cached until shortly before they expire: presigned URLs at
+ * the `expires` time the server returned, header signatures 15 minutes after
+ * their X-Amz-Date, when S3 starts rejecting them.
+ */
+
+const rest = require('./rest');
+const logger = require('./logger');
+const { abortable } = require('./abort');
+const { utils, signAwsRequest } = require('./upload-internal');
+
+// S3 rejects header signatures older than this
+const SIGNATURE_LIFETIME = 15 * 60 * 1000;
+
+// Signatures this close to expiring are requested again
+const EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Create a signer for the parts of an S3 multipart upload
+ * @param {Object} upInfo - Upload info including bucket endpoint and key
+ * @param {string} uploadId - Multipart upload id
+ * @param {Object} context - Request context
+ * @param {Object} [apiClient] - Client for the API calls (see client.js)
+ * @param {Object} [options] - Options
+ * @param {number} [options.window=20] - Parts signed per request
+ * @param {number} [options.parts] - Number of parts, when known
+ * @returns {Object} - `{ send(partNumber, body, headers, signal, onUploadProgress) }`
+ */
+function createPartSigner(upInfo, uploadId, context, apiClient, options) {
+    options = options || {};
+    const window = options.window || 20;
+    const lastPart = options.parts || Infinity;
+
+    // part number -> Promise<{ url, headers, expires }>
+    const cache = new Map();
+    let presign = true;
+
+    const valid = (signed) => signed.expires - EXPIRY_MARGIN > Date.now();
+
+    // Ask the server for presigned URLs, null if it can't make them
+    const requestPresigned = async (parts) => {
+        try {
+            const response = await rest.rest(
+                `Cloud/Aws/Bucket/Upload/${upInfo.Cloud_Aws_Bucket_Upload__}:presignParts`,
+                'POST',
+                { upload_id: uploadId, parts },
+                context,
+                { client: apiClient }
+            );
+            const urls = (response.data && response.data.urls) || {};
+            // Without a valid expiry time, every part would ask for its URL again
+            const expires = response.data && typeof response.data.expires === 'number' ? response.data.expires * 1000 : NaN;
+            if (parts.every(partNumber => urls[partNumber]) && Number.isFinite(expires)) {
+                return parts.map(partNumber => ({ url: urls[partNumber], headers: {}, expires }));
+            }
+            logger.info('Server returned no presigned part URLs with an expiry time, signing each part');
+        } catch (error) {
+            // Servers without the endpoint answer with an API error or no JSON at all
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            logger.info('Server cannot presign parts, signing each part:', error.message);
+        }
+        presign = false;
+        return null;
+    };
+
+    const requestSignatures = async (parts) => {
+        const presigned = presign ? await requestPresigned(parts) : null;
+        if (presigned) {
+            return presigned;
+        }
+        return Promise.all(parts.map(partNumber =>
+            signAwsRequest(upInfo, 'PUT', `partNumber=${partNumber}&uploadId=${uploadId}`, {}, 'UNSIGNED-PAYLOAD', context, apiClient)
+                .then(signed => ({ url: signed.url, headers: signed.headers, expires: signed.date + SIGNATURE_LIFETIME }))
+        ));
+    };
+
+    // Request the signatures missing from a window starting at a part
+    const fill = (from) => {
+        const parts = [];
+        for (let partNumber = from; partNumber < from + window && partNumber <= lastPart; partNumber++) {
+            if (!cache.has(partNumber)) {
+                parts.push(partNumber);
+            }
+        }
+        if (parts.length === 0) {
+            return;
+        }
+
+        const request = requestSignatures(parts);
+        parts.forEach((partNumber, i) => {
+            const entry = request.then(signatures => signatures[i]);
+            // A failed request is retried by the next part needing it
+            entry.catch(() => {
+                if (cache.get(partNumber) === entry) cache.delete(partNumber);
+            });
+            cache.set(partNumber, entry);
+        });
+    };
+
+    const signature = async (partNumber) => {
+        const cached = cache.get(partNumber);
+        if (cached) {
+            const signed = await cached.catch(() => null);
+            if (signed && valid(signed)) {
+                return signed;
+            }
+            if (cache.get(partNumber) === cached) cache.delete(partNumber);
+        }
+        fill(partNumber);
+        return cache.get(partNumber);
+    };
+
+    return {
+        /**
+         * Upload a part with a cached signature
+         * @param {number} partNumber - 1-based part number
+         * @param {*} body - Part data
+         * @param {Object} [headers] - Other headers, not signed (e.g. Content-MD5)
+         * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+         * @param {Function} [onUploadProgress] - Called with the number of body bytes sent so far
+         * @returns {Promise<Response>}
+         */
+        async send(partNumber, body, headers, signal, onUploadProgress) {
+            const signed = await abortable(signature(partNumber), signal);
+            cache.delete(partNumber);
+
+            // Sign the next window while this part transfers
+            const ahead = partNumber + Math.ceil(window / 2);
+            if (ahead <= lastPart && !cache.has(ahead)) {
+                fill(partNumber + 1);
+            }
+
+            const fetchOptions = {
+                method: 'PUT',
+                body,
+                headers: Object.assign({}, headers, signed.headers)
+            };
+            if (signal) {
+                fetchOptions.signal = signal;
+            }
+            if (onUploadProgress) {
+                fetchOptions.onUploadProgress = onUploadProgress;
+            }
+            return utils.fetch(signed.url, fetchOptions, apiClient);
+        }
+    };
+}
+
+module.exports.createPartSigner = createPartSigner;
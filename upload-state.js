@@ -0,0 +1,221 @@
+'use strict';
+/**
+ * @fileoverview State storage for resumable uploads
+ *
+ * With the `resumable` option, uploadFile() records the upload session (the
+ * server's upload info, the S3 multipart upload id, the block size and the
+ * parts already sent) in a store after each part. A later uploadFile() call
+ * for the same file finds the session under the file's fingerprint and only
+ * sends the missing parts, even after a page reload or a process restart.
+ *
+ * A store is any object with promise-returning `get(key)`, `set(key, value)`
+ * and `delete(key)` methods. Built-in stores keep the state in IndexedDB or
+ * localStorage in the browser and in a JSON file in Node.js.
+ */
+
+const sha256 = require('js-sha256').sha256;
+const logger = require('./logger');
+
+const STATE_VERSION = 1;
+const KEY_PREFIX = 'klbfw-upload:';
+const IDB_STORE = 'uploads';
+
+let defaultStore = null;
+
+/**
+ * Creates a store keeping upload states in localStorage
+ * @param {Object} [options] - Options
+ * @param {Storage} [options.storage=localStorage] - Web Storage object to use
+ * @returns {Object} Upload state store
+ * @throws {TypeError} When no storage is available
+ */
+const createLocalStorageUploadStore = (options) => {
+    const storage = (options && options.storage) || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!storage) {
+        throw new TypeError('localStorage is not available');
+    }
+
+    return {
+        get: (key) => new Promise(resolve => {
+            const raw = storage.getItem(KEY_PREFIX + key);
+            resolve(raw ? JSON.parse(raw) : undefined);
+        }),
+        set: (key, value) => new Promise(resolve => {
+            storage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+            resolve();
+        }),
+        delete: (key) => new Promise(resolve => {
+            storage.removeItem(KEY_PREFIX + key);
+            resolve();
+        })
+    };
+};
+
+/**
+ * Creates a store keeping upload states in IndexedDB
+ * @param {Object} [options] - Options
+ * @param {string} [options.name='klbfw'] - Database name
+ * @param {IDBFactory} [options.indexedDB=indexedDB] - IndexedDB implementation
+ * @returns {Object} Upload state store
+ * @throws {TypeError} When IndexedDB is not available
+ */
+const createIndexedDBUploadStore = (options) => {
+    const name = (options && options.name) || 'klbfw';
+    const idb = (options && options.indexedDB) || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!idb) {
+        throw new TypeError('IndexedDB is not available');
+    }
+
+    let opening = null;
+    const open = () => {
+        if (!opening) {
+            opening = new Promise((resolve, reject) => {
+                const request = idb.open(name, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Try again on the next call after a failure
+            opening.catch(() => { opening = null; });
+        }
+        return opening;
+    };
+
+    const run = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_STORE, mode);
+        const request = fn(tx.objectStore(IDB_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+
+    return {
+        get: (key) => run('readonly', store => store.get(key)),
+        set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => {}),
+        delete: (key) => run('readwrite', store => store.delete(key)).then(() => {})
+    };
+};
+
+/**
+ * Creates a store keeping upload states in a JSON file (Node.js). The states
+ * hold upload URLs, so the file is only readable by its owner.
+ * @param {string} [filePath] - File path, defaults to klbfw-uploads.json in
+ *   ~/.config/atonline (created readable only by the user, like auth-node.js)
+ * @returns {Object} Upload state store
+ */
+const createFileUploadStore = (filePath) => {
+    const fs = require('fs');
+    const path = require('path');
+    let ready = Promise.resolve();
+    if (!filePath) {
+        const configDir = path.join(require('os').homedir(), '.config', 'atonline');
+        filePath = path.join(configDir, 'klbfw-uploads.json');
+        ready = fs.promises.mkdir(configDir, { recursive: true, mode: 0o700 });
+    }
+
+    const read = () => fs.promises.readFile(filePath, 'utf8').then(raw => {
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            logger.warn(`Ignoring unreadable upload state file ${filePath}:`, e);
+            return {};
+        }
+    }, error => {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    });
+
+    // Writes go one at a time, through a temporary file created exclusively, so
+    // that a file or symlink planted under its name is never written through
+    let chain = Promise.resolve();
+    const update = (fn) => {
+        const next = chain.then(() => ready).then(read).then(data => {
+            fn(data);
+            const tmp = `${filePath}.${process.pid}.${require('crypto').randomBytes(8).toString('hex')}.tmp`;
+            return fs.promises.writeFile(tmp, JSON.stringify(data), { flag: 'wx', mode: 0o600 })
+                .then(() => fs.promises.rename(tmp, filePath))
+                .catch(error => fs.promises.unlink(tmp).catch(() => {}).then(() => {
+                    throw error;
+                }));
+        });
+        chain = next.catch(() => {});
+        return next;
+    };
+
+    return {
+        get: (key) => chain.then(read).then(data => data[key]),
+        set: (key, value) => update(data => { data[key] = value; }),
+        delete: (key) => update(data => { delete data[key]; })
+    };
+};
+
+/**
+ * Returns the store used by `resumable: true`: IndexedDB (or localStorage)
+ * in the browser, a JSON file in ~/.config/atonline in Node.js
+ * @returns {Object} Upload state store
+ */
+const getDefaultUploadStore = () => {
+    if (!defaultStore) {
+        if (typeof indexedDB !== 'undefined') {
+            defaultStore = createIndexedDBUploadStore();
+        } else if (typeof localStorage !== 'undefined') {
+            defaultStore = createLocalStorageUploadStore();
+        } else {
+            defaultStore = createFileUploadStore();
+        }
+    }
+    return defaultStore;
+};
+
+/**
+ * Computes the key under which the state of an upload is stored
+ * @param {Array} parts - Values identifying the upload (endpoint, file metadata, ...)
+ * @returns {string} Fingerprint
+ */
+const uploadFingerprint = (parts) => sha256(JSON.stringify(parts));
+
+/**
+ * Opens the state of a resumable upload. Failures of the store are logged
+ * and never fail the upload: it just can't be resumed then.
+ * @param {boolean|Object} resumable - true for the default store, or a store
+ * @param {string} key - Fingerprint of the upload
+ * @returns {Object|null} `{ load(), save(state), clear() }`, null when not resumable
+ * @throws {TypeError} When the store is invalid
+ */
+const openUploadState = (resumable, key) => {
+    if (!resumable) {
+        return null;
+    }
+    const store = resumable === true ? getDefaultUploadStore() : resumable;
+    if (typeof store !== 'object' || ['get', 'set', 'delete'].some(name => typeof store[name] !== 'function')) {
+        throw new TypeError('resumable must be true or a store with get, set and delete methods');
+    }
+
+    let chain = Promise.resolve();
+    const queue = (fn, action) => {
+        chain = chain.then(fn).catch(error => logger.warn(`Could not ${action} upload state:`, error));
+        return chain;
+    };
+
+    return {
+        load: () => chain
+            .then(() => store.get(key))
+            .then(state => (state && state.version === STATE_VERSION ? state : null))
+            .catch(error => {
+                logger.warn('Could not read upload state:', error);
+                return null;
+            }),
+        save: (state) => queue(() => store.set(key, Object.assign({}, state, {
+            version: STATE_VERSION,
+            updatedAt: Date.now()
+        })), 'save'),
+        clear: () => queue(() => store.delete(key), 'clear')
+    };
+};
+
+module.exports.createLocalStorageUploadStore = createLocalStorageUploadStore;
+module.exports.createIndexedDBUploadStore = createIndexedDBUploadStore;
+module.exports.createFileUploadStore = createFileUploadStore;
+module.exports.getDefaultUploadStore = getDefaultUploadStore;
+module.exports.uploadFingerprint = uploadFingerprint;
+module.exports.openUploadState = openUploadState;
@@ -10,18 +10,262 @@
 'use strict';
 
 const rest = require('./rest');
-const fwWrapper = require('./fw-wrapper');
-const { env, utils, awsReq, readChunkFromStream, readFileSlice } = require('./upload-internal');
+const client = require('./client');
+const logger = require('./logger');
+const hash = require('./hash');
+const { env, utils, awsReq, listAwsParts, bodyBytes, partChecksums, verifyPart, isSequentialSource, createChunkReader, readFileSlice, statLocalFile } = require('./upload-internal');
+const { openUploadState, uploadFingerprint } = require('./upload-state');
+const { createPartSigner } = require('./upload-sign');
+const retry = require('./retry');
+const { abortable, sleep } = require('./abort');
+const { KlbError, KlbAbortError, httpError, isAbortError } = require('./errors');
 
 /**
- * Sleep for a specified duration with exponential backoff and jitter
+ * Wait before retrying a failed upload step, with the backoff and
+ * Retry-After handling of the REST retry policy (see configureRetry()).
+ * Upload steps retry failures REST calls don't (e.g. S3's 500 InternalError),
+ * these wait the plain backoff.
  * @private
  */
-function retryDelay(attempt, maxRetries) {
-    // Exponential backoff: 1s, 2s, 4s (capped at 4s) plus random jitter (0-500ms)
-    const baseDelay = Math.min(1000 * Math.pow(2, attempt - 1), 4000);
-    const jitter = Math.random() * 500;
-    return new Promise(resolve => setTimeout(resolve, baseDelay + jitter));
+function retryDelay(error, attempt, signal) {
+    const policy = retry.resolvePolicy(true);
+    const delay = retry.isRetryable(error) ? retry.getRetryDelay(error, attempt, { ...policy, attempts: Infinity }) : null;
+    return sleep(delay === null ? retry.backoffDelay(attempt, policy) : delay, signal);
+}
+
+// S3 multipart limits
+const S3_MIN_PART_SIZE = 5242880;      // 5MiB, except for the last part
+const S3_MAX_PART_SIZE = 5368709120;   // 5GiB
+const S3_MAX_PARTS = 10000;
+
+// Random-access sources are hashed in slices of this size for the whole-file digest
+const DIGEST_SLICE_SIZE = 5242880;
+
+// Largest random-access source browsers hash for the digest by default: they
+// read it a second time and hash it with js-sha256, on the main thread
+const BROWSER_DIGEST_MAX_SIZE = 16777216;   // 16MiB
+
+// Streams of unknown size double their part size every PARTS_PER_STEP parts:
+// from 5MiB, 10,000 parts cover S3's 5TB object limit
+const PARTS_PER_STEP = 1000;
+
+/**
+ * Read and check the concurrency, part size and memory options
+ * @private
+ */
+function uploadLimits(options) {
+    const limits = {
+        concurrency: options.concurrency === undefined ? 3 : options.concurrency,
+        minPartSize: options.minPartSize === undefined ? S3_MIN_PART_SIZE : options.minPartSize,
+        maxPartSize: options.maxPartSize === undefined ? S3_MAX_PART_SIZE : options.maxPartSize,
+        memoryBudget: options.memoryBudget === undefined ? Infinity : options.memoryBudget,
+        presignWindow: options.presignWindow === undefined ? 20 : options.presignWindow
+    };
+
+    if (!Number.isInteger(limits.concurrency) || limits.concurrency < 1) {
+        throw new TypeError('concurrency must be a positive integer');
+    }
+    if (!Number.isInteger(limits.presignWindow) || limits.presignWindow < 1) {
+        throw new TypeError('presignWindow must be a positive integer');
+    }
+    ['minPartSize', 'maxPartSize', 'memoryBudget'].forEach(name => {
+        if (typeof limits[name] !== 'number' || !(limits[name] > 0)) {
+            throw new TypeError(`${name} must be a positive number`);
+        }
+    });
+    if (limits.maxPartSize < limits.minPartSize) {
+        throw new TypeError('maxPartSize must not be smaller than minPartSize');
+    }
+    if (limits.memoryBudget < limits.minPartSize) {
+        throw new TypeError('memoryBudget must be at least minPartSize');
+    }
+    return limits;
+}
+
+/**
+ * Size of a part, growing from blockSize up to maxBlockSize for streams of unknown size
+ * @private
+ */
+function partSizeAt(blockNum, blockSize, maxBlockSize) {
+    return Math.min(maxBlockSize, blockSize * Math.pow(2, Math.floor(blockNum / PARTS_PER_STEP)));
+}
+
+/**
+ * Number of parts of a given size that fit in the memory budget at once
+ * @private
+ * @throws {TypeError} When a single part doesn't fit
+ */
+function concurrencyFor(limits, partSize) {
+    if (partSize > limits.memoryBudget) {
+        throw new TypeError(`memoryBudget (${limits.memoryBudget} bytes) is smaller than the ${partSize} byte parts of this upload`);
+    }
+    return Math.min(limits.concurrency, Math.floor(limits.memoryBudget / partSize));
+}
+
+/**
+ * Count the bytes sent for the onUploadProgress option
+ * @private
+ */
+function createProgressTracker(total, callback) {
+    const start = Date.now();
+    const parts = {};   // Parts being sent, by block number
+    let completed = 0;  // Bytes of the parts sent by this call
+    let skipped = 0;    // Bytes of the parts sent by an earlier call, not counted in the speed
+
+    const emit = (blockNum, part) => {
+        let sending = 0;
+        Object.keys(parts).forEach(n => { sending += parts[n].loaded; });
+        const sent = completed + sending;
+        const loaded = skipped + sent;
+        const elapsed = (Date.now() - start) / 1000;
+        const bytesPerSecond = elapsed > 0 ? Math.round(sent / elapsed) : 0;
+        try {
+            callback({
+                loaded,
+                sent,
+                total,
+                percent: total ? Math.min(100, loaded / total * 100) : null,
+                bytesPerSecond,
+                etaSeconds: total && bytesPerSecond > 0 ? Math.ceil(Math.max(0, total - loaded) / bytesPerSecond) : null,
+                part: { number: blockNum + 1, loaded: part.loaded, size: part.size }
+            });
+        } catch (error) {
+            logger.error('onUploadProgress handler threw:', error);
+        }
+    };
+
+    return {
+        // Starts (or restarts) a part, returns the callback for the request
+        sender(blockNum, size) {
+            parts[blockNum] = { loaded: 0, size };
+            return (loaded) => {
+                const part = parts[blockNum];
+                if (part) {
+                    part.loaded = Math.min(loaded, size);
+                    emit(blockNum, part);
+                }
+            };
+        },
+        complete(blockNum) {
+            const part = parts[blockNum];
+            if (part) {
+                delete parts[blockNum];
+                completed += part.size;
+                emit(blockNum, { loaded: part.size, size: part.size });
+            }
+        },
+        skip(bytes) {
+            skipped += bytes;
+        }
+    };
+}
+
+/**
+ * Gate the upload loops wait on before scheduling new blocks while paused
+ * @private
+ */
+function createPauseGate(signal) {
+    let pending = null;
+    return {
+        get paused() {
+            return pending !== null;
+        },
+        pause() {
+            if (!pending) {
+                let release;
+                const promise = new Promise(resolve => { release = resolve; });
+                pending = { promise, release };
+            }
+        },
+        resume() {
+            if (pending) {
+                pending.release();
+                pending = null;
+            }
+        },
+        // Rejects with an AbortError when cancelled while paused
+        wait() {
+            return pending ? abortable(pending.promise, signal) : Promise.resolve();
+        }
+    };
+}
+
+/**
+ * Whether to compute the whole-file digest, see the `digest` option of uploadFile()
+ * @private
+ */
+function wantDigest(file, options, integrity) {
+    if (options.digest !== undefined) {
+        return !!options.digest;
+    }
+    return integrity && (!!file.stream || hash.hasNativeIncrementalHash() || file.size <= BROWSER_DIGEST_MAX_SIZE);
+}
+
+/**
+ * Compute the SHA-256 of the whole file, sent with the completion call
+ *
+ * Streams are hashed as they are read: the upload loops pass each chunk in
+ * order to update(), then call end(). Random-access sources are read once more
+ * in the background, one slice at a time, holding while the upload is paused.
+ * @private
+ */
+function createFileDigest(file, signal, gate) {
+    const hasher = hash.createSha256();
+    const params = () => hasher.digest().then(digest => ({ sha256: hash.toHex(digest) }));
+
+    if (file.stream) {
+        let ended = false;
+        return {
+            update(chunk) {
+                hasher.update(chunk);
+            },
+            end() {
+                ended = true;
+            },
+            // A stream that was not read (server-side completion left) has no digest
+            params: () => ended ? params() : Promise.resolve({})
+        };
+    }
+
+    const pass = (async () => {
+        for (let start = 0; start < file.size; start += DIGEST_SLICE_SIZE) {
+            await gate.wait();
+            if (signal && signal.aborted) {
+                throw new KlbAbortError('Upload aborted');
+            }
+            const slice = await readFileSlice(file, start, Math.min(start + DIGEST_SLICE_SIZE, file.size));
+            hasher.update(slice);
+        }
+        return params();
+    })();
+    // Failures surface when the completion awaits the digest
+    pass.catch(() => {});
+
+    return {
+        update() {},
+        end() {},
+        params: () => pass
+    };
+}
+
+/**
+ * Open the saved state of a resumable upload
+ * @private
+ */
+function openResumeState(api, file, uploadParams, options, apiClient) {
+    let key = options.resumeKey;
+    if (!key) {
+        // Only File objects and files on disk are identified by their metadata, with
+        // their modification time. Two buffers, Blobs or streams with the same name and
+        // size would share a key, and the second would complete on the first's parts.
+        const isFile = !!file.path || (file.browserFile && file.browserFile.lastModified !== undefined);
+        if (!isFile) {
+            logger.warn('Only File objects and files on disk are resumable without a resumeKey');
+            return null;
+        }
+        key = uploadFingerprint([apiClient.getCallUrlPrefix(), api, uploadParams]);
+    }
+    return openUploadState(options.resumable, key);
 }
 
 /**
@@ -31,11 +275,15 @@ function retryDelay(attempt, maxRetries) {
  * that resolves when the upload is complete.
  *
  * @param {string} api - API endpoint path (e.g., 'Misc/Debug:testUpload')
- * @param {Buffer|ArrayBuffer|Uint8Array|File|Object} buffer - File to upload. Can be:
+ * @param {Buffer|ArrayBuffer|Uint8Array|Blob|File|ReadableStream|AsyncIterable|Object} buffer - File to upload. Can be:
  *   - A Node.js Buffer
  *   - An ArrayBuffer
  *   - A Uint8Array or other TypedArray
- *   - A browser File object
+ *   - A browser File object, or any Blob
+ *   - A Node.js readable stream, a web ReadableStream (e.g. `fetch().body`, `Blob.stream()`)
+ *     or an async iterable of Uint8Array/ArrayBuffer chunks, read sequentially; pass
+ *     `params.size` if known
+ *   - `{ path }`, a file on disk (Node.js), see uploadPath()
  *   - A file-like object with { name, size, type, content, lastModified }
  *   - A file-like object with { name, size, type, stream } for streaming large files
  *   - A string (will be converted to UTF-8 bytes)
@@ -45,12 +293,52 @@ function retryDelay(attempt, maxRetries) {
  * @param {Object} [context=null] - Request context (uses default context if not provided)
  * @param {Object} [options={}] - Upload options
  * @param {Function} [options.onProgress] - Progress callback(progress) where progress is 0-1
+ * @param {Function} [options.onUploadProgress] - Byte progress callback({ loaded, sent, total,
+ *   percent, bytesPerSecond, etaSeconds, part }), called while each part is sending and when it
+ *   completes. sent leaves out the parts resumed from an earlier call, and bytesPerSecond counts
+ *   only those. total, percent and etaSeconds are null for streams of unknown size; part is
+ *   { number, loaded, size } for the part that progressed.
  * @param {Function} [options.onError] - Error callback(error, context). Called only after 3
  *   automatic retries have failed. Can return a Promise that, if resolved, will reset the
  *   retry counter and attempt 3 more automatic retries. Context contains { phase, blockNum,
  *   attempt } for block uploads or { phase, attempt } for other operations.
  * @param {AbortSignal} [options.signal] - AbortSignal for cancellation. Use AbortController to cancel.
- * @returns {Promise<Object>} - Resolves with the full REST response. Rejects with AbortError if cancelled.
+ * @param {Object} [options.client] - Client for the API calls, set by createClient() (see client.js)
+ * @param {boolean|Object} [options.resumable] - Save the progress so that a later call for the
+ *   same file only sends the missing parts. true uses the default store (IndexedDB/localStorage
+ *   in the browser, a JSON file in Node.js), or pass a store (see upload-state.js).
+ * @param {string} [options.resumeKey] - Key of the saved state, instead of the file fingerprint
+ *   (endpoint, parameters, name, size, type and modification time). Required for inputs other
+ *   than File objects and files on disk, which have no modification time to tell them apart.
+ * @param {number} [options.concurrency=3] - Maximum number of blocks uploaded at once
+ * @param {number} [options.minPartSize=5242880] - Smallest block size in bytes (at least 5MiB for S3)
+ * @param {number} [options.maxPartSize=5368709120] - Largest block size in bytes
+ * @param {number} [options.memoryBudget] - Bytes of file data held in memory at once. Lowers the
+ *   concurrency, and the part size of streams and of PUT uploads without a server block size, to
+ *   fit. Rejects with a TypeError when a single part is larger.
+ * @param {boolean} [options.integrity=true] - Send a checksum with each part (SHA-256 for S3,
+ *   Content-MD5 for PUT in Node.js) and check the ETag or checksum the server returns. A
+ *   mismatch rejects the part with a KlbIntegrityError, which is retried like other failures.
+ * @param {boolean} [options.digest] - Pass the SHA-256 of the whole file to the completion
+ *   call as `sha256`. Defaults to `integrity`, except for Files, Blobs and buffers larger than
+ *   16MiB in browsers: they would be read a second time and hashed with js-sha256 on the main
+ *   thread. Streams are hashed as they are read.
+ * @param {boolean} [options.unsignedPayload=false] - With `presign: false`, send S3 parts as
+ *   UNSIGNED-PAYLOAD instead of signing their SHA-256. Saves hashing the parts when `integrity`
+ *   is false; the bucket policy must allow unsigned payloads.
+ * @param {boolean} [options.hashWorker=false] - With `presign: false`, hash S3 parts in a Worker
+ *   rather than on the main thread in browsers. Needs memory for a copy of each part being hashed.
+ * @param {boolean} [options.presign=true] - Sign S3 parts a window ahead instead of one signing
+ *   call per part: presigned part URLs if the server returns them, UNSIGNED-PAYLOAD signatures
+ *   otherwise. Parts are then checked with Content-MD5 (computed in JavaScript in browsers)
+ *   rather than SHA-256 checksums. false signs each part on its own, with its SHA-256.
+ * @param {number} [options.presignWindow=20] - Parts signed at once with `presign`
+ * @param {boolean} [options.handle] - Return an upload handle instead of a Promise:
+ *   `{ promise, status, pause(), resume(), cancel() }`. Pausing lets the blocks in flight finish
+ *   and stops starting new ones (and reading streams) until resume(). status is one of
+ *   'running', 'paused', 'completed', 'failed' or 'cancelled'.
+ * @returns {Promise<Object>|Object} - Resolves with the full REST response. Rejects with AbortError if cancelled.
+ *   With `options.handle`, the upload handle.
  *
  * @example
  * // Upload a buffer with filename
@@ -106,8 +394,107 @@ function retryDelay(attempt, maxRetries) {
  *     console.log('Upload was cancelled');
  *   }
  * }
+ *
+ * @example
+ * // Pause and resume
+ * const handle = uploadFile('Misc/Debug:testUpload', file, 'POST', {}, null, { handle: true });
+ * pauseButton.onclick = () => handle.pause();
+ * resumeButton.onclick = () => handle.resume();
+ * const result = await handle.promise;
  */
-async function uploadFile(api, buffer, method, params, context, options) {
+function uploadFile(api, buffer, method, params, context, options) {
+    if (options && options.handle) {
+        return createUploadHandle(api, buffer, method, params, context, options);
+    }
+    return startUpload(api, buffer, method, params, context, options, createPauseGate(null));
+}
+
+/**
+ * Upload a file on disk (Node.js only)
+ *
+ * The file's size, modification time and name come from `fs.stat()`, its
+ * type from its extension unless `params.type` is set. Parts are read with
+ * positioned reads, in parallel like the slices of a browser File, instead
+ * of through a stream. Same as `uploadFile(api, { path }, ...)`.
+ *
+ * @param {string} api - API endpoint path (e.g., 'Misc/Debug:testUpload')
+ * @param {string} path - Path of the file
+ * @param {string} [method='POST'] - HTTP method for the initial API call
+ * @param {Object} [params={}] - Additional parameters; `filename` and `type` override the file's
+ * @param {Object} [context=null] - Request context
+ * @param {Object} [options={}] - Upload options, see uploadFile()
+ * @returns {Promise<Object>|Object} - Same as uploadFile()
+ *
+ * @example
+ * const result = await uploadPath('Misc/Debug:testUpload', '/data/big.iso');
+ */
+function uploadPath(api, path, method, params, context, options) {
+    return uploadFile(api, { path }, method, params, context, options);
+}
+
+/**
+ * Start an upload controlled through a handle
+ * @private
+ */
+function createUploadHandle(api, buffer, method, params, context, options) {
+    // cancel() aborts our own controller, which follows the caller's signal
+    const controller = new AbortController();
+    const parent = options.signal;
+    const onParentAbort = () => controller.abort(parent.reason);
+    if (parent) {
+        if (parent.aborted) {
+            onParentAbort();
+        } else {
+            parent.addEventListener('abort', onParentAbort);
+        }
+    }
+
+    const gate = createPauseGate(controller.signal);
+    let status = 'running';
+    const settle = (newStatus) => {
+        status = newStatus;
+        if (parent) parent.removeEventListener('abort', onParentAbort);
+    };
+
+    const promise = startUpload(api, buffer, method, params, context, { ...options, signal: controller.signal }, gate)
+        .then(result => {
+            settle('completed');
+            return result;
+        }, error => {
+            settle(isAbortError(error) ? 'cancelled' : 'failed');
+            throw error;
+        });
+
+    return {
+        promise,
+        get status() {
+            return status;
+        },
+        pause() {
+            if (status === 'running') {
+                status = 'paused';
+                gate.pause();
+            }
+        },
+        resume() {
+            if (status === 'paused') {
+                status = 'running';
+                gate.resume();
+            }
+        },
+        cancel() {
+            if (status === 'running' || status === 'paused') {
+                controller.abort();
+            }
+        }
+    };
+}
+
+/**
+ * Run an upload, see uploadFile()
+ * @private
+ */
+async function startUpload(api, buffer, method, params, context, options, gate) {
     // Handle default values
     method = method || 'POST';
     params = params || {};
@@ -115,17 +502,21 @@ async function uploadFile(api, buffer, method, params, context, options) {
 
     // Check if already aborted
     if (options.signal && options.signal.aborted) {
-        const error = new Error('Upload aborted');
-        error.name = 'AbortError';
-        throw error;
+        throw new KlbAbortError('Upload aborted');
     }
 
-    // Get context from framework if not provided, and add available values
+    const limits = uploadLimits(options);
+    if (options.onUploadProgress !== undefined && typeof options.onUploadProgress !== 'function') {
+        throw new TypeError('onUploadProgress must be a function');
+    }
+
+    // Get context from the client if not provided, and add available values
+    const apiClient = client.resolveClient(options);
     if (!context) {
-        context = fwWrapper.getContext();
+        context = apiClient.getContext();
     } else {
         // Merge with default context values if available
-        const defaultContext = fwWrapper.getContext();
+        const defaultContext = apiClient.getContext();
         if (defaultContext) {
             context = { ...defaultContext, ...context };
         }
@@ -186,6 +577,16 @@ async function uploadFile(api, buffer, method, params, context, options) {
             browserFile: buffer  // Keep reference to original File for reading
         };
     }
+    // Handle Blob (not a File), read in slices like a File
+    else if (typeof Blob !== 'undefined' && buffer instanceof Blob) {
+        fileObj = {
+            name: params.filename || buffer.name || 'file.bin',
+            size: buffer.size,
+            type: params.type || buffer.type || 'application/octet-stream',
+            lastModified: Date.now() / 1000,
+            browserFile: buffer
+        };
+    }
     // Handle file-like object with content property
     else if (buffer && buffer.content !== undefined) {
         fileObj = {
@@ -196,20 +597,46 @@ async function uploadFile(api, buffer, method, params, context, options) {
             content: buffer.content
         };
     }
-    // Handle Node.js readable stream
-    else if (buffer && typeof buffer.read === 'function' && typeof buffer.on === 'function') {
+    // Handle Node.js readable stream, web ReadableStream or async iterable
+    else if (isSequentialSource(buffer)) {
         fileObj = {
             name: params.filename || 'file.bin',
             size: params.size || null,  // null means unknown size
             type: params.type || 'application/octet-stream',
             lastModified: Date.now() / 1000,
-            stream: buffer
+            stream: buffer,
+            reader: createChunkReader(buffer)
         };
     }
+    // Handle file on disk (Node.js), read in slices like a File
+    else if (buffer && typeof buffer.path === 'string') {
+        fileObj = await statLocalFile(buffer.path, params);
+    }
     else {
-        throw new Error('Invalid file: must be a Buffer, ArrayBuffer, Uint8Array, File, readable stream, or file-like object with content');
+        throw new Error('Invalid file: must be a Buffer, ArrayBuffer, Uint8Array, Blob, File, readable stream, async iterable, { path }, or file-like object with content');
+    }
+
+    if (!fileObj.reader) {
+        return sendFile(api, fileObj, method, params, context, options, gate, limits, apiClient);
+    }
+
+    // Cancel a source the upload stopped reading early, release it once read
+    let result;
+    try {
+        result = await sendFile(api, fileObj, method, params, context, options, gate, limits, apiClient);
+    } catch (error) {
+        await fileObj.reader.close(error);
+        throw error;
     }
+    await fileObj.reader.close();
+    return result;
+}
 
+/**
+ * Upload a normalized file, see startUpload()
+ * @private
+ */
+async function sendFile(api, fileObj, method, params, context, options, gate, limits, apiClient) {
     // Merge params with file metadata (file metadata takes precedence for these fields)
     const uploadParams = { ...params };
     uploadParams.filename = fileObj.name;
@@ -217,54 +644,142 @@ async function uploadFile(api, buffer, method, params, context, options) {
     uploadParams.lastModified = fileObj.lastModified;
     uploadParams.type = fileObj.type;
 
-    // Initialize upload with the server
-    const response = await rest.rest(api, method, uploadParams, context);
-    const data = response.data;
+    // Look for a session saved by an earlier call
+    const state = options.resumable ? openResumeState(api, fileObj, uploadParams, options, apiClient) : null;
+    let saved = state ? await state.load() : null;
+    if (saved && saved.size !== fileObj.size) {
+        saved = null;
+    }
 
+    // Reconcile with the parts S3 actually has
+    if (saved && saved.method === 'aws' && saved.phase !== 'completed') {
+        const parts = await listAwsParts(saved.uploadInfo, saved.uploadId, context, options.signal, options.client);
+        if (parts === null) {
+            logger.info('Saved multipart upload no longer exists, starting over');
+            await state.clear();
+            saved = null;
+        } else {
+            saved.etags = {};
+            saved.checksums = {};
+            Object.keys(parts).forEach(partNumber => {
+                const blockNum = partNumber - 1;
+                // The last part is shorter, and is sent again when the size is unknown
+                const expected = fileObj.size
+                    ? Math.min(saved.blockSize, fileObj.size - blockNum * saved.blockSize)
+                    : partSizeAt(blockNum, saved.blockSize, saved.maxBlockSize || saved.blockSize);
+                if (parts[partNumber].size === expected) {
+                    saved.etags[blockNum] = parts[partNumber].etag;
+                    saved.checksums[blockNum] = parts[partNumber].checksum;
+                }
+            });
+        }
+    }
+
+    // Initialize upload with the server, unless resuming
+    let data;
+    if (saved) {
+        data = saved.uploadInfo;
+    } else {
+        const response = await rest.rest(api, method, uploadParams, context, { client: options.client });
+        data = response.data;
+    }
+    const progress = options.onUploadProgress ? createProgressTracker(fileObj.size, options.onUploadProgress) : null;
+    const integrity = options.integrity !== false;
+    const digest = wantDigest(fileObj, options, integrity) ? createFileDigest(fileObj, options.signal, gate) : null;
+    const session = { state, saved, gate, limits, progress, integrity, digest };
+
+    let upload;
     // Method 1: AWS signed multipart upload
     if (data.Cloud_Aws_Bucket_Upload__) {
-        return doAwsUpload(fileObj, data, context, options);
+        upload = doAwsUpload(fileObj, data, context, options, session);
     }
-
     // Method 2: Direct PUT upload
-    if (data.PUT) {
-        return doPutUpload(fileObj, data, context, options);
+    else if (data.PUT) {
+        upload = doPutUpload(fileObj, data, context, options, session);
+    }
+    else {
+        throw new Error('Invalid upload response format: no upload method available');
     }
 
-    throw new Error('Invalid upload response format: no upload method available');
+    if (!state) {
+        return upload;
+    }
+
+    // Keep the state on failures so that the next call resumes, except when
+    // the upload was cancelled on purpose
+    try {
+        const result = await upload;
+        await state.clear();
+        return result;
+    } catch (error) {
+        if (isAbortError(error)) {
+            await state.clear();
+        }
+        throw error;
+    }
 }
 
 /**
  * Perform a direct PUT upload (simple upload method)
  * @private
  */
-async function doPutUpload(file, uploadInfo, context, options) {
+async function doPutUpload(file, uploadInfo, context, options, session) {
     const { onProgress, onError, signal } = options;
+    const { state, saved, gate, limits, progress, integrity, digest } = session;
 
     // Helper to check abort status
     const checkAbort = () => {
         if (signal && signal.aborted) {
-            const error = new Error('Upload aborted');
-            error.name = 'AbortError';
-            throw error;
+            throw new KlbAbortError('Upload aborted');
         }
     };
 
     // Calculate block size
-    // - If size known: use server's Blocksize or file size
-    // - If size unknown (streaming): use 526MB default
+    // - If size known: use server's Blocksize, or the file size within the memory budget
+    // - If size unknown (streaming): use server's Blocksize, or grow from
+    //   minPartSize up to maxPartSize, within the memory budget
     let blockSize;
+    let maxBlockSize;
     let blocks = null;
 
+    if (saved) {
+        blockSize = saved.blockSize;
+        maxBlockSize = saved.maxBlockSize || blockSize;
+    } else if (file.size || uploadInfo.Blocksize) {
+        blockSize = uploadInfo.Blocksize || Math.min(file.size, limits.memoryBudget);
+        maxBlockSize = blockSize;
+    } else {
+        blockSize = limits.minPartSize;
+        maxBlockSize = Math.min(limits.maxPartSize, limits.memoryBudget);
+    }
     if (file.size) {
-        blockSize = uploadInfo.Blocksize || file.size;
         blocks = Math.ceil(file.size / blockSize);
-    } else {
-        blockSize = 551550976;  // 526MB
     }
 
-    const maxConcurrent = 3;
-    let completedBlocks = 0;
+    const partSize = (blockNum) => partSizeAt(blockNum, blockSize, maxBlockSize);
+    const maxConcurrent = concurrencyFor(limits, blockSize);
+
+    // Blocks sent by an earlier call are skipped
+    const done = {};
+    if (saved) {
+        saved.done.forEach(blockNum => { done[blockNum] = true; });
+    }
+    let completedBlocks = Object.keys(done).length;
+    const markDone = (blockNum) => {
+        done[blockNum] = true;
+        completedBlocks++;
+        if (progress) progress.complete(blockNum);
+        if (state) {
+            state.save({
+                method: 'put',
+                uploadInfo,
+                blockSize,
+                maxBlockSize,
+                size: file.size,
+                done: Object.keys(done).map(Number)
+            });
+        }
+    };
 
     // Stream-based upload: read sequentially, upload in parallel
     if (file.stream) {
@@ -277,24 +792,35 @@ async function doPutUpload(file, uploadInfo, context, options) {
             // Check for abort before reading more data
             checkAbort();
 
-            // Read and start uploads up to maxConcurrent
-            while (!streamEnded && pendingUploads.length < maxConcurrent) {
-                const chunkData = await readChunkFromStream(file.stream, blockSize);
+            // While paused, let the blocks in flight finish, then stop reading
+            if (pendingUploads.length === 0) {
+                await gate.wait();
+            }
+
+            // Read and start uploads up to the concurrency the memory budget allows
+            while (!streamEnded && !gate.paused && pendingUploads.length < concurrencyFor(limits, partSize(blockNum))) {
+                const chunkData = await file.reader.read(partSize(blockNum));
                 if (chunkData === null) {
                     streamEnded = true;
+                    if (digest) digest.end();
                     break;
                 }
+                if (digest) digest.update(chunkData);
 
                 const currentBlock = blockNum++;
                 const startByte = byteOffset;
                 byteOffset += chunkData.byteLength;
+                if (done[currentBlock]) {
+                    if (progress) progress.skip(chunkData.byteLength);
+                    continue;
+                }
 
                 // Only add Content-Range for multi-block uploads
                 const useContentRange = blocks === null || blocks > 1;
                 const uploadPromise = uploadPutBlockWithDataAndRetry(
-                    uploadInfo, currentBlock, startByte, chunkData, file.type, onError, useContentRange, signal
+                    uploadInfo, currentBlock, startByte, chunkData, file.type, onError, useContentRange, signal, progress, integrity, options.client
                 ).then(() => {
-                    completedBlocks++;
+                    markDone(currentBlock);
                     if (onProgress && blocks) {
                         onProgress(completedBlocks / blocks);
                     }
@@ -315,16 +841,25 @@ async function doPutUpload(file, uploadInfo, context, options) {
         blocks = blockNum;
     } else {
         // Buffer-based upload: original logic
-        for (let i = 0; i < blocks; i += maxConcurrent) {
+        const remaining = [];
+        for (let j = 0; j < blocks; j++) {
+            if (!done[j]) {
+                remaining.push(j);
+            } else if (progress) {
+                progress.skip(Math.min(blockSize, file.size - j * blockSize));
+            }
+        }
+        for (let i = 0; i < remaining.length; i += maxConcurrent) {
             // Check for abort before starting next batch
             checkAbort();
+            await gate.wait();
 
             const batch = [];
-            for (let j = i; j < Math.min(i + maxConcurrent, blocks); j++) {
+            for (const j of remaining.slice(i, i + maxConcurrent)) {
                 batch.push(
-                    uploadPutBlockWithRetry(file, uploadInfo, j, blockSize, onError, signal)
+                    uploadPutBlockWithRetry(file, uploadInfo, j, blockSize, onError, signal, progress, integrity, options.client)
                         .then(() => {
-                            completedBlocks++;
+                            markDone(j);
                             if (onProgress) {
                                 onProgress(completedBlocks / blocks);
                             }
@@ -338,19 +873,20 @@ async function doPutUpload(file, uploadInfo, context, options) {
 
     // All blocks done, call completion with retry support
     checkAbort();
+    const completeParams = digest ? await digest.params() : {};
 
     let attempt = 0;
     while (true) {
         attempt++;
         try {
-            const completeResponse = await rest.rest(uploadInfo.Complete, 'POST', {}, context);
+            const completeResponse = await rest.rest(uploadInfo.Complete, 'POST', completeParams, context, { client: options.client });
             return completeResponse;
         } catch (error) {
             // Check if aborted during completion
             checkAbort();
             // Auto-retry up to 3 times before triggering onError
             if (attempt < 3) {
-                await retryDelay(attempt);
+                await retryDelay(error, attempt, signal);
                 continue;
             }
             if (onError) {
@@ -368,7 +904,8 @@ async function doPutUpload(file, uploadInfo, context, options) {
  * Upload a single block via PUT with pre-read data and retry support
  * @private
  */
-async function uploadPutBlockWithDataAndRetry(uploadInfo, blockNum, startByte, data, contentType, onError, useContentRange, signal) {
+async function uploadPutBlockWithDataAndRetry(uploadInfo, blockNum, startByte, data, contentType, onError, useContentRange, signal, progress, integrity, apiClient) {
+    const checksums = md5Checksums(data, integrity);
     let attempt = 0;
     while (true) {
         attempt++;
@@ -381,6 +918,9 @@ async function uploadPutBlockWithDataAndRetry(uploadInfo, blockNum, startByte, d
             if (useContentRange) {
                 headers['Content-Range'] = `bytes ${startByte}-${startByte + data.byteLength - 1}/*`;
             }
+            if (checksums) {
+                headers['Content-MD5'] = checksums.md5Base64;
+            }
 
             const fetchOptions = {
                 method: 'PUT',
@@ -390,14 +930,20 @@ async function uploadPutBlockWithDataAndRetry(uploadInfo, blockNum, startByte, d
             if (signal) {
                 fetchOptions.signal = signal;
             }
+            if (progress) {
+                fetchOptions.onUploadProgress = progress.sender(blockNum, data.byteLength);
+            }
 
-            const response = await utils.fetch(uploadInfo.PUT, fetchOptions);
+            const response = await utils.fetch(uploadInfo.PUT, fetchOptions, apiClient);
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw httpError(response);
             }
 
             await response.text();
+            if (checksums) {
+                verifyPart(response, checksums);
+            }
             return;
         } catch (error) {
             // Re-throw abort errors immediately
@@ -406,7 +952,7 @@ async function uploadPutBlockWithDataAndRetry(uploadInfo, blockNum, startByte, d
             }
             // Auto-retry up to 3 times before triggering onError
             if (attempt < 3) {
-                await retryDelay(attempt);
+                await retryDelay(error, attempt, signal);
                 continue;
             }
             if (onError) {
@@ -424,12 +970,12 @@ async function uploadPutBlockWithDataAndRetry(uploadInfo, blockNum, startByte, d
  * Upload a single block via PUT with retry support
  * @private
  */
-async function uploadPutBlockWithRetry(file, uploadInfo, blockNum, blockSize, onError, signal) {
+async function uploadPutBlockWithRetry(file, uploadInfo, blockNum, blockSize, onError, signal, progress, integrity, apiClient) {
     let attempt = 0;
     while (true) {
         attempt++;
         try {
-            return await uploadPutBlock(file, uploadInfo, blockNum, blockSize, signal);
+            return await uploadPutBlock(file, uploadInfo, blockNum, blockSize, signal, progress, integrity, apiClient);
         } catch (error) {
             // Re-throw abort errors immediately
             if (error.name === 'AbortError') {
@@ -437,7 +983,7 @@ async function uploadPutBlockWithRetry(file, uploadInfo, blockNum, blockSize, on
             }
             // Auto-retry up to 3 times before triggering onError
             if (attempt < 3) {
-                await retryDelay(attempt);
+                await retryDelay(error, attempt, signal);
                 continue;
             }
             if (onError) {
@@ -455,11 +1001,12 @@ async function uploadPutBlockWithRetry(file, uploadInfo, blockNum, blockSize, on
  * Upload a single block via PUT
  * @private
  */
-async function uploadPutBlock(file, uploadInfo, blockNum, blockSize, signal) {
+async function uploadPutBlock(file, uploadInfo, blockNum, blockSize, signal, progress, integrity, apiClient) {
     const startByte = blockNum * blockSize;
     const endByte = Math.min(startByte + blockSize, file.size);
 
     const arrayBuffer = await readFileSlice(file, startByte, endByte);
+    const checksums = md5Checksums(arrayBuffer, integrity);
 
     const headers = {
         'Content-Type': file.type || 'application/octet-stream'
@@ -470,6 +1017,9 @@ async function uploadPutBlock(file, uploadInfo, blockNum, blockSize, signal) {
     if (totalBlocks > 1) {
         headers['Content-Range'] = `bytes ${startByte}-${endByte - 1}/*`;
     }
+    if (checksums) {
+        headers['Content-MD5'] = checksums.md5Base64;
+    }
 
     const fetchOptions = {
         method: 'PUT',
@@ -479,76 +1029,126 @@ async function uploadPutBlock(file, uploadInfo, blockNum, blockSize, signal) {
     if (signal) {
         fetchOptions.signal = signal;
     }
+    if (progress) {
+        fetchOptions.onUploadProgress = progress.sender(blockNum, endByte - startByte);
+    }
 
-    const response = await utils.fetch(uploadInfo.PUT, fetchOptions);
+    const response = await utils.fetch(uploadInfo.PUT, fetchOptions, apiClient);
 
     if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw httpError(response);
     }
 
     await response.text();
+    if (checksums) {
+        verifyPart(response, checksums);
+    }
+}
+
+/**
+ * MD5 checksums of a block for Content-MD5, or null when there is nothing to check
+ * @private
+ */
+function md5Checksums(data, integrity, fallback) {
+    // Browsers only compute MD5 with the JavaScript fallback
+    const md5 = integrity ? hash.md5(bodyBytes(data), { fallback }) : null;
+    return md5 ? { sha256Base64: null, md5Hex: hash.toHex(md5), md5Base64: hash.toBase64(md5) } : null;
 }
 
 /**
  * Perform an AWS multipart upload
  * @private
  */
-async function doAwsUpload(file, uploadInfo, context, options) {
+async function doAwsUpload(file, uploadInfo, context, options, session) {
     const { onProgress, onError, signal } = options;
+    const { state, saved, gate, limits, progress, integrity, digest } = session;
 
     // Helper to check abort status
     const checkAbort = () => {
         if (signal && signal.aborted) {
-            const error = new Error('Upload aborted');
-            error.name = 'AbortError';
-            throw error;
+            throw new KlbAbortError('Upload aborted');
         }
     };
 
     // Helper to abort AWS multipart upload (best effort, don't throw on failure)
     const abortMultipartUpload = async (uploadId) => {
         try {
-            await awsReq(uploadInfo, 'DELETE', `uploadId=${uploadId}`, '', null, context);
+            await awsReq(uploadInfo, 'DELETE', `uploadId=${uploadId}`, '', null, context, null, options.client);
         } catch (e) {
             // Ignore errors during abort - this is cleanup
         }
     };
 
+    if (limits.minPartSize < S3_MIN_PART_SIZE) {
+        throw new TypeError('minPartSize must be at least 5MiB for S3 uploads');
+    }
+
     // Calculate block size
-    // - If size known: target ~10k parts, min 5MB
-    // - If size unknown: use 526MB (allows up to ~5TB with 10k parts)
+    // - If size known: target ~10k parts, min minPartSize
+    // - If size unknown: grow from minPartSize up to maxPartSize, within the
+    //   memory budget (up to ~5TB with 10k parts by default)
     let blockSize;
+    let maxBlockSize;
     let blocks = null;  // null means unknown (streaming)
 
-    if (file.size) {
-        blockSize = Math.ceil(file.size / 10000);
-        if (blockSize < 5242880) blockSize = 5242880;
+    if (saved) {
+        blockSize = saved.blockSize;
+        maxBlockSize = saved.maxBlockSize || blockSize;
+        blocks = file.size ? Math.ceil(file.size / blockSize) : null;
+    } else if (file.size) {
+        blockSize = Math.max(limits.minPartSize, Math.ceil(file.size / S3_MAX_PARTS));
+        if (blockSize > limits.maxPartSize) {
+            throw new TypeError(`maxPartSize is too small for ${file.size} bytes in ${S3_MAX_PARTS} parts`);
+        }
+        maxBlockSize = blockSize;
         blocks = Math.ceil(file.size / blockSize);
     } else {
-        blockSize = 551550976;  // 526MB
+        blockSize = limits.minPartSize;
+        maxBlockSize = Math.min(limits.maxPartSize, limits.memoryBudget);
     }
+    const maxConcurrent = concurrencyFor(limits, blockSize);
 
     // Check for abort before starting
     checkAbort();
 
+    // Parts S3 already has when resuming, by 0-based block number. Parts carry
+    // a SHA-256 checksum if the multipart upload was created with one, which
+    // presigned parts can't: their signature doesn't cover their data.
+    const etags = saved ? saved.etags : {};
+    const presign = options.presign !== false;
+    const checksum = saved ? !!saved.checksum : integrity && !presign;
+    const checksums = (saved && saved.checksums) || {};
+    const hashing = { checksum, integrity, unsigned: !!options.unsignedPayload, worker: !!options.hashWorker, signer: null };
+    const saveState = (phase) => {
+        if (state) {
+            state.save({ method: 'aws', uploadInfo, uploadId, blockSize, maxBlockSize, size: file.size, etags, checksum, checksums, phase });
+        }
+    };
+
     // Initialize multipart upload with retry support
-    let uploadId;
+    let uploadId = saved ? saved.uploadId : null;
     let initAttempt = 0;
-    while (true) {
+    while (!uploadId) {
         initAttempt++;
         try {
+            const initHeaders = { 'Content-Type': file.type || 'application/octet-stream', 'X-Amz-Acl': 'private' };
+            if (checksum) {
+                initHeaders['X-Amz-Checksum-Algorithm'] = 'SHA256';
+            }
             const initResponse = await awsReq(
                 uploadInfo,
                 'POST',
                 'uploads=',
                 '',
-                { 'Content-Type': file.type || 'application/octet-stream', 'X-Amz-Acl': 'private' },
+                initHeaders,
                 context,
-                signal
+                signal,
+                options.client
             );
             const initXml = await initResponse.text();
             const dom = utils.parseXML(initXml);
             uploadId = dom.querySelector('UploadId').innerHTML;
+            saveState('upload');
             break;
         } catch (error) {
             // Re-throw abort errors immediately
@@ -557,7 +1157,7 @@ async function doAwsUpload(file, uploadInfo, context, options) {
             }
             // Auto-retry up to 3 times before triggering onError
             if (initAttempt < 3) {
-                await retryDelay(initAttempt);
+                await retryDelay(error, initAttempt, signal);
                 continue;
             }
             if (onError) {
@@ -570,9 +1170,68 @@ async function doAwsUpload(file, uploadInfo, context, options) {
         }
     }
 
-    const etags = {};
-    const maxConcurrent = 3;
-    let completedBlocks = 0;
+    // Sign parts a window ahead, unless each part's signature covers its checksum
+    if (presign && !checksum) {
+        hashing.signer = createPartSigner(uploadInfo, uploadId, context, options.client, {
+            window: limits.presignWindow,
+            parts: blocks
+        });
+    }
+    // Stream parts are hashed while they are read when that runs in native code
+    const hashWhileReading = !hashing.signer && (checksum || !hashing.unsigned) && hash.hasNativeIncrementalHash();
+
+    // Call server-side completion handler with retry support
+    const handleComplete = async () => {
+        // Check for abort before server-side completion
+        checkAbort();
+
+        const completeParams = digest ? await digest.params() : {};
+
+        let handleAttempt = 0;
+        while (true) {
+            handleAttempt++;
+            try {
+                const finalResponse = await rest.rest(
+                    `Cloud/Aws/Bucket/Upload/${uploadInfo.Cloud_Aws_Bucket_Upload__}:handleComplete`,
+                    'POST',
+                    completeParams,
+                    context,
+                    { client: options.client }
+                );
+                return finalResponse;
+            } catch (error) {
+                // Check if aborted during completion
+                checkAbort();
+                // Auto-retry up to 3 times before triggering onError
+                if (handleAttempt < 3) {
+                    await retryDelay(error, handleAttempt, signal);
+                    continue;
+                }
+                if (onError) {
+                    await onError(error, { phase: 'handleComplete', attempt: handleAttempt });
+                    // If onError resolves, reset attempt counter and retry
+                    handleAttempt = 0;
+                    continue;
+                }
+                throw error;
+            }
+        }
+    };
+
+    // Only the server-side completion was left
+    if (saved && saved.phase === 'completed') {
+        return handleComplete();
+    }
+
+    const partSize = (blockNum) => partSizeAt(blockNum, blockSize, maxBlockSize);
+    let completedBlocks = Object.keys(etags).length;
+    const markDone = (blockNum, part) => {
+        etags[blockNum] = part.etag;
+        if (part.checksum) checksums[blockNum] = part.checksum;
+        completedBlocks++;
+        if (progress) progress.complete(blockNum);
+        saveState('upload');
+    };
 
     // Wrap upload in try/catch to abort multipart upload on cancel
     try {
@@ -586,20 +1245,34 @@ async function doAwsUpload(file, uploadInfo, context, options) {
                 // Check for abort before reading more data
                 checkAbort();
 
-                // Read and start uploads up to maxConcurrent
-                while (!streamEnded && pendingUploads.length < maxConcurrent) {
-                    const chunkData = await readChunkFromStream(file.stream, blockSize);
+                // While paused, let the blocks in flight finish, then stop reading
+                if (pendingUploads.length === 0) {
+                    await gate.wait();
+                }
+
+                // Read and start uploads up to the concurrency the memory budget allows
+                while (!streamEnded && !gate.paused && pendingUploads.length < concurrencyFor(limits, partSize(blockNum))) {
+                    const partHasher = hashWhileReading ? hash.createSha256() : null;
+                    const chunkData = await file.reader.read(partSize(blockNum), partHasher);
                     if (chunkData === null) {
                         streamEnded = true;
+                        if (digest) digest.end();
                         break;
                     }
+                    if (digest) digest.update(chunkData);
 
                     const currentBlock = blockNum++;
-                    const uploadPromise = uploadAwsBlockWithDataAndRetry(
-                        uploadInfo, uploadId, currentBlock, chunkData, context, onError, signal
-                    ).then(etag => {
-                        etags[currentBlock] = etag;
-                        completedBlocks++;
+                    if (currentBlock >= S3_MAX_PARTS) {
+                        throw new KlbError(`Stream exceeds ${S3_MAX_PARTS} parts, raise maxPartSize or memoryBudget`);
+                    }
+                    if (etags[currentBlock]) {
+                        if (progress) progress.skip(chunkData.byteLength);
+                        continue;
+                    }
+                    const uploadPromise = (partHasher ? partHasher.digest() : Promise.resolve(null)).then(partSha256 => uploadAwsBlockWithDataAndRetry(
+                        uploadInfo, uploadId, currentBlock, chunkData, context, onError, signal, options.client, progress, hashing, partSha256
+                    )).then(part => {
+                        markDone(currentBlock, part);
                         if (onProgress && blocks) {
                             onProgress(completedBlocks / blocks);
                         }
@@ -620,17 +1293,25 @@ async function doAwsUpload(file, uploadInfo, context, options) {
             blocks = blockNum;  // Now we know the total
         } else {
             // Buffer-based upload: original logic
-            for (let i = 0; i < blocks; i += maxConcurrent) {
+            const remaining = [];
+            for (let j = 0; j < blocks; j++) {
+                if (!etags[j]) {
+                    remaining.push(j);
+                } else if (progress) {
+                    progress.skip(Math.min(blockSize, file.size - j * blockSize));
+                }
+            }
+            for (let i = 0; i < remaining.length; i += maxConcurrent) {
                 // Check for abort before starting next batch
                 checkAbort();
+                await gate.wait();
 
                 const batch = [];
-                for (let j = i; j < Math.min(i + maxConcurrent, blocks); j++) {
+                for (const j of remaining.slice(i, i + maxConcurrent)) {
                     batch.push(
-                        uploadAwsBlockWithRetry(file, uploadInfo, uploadId, j, blockSize, context, onError, signal)
-                            .then(etag => {
-                                etags[j] = etag;
-                                completedBlocks++;
+                        uploadAwsBlockWithRetry(file, uploadInfo, uploadId, j, blockSize, context, onError, signal, options.client, progress, hashing)
+                            .then(part => {
+                                markDone(j, part);
                                 if (onProgress) {
                                     onProgress(completedBlocks / blocks);
                                 }
@@ -655,7 +1336,8 @@ async function doAwsUpload(file, uploadInfo, context, options) {
     // Complete multipart upload with retry support
     let xml = '<CompleteMultipartUpload>';
     for (let i = 0; i < blocks; i++) {
-        xml += `<Part><PartNumber>${i + 1}</PartNumber><ETag>${etags[i]}</ETag></Part>`;
+        const partChecksum = checksum && checksums[i] ? `<ChecksumSHA256>${checksums[i]}</ChecksumSHA256>` : '';
+        xml += `<Part><PartNumber>${i + 1}</PartNumber><ETag>${etags[i]}</ETag>${partChecksum}</Part>`;
     }
     xml += '</CompleteMultipartUpload>';
 
@@ -663,8 +1345,9 @@ async function doAwsUpload(file, uploadInfo, context, options) {
     while (true) {
         completeAttempt++;
         try {
-            const completeResponse = await awsReq(uploadInfo, 'POST', `uploadId=${uploadId}`, xml, null, context, signal);
+            const completeResponse = await awsReq(uploadInfo, 'POST', `uploadId=${uploadId}`, xml, null, context, signal, options.client);
             await completeResponse.text();
+            saveState('completed');
             break;
         } catch (error) {
             // On abort, try to clean up the AWS multipart upload
@@ -674,7 +1357,7 @@ async function doAwsUpload(file, uploadInfo, context, options) {
             }
             // Auto-retry up to 3 times before triggering onError
             if (completeAttempt < 3) {
-                await retryDelay(completeAttempt);
+                await retryDelay(error, completeAttempt, signal);
                 continue;
             }
             if (onError) {
@@ -687,67 +1370,21 @@ async function doAwsUpload(file, uploadInfo, context, options) {
         }
     }
 
-    // Check for abort before server-side completion
-    checkAbort();
-
-    // Call server-side completion handler with retry support
-    let handleAttempt = 0;
-    while (true) {
-        handleAttempt++;
-        try {
-            const finalResponse = await rest.rest(
-                `Cloud/Aws/Bucket/Upload/${uploadInfo.Cloud_Aws_Bucket_Upload__}:handleComplete`,
-                'POST',
-                {},
-                context
-            );
-            return finalResponse;
-        } catch (error) {
-            // Check if aborted during completion
-            checkAbort();
-            // Auto-retry up to 3 times before triggering onError
-            if (handleAttempt < 3) {
-                await retryDelay(handleAttempt);
-                continue;
-            }
-            if (onError) {
-                await onError(error, { phase: 'handleComplete', attempt: handleAttempt });
-                // If onError resolves, reset attempt counter and retry
-                handleAttempt = 0;
-                continue;
-            }
-            throw error;
-        }
-    }
+    return handleComplete();
 }
 
 /**
  * Upload a block to AWS S3 with pre-read data and retry support
  * @private
  */
-async function uploadAwsBlockWithDataAndRetry(uploadInfo, uploadId, blockNum, data, context, onError, signal) {
+async function uploadAwsBlockWithDataAndRetry(uploadInfo, uploadId, blockNum, data, context, onError, signal, apiClient, progress, hashing, sha256) {
+    let hashed = null;
     let attempt = 0;
     while (true) {
         attempt++;
         try {
-            const awsPartNumber = blockNum + 1;
-            const response = await awsReq(
-                uploadInfo,
-                'PUT',
-                `partNumber=${awsPartNumber}&uploadId=${uploadId}`,
-                data,
-                null,
-                context,
-                signal
-            );
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const etag = response.headers.get('ETag');
-            await response.text();
-            return etag;
+            hashed = hashed || await hashAwsPart(data, hashing, sha256);
+            return await sendAwsPart(uploadInfo, uploadId, blockNum, data, hashed, context, signal, apiClient, progress, hashing);
         } catch (error) {
             // Re-throw abort errors immediately
             if (error.name === 'AbortError') {
@@ -755,7 +1392,7 @@ async function uploadAwsBlockWithDataAndRetry(uploadInfo, uploadId, blockNum, da
             }
             // Auto-retry up to 3 times before triggering onError
             if (attempt < 3) {
-                await retryDelay(attempt);
+                await retryDelay(error, attempt, signal);
                 continue;
             }
             if (onError) {
@@ -773,12 +1410,12 @@ async function uploadAwsBlockWithDataAndRetry(uploadInfo, uploadId, blockNum, da
  * Upload a single block to AWS S3 with retry support
  * @private
  */
-async function uploadAwsBlockWithRetry(file, uploadInfo, uploadId, blockNum, blockSize, context, onError, signal) {
+async function uploadAwsBlockWithRetry(file, uploadInfo, uploadId, blockNum, blockSize, context, onError, signal, apiClient, progress, hashing) {
     let attempt = 0;
     while (true) {
         attempt++;
         try {
-            return await uploadAwsBlock(file, uploadInfo, uploadId, blockNum, blockSize, context, signal);
+            return await uploadAwsBlock(file, uploadInfo, uploadId, blockNum, blockSize, context, signal, apiClient, progress, hashing);
         } catch (error) {
             // Re-throw abort errors immediately
             if (error.name === 'AbortError') {
@@ -786,7 +1423,7 @@ async function uploadAwsBlockWithRetry(file, uploadInfo, uploadId, blockNum, blo
             }
             // Auto-retry up to 3 times before triggering onError
             if (attempt < 3) {
-                await retryDelay(attempt);
+                await retryDelay(error, attempt, signal);
                 continue;
             }
             if (onError) {
@@ -804,31 +1441,93 @@ async function uploadAwsBlockWithRetry(file, uploadInfo, uploadId, blockNum, blo
  * Upload a single block to AWS S3
  * @private
  */
-async function uploadAwsBlock(file, uploadInfo, uploadId, blockNum, blockSize, context, signal) {
+async function uploadAwsBlock(file, uploadInfo, uploadId, blockNum, blockSize, context, signal, apiClient, progress, hashing) {
     const startByte = blockNum * blockSize;
     const endByte = Math.min(startByte + blockSize, file.size);
-    const awsPartNumber = blockNum + 1; // AWS uses 1-based part numbers
 
     const arrayBuffer = await readFileSlice(file, startByte, endByte);
+    const hashed = await hashAwsPart(arrayBuffer, hashing);
+
+    return sendAwsPart(uploadInfo, uploadId, blockNum, arrayBuffer, hashed, context, signal, apiClient, progress, hashing);
+}
+
+/**
+ * Send an S3 part, signed on its own or with the presigned window
+ * @private
+ * @returns {Promise<Object>} - { etag, checksum } of the part
+ */
+async function sendAwsPart(uploadInfo, uploadId, blockNum, data, hashed, context, signal, apiClient, progress, hashing) {
+    const awsPartNumber = blockNum + 1; // AWS uses 1-based part numbers
+    const onUploadProgress = progress ? progress.sender(blockNum, data.byteLength) : null;
+
+    const response = hashing.signer
+        ? await hashing.signer.send(awsPartNumber, data, hashed.headers, signal, onUploadProgress)
+        : await awsReq(
+            uploadInfo,
+            'PUT',
+            `partNumber=${awsPartNumber}&uploadId=${uploadId}`,
+            data,
+            { ...hashed.headers },
+            context,
+            signal,
+            apiClient,
+            onUploadProgress
+        );
+
+    return awsPartResult(response, hashed.checksums);
+}
+
+/**
+ * Hash an S3 part: its SHA-256 signs the request, unless sent as an
+ * UNSIGNED-PAYLOAD, and is sent for S3 to check when checksums are on
+ * @private
+ * @param {ArrayBuffer|Uint8Array} data - Part data
+ * @param {Object} hashing - { checksum, integrity, unsigned, worker, signer }
+ * @param {Uint8Array} [sha256] - SHA-256 already computed while the part was read
+ * @returns {Promise<Object>} - { headers, checksums }, checksums being null without checksums
+ */
+async function hashAwsPart(data, hashing, sha256) {
+    if (hashing.signer) {
+        // Presigned parts are checked with Content-MD5, which needs no signature
+        const checksums = md5Checksums(data, hashing.integrity, true);
+        return { headers: checksums ? { 'Content-MD5': checksums.md5Base64 } : {}, checksums };
+    }
+    if (!hashing.checksum) {
+        if (hashing.unsigned) {
+            return { headers: { 'X-Amz-Content-Sha256': 'UNSIGNED-PAYLOAD' }, checksums: null };
+        }
+        const digest = sha256 || await hash.sha256(bodyBytes(data), { worker: hashing.worker });
+        return { headers: { 'X-Amz-Content-Sha256': hash.toHex(digest) }, checksums: null };
+    }
 
-    const response = await awsReq(
-        uploadInfo,
-        'PUT',
-        `partNumber=${awsPartNumber}&uploadId=${uploadId}`,
-        arrayBuffer,
-        null,
-        context,
-        signal
-    );
+    const checksums = await partChecksums(data, { worker: hashing.worker, sha256 });
+    return {
+        headers: {
+            'X-Amz-Content-Sha256': hashing.unsigned ? 'UNSIGNED-PAYLOAD' : checksums.sha256Hex,
+            'X-Amz-Checksum-Sha256': checksums.sha256Base64
+        },
+        checksums
+    };
+}
 
+/**
+ * Check an S3 part upload response
+ * @private
+ * @returns {Promise<Object>} - { etag, checksum } of the part
+ */
+async function awsPartResult(response, checksums) {
     if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw httpError(response);
     }
 
     const etag = response.headers.get('ETag');
     await response.text();
-    return etag;
+    if (checksums) {
+        verifyPart(response, checksums);
+    }
+    return { etag, checksum: checksums ? checksums.sha256Base64 : null };
 }
 
 // Export
 module.exports.uploadFile = uploadFile;
+module.exports.uploadPath = uploadPath;
@@ -7,6 +7,7 @@
  */
 
 const internalFW = require('./fw-wrapper');
+const errors = require('./errors');
 
 /**
  * Fetches internationalization data for the specified language
@@ -18,14 +19,15 @@ const getI18N = (language) => {
     language = language || internalFW.getLocale();
 
     // Handle platform-specific i18n implementations
+    // (a platform function throwing synchronously rejects instead)
     if (typeof __platformAsyncI18N !== "undefined") {
         // New SSR mode
-        return __platformAsyncI18N(language);
+        return new Promise(resolve => resolve(__platformAsyncI18N(language)));
     }
     
     if (typeof __platformGetI18N !== "undefined") {
         // Legacy SSR mode
-        return Promise.resolve(__platformGetI18N(language));
+        return new Promise(resolve => resolve(__platformGetI18N(language)));
     }
 
     // Use fetch in browser environment
@@ -33,21 +35,26 @@ const getI18N = (language) => {
         fetch("/_special/locale/" + language + ".json")
             .then(res => {
                 if (!res.ok) {
-                    reject({
-                        message: `HTTP Error: ${res.status} ${res.statusText}`,
-                        status: res.status
-                    });
+                    reject(new errors.KlbHttpError(`HTTP Error: ${res.status} ${res.statusText}`, {
+                        status: res.status,
+                        statusText: res.statusText,
+                        headers: res.headers
+                    }));
                     return;
                 }
                 
                 res.json()
                     .then(resolve)
                     .catch(error => {
-                        reject(error || new Error('Failed to parse JSON response'));
+                        reject(new errors.KlbNotJsonError(error ? error.message : 'Failed to parse JSON response', {
+                            status: res.status,
+                            headers: res.headers,
+                            parseError: error
+                        }));
                     });
             })
             .catch(error => {
-                reject(error || new Error('Failed to fetch locale data'));
+                reject(errors.fromFetchError(error || new Error('Failed to fetch locale data')));
             });
     });
 };